@@ -1,5 +1,7 @@
 import * as WebSocket from 'ws';
 import * as http from 'http';
+import * as https from 'https';
+import { Duplex } from 'stream';
 import { v4 as uuidv4 } from 'uuid';
 import { 
   PendingResponse, 
@@ -9,6 +11,11 @@ import {
   AgentStatus
 } from '../../../types/common';
 import { AgentRegistry } from '../registry/agent-registry';
+import { AuthManager } from '../core/utils/auth/auth-manager';
+import { createServer } from '../core/utils/tls';
+import { MessageValidator, MessageValidationFailure } from '../core/utils/protocol/message-validator';
+import { negotiateProtocol, PROTOCOL_VERSION, PROTOCOL_FEATURES } from '../core/utils/protocol/protocol-negotiation';
+import { HeartbeatMonitor } from '../core/utils/heartbeat/heartbeat-monitor';
 import { EventEmitter } from 'events';
 import { logger, MessageDirection } from '../core/utils/logger';
 
@@ -19,10 +26,16 @@ interface WebSocketWithId extends WebSocket.WebSocket {
 
 interface AgentServerConfig {
   port?: number;
+  tls?: https.ServerOptions;
+  // Skip creating a listener; upgrades arrive through handleUpgrade
+  noServer?: boolean;
 }
 
 interface AgentServerDependencies {
   agents: AgentRegistry;
+  auth?: AuthManager;
+  messageValidator?: MessageValidator;
+  heartbeat?: HeartbeatMonitor;
 }
 
 /**
@@ -31,22 +44,32 @@ interface AgentServerDependencies {
  */
 class AgentServer {
   private agents: AgentRegistry;
+  private auth?: AuthManager;
+  private messageValidator: MessageValidator;
+  private heartbeat?: HeartbeatMonitor;
   private eventBus: EventEmitter;
   private port: number;
+  private tls?: https.ServerOptions;
+  private noServer: boolean;
   private pendingResponses: Record<string, PendingResponse>;
   private server: http.Server;
   private wss: WebSocket.Server;
   private messageHandler: any;
 
   constructor(
-    { agents }: AgentServerDependencies, 
+    { agents, auth, messageValidator, heartbeat }: AgentServerDependencies, 
     eventBus: EventEmitter, 
     config: AgentServerConfig = {},
     messageHandler?: any
   ) {
     this.agents = agents; // Registry for agent management
+    this.auth = auth; // Connection authentication, if configured
+    this.messageValidator = messageValidator || new MessageValidator(); // Schema checks of inbound messages
+    this.heartbeat = heartbeat; // Liveness pings, if configured
     this.eventBus = eventBus;
     this.port = config.port || parseInt(process.env.PORT || '3000', 10);
+    this.tls = config.tls;
+    this.noServer = config.noServer === true;
     this.pendingResponses = {}; // Track pending responses
     // Initialize server and wss to null as they'll be set in start()
     this.server = null as unknown as http.Server;
@@ -55,25 +78,38 @@ class AgentServer {
   }
 
   async start(): Promise<AgentServer> {
-    // Create HTTP server for agents
-    this.server = http.createServer((req, res) => {
-      res.writeHead(200, { 'Content-Type': 'text/plain' });
-      res.end('Agent Swarm Protocol Orchestrator is running');
-    });
+    // Create WebSocket server for agents, rejecting unauthenticated upgrades when auth is enabled
+    if (this.noServer) {
+      // In single-port mode the shared listener passes upgrade requests to handleUpgrade
+      this.wss = new WebSocket.Server({
+        noServer: true,
+        verifyClient: this.auth?.createVerifyClient('agent')
+      });
+    } else {
+      // Create HTTP server for agents, or HTTPS when TLS is configured
+      this.server = createServer(this.tls, (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('Agent Swarm Protocol Orchestrator is running');
+      });
 
-    // Create WebSocket server for agents
-    this.wss = new WebSocket.Server({ server: this.server });
+      this.wss = new WebSocket.Server({
+        server: this.server,
+        verifyClient: this.auth?.createVerifyClient('agent')
+      });
+    }
     
     // Handle WebSocket connections from agents
-    this.wss.on('connection', (ws: WebSocket.WebSocket) => {
+    this.wss.on('connection', (ws: WebSocket.WebSocket, req: http.IncomingMessage) => {
       // Generate unique ID for the connection
       const connectionId = uuidv4();
       (ws as WebSocketWithId).id = connectionId;
+      this.auth?.bindConnection(connectionId, req);
       
       logger.connection(MessageDirection.AGENT_TO_ORCHESTRATOR, 'connected', connectionId);
       
       // Add as a pending connection in registry
       this.agents.addPendingConnection(connectionId, ws);
+      this.heartbeat?.watch('agent', connectionId, ws);
       
       // Handle incoming messages from agents
       ws.on('message', async (message: WebSocket.Data) => {
@@ -91,6 +127,7 @@ class AgentServer {
         logger.connection(MessageDirection.AGENT_TO_ORCHESTRATOR, 'disconnected', connectionId);
         // Remove the connection from the registry
         this.agents.removeConnection(connectionId);
+        this.auth?.unbindConnection(connectionId);
         // Emit event for disconnection, let the message handler deal with it
         this.eventBus.emit('agent.disconnected', connectionId);
       });
@@ -102,7 +139,9 @@ class AgentServer {
           type: 'orchestrator.welcome',
           content: {
             message: 'Connected to ASP Orchestrator',
-            orchestratorVersion: '1.0.0'
+            orchestratorVersion: '1.0.0',
+            protocolVersion: PROTOCOL_VERSION,
+            features: PROTOCOL_FEATURES.agent
           }
         };
         ws.send(JSON.stringify(welcomeMessage));
@@ -113,13 +152,25 @@ class AgentServer {
     });
     
     // Start HTTP server for agents
-    this.server.listen(this.port, () => {
-      logger.system(`ASP Orchestrator Agent Server running on port ${this.port}`);
-    });
+    if (!this.noServer) {
+      this.server.listen(this.port, () => {
+        logger.system(`ASP Orchestrator Agent Server running on port ${this.port}${this.tls ? ' (TLS)' : ''}`);
+      });
+    }
 
     return this;
   }
 
+  /**
+   * Accept a WebSocket upgrade request routed here by the single-port listener
+   * @param req - The upgrade request
+   * @param socket - The request's socket
+   * @param head - First packet of the upgraded stream
+   */
+  handleUpgrade(req: http.IncomingMessage, socket: Duplex, head: Buffer): void {
+    this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, req));
+  }
+
   async handleMessage(message: BaseMessage, connectionId: string): Promise<void> {
     logger.agentToOrchestrator(`Received message: ${message.type}`, {
       messageId: message.id,
@@ -132,6 +183,14 @@ class AgentServer {
       logger.error(MessageDirection.AGENT_TO_ORCHESTRATOR, 'Invalid message format: type is required', message, connectionId);
       return this.sendError(connectionId, 'Invalid message format: type is required', message.id);
     }
+
+    const invalid = this.messageValidator.validate('agent', message);
+    if (invalid) {
+      logger.warn(MessageDirection.AGENT_TO_ORCHESTRATOR, invalid.message, { messageType: message.type, errors: invalid.errors }, connectionId);
+      if (this.messageValidator.strict) {
+        return this.sendInvalidMessage(connectionId, invalid, message.id);
+      }
+    }
     
     // Handle different message types with switch-case for better readability
     switch (message.type) {
@@ -156,6 +215,10 @@ class AgentServer {
       case 'agent.task.result':
         this.eventBus.emit('agent.task.result.received', message, connectionId);
         break;
+
+      case 'task.result.chunk':
+        this.eventBus.emit('agent.task.result.chunk', message, connectionId);
+        break;
         
       case 'task.error':
         this.eventBus.emit('task.error', message, connectionId);
@@ -183,9 +246,12 @@ class AgentServer {
           ...message,
           content: {
             targetAgentName: message.content.targetAgent,
+            capabilities: message.content.capabilities,
+            strategy: message.content.strategy,
             taskType: message.content.taskData?.type || 'generic',
             taskData: message.content.taskData,
-            timeout: message.content.timeout
+            timeout: message.content.timeout,
+            parentTaskId: message.content.parentTaskId
           }
         };
         this.eventBus.emit('agent.task.request', mappedMessage, connectionId);
@@ -206,6 +272,29 @@ class AgentServer {
         this.eventBus.emit('mcp.tool.execute', message, connectionId);
         break;
         
+      // MCP resources and prompts
+      case 'mcp.resources.list':
+      case 'mcp.resource.read':
+      case 'mcp.resource.subscribe':
+      case 'mcp.resource.unsubscribe':
+      case 'mcp.prompts.list':
+      case 'mcp.prompt.get':
+        this.eventBus.emit('agent.mcp.request', message, connectionId);
+        break;
+
+      // Topic publish/subscribe
+      case 'topic.subscribe':
+        this.eventBus.emit('agent.topic.subscribe', message, connectionId);
+        break;
+
+      case 'topic.unsubscribe':
+        this.eventBus.emit('agent.topic.unsubscribe', message, connectionId);
+        break;
+
+      case 'topic.publish':
+        this.eventBus.emit('agent.topic.publish', message, connectionId);
+        break;
+
       case 'ping':
         this.eventBus.emit('ping', message, connectionId);
         break;
@@ -258,7 +347,7 @@ class AgentServer {
   }
 
   // Helper method to send an error response
-  sendError(connectionId: string, errorMessage: string, requestId: string | null = null): void {
+  sendError(connectionId: string, errorMessage: string, requestId: string | null = null, code?: string): void {
     const message: BaseMessage = {
       id: uuidv4(),
       type: 'error',
@@ -266,6 +355,10 @@ class AgentServer {
         error: errorMessage
       }
     };
+
+    if (code) {
+      message.content.code = code;
+    }
     
     if (requestId) {
       message.requestId = requestId;
@@ -278,6 +371,29 @@ class AgentServer {
     }
   }
 
+  // Helper method to refuse a message that does not match the schema for its type
+  private sendInvalidMessage(connectionId: string, failure: MessageValidationFailure, requestId: string | null = null): void {
+    const message: BaseMessage = {
+      id: uuidv4(),
+      type: 'error',
+      content: {
+        error: failure.message,
+        code: failure.code,
+        validationErrors: failure.errors
+      }
+    };
+
+    if (requestId) {
+      message.requestId = requestId;
+    }
+
+    try {
+      this.send(connectionId, message);
+    } catch (error) {
+      logger.error(MessageDirection.ORCHESTRATOR_TO_AGENT, 'Error sending error message', error, connectionId);
+    }
+  }
+
   /**
    * Handle agent registration
    * @param message - Registration message
@@ -297,7 +413,11 @@ class AgentServer {
       description,
       status = 'online',
       capabilities = [],
-      manifest = null
+      maxConcurrentTasks,
+      deterministic,
+      manifest = null,
+      protocolVersion,
+      features
     } = message.content;
     
     // Use id or agentId if provided, or generate a new one
@@ -307,6 +427,25 @@ class AgentServer {
     if (!name) {
       return { error: 'Invalid agent registration: name is required' };
     }
+
+    if (maxConcurrentTasks !== undefined && (!Number.isInteger(maxConcurrentTasks) || maxConcurrentTasks < 1)) {
+      return { error: 'Invalid agent registration: maxConcurrentTasks must be a positive integer' };
+    }
+
+    if (deterministic !== undefined && typeof deterministic !== 'boolean') {
+      return { error: 'Invalid agent registration: deterministic must be a boolean' };
+    }
+
+    const protocol = negotiateProtocol('agent', { protocolVersion, features });
+    if ('code' in protocol) {
+      return { error: `Agent registration rejected: ${protocol.message}`, code: protocol.code };
+    }
+
+    // The connection's credential must be allowed to act as this agent
+    const authError = this.auth?.claimIdentity(connectionId, 'agent', { id: actualId, name });
+    if (authError) {
+      return { error: `Agent registration rejected: ${authError}` };
+    }
     
     try {
       // Create the agent object
@@ -317,7 +456,10 @@ class AgentServer {
         status: status as AgentStatus || 'online',
         connectionId,
         registeredAt: new Date().toISOString(),
-        manifest: manifest || (description ? { description } : undefined)
+        manifest: manifest || (description ? { description } : undefined),
+        maxConcurrentTasks,
+        deterministic,
+        protocol
       };
       
       // Register the agent in the registry with the connection id
@@ -334,6 +476,10 @@ class AgentServer {
         agentId: actualId, // Include both formats for compatibility
         name,
         status,
+        maxConcurrentTasks,
+        deterministic,
+        protocolVersion: protocol.protocolVersion,
+        features: protocol.features,
         message: 'Agent successfully registered'
       };
     } catch (error) {
@@ -1,10 +1,36 @@
 import * as WebSocket from 'ws';
 import * as http from 'http';
+import * as https from 'https';
+import { Duplex } from 'stream';
 import { v4 as uuidv4 } from 'uuid';
-import { BaseMessage, PendingResponse, SendOptions } from '../../../types/common';
+import { BaseMessage, PendingResponse, SendOptions, RestApiSettings } from '../../../types/common';
 import { EventEmitter } from 'events';
 import { ClientRegistry, Client } from '../registry/client-registry';
 import { logger, MessageDirection } from '../core/utils/logger';
+import { AuthManager } from '../core/utils/auth/auth-manager';
+import { createServer } from '../core/utils/tls';
+import { ClientRestApi } from './rest-api';
+import { MessageValidator, MessageValidationFailure } from '../core/utils/protocol/message-validator';
+import { PROTOCOL_VERSION, PROTOCOL_FEATURES } from '../core/utils/protocol/protocol-negotiation';
+import { HeartbeatMonitor } from '../core/utils/heartbeat/heartbeat-monitor';
+
+// Client IDs standing in for REST requests start with this
+const HTTP_CLIENT_PREFIX = 'http-';
+// Client IDs of connections opened inside the orchestrator process start with this
+const LOCAL_CLIENT_PREFIX = 'local-';
+
+// Returns whether it answered the request
+type HttpRequestHandler = (req: http.IncomingMessage, res: http.ServerResponse) => boolean;
+
+/**
+ * A client connection inside the orchestrator process, e.g. a session of the swarm's MCP server
+ */
+interface LocalClientConnection {
+  id: string;
+  // Handle a message as if the client had sent it over WebSocket
+  send(message: BaseMessage): Promise<void>;
+  close(): void;
+}
 
 // Extended WebSocket interface with ID
 interface WebSocketWithId extends WebSocket.WebSocket {
@@ -14,6 +40,13 @@ interface WebSocketWithId extends WebSocket.WebSocket {
 interface ClientServerConfig {
   clientPort?: number;
   clientRegistry?: ClientRegistry;
+  auth?: AuthManager;
+  tls?: https.ServerOptions;
+  // Skip creating a listener; upgrades arrive through handleUpgrade
+  noServer?: boolean;
+  restApi?: RestApiSettings;
+  messageValidator?: MessageValidator;
+  heartbeat?: HeartbeatMonitor;
 }
 
 /**
@@ -28,6 +61,18 @@ class ClientServer {
   private clientServer: http.Server;
   private clientWss: WebSocket.Server;
   private clientRegistry: ClientRegistry;
+  private auth?: AuthManager;
+  private messageValidator: MessageValidator;
+  private heartbeat?: HeartbeatMonitor;
+  private tls?: https.ServerOptions;
+  private noServer: boolean;
+  private restApi?: ClientRestApi;
+  // Callbacks for messages sent to REST requests, by their stand-in client ID
+  private httpExchanges: Map<string, (message: BaseMessage) => void>;
+  // Callbacks for messages sent to local client connections, by their client ID
+  private localClients: Map<string, (message: BaseMessage) => void>;
+  // Other HTTP endpoints served next to the REST API
+  private httpHandlers: HttpRequestHandler[];
   
   constructor(eventBus: EventEmitter, config: ClientServerConfig = {}) {
     this.eventBus = eventBus;
@@ -35,6 +80,21 @@ class ClientServer {
     this.clientConnections = new Map(); // Store client connections
     this.pendingResponses = {}; // Track pending responses
     this.clientRegistry = config.clientRegistry || new ClientRegistry();
+    this.auth = config.auth;
+    this.messageValidator = config.messageValidator || new MessageValidator();
+    this.heartbeat = config.heartbeat;
+    this.tls = config.tls;
+    this.noServer = config.noServer === true;
+    this.httpExchanges = new Map();
+    this.localClients = new Map();
+    this.httpHandlers = [];
+    if (config.restApi?.enabled !== false) {
+      this.restApi = new ClientRestApi(
+        (message, req, timeout) => this.dispatchHttpMessage(message, req, timeout),
+        config.restApi,
+        this.auth
+      );
+    }
     
     // Initialize clientServer and clientWss to null as they'll be set in start()
     this.clientServer = null as unknown as http.Server;
@@ -42,21 +102,36 @@ class ClientServer {
   }
 
   async start(): Promise<ClientServer> {
-    // Create HTTP server for clients
-    this.clientServer = http.createServer((req, res) => {
-      res.writeHead(200, { 'Content-Type': 'text/plain' });
-      res.end('Agent Swarm Protocol Client Interface is running');
-    });
+    // Create WebSocket server for clients, rejecting unauthenticated upgrades when auth is enabled
+    if (this.noServer) {
+      // In single-port mode the shared listener passes upgrade requests to handleUpgrade
+      this.clientWss = new WebSocket.Server({
+        noServer: true,
+        verifyClient: this.auth?.createVerifyClient('client')
+      });
+    } else {
+      // Create HTTP server for clients, or HTTPS when TLS is configured
+      this.clientServer = createServer(this.tls, (req, res) => {
+        if (this.handleHttpRequest(req, res)) {
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('Agent Swarm Protocol Client Interface is running');
+      });
 
-    // Create WebSocket server for clients
-    this.clientWss = new WebSocket.Server({ server: this.clientServer });
+      this.clientWss = new WebSocket.Server({
+        server: this.clientServer,
+        verifyClient: this.auth?.createVerifyClient('client')
+      });
+    }
     
     // Handle WebSocket connections from clients
-    this.clientWss.on('connection', (ws: WebSocket.WebSocket) => {
+    this.clientWss.on('connection', (ws: WebSocket.WebSocket, req: http.IncomingMessage) => {
       // Generate unique ID for the client connection
       const clientId = uuidv4();
       const clientWs = ws as WebSocketWithId;
       clientWs.id = clientId;
+      this.auth?.bindConnection(clientId, req);
       
       logger.connection(MessageDirection.CLIENT_TO_ORCHESTRATOR, 'connected', clientId);
       this.clientConnections.set(clientId, clientWs);
@@ -67,6 +142,7 @@ class ClientServer {
         connectionId: clientId,
         status: 'online'
       });
+      this.heartbeat?.watch('client', clientId, ws);
       
       // Handle incoming messages from clients
       ws.on('message', async (message: WebSocket.Data) => {
@@ -91,6 +167,7 @@ class ClientServer {
         
         // Update client status in registry
         this.clientRegistry.handleDisconnection(clientId);
+        this.auth?.unbindConnection(clientId);
         
         // Emit event for MessageHandler
         this.eventBus.emit('client.disconnected', clientId);
@@ -103,21 +180,134 @@ class ClientServer {
         content: {
           message: 'Connected to ASP Client Interface',
           clientId: clientId,
-          orchestratorVersion: '1.0.0'
+          orchestratorVersion: '1.0.0',
+          protocolVersion: PROTOCOL_VERSION,
+          features: PROTOCOL_FEATURES.client
         }
       });
     });
     
     // Start HTTP server for clients
-    this.clientServer.listen(this.clientPort, () => {
-      logger.system(`ASP Client Interface running on port ${this.clientPort} (for clients)`);
-    });
+    if (!this.noServer) {
+      this.clientServer.listen(this.clientPort, () => {
+        logger.system(`ASP Client Interface running on port ${this.clientPort} (for clients${this.tls ? ', TLS' : ''})`);
+      });
+    }
 
     return this;
   }
 
+  /**
+   * Accept a WebSocket upgrade request routed here by the single-port listener
+   * @param req - The upgrade request
+   * @param socket - The request's socket
+   * @param head - First packet of the upgraded stream
+   */
+  handleUpgrade(req: http.IncomingMessage, socket: Duplex, head: Buffer): void {
+    this.clientWss.handleUpgrade(req, socket, head, ws => this.clientWss.emit('connection', ws, req));
+  }
+
+  /**
+   * Answer an HTTP request if it is addressed to the REST API or another endpoint added with addHttpHandler
+   * @param req - The HTTP request
+   * @param res - The response to write
+   * @returns Whether the request was taken
+   */
+  handleHttpRequest(req: http.IncomingMessage, res: http.ServerResponse): boolean {
+    if (this.restApi && this.restApi.matches(req)) {
+      this.restApi.handleRequest(req, res).catch(error => {
+        logger.error(MessageDirection.CLIENT_TO_ORCHESTRATOR, `REST request ${req.method} ${req.url} failed`, error);
+        if (res.headersSent) {
+          res.end();
+          return;
+        }
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Internal server error' }));
+      });
+      return true;
+    }
+
+    return this.httpHandlers.some(handler => handler(req, res));
+  }
+
+  /**
+   * Serve another HTTP endpoint on the client interface
+   * @param handler - Answers the requests addressed to the endpoint and returns whether it took the request
+   */
+  addHttpHandler(handler: HttpRequestHandler): void {
+    this.httpHandlers.push(handler);
+  }
+
+  /**
+   * Open a client connection inside the orchestrator process
+   * Unlike a REST request it stays open until closed, so it is also sent the later events of its tasks and workflows
+   * @param onMessage - Receives every message sent to the connection
+   * @param req - The HTTP request that opened it, for authentication
+   * @returns The connection
+   */
+  openLocalClient(onMessage: (message: BaseMessage) => void, req?: http.IncomingMessage): LocalClientConnection {
+    const clientId = `${LOCAL_CLIENT_PREFIX}${uuidv4()}`;
+    this.auth?.bindConnection(clientId, req);
+    this.localClients.set(clientId, onMessage);
+    logger.connection(MessageDirection.CLIENT_TO_ORCHESTRATOR, 'connected', clientId);
+
+    return {
+      id: clientId,
+      // Messages are copied as they would be by sending them as JSON
+      send: message => this.handleMessage(JSON.parse(JSON.stringify(message)), clientId),
+      close: () => {
+        if (!this.localClients.delete(clientId)) {
+          return;
+        }
+        logger.connection(MessageDirection.CLIENT_TO_ORCHESTRATOR, 'disconnected', clientId);
+        this.auth?.unbindConnection(clientId);
+        this.eventBus.emit('client.disconnected', clientId);
+      }
+    };
+  }
+
+  /**
+   * Handle a client message on behalf of a REST request, as if it came from a short-lived client connection
+   * @param message - The client message built from the request
+   * @param req - The HTTP request, for authentication
+   * @param timeout - How long to wait for the response, in milliseconds
+   * @returns The response or error message sent for the request
+   */
+  dispatchHttpMessage(message: BaseMessage, req: http.IncomingMessage, timeout: number): Promise<BaseMessage> {
+    const clientId = `${HTTP_CLIENT_PREFIX}${uuidv4()}`;
+    this.auth?.bindConnection(clientId, req);
+
+    return new Promise<BaseMessage>((resolve, reject) => {
+      const finish = () => {
+        clearTimeout(timer);
+        this.httpExchanges.delete(clientId);
+        this.auth?.unbindConnection(clientId);
+      };
+
+      const timer = setTimeout(() => {
+        finish();
+        reject(new Error(`No response to ${message.type} within ${timeout}ms`));
+      }, timeout);
+
+      // Only the direct answer is returned; later task events for this ID have no one to go to
+      this.httpExchanges.set(clientId, response => {
+        if (response.requestId === message.id) {
+          finish();
+          resolve(response);
+        }
+      });
+
+      // Fields a route left undefined are dropped, as they would be from a message sent as JSON
+      const content = message.content === undefined ? undefined : JSON.parse(JSON.stringify(message.content));
+      this.handleMessage({ ...message, content }, clientId).catch(error => {
+        finish();
+        reject(error);
+      });
+    });
+  }
+
   // Helper method to send error responses with consistent format
-  sendError(clientId: string, errorMessage: string, requestId: string | null = null, details?: string): void {
+  sendError(clientId: string, errorMessage: string, requestId: string | null = null, details?: string, code?: string): void {
     const message: BaseMessage = {
       id: uuidv4(),
       type: 'error',
@@ -126,6 +316,10 @@ class ClientServer {
         details: details || errorMessage
       }
     };
+
+    if (code) {
+      message.content.code = code;
+    }
     
     if (requestId) {
       message.requestId = requestId;
@@ -137,6 +331,28 @@ class ClientServer {
     }
   }
 
+  // Helper method to refuse a message that does not match the schema for its type
+  private sendInvalidMessage(clientId: string, failure: MessageValidationFailure, requestId: string | null = null): void {
+    const message: BaseMessage = {
+      id: uuidv4(),
+      type: 'error',
+      content: {
+        error: failure.message,
+        details: failure.message,
+        code: failure.code,
+        validationErrors: failure.errors
+      }
+    };
+
+    if (requestId) {
+      message.requestId = requestId;
+    }
+
+    if (this.send(clientId, message) === false) {
+      logger.error(MessageDirection.ORCHESTRATOR_TO_CLIENT, `Error sending error message: Client not connected`, undefined, clientId);
+    }
+  }
+
   // Handle messages from clients - similar to AgentServer pattern
   async handleMessage(message: BaseMessage, clientId: string): Promise<void> {
     logger.clientToOrchestrator(`Received message: ${message.type}`, {
@@ -149,6 +365,14 @@ class ClientServer {
     if (!message.type) {
       return this.sendError(clientId, 'Invalid message format', message.id, 'Message type is required');
     }
+
+    const invalid = this.messageValidator.validate('client', message);
+    if (invalid) {
+      logger.warn(MessageDirection.CLIENT_TO_ORCHESTRATOR, invalid.message, { messageType: message.type, errors: invalid.errors }, clientId);
+      if (this.messageValidator.strict) {
+        return this.sendInvalidMessage(clientId, invalid, message.id);
+      }
+    }
     
     // Handle different message types with switch-case for better readability
     switch (message.type) {
@@ -170,11 +394,29 @@ class ClientServer {
         this.eventBus.emit('client.agent.task.status.request', message, clientId);
         break;
         
+      case 'client.agent.task.cancel':
+        this.eventBus.emit('client.agent.task.cancel.request', message, clientId);
+        break;
+        
+      // Workflow operations
+      case 'client.workflow.run.request':
+        this.eventBus.emit('client.workflow.run.request', message, clientId);
+        break;
+
+      case 'client.task.tree.request':
+        this.eventBus.emit('client.task.tree.request', message, clientId);
+        break;
+        
       // Agent operations
       case 'client.agent.list.request':
         this.eventBus.emit('client.agent.list.request', message, clientId, this);
         break;
         
+      // Service operations
+      case 'client.service.list.request':
+        this.eventBus.emit('client.service.list.request', message, clientId);
+        break;
+        
       // MCP-related operations
       case 'client.mcp.server.list.request':
         this.eventBus.emit('client.mcp.server.list.request', message, clientId);
@@ -188,6 +430,16 @@ class ClientServer {
         this.eventBus.emit('client.mcp.tool.execute.request', message, clientId);
         break;
         
+      // MCP resources and prompts
+      case 'mcp.resources.list':
+      case 'mcp.resource.read':
+      case 'mcp.resource.subscribe':
+      case 'mcp.resource.unsubscribe':
+      case 'mcp.prompts.list':
+      case 'mcp.prompt.get':
+        this.eventBus.emit('client.mcp.request', message, clientId);
+        break;
+
       // Message routing
       case 'client.message':
         this.eventBus.emit('client.direct.message', message, clientId);
@@ -198,6 +450,19 @@ class ClientServer {
         this.eventBus.emit('task.message', message, clientId);
         break;
         
+      // Topic publish/subscribe
+      case 'topic.subscribe':
+        this.eventBus.emit('client.topic.subscribe', message, clientId);
+        break;
+
+      case 'topic.unsubscribe':
+        this.eventBus.emit('client.topic.unsubscribe', message, clientId);
+        break;
+
+      case 'topic.publish':
+        this.eventBus.emit('client.topic.publish', message, clientId);
+        break;
+
       case 'ping':
         this.send(clientId, {
           id: uuidv4(),
@@ -231,6 +496,22 @@ class ClientServer {
     }
     
     message.timestamp = Date.now().toString();
+
+    // Answers to REST requests go back over HTTP
+    const httpExchange = this.httpExchanges.get(clientId);
+    if (httpExchange) {
+      httpExchange(message);
+      return message.id;
+    }
+    if (clientId.startsWith(HTTP_CLIENT_PREFIX)) {
+      // The REST request was already answered; its caller polls for anything later
+      return false;
+    }
+    const localClient = this.localClients.get(clientId);
+    if (localClient) {
+      localClient(message);
+      return message.id;
+    }
     
     try {
       // Find the client connection
@@ -282,7 +563,7 @@ class ClientServer {
   
   // Check if client is connected
   hasClientConnection(clientId: string): boolean {
-    return this.getClientConnection(clientId) !== undefined;
+    return this.localClients.has(clientId) || this.getClientConnection(clientId) !== undefined;
   }
   
   /**
@@ -512,13 +793,14 @@ class ClientServer {
       this.clientServer.close(() => {
         logger.system('Client server stopped');
       });
-      
-      // Close all client connections
-      this.clientConnections.forEach((ws) => {
-        ws.terminate();
-      });
     }
+
+    // Close all client connections
+    this.clientConnections.forEach((ws) => {
+      ws.terminate();
+    });
   }
 }
 
+export { LocalClientConnection };
 export default ClientServer; 
\ No newline at end of file
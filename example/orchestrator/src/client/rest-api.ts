@@ -0,0 +1,335 @@
+/**
+ * REST API for the ASP Client Interface
+ * Turns HTTP requests into the client messages the WebSocket protocol uses, so both go through the same handlers
+ */
+import * as http from 'http';
+import { v4 as uuidv4 } from 'uuid';
+import { BaseMessage, RestApiSettings } from '../../../types/common';
+import { AuthManager } from '../core/utils/auth/auth-manager';
+import { logger, MessageDirection } from '../core/utils/logger';
+import { NOT_FOUND, NOT_AUTHORIZED } from '../core/utils/errors';
+import { MCP_ACCESS_DENIED } from '../core/utils/mcp/mcp-access-policy';
+
+/**
+ * Sends a client message on behalf of an HTTP request and resolves with the orchestrator's answer
+ */
+type MessageDispatcher = (message: BaseMessage, req: http.IncomingMessage, timeout: number) => Promise<BaseMessage>;
+
+interface RouteRequest {
+  params: Record<string, string>;
+  query: URLSearchParams;
+  body: any;
+  headers: http.IncomingHttpHeaders;
+}
+
+interface Route {
+  method: string;
+  // Path segments below the base path; ':name' segments capture a parameter
+  segments: string[];
+  // Status code for a successful answer
+  status?: number;
+  toMessage: (request: RouteRequest) => { type: string; content: any };
+}
+
+// HTTP status of an error answer by its code; errors without one of these codes are answered with 400
+const ERROR_STATUSES: Record<string, number> = {
+  [NOT_AUTHORIZED]: 403,
+  [MCP_ACCESS_DENIED]: 403,
+  [NOT_FOUND]: 404
+};
+
+const ROUTES: Route[] = [
+  {
+    method: 'GET',
+    segments: ['agents'],
+    toMessage: ({ query }) => ({
+      type: 'client.agent.list.request',
+      content: { filters: readFilters(query) }
+    })
+  },
+  {
+    method: 'GET',
+    segments: ['services'],
+    toMessage: ({ query }) => ({
+      type: 'client.service.list.request',
+      content: { filters: readFilters(query) }
+    })
+  },
+  {
+    method: 'GET',
+    segments: ['mcp', 'servers'],
+    toMessage: ({ query }) => ({
+      type: 'client.mcp.server.list.request',
+      content: { filters: readFilters(query) }
+    })
+  },
+  {
+    method: 'GET',
+    segments: ['mcp', 'servers', ':serverId', 'tools'],
+    toMessage: ({ params }) => ({
+      type: 'mcp.server.tools',
+      content: { serverId: params.serverId }
+    })
+  },
+  {
+    method: 'POST',
+    segments: ['mcp', 'servers', ':serverId', 'tools', ':toolName'],
+    toMessage: ({ params, body }) => ({
+      type: 'mcp.tool.execute',
+      content: {
+        serverId: params.serverId,
+        toolName: params.toolName,
+        parameters: body.parameters || {}
+      }
+    })
+  },
+  {
+    method: 'POST',
+    segments: ['tasks'],
+    status: 202,
+    // An Idempotency-Key header stands in for an idempotencyKey field in the body
+    toMessage: ({ body, headers }) => ({
+      type: 'client.agent.task.create.request',
+      content: { ...body, idempotencyKey: body.idempotencyKey ?? headers['idempotency-key'] }
+    })
+  },
+  {
+    method: 'GET',
+    segments: ['tasks', ':taskId'],
+    toMessage: ({ params }) => ({
+      type: 'client.agent.task.status.request',
+      content: { taskId: params.taskId }
+    })
+  },
+  {
+    method: 'GET',
+    segments: ['tasks', ':taskId', 'tree'],
+    toMessage: ({ params, query }) => ({
+      type: 'client.task.tree.request',
+      content: { taskId: params.taskId, includeResults: query.get('includeResults') !== 'false' }
+    })
+  },
+  {
+    method: 'POST',
+    segments: ['tasks', ':taskId', 'messages'],
+    toMessage: ({ params, body }) => ({
+      type: 'task.message',
+      content: {
+        taskId: params.taskId,
+        messageType: body.messageType,
+        message: body.message
+      }
+    })
+  },
+  {
+    method: 'POST',
+    segments: ['tasks', ':taskId', 'cancel'],
+    toMessage: ({ params, body }) => ({
+      type: 'client.agent.task.cancel',
+      content: { taskId: params.taskId, reason: body.reason }
+    })
+  },
+  {
+    method: 'POST',
+    segments: ['workflows'],
+    status: 202,
+    toMessage: ({ body }) => ({
+      type: 'client.workflow.run.request',
+      content: body
+    })
+  },
+  {
+    method: 'POST',
+    segments: ['topics', ':topic'],
+    toMessage: ({ params, body }) => ({
+      type: 'topic.publish',
+      content: { topic: params.topic, payload: body.payload, retain: body.retain }
+    })
+  }
+];
+
+/**
+ * Read list filters from query parameters; `capabilities` may be repeated or comma separated
+ * @private
+ */
+function readFilters(query: URLSearchParams): Record<string, any> {
+  const filters: Record<string, any> = {};
+  query.forEach((value, key) => {
+    if (key === 'capabilities') {
+      filters.capabilities = [...(filters.capabilities || []), ...value.split(',').filter(Boolean)];
+    } else {
+      filters[key] = value;
+    }
+  });
+  return filters;
+}
+
+class ClientRestApi {
+  private basePath: string;
+  private requestTimeout: number;
+  private maxBodySize: number;
+  private auth?: AuthManager;
+  private dispatch: MessageDispatcher;
+
+  /**
+   * Create a new ClientRestApi
+   * @param dispatch - Sends a client message and resolves with the response to it
+   * @param settings - REST API settings from the orchestrator configuration
+   * @param auth - Authentication for requests, if configured
+   */
+  constructor(dispatch: MessageDispatcher, settings: RestApiSettings = {}, auth?: AuthManager) {
+    this.dispatch = dispatch;
+    this.basePath = (settings.basePath || '/api').replace(/\/+$/, '');
+    this.requestTimeout = settings.requestTimeout || 30000;
+    this.maxBodySize = settings.maxBodySize || 1024 * 1024;
+    this.auth = auth;
+  }
+
+  /**
+   * Whether a request is addressed to the REST API
+   * @param req - The HTTP request
+   */
+  matches(req: http.IncomingMessage): boolean {
+    const { pathname } = new URL(req.url || '/', 'http://localhost');
+    return pathname === this.basePath || pathname.startsWith(`${this.basePath}/`);
+  }
+
+  /**
+   * Answer an HTTP request addressed to the REST API
+   * @param req - The HTTP request
+   * @param res - The response to write
+   */
+  async handleRequest(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const url = new URL(req.url || '/', 'http://localhost');
+    let segments: string[];
+    try {
+      segments = url.pathname.slice(this.basePath.length).split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      // A malformed escape such as %ZZ
+      return this.sendJson(res, 400, { error: `Invalid path ${url.pathname}` });
+    }
+
+    const pathRoutes = ROUTES.filter(route => this.matchSegments(route.segments, segments));
+    if (pathRoutes.length === 0) {
+      return this.sendJson(res, 404, { error: `No REST endpoint at ${url.pathname}` });
+    }
+
+    const route = pathRoutes.find(candidate => candidate.method === req.method);
+    if (!route) {
+      res.setHeader('Allow', pathRoutes.map(candidate => candidate.method).join(', '));
+      return this.sendJson(res, 405, { error: `Method ${req.method} is not allowed on ${url.pathname}` });
+    }
+
+    if (this.auth?.isEnabled() && !this.auth.verifyRequest(req, 'client').principal) {
+      return this.sendJson(res, 401, { error: 'Unauthorized' });
+    }
+
+    let body: any = {};
+    if (req.method === 'POST') {
+      try {
+        body = await this.readBody(req);
+      } catch (error) {
+        return this.sendJson(res, 400, { error: error instanceof Error ? error.message : String(error) });
+      }
+    }
+
+    const { type, content } = route.toMessage({
+      params: this.matchSegments(route.segments, segments) || {},
+      query: url.searchParams,
+      body,
+      headers: req.headers
+    });
+
+    try {
+      const response = await this.dispatch({ id: uuidv4(), type, content }, req, this.requestTimeout);
+
+      if (response.type === 'error') {
+        return this.sendJson(res, this.getErrorStatus(response.content), response.content);
+      }
+
+      this.sendJson(res, route.status || 200, response.content);
+    } catch (error) {
+      logger.error(MessageDirection.CLIENT_TO_ORCHESTRATOR, `REST request ${req.method} ${url.pathname} failed`, error);
+      this.sendJson(res, 504, { error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  /**
+   * Match request path segments against a route, returning the captured parameters
+   * @private
+   */
+  private matchSegments(pattern: string[], segments: string[]): Record<string, string> | null {
+    if (pattern.length !== segments.length) {
+      return null;
+    }
+
+    const params: Record<string, string> = {};
+    for (let i = 0; i < pattern.length; i++) {
+      if (pattern[i].startsWith(':')) {
+        params[pattern[i].slice(1)] = segments[i];
+      } else if (pattern[i] !== segments[i]) {
+        return null;
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @private
+   */
+  private readBody(req: http.IncomingMessage): Promise<any> {
+    return new Promise((resolve, reject) => {
+      const chunks: Buffer[] = [];
+      let size = 0;
+
+      req.on('data', (chunk: Buffer) => {
+        size += chunk.length;
+        if (size > this.maxBodySize) {
+          reject(new Error(`Request body is larger than ${this.maxBodySize} bytes`));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8').trim();
+        if (!text) {
+          resolve({});
+          return;
+        }
+        try {
+          const parsed = JSON.parse(text);
+          if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            reject(new Error('Request body must be a JSON object'));
+            return;
+          }
+          resolve(parsed);
+        } catch (error) {
+          reject(new Error('Request body is not valid JSON'));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Pick the HTTP status for an error message from the orchestrator by its code
+   * @private
+   */
+  private getErrorStatus(content: { code?: string } = {}): number {
+    return (content.code && ERROR_STATUSES[content.code]) || 400;
+  }
+
+  /**
+   * @private
+   */
+  private sendJson(res: http.ServerResponse, status: number, body: any): void {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+export { ClientRestApi, MessageDispatcher };
@@ -2,16 +2,36 @@ import WebSocket from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import { EventEmitter } from 'events';
 import { AgentRegistry } from '../registry/agent-registry';
-import { AgentTaskRegistry } from './utils/tasks/agent-task-registry';
+import { AgentTaskRegistry, Task, TaskLineage, DEFAULT_MAX_TASK_DEPTH } from './utils/tasks/agent-task-registry';
 import { ServiceRegistry } from '../registry/service-registry';
 import { ClientRegistry } from '../registry/client-registry';
-import { ServiceTaskRegistry } from './utils/tasks/service-task-registry';
+import { ServiceTaskRegistry, ServiceTask } from './utils/tasks/service-task-registry';
+import { isFailedResult } from './utils/tasks/task-results';
+import { createTaskStore } from './utils/tasks/task-store';
+import { AgentRouter } from './utils/agent-router';
+import { TaskDispatcher } from './utils/tasks/task-dispatcher';
+import { TaskTimeoutManager, ResolvedTaskLimits } from './utils/tasks/task-timeouts';
+import { AuthManager } from './utils/auth/auth-manager';
+import { loadTlsOptions } from './utils/tls';
+import { SinglePortServer } from './utils/single-port-server';
+import { WorkflowEngine } from './utils/workflows/workflow-engine';
+import { buildTaskTree } from './utils/tasks/task-tree';
+import { ResultCache } from './utils/tasks/result-cache';
+import { IdempotencyKeys } from './utils/tasks/idempotency-keys';
+import { ToolSchemaValidator, ToolValidationFailure } from './utils/tools/tool-schema-validator';
+import { MessageValidator } from './utils/protocol/message-validator';
+import { negotiateProtocol, hasFeature } from './utils/protocol/protocol-negotiation';
+import { TopicBroker } from './utils/topics/topic-broker';
+import { HeartbeatMonitor } from './utils/heartbeat/heartbeat-monitor';
+import { DEFAULT_MAX_STEPS, parseWorkflowDefinition, loadWorkflowDefinitions } from './utils/workflows/workflow-definition';
+import { NOT_FOUND, NOT_AUTHORIZED, NotFoundError, NotAuthorizedError, getErrorCode } from './utils/errors';
 import AgentServer from '../agent/agent-server';
 import ClientServer from '../client/client-server';
 import ServiceServer from '../service/service-server';
 import MessageHandler from './message-handler';
 import * as mcp from './utils/mcp';
-import { MCPAdapter, MCPServerConfig, MCPExecuteToolMessage, MCPAgentRequest, MCPServerFilters } from './utils/mcp/mcp-adapter';
+import { MCPAdapter, MCPServerConfig, MCPExecuteToolMessage, MCPAgentRequest, MCPServerFilters, MCPResourceSubscriber } from './utils/mcp/mcp-adapter';
+import { SwarmMCPServer } from './utils/mcp/swarm-mcp-server';
 import ConfigLoader from './utils/config-loader';
 import { logger, LogLevel, MessageDirection } from './utils/logger';
 import dotenv from 'dotenv';
@@ -21,7 +41,13 @@ import {
   SendOptions,
   TaskStatus,
   ServiceStatus,
-  Agent
+  AgentStatus,
+  Agent,
+  BaseMessage,
+  OrphanedTaskSettings,
+  WorkflowDefinition,
+  WorkflowSettings,
+  ConnectionType
 } from '@agentswarmprotocol/types/dist/common';
 
 // Load environment variables
@@ -36,17 +62,40 @@ class Orchestrator {
   private clientPort: number;
   private servicePort: number;
   private logLevel: string;
+  private singlePort?: number;
   private agents: AgentRegistry;
   private tasks: AgentTaskRegistry;
   private services: ServiceRegistry;
   private clients: ClientRegistry;
   private serviceTasks: ServiceTaskRegistry;
+  private agentRouter: AgentRouter;
+  private taskDispatcher: TaskDispatcher;
+  private taskTimeouts: TaskTimeoutManager;
+  private auth: AuthManager;
+  private workflows: WorkflowEngine;
+  private workflowSettings: WorkflowSettings;
+  // Workflow definitions from the configured directory, by name
+  private workflowDefinitions: Map<string, WorkflowDefinition>;
+  private topics: TopicBroker;
+  private orphanedTaskSettings: OrphanedTaskSettings;
+  // Deepest child task agents may create below a root task
+  private maxTaskDepth: number;
+  private resultCache: ResultCache;
+  private idempotencyKeys: IdempotencyKeys;
+  private toolValidator: ToolSchemaValidator;
+  // Grace period timers for disconnected agents, by agent ID
+  private reconnectTimers: Map<string, NodeJS.Timeout>;
   private eventBus: EventEmitter;
+  private heartbeats: HeartbeatMonitor;
   private mcpAdapter: MCPAdapter;
   private configLoader: ConfigLoader;
   private agentServer: AgentServer;
   private clientServer: ClientServer;
   private serviceServer: ServiceServer;
+  // Shared listener when agents, clients and services use one port
+  private singlePortServer?: SinglePortServer;
+  // MCP endpoint on the client interface offering the swarm's agents and services as tools, when enabled
+  private swarmMCPServer?: SwarmMCPServer;
   private messageHandler: MessageHandler;
 
   constructor(config: OrchestratorConfig = {}) {
@@ -63,21 +112,51 @@ class Orchestrator {
     this.clientPort = resolvedConfig.clientPort;
     this.servicePort = resolvedConfig.servicePort;
     this.logLevel = resolvedConfig.logLevel;
+    this.singlePort = resolvedConfig.singlePort;
 
     // Configure logger
     logger.setLogLevel(this.logLevel as LogLevel);
 
+    const orchestratorSettings = this.configLoader.getOrchestratorSettings();
+
+    // Task registries share the configured storage backend
+    const taskStoreSettings = orchestratorSettings.taskStore;
+
     this.agents = new AgentRegistry();
-    this.tasks = new AgentTaskRegistry();
+    this.tasks = new AgentTaskRegistry(createTaskStore(taskStoreSettings, 'agent-tasks'));
     this.services = new ServiceRegistry();
     this.clients = new ClientRegistry();
-    this.serviceTasks = new ServiceTaskRegistry();
+    this.serviceTasks = new ServiceTaskRegistry(createTaskStore(taskStoreSettings, 'service-tasks'));
+    this.taskTimeouts = new TaskTimeoutManager({
+      timeout: orchestratorSettings.taskTimeout,
+      retryPolicy: orchestratorSettings.retryPolicy
+    });
+    this.taskDispatcher = new TaskDispatcher(this.agents, this.tasks,
+      (connectionId, message) => this.agentServer.send(connectionId, message),
+      (agent, taskId) => this.startTaskTimeout(agent, taskId));
+    this.agentRouter = new AgentRouter(this.agents, this.tasks, this.taskDispatcher, orchestratorSettings.agentSelectionStrategy);
+    this.orphanedTaskSettings = orchestratorSettings.orphanedTasks || {};
+    this.maxTaskDepth = orchestratorSettings.maxTaskDepth ?? DEFAULT_MAX_TASK_DEPTH;
+    this.resultCache = new ResultCache(orchestratorSettings.resultCache);
+    this.idempotencyKeys = new IdempotencyKeys(orchestratorSettings.idempotency);
+    this.toolValidator = new ToolSchemaValidator(orchestratorSettings.toolValidation);
+    this.reconnectTimers = new Map();
+    this.auth = new AuthManager(orchestratorSettings.auth);
 
     // Create event bus for communication between components
     this.eventBus = new EventEmitter();
-
-    // Set up MCP support
-    this.mcpAdapter = mcp.setup(this.eventBus);
+    this.heartbeats = new HeartbeatMonitor(this.eventBus, orchestratorSettings.heartbeat);
+
+    // Set up MCP support; tool calls are checked against the MCP policy by the caller's agent or client name
+    this.mcpAdapter = mcp.setup(this.eventBus, {
+      policy: orchestratorSettings.mcpPolicy,
+      identify: (type, connectionId) => {
+        const entity = type === 'agent' ? this.agents.getAgentByConnectionId(connectionId)
+          : type === 'client' ? this.clients.getClientByConnectionId(connectionId)
+          : undefined;
+        return { id: entity?.id, name: entity?.name || this.auth.getPrincipal(connectionId)?.subject };
+      }
+    });
 
     // Create message handler to centralize business logic
     this.messageHandler = new MessageHandler({
@@ -87,14 +166,20 @@ class Orchestrator {
       serviceTasks: this.serviceTasks,
       clients: this.clients,
       eventBus: this.eventBus,
-      mcp: this.mcpAdapter
+      mcp: this.mcpAdapter,
+      auth: this.auth
     });
 
+    // The same certificate serves all three interfaces
+    const tls = loadTlsOptions(orchestratorSettings.tls);
+    const noServer = this.singlePort !== undefined;
+    const messageValidator = new MessageValidator(orchestratorSettings.protocolValidation);
+
     // Create servers with specific dependencies rather than passing the entire orchestrator
     this.agentServer = new AgentServer(
-      { agents: this.agents },
+      { agents: this.agents, auth: this.auth, messageValidator, heartbeat: this.heartbeats },
       this.eventBus,
-      { port: this.port },
+      { port: this.port, tls, noServer },
       this.messageHandler
     );
 
@@ -102,90 +187,794 @@ class Orchestrator {
       this.eventBus,
       {
         clientPort: this.clientPort,
-        clientRegistry: this.clients
+        clientRegistry: this.clients,
+        auth: this.auth,
+        tls,
+        noServer,
+        restApi: orchestratorSettings.restApi,
+        messageValidator,
+        heartbeat: this.heartbeats
       }
     );
 
+    if (orchestratorSettings.mcpServer?.enabled) {
+      const swarmMCPServer = new SwarmMCPServer({
+        agents: this.agents,
+        services: this.services,
+        auth: this.auth,
+        openClient: (onMessage, req) => this.clientServer.openLocalClient(onMessage, req)
+      }, orchestratorSettings.mcpServer);
+      this.clientServer.addHttpHandler((req, res) => swarmMCPServer.handleRequest(req, res));
+      this.swarmMCPServer = swarmMCPServer;
+    }
+
     this.serviceServer = new ServiceServer(
-      { services: this.services },
+      { services: this.services, auth: this.auth, messageValidator, heartbeat: this.heartbeats },
       this.eventBus,
-      { port: this.servicePort }
+      { port: this.servicePort, tls, noServer }
     );
 
+    if (this.singlePort !== undefined) {
+      const paths = orchestratorSettings.singlePort?.paths || {};
+      this.singlePortServer = new SinglePortServer(this.singlePort, [
+        { path: paths.agent || '/agent', handler: (req, socket, head) => this.agentServer.handleUpgrade(req, socket, head) },
+        { path: paths.client || '/client', handler: (req, socket, head) => this.clientServer.handleUpgrade(req, socket, head) },
+        { path: paths.service || '/service', handler: (req, socket, head) => this.serviceServer.handleUpgrade(req, socket, head) }
+      ], tls, (req, res) => this.clientServer.handleHttpRequest(req, res));
+    }
+
+    this.workflowSettings = orchestratorSettings.workflows || {};
+    this.workflowDefinitions = new Map();
+    this.workflows = new WorkflowEngine({
+      agents: this.agents,
+      tasks: this.tasks,
+      services: this.services,
+      serviceTasks: this.serviceTasks,
+      agentRouter: this.agentRouter,
+      taskDispatcher: this.taskDispatcher,
+      mcp: this.mcpAdapter,
+      auth: this.auth,
+      toolValidator: this.toolValidator,
+      sendToClient: (connectionId, message) => this.clientServer.send(connectionId, message),
+      sendToService: (connectionId, message) => this.serviceServer.send(connectionId, message),
+      cancelTask: (taskId, reason) => this.cancelTask(taskId, reason)
+    });
+
+    this.topics = new TopicBroker({
+      auth: this.auth,
+      settings: orchestratorSettings.topics,
+      send: {
+        agent: (connectionId, message) => this.agentServer.send(connectionId, message),
+        client: (connectionId, message) => this.clientServer.send(connectionId, message),
+        service: (connectionId, message) => this.serviceServer.send(connectionId, message)
+      },
+      describeConnection: (type, connectionId) => {
+        const entity = type === 'agent' ? this.agents.getAgentByConnectionId(connectionId)
+          : type === 'service' ? this.services.getServiceByConnectionId(connectionId)
+          : undefined;
+        return entity ? { id: entity.id, name: entity.name } : { id: connectionId };
+      }
+    });
+
     // Set up event listeners
     this.setupEventListeners();
   }
 
-  // Helper method to propagate messages up the task chain to find the ultimate client
-  private propagateMessageUpTaskChain(task: any, taskMessage: any, originAgentId?: string): void {
-    try {
-      // Base case: no more parent tasks
-      if (!task || !task.requestingAgentId) {
-        return;
+  /**
+   * Check whether an agent or client connection's credential allows an MCP server
+   * @private
+   */
+  private canUseMCPServer(connectionId: string, serverId: string): boolean {
+    const server = this.mcpAdapter.getServerById(serverId);
+    return this.auth.isAllowed(connectionId, 'mcpServers', { id: serverId, name: server?.name });
+  }
+
+  /**
+   * Check that an agent may attach a child task, service task or MCP call to a task: the task must be assigned to it
+   * Otherwise an agent could attach its work, and the messages about it, to another client's task tree
+   * @param parentTaskId - ID of the task named as the parent
+   * @param agent - The requesting agent
+   * @returns Why the parent task is refused, or undefined if the agent may use it
+   * @private
+   */
+  private checkParentTask(parentTaskId: string, agent: Agent | undefined): string | undefined {
+    const parentTask = this.tasks.getTaskOrNull(parentTaskId);
+    if (!parentTask) {
+      return `Parent task ${parentTaskId} not found`;
+    }
+    if (!agent || parentTask.agentId !== agent.id) {
+      return `Parent task ${parentTaskId} is not assigned to agent ${agent?.name || 'unknown'}`;
+    }
+    return undefined;
+  }
+
+  /**
+   * Send a caught error to an agent, client or service connection, with the error's code if it has one
+   * @private
+   */
+  private sendConnectionError(type: ConnectionType, connectionId: string, error: unknown, requestId: string): void {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    const code = getErrorCode(error);
+    if (type === 'agent') {
+      this.agentServer.sendError(connectionId, errorMessage, requestId, code);
+    } else {
+      (type === 'client' ? this.clientServer : this.serviceServer).sendError(connectionId, errorMessage, requestId, undefined, code);
+    }
+  }
+
+  /**
+   * Check whether a client may read, message or cancel a task
+   * The task's tree must have been started by the same connection or credential, unless one of the client's roles
+   * is an admin role; without auth every client may
+   * @private
+   */
+  private canAccessTask(clientId: string, task: Task): boolean {
+    if (!this.auth.isEnabled() || this.auth.isAdmin(clientId)) {
+      return true;
+    }
+
+    const principal = this.auth.getPrincipal(clientId);
+    if (!principal) {
+      return false;
+    }
+
+    const root = (task.rootTaskId && this.tasks.getTaskOrNull(task.rootTaskId)) || task;
+    return root.clientId === clientId || (!!root.principalId && root.principalId === principal.id);
+  }
+
+  /**
+   * Send a task notification to the client behind a task
+   * A root task notifies its own client. A child task notifies the client at the root of its tree, found only
+   * through the lineage recorded on the task, so an agent serving several clients at once cannot mix them up
+   * @param task - The task the notification is about
+   * @param content - The notification; the root task and the child task's place in the tree are added for child tasks
+   * @returns Whether there was a client to notify
+   */
+  private notifyTaskClient(task: Task, content: Record<string, any>): boolean {
+    if (task.clientId) {
+      this.clientServer.forwardTaskNotificationToClient(task.clientId, { taskId: task.id, ...content });
+      return true;
+    }
+
+    // The root task moves to a new connection when its client resubmits it after reconnecting
+    const rootClientId = (task.rootTaskId && this.tasks.getTaskOrNull(task.rootTaskId)?.clientId) || task.rootClientId;
+    if (!rootClientId) {
+      return false;
+    }
+
+    this.clientServer.forwardTaskNotificationToClient(rootClientId, {
+      ...content,
+      taskId: task.rootTaskId,
+      childTaskId: task.id,
+      parentTaskId: task.parentTaskId,
+      depth: task.depth,
+      isChildAgentMessage: true
+    });
+
+    logger.orchestratorToClient(`Forwarded child task notification to root client`, {
+      childTaskId: task.id,
+      parentTaskId: task.parentTaskId,
+      rootTaskId: task.rootTaskId,
+      depth: task.depth
+    }, rootClientId);
+    return true;
+  }
+
+  /**
+   * Record the outcome of an agent's MCP call in its task record, unless the call was cancelled with its parent task
+   * @param callTaskId - ID of the call's task record, if it has one
+   * @param status - How the call ended
+   * @param outcome - The tool result or error message
+   */
+  private finishMCPCallTask(callTaskId: string | undefined, status: 'completed' | 'failed', outcome: { result?: any; error?: string }): void {
+    if (!callTaskId || this.tasks.getTaskOrNull(callTaskId)?.status !== 'in_progress') {
+      return;
+    }
+
+    this.tasks.updateTaskStatus(callTaskId, status, { result: outcome.result, error: outcome.error });
+  }
+
+  /**
+   * Fail a service task whose result does not match the tool's outputSchema
+   * @param serviceTask - The service task
+   * @param failure - What is wrong with the result
+   */
+  private failServiceTaskOutput(serviceTask: ServiceTask, failure: ToolValidationFailure): void {
+    logger.warn(MessageDirection.SERVICE_TO_ORCHESTRATOR, failure.message, { serviceTaskId: serviceTask.id, serviceId: serviceTask.serviceId });
+
+    this.serviceTasks.updateTaskStatus(serviceTask.id, 'failed', {
+      error: { message: failure.message, code: failure.code, details: failure.errors }
+    });
+    this.workflows.handleServiceTaskFinished(serviceTask.parentTaskId, { error: failure.message });
+
+    const content = {
+      serviceTaskId: serviceTask.id,
+      serviceId: serviceTask.serviceId,
+      error: failure.message,
+      code: failure.code,
+      validationErrors: failure.errors,
+      status: 'failed'
+    };
+
+    if (serviceTask.clientId) {
+      this.clientServer.send(serviceTask.clientId, {
+        id: uuidv4(),
+        type: 'service.completed',
+        content: { ...content, timestamp: new Date().toISOString() }
+      });
+    }
+
+    const agentConnectionId = serviceTask.agentId && this.agents.getConnectionIdByAgentId(serviceTask.agentId);
+    if (agentConnectionId) {
+      this.agentServer.send(agentConnectionId, {
+        id: uuidv4(),
+        type: 'service.task.execute.response',
+        content,
+        requestId: serviceTask.requestId
+      });
+    }
+  }
+
+  /**
+   * Answer a task creation request that repeated an idempotency key with the task created the first time
+   * A completed task's result is sent again. An unfinished task stays with the connection that created it, which
+   * gets its result; the repeating connection, possibly a REST request that is gone by then, only learns its status
+   * @param task - The task created for the key
+   * @param clientId - The client connection that repeated the key
+   * @param requestId - ID of the repeated request
+   */
+  private replayTask(task: Task, clientId: string, requestId: string): void {
+    logger.orchestratorToClient(`Task creation request repeated an idempotency key`, { taskId: task.id, status: task.status }, clientId);
+
+    if (task.status === 'completed') {
+      this.sendFinishedTask(task, clientId, requestId, { duplicate: true });
+      return;
+    }
+
+    this.clientServer.send(clientId, {
+      id: uuidv4(),
+      type: 'client.agent.task.create.response',
+      content: {
+        taskId: task.id,
+        agentId: task.agentId,
+        agentName: this.agents.getAgentById(task.agentId)?.name,
+        status: task.status === 'pending' ? 'pending' : 'running',
+        duplicate: true
+      },
+      requestId
+    });
+  }
+
+  /**
+   * Answer a task creation request with a task that is already completed: the creation response, then the result
+   * @param task - The completed task
+   * @param clientId - The client connection
+   * @param requestId - ID of the task creation request
+   * @param flags - Why the task is already completed: a repeated idempotency key or a cache hit
+   */
+  private sendFinishedTask(task: Task, clientId: string, requestId: string, flags: { duplicate?: boolean; cached?: boolean }): void {
+    const completedAt = task.completedAt || task.result?.metadata?.completedAt || task.updatedAt;
+
+    this.clientServer.send(clientId, {
+      id: uuidv4(),
+      type: 'client.agent.task.create.response',
+      content: {
+        taskId: task.id,
+        agentId: task.agentId,
+        agentName: this.agents.getAgentById(task.agentId)?.name,
+        status: 'completed',
+        result: task.result,
+        ...flags
+      },
+      requestId
+    });
+
+    this.clientServer.send(clientId, {
+      id: uuidv4(),
+      type: 'client.agent.task.result',
+      content: {
+        taskId: task.id,
+        result: task.result,
+        status: 'completed',
+        agentId: task.agentId,
+        completedAt,
+        ...flags
+      },
+      requestId
+    });
+  }
+
+  /**
+   * Cancel a task along with its child tasks and in-flight service tasks
+   * @param taskId - ID of the task to cancel
+   * @param reason - Optional reason passed on to the agents, services and client
+   * @returns IDs of the child tasks and service tasks that were cancelled with it
+   */
+  private cancelTask(taskId: string, reason?: string): { cancelledChildTaskIds: string[], cancelledServiceTaskIds: string[] } {
+    const cancelledChildTaskIds: string[] = [];
+    const cancelledServiceTaskIds: string[] = [];
+    const cancelledAt = new Date().toISOString();
+    const wasQueued = this.taskDispatcher.remove(taskId);
+    this.taskTimeouts.clear(taskId);
+
+    const task = this.tasks.updateTaskStatus(taskId, 'cancelled', {
+      note: reason ? `Task cancelled: ${reason}` : 'Task cancelled',
+      metadata: { cancelledAt, cancelReason: reason }
+    });
+    if (!task) {
+      return { cancelledChildTaskIds, cancelledServiceTaskIds };
+    }
+
+    // A cancelled workflow stops before its steps are cancelled below; a cancelled step fails its workflow
+    this.workflows.handleTaskFinished(taskId, 'cancelled', { error: reason ? `Task cancelled: ${reason}` : 'Task cancelled' });
+
+    // Tell the agent working on the task to stop; a queued task never reached it
+    const agentConnectionId = this.agents.getConnectionIdByAgentId(task.agentId);
+    if (agentConnectionId && !wasQueued) {
+      if (hasFeature(this.agents.getAgentById(task.agentId)?.protocol, 'task.cancel')) {
+        this.agentServer.send(agentConnectionId, {
+          id: uuidv4(),
+          type: 'task.cancel',
+          content: { taskId, reason, cancelledAt }
+        });
       }
+      this.taskDispatcher.dispatchNext(task.agentId);
+    }
+
+    // Notify the client that created the task
+    if (task.clientId && this.clientServer.hasClientConnection(task.clientId)) {
+      this.clientServer.send(task.clientId, {
+        id: uuidv4(),
+        type: 'client.agent.task.cancelled',
+        content: {
+          taskId,
+          status: 'cancelled',
+          error: 'Task was cancelled',
+          reason,
+          cancelledAt
+        },
+        requestId: task.requestId
+      });
+    }
 
-      const currentAgent = this.agents.getAgentById(task.agentId);
+    // If this is a child task, notify the requesting agent
+    if (task.requestingAgentId) {
       const requestingAgent = this.agents.getAgentById(task.requestingAgentId);
-      
-      if (!requestingAgent) {
-        return; 
-      }
-
-      // Track which clients we've already sent messages to (to avoid duplicates)
-      const notifiedClientIds = new Set<string>();
-
-      // Get the requesting agent's tasks
-      const parentTasks = this.tasks.getTasksByAgentIdForChildTasks(requestingAgent.id);
-      
-      // Filter tasks with clients
-      const clientTasks = parentTasks.filter((t: any) => t.clientId && !notifiedClientIds.has(t.clientId));
-      
-      // If we found at least one client task, send only to the first one
-      if (clientTasks.length > 0) {
-        const clientTask = clientTasks[0];
-        if (clientTask.clientId) {
-          this.clientServer.forwardTaskNotificationToClient(clientTask.clientId, {
-            taskId: clientTask.taskId,
-            childTaskId: task.taskId,
-            agentId: originAgentId || task.agentId,
-            childAgentName: currentAgent?.name || "Unknown",
-            parentAgentName: requestingAgent.name,
-            message: taskMessage,
-            timestamp: new Date().toISOString(),
-            isChildAgentMessage: true
+      if (requestingAgent && requestingAgent.connectionId) {
+        this.agentServer.send(requestingAgent.connectionId, {
+          id: uuidv4(),
+          type: 'childagent.response',
+          content: {
+            childTaskId: taskId,
+            error: 'Task was cancelled',
+            status: 'cancelled'
+          }
+        });
+      }
+    }
+
+    // Cancel the service tasks this task started that have not finished yet
+    this.serviceTasks.getAllTasks()
+      .filter(serviceTask => serviceTask.parentTaskId === taskId &&
+        (serviceTask.status === 'pending' || serviceTask.status === 'in_progress'))
+      .forEach(serviceTask => {
+        this.serviceTasks.updateTaskStatus(serviceTask.id, 'cancelled', {
+          error: { message: 'Service task cancelled', code: 'TASK_CANCELLED' }
+        });
+        cancelledServiceTaskIds.push(serviceTask.id);
+
+        const service = this.services.getServiceById(serviceTask.serviceId);
+        if (service && service.connectionId) {
+          this.serviceServer.send(service.connectionId, {
+            id: uuidv4(),
+            type: 'service.task.cancel',
+            content: { taskId: serviceTask.id, reason, cancelledAt }
           });
-          
-          logger.orchestratorToClient(`Forwarded child agent message to ancestor client`, {
-            childTaskId: task.taskId,
-            parentTaskId: clientTask.taskId,
-            parentAgentId: requestingAgent.id,
-            clientId: clientTask.clientId
-          }, clientTask.clientId);
-          
-          // Mark this client as notified
-          notifiedClientIds.add(clientTask.clientId);
-          
-          // Return early - we've sent the message to one client
+        }
+
+        // Release the agent waiting on the service result
+        if (agentConnectionId) {
+          this.agentServer.send(agentConnectionId, {
+            id: uuidv4(),
+            type: 'service.task.execute.response',
+            content: {
+              serviceTaskId: serviceTask.id,
+              serviceId: serviceTask.serviceId,
+              error: 'Service task cancelled',
+              status: 'cancelled'
+            },
+            requestId: serviceTask.requestId
+          });
+        }
+      });
+
+    // Cascade to the child tasks this task delegated to other agents
+    this.tasks.getTasks({ status: ['pending', 'in_progress'] })
+      .filter(childTask => childTask.parentTaskId === taskId)
+      .forEach(childTask => {
+        const cancelled = this.cancelTask(childTask.id, reason);
+        cancelledChildTaskIds.push(childTask.id, ...cancelled.cancelledChildTaskIds);
+        cancelledServiceTaskIds.push(...cancelled.cancelledServiceTaskIds);
+      });
+
+    logger.system(`Task ${taskId} cancelled`, {
+      reason,
+      cancelledChildTaskIds,
+      cancelledServiceTaskIds
+    });
+
+    return { cancelledChildTaskIds, cancelledServiceTaskIds };
+  }
+
+  /**
+   * Deal with the tasks an agent was running or had queued when its connection closed
+   * With a grace period the tasks wait for the same agent to reconnect; otherwise the orphaned task action applies at once
+   * @param connectionId - Connection ID of the agent that disconnected
+   */
+  private handleAgentDisconnected(connectionId: string): void {
+    const agent = this.agents.getAgentByConnectionId(connectionId);
+
+    // Unregistered connections have no tasks, and an agent that already reconnected keeps its own
+    if (!agent || agent.status !== 'offline') {
+      return;
+    }
+
+    const runningTasks = this.tasks.getTasks({ agentId: agent.id, status: 'in_progress' });
+    const queueDepth = this.taskDispatcher.getQueueDepth(agent.id);
+    if (runningTasks.length === 0 && queueDepth === 0) {
+      return;
+    }
+
+    logger.warn(MessageDirection.AGENT_TO_ORCHESTRATOR, `Agent ${agent.name} disconnected with unfinished tasks`, {
+      agentId: agent.id,
+      runningTaskIds: runningTasks.map(task => task.id),
+      queueDepth
+    }, connectionId);
+
+    const gracePeriod = this.orphanedTaskSettings.gracePeriod || 0;
+    if (gracePeriod <= 0) {
+      this.handleOrphanedTasks(agent);
+      return;
+    }
+
+    // Hold the running tasks at the head of the agent's queue; registration sends them again
+    this.taskDispatcher.enqueueFirst(agent.id, runningTasks.map(task => ({
+      taskId: task.id,
+      message: this.buildTaskExecuteMessage(task)
+    })));
+
+    this.clearReconnectTimer(agent.id);
+    this.reconnectTimers.set(agent.id, setTimeout(() => {
+      this.reconnectTimers.delete(agent.id);
+      const current = this.agents.getAgentById(agent.id);
+      if (!current || current.status === 'offline') {
+        this.handleOrphanedTasks(agent);
+      }
+    }, gracePeriod));
+  }
+
+  /**
+   * Requeue or fail every unfinished task of an agent that is gone
+   * @param agent - The disconnected agent
+   */
+  private handleOrphanedTasks(agent: Agent): void {
+    const taskIds = [
+      ...this.tasks.getTasks({ agentId: agent.id, status: 'in_progress' }).map(task => task.id),
+      ...this.taskDispatcher.removeAll(agent.id).map(item => item.taskId)
+    ];
+
+    taskIds.forEach(taskId => {
+      const task = this.tasks.getTaskOrNull(taskId);
+      if (!task || (task.status !== 'pending' && task.status !== 'in_progress')) {
+        return;
+      }
+
+      try {
+        if (this.orphanedTaskSettings.action === 'requeue' && this.requeueOrphanedTask(task, agent)) {
           return;
         }
+      } catch (error) {
+        logger.error(MessageDirection.ORCHESTRATOR_TO_AGENT, `Could not requeue task ${taskId}`, error, agent.id);
+      }
+
+      this.failOrphanedTask(task, agent);
+    });
+  }
+
+  /**
+   * Move an orphaned task to another online agent with the same capabilities
+   * @param task - The orphaned task
+   * @param agent - The disconnected agent
+   * @returns Whether the task was handed to another agent
+   */
+  private requeueOrphanedTask(task: Task, agent: Agent): boolean {
+    const requeueCount = task.result?.metadata?.requeueCount || 0;
+    const maxRequeues = this.orphanedTaskSettings.maxRequeues ?? 3;
+    if (requeueCount >= maxRequeues || !agent.capabilities || agent.capabilities.length === 0) {
+      return false;
+    }
+
+    const target = this.agentRouter.selectAgent(agent.capabilities);
+    if (!target || target.id === agent.id) {
+      return false;
+    }
+
+    this.tasks.assignTask(task.id, target.id);
+    this.tasks.updateTaskStatus(task.id, 'pending', {
+      note: `Requeued from disconnected agent ${agent.name} to ${target.name}`,
+      agentId: target.id,
+      metadata: { requeueCount: requeueCount + 1, requeuedAt: new Date().toISOString(), previousAgentId: agent.id }
+    });
+
+    const queued = this.taskDispatcher.dispatch(target, task.id, this.buildTaskExecuteMessage(task));
+    logger.system(`Task ${task.id} requeued from disconnected agent ${agent.name} to ${target.name}`, { queuePosition: queued?.position });
+
+    this.notifyTaskClient(task, {
+      agentId: target.id,
+      agentName: target.name,
+      notificationType: 'status',
+      message: `Agent ${agent.name} disconnected; task moved to agent ${target.name}`,
+      data: { previousAgentId: agent.id, requeueCount: requeueCount + 1 },
+      level: 'warning',
+      timestamp: new Date().toISOString()
+    });
+
+    return true;
+  }
+
+  /**
+   * Fail an orphaned task and tell whoever is waiting for it
+   * @param task - The orphaned task
+   * @param agent - The disconnected agent
+   */
+  private failOrphanedTask(task: Task, agent: Agent): void {
+    const error = `Agent ${agent.name} disconnected before completing the task`;
+
+    this.taskTimeouts.clear(task.id);
+    this.tasks.updateTaskStatus(task.id, 'failed', {
+      error,
+      metadata: { failedAt: new Date().toISOString(), errorCode: 'AGENT_DISCONNECTED' }
+    });
+    logger.warn(MessageDirection.SYSTEM, `Task ${task.id} failed: agent ${agent.name} disconnected`, { taskId: task.id });
+
+    this.notifyTaskFailed(task, error, 'AGENT_DISCONNECTED');
+  }
+
+  /**
+   * Tell the client or requesting agent that a task failed for a reason the orchestrator detected
+   * @param task - The failed task
+   * @param error - Error message
+   * @param code - Error code, e.g. AGENT_DISCONNECTED or TASK_TIMEOUT
+   */
+  private notifyTaskFailed(task: Task, error: string, code: string): void {
+    const failedAt = new Date().toISOString();
+
+    this.workflows.handleTaskFinished(task.id, 'failed', { error });
+
+    if (task.clientId) {
+      this.clientServer.send(task.clientId, {
+        id: uuidv4(),
+        type: 'task.error',
+        content: {
+          taskId: task.id,
+          error,
+          code,
+          status: 'failed',
+          agentId: task.agentId,
+          failedAt
+        },
+        requestId: task.requestId
+      });
+    }
+
+    // If this is a child task, notify the requesting agent
+    if (task.requestingAgentId) {
+      const requestingConnectionId = this.agents.getConnectionIdByAgentId(task.requestingAgentId);
+      if (requestingConnectionId) {
+        this.agentServer.send(requestingConnectionId, {
+          id: uuidv4(),
+          type: 'childagent.response',
+          content: {
+            childTaskId: task.id,
+            error,
+            code,
+            status: 'failed'
+          }
+        });
       }
-      
-      // If no client tasks found, continue up the chain with a single parent task
-      // (We don't need to try all paths, just one that might lead to a client)
-      const nonClientTasks = parentTasks.filter((t: any) => !t.clientId && t.requestingAgentId);
-      
-      if (nonClientTasks.length > 0) {
-        // Pick the first task to continue up the chain
-        this.propagateMessageUpTaskChain(nonClientTasks[0], taskMessage, originAgentId || task.agentId);
+    }
+  }
+
+  /**
+   * Get the timeout and retry policy that apply to a task on an agent
+   * @param task - The task
+   * @param agent - The agent running the task
+   * @returns The resolved timeout and retry policy
+   */
+  private getTaskLimits(task: Task, agent?: Agent): ResolvedTaskLimits {
+    const agentConfig = agent ? this.agents.getAgentConfigurationByName(agent.name) : null;
+    return this.taskTimeouts.resolve(task.taskData?.taskData, {
+      timeout: agentConfig?.taskTimeout,
+      retryPolicy: agentConfig?.retryPolicy
+    });
+  }
+
+  /**
+   * Start the run timeout of a task that was just sent to its agent
+   * @param agent - The agent running the task
+   * @param taskId - ID of the task
+   */
+  private startTaskTimeout(agent: Agent, taskId: string): void {
+    const task = this.tasks.getTaskOrNull(taskId);
+    if (!task) {
+      return;
+    }
+
+    const { timeout } = this.getTaskLimits(task, agent);
+    if (timeout) {
+      this.taskTimeouts.schedule(taskId, timeout, () => this.handleTaskTimeout(taskId, timeout));
+    }
+  }
+
+  /**
+   * Stop a task that ran past its timeout, then retry or fail it
+   * @param taskId - ID of the task
+   * @param timeout - The timeout that expired, in milliseconds
+   */
+  private handleTaskTimeout(taskId: string, timeout: number): void {
+    try {
+      const task = this.tasks.getTaskOrNull(taskId);
+      if (!task || task.status !== 'in_progress') {
+        return;
       }
+
+      const error = `Task timed out after ${timeout}ms`;
+      logger.warn(MessageDirection.SYSTEM, `Task ${taskId} timed out`, { agentId: task.agentId, timeout });
+
+      // Tell the agent to stop working on it, if it handles cancellation
+      const agentConnectionId = this.agents.getConnectionIdByAgentId(task.agentId);
+      if (agentConnectionId && hasFeature(this.agents.getAgentById(task.agentId)?.protocol, 'task.cancel')) {
+        this.agentServer.send(agentConnectionId, {
+          id: uuidv4(),
+          type: 'task.cancel',
+          content: { taskId, reason: 'timeout', cancelledAt: new Date().toISOString() }
+        });
+      }
+
+      if (!this.retryTask(task, error, 'TASK_TIMEOUT')) {
+        this.tasks.updateTaskStatus(taskId, 'timeout', {
+          error,
+          metadata: { failedAt: new Date().toISOString(), errorCode: 'TASK_TIMEOUT', timeout }
+        });
+        this.notifyTaskFailed(task, error, 'TASK_TIMEOUT');
+      }
+
+      this.taskDispatcher.dispatchNext(task.agentId);
     } catch (error) {
-      logger.error(
-        MessageDirection.ORCHESTRATOR_TO_CLIENT, 
-        `Error propagating message up task chain: ${error instanceof Error ? error.message : String(error)}`
-      );
+      logger.error(MessageDirection.SYSTEM, `Error handling timeout of task ${taskId}`, error);
     }
   }
 
+  /**
+   * Schedule another attempt of a failed task if its retry policy allows one
+   * @param task - The task
+   * @param error - Why the last attempt failed
+   * @param code - Error code of the last attempt
+   * @returns Whether a retry was scheduled
+   */
+  private retryTask(task: Task, error: string, code: string): boolean {
+    const agent = this.agents.getAgentById(task.agentId);
+    const { retryPolicy } = this.getTaskLimits(task, agent);
+    const attempt = task.retry?.attempt || 1;
+
+    if (attempt >= retryPolicy.maxAttempts) {
+      return false;
+    }
+
+    const delay = this.taskTimeouts.getRetryDelay(retryPolicy, attempt);
+    const retryAt = new Date(Date.now() + delay).toISOString();
+
+    this.tasks.updateTaskStatus(task.id, 'pending', {
+      note: `Attempt ${attempt} of ${retryPolicy.maxAttempts} failed: ${error}`,
+      retry: { attempt: attempt + 1, lastError: error, lastErrorCode: code, retryAt }
+    });
+    this.taskTimeouts.schedule(task.id, delay, () => this.resendTask(task.id));
+    logger.system(`Retrying task ${task.id} in ${delay}ms`, { attempt: attempt + 1, maxAttempts: retryPolicy.maxAttempts });
+
+    this.notifyTaskClient(task, {
+      agentId: task.agentId,
+      agentName: agent?.name,
+      notificationType: 'status',
+      message: `Attempt ${attempt} failed (${error}); retrying in ${delay}ms`,
+      data: { code, attempt, nextAttempt: attempt + 1, maxAttempts: retryPolicy.maxAttempts, retryAt },
+      level: 'warning',
+      timestamp: new Date().toISOString()
+    });
+
+    return true;
+  }
+
+  /**
+   * Send a task to its agent again once its retry delay has passed
+   * @param taskId - ID of the task
+   */
+  private resendTask(taskId: string): void {
+    const task = this.tasks.getTaskOrNull(taskId);
+    if (!task || task.status !== 'pending') {
+      return;
+    }
+
+    const agent = this.agents.getAgentById(task.agentId);
+    if (!agent || agent.status === 'offline') {
+      this.failOrphanedTask(task, agent || { id: task.agentId, name: task.agentId } as Agent);
+      return;
+    }
+
+    try {
+      this.taskDispatcher.dispatch(agent, taskId, this.buildTaskExecuteMessage(task));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      this.tasks.updateTaskStatus(taskId, 'failed', {
+        error: message,
+        metadata: { failedAt: new Date().toISOString() }
+      });
+      this.notifyTaskFailed(task, message, 'TASK_FAILED');
+    }
+  }
+
+  /**
+   * Stop waiting for a disconnected agent to come back
+   * @param agentId - The agent ID
+   */
+  private clearReconnectTimer(agentId: string): void {
+    const timer = this.reconnectTimers.get(agentId);
+    if (timer) {
+      clearTimeout(timer);
+      this.reconnectTimers.delete(agentId);
+    }
+  }
+
+  /**
+   * Rebuild the task.execute message for a task so it can be sent again
+   * @param task - The task
+   * @returns The task.execute message
+   */
+  private buildTaskExecuteMessage(task: Task): BaseMessage {
+    // The registry keeps the registration details as taskData, with the agent's input inside
+    const data = task.taskData?.taskData || {};
+    return {
+      id: task.id,
+      type: 'task.execute',
+      content: {
+        taskId: task.id,
+        type: data.taskType,
+        data,
+        attempt: task.retry?.attempt || 1
+      }
+    };
+  }
+
+  /**
+   * Check whether a result, chunk or error an agent sent belongs to the attempt at a task that is running now
+   * @param task - The task
+   * @param connectionId - Connection the message came in on
+   * @param attempt - Attempt the agent echoed back, if its SDK does
+   * @returns Why the message is stale, or undefined if it is current
+   */
+  private getStaleAttemptReason(task: Task, connectionId: string, attempt?: number): string | undefined {
+    const reportingAgent = this.agents.getAgentByConnectionId(connectionId);
+    if (reportingAgent && reportingAgent.id !== task.agentId) {
+      return `task moved to agent ${task.agentId}`;
+    }
+    if (task.status !== 'in_progress') {
+      return task.retry && task.status === 'pending' ? 'a retry is pending' : `task is ${task.status}`;
+    }
+    if (attempt !== undefined && attempt !== (task.retry?.attempt || 1)) {
+      return `attempt ${attempt} was given up on`;
+    }
+    return undefined;
+  }
+
   //OK
   private setupEventListeners(): void {
     // IMPORTANT NOTE: When adding or modifying event handlers, ensure:
@@ -198,7 +987,7 @@ class Orchestrator {
       try {
         const result = this.agentServer.handleAgentRegistration(message, connectionId);
         if (result.error) {
-          this.agentServer.sendError(connectionId, result.error, message.id);
+          this.agentServer.sendError(connectionId, result.error, message.id, result.code);
           return;
         }
 
@@ -224,6 +1013,11 @@ class Orchestrator {
         );
 
         logger.orchestratorToClient(`Agent registration notification sent to all clients`, { agentName: result.name, agentId: result.agentId });
+
+        // A reconnecting agent picks up the tasks that queued up for it
+        this.clearReconnectTimer(result.agentId);
+        this.taskDispatcher.dispatchNext(result.agentId);
+        this.swarmMCPServer?.notifyToolsChanged();
       } catch (error) {
         this.agentServer.sendError(
           connectionId,
@@ -233,6 +1027,70 @@ class Orchestrator {
       }
     });
 
+    // Handle agent status updates (e.g. an agent marking itself busy)
+    this.eventBus.on('agent.status', (message: any, connectionId: string) => {
+      try {
+        const { status } = message.content || {};
+        const agent = this.agents.getAgentByConnectionId(connectionId);
+
+        if (!agent) {
+          this.agentServer.sendError(connectionId, 'Agent not registered', message.id);
+          return;
+        }
+
+        const validStatuses: AgentStatus[] = ['online', 'busy', 'error', 'initializing'];
+        if (!validStatuses.includes(status)) {
+          this.agentServer.sendError(connectionId, `Invalid agent status: ${status}`, message.id);
+          return;
+        }
+
+        this.agents.updateAgentStatus(agent.id, status, message.content);
+        logger.agentToOrchestrator(`Agent status changed to ${status}`, { agentId: agent.id }, connectionId);
+
+        // Hand queued tasks to an agent that is taking work again
+        if (status === 'online') {
+          this.taskDispatcher.dispatchNext(agent.id);
+        }
+      } catch (error) {
+        this.agentServer.sendError(connectionId, `Error updating agent status: ${error instanceof Error ? error.message : String(error)}`, message.id);
+      }
+    });
+
+
+    // Listen for clients registering their name and protocol version over an open connection
+    this.eventBus.on('client.register', (message: any, clientId: string) => {
+      try {
+        const content = message.content || {};
+
+        const protocol = negotiateProtocol('client', content);
+        if ('code' in protocol) {
+          return this.clientServer.sendError(clientId, `Client registration rejected: ${protocol.message}`, message.id, protocol.message, protocol.code);
+        }
+
+        const client = this.clients.updateClient({
+          id: clientId,
+          ...(content.clientName ? { name: content.clientName } : {}),
+          protocol
+        });
+
+        this.clientServer.send(clientId, {
+          id: uuidv4(),
+          type: 'client.registered',
+          content: {
+            clientId,
+            name: client.name,
+            protocolVersion: protocol.protocolVersion,
+            features: protocol.features
+          },
+          requestId: message.id
+        });
+
+        logger.clientToOrchestrator(`Client registered with protocol ${protocol.protocolVersion}`, { features: protocol.features }, clientId);
+      } catch (error) {
+        this.clientServer.sendError(clientId, 'Error during client registration', message.id,
+          error instanceof Error ? error.message : String(error));
+      }
+    });
 
     // Listen for client registration events
     this.eventBus.on('client.registered', (client: any) => {
@@ -254,7 +1112,9 @@ class Orchestrator {
     this.eventBus.on('agent.service.list.request', (message: any, connectionId: string) => {
       try {
         const filters = message.content?.filters || {};
-        const serviceList = this.services.getAllServices(filters).map(service => ({
+        const serviceList = this.services.getAllServices(filters)
+          .filter(service => this.auth.isAllowed(connectionId, 'services', service))
+          .map(service => ({
           id: service.id,
           name: service.name,
           status: service.status,
@@ -295,11 +1155,12 @@ class Orchestrator {
     // Listen for client task creation requests
     this.eventBus.on('client.agent.task.create.request', async (message: any, clientId: string) => {
       try {
-        const { agentName, agentId, taskData } = message.content;
+        const { agentName, agentId, capabilities, strategy, taskData, idempotencyKey } = message.content;
 
         logger.clientToOrchestrator(`Task creation request received`, {
           agentName,
           agentId,
+          capabilities,
           hasTaskData: !!taskData,
           taskDataType: taskData ? typeof taskData : 'undefined',
           taskDataKeys: taskData && typeof taskData === 'object' ? Object.keys(taskData) : []
@@ -309,6 +1170,22 @@ class Orchestrator {
           throw new Error('Invalid task creation request: taskData is required');
         }
 
+        if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !idempotencyKey)) {
+          throw new Error('Invalid task creation request: idempotencyKey must be a non-empty string');
+        }
+
+        // A repeated idempotency key gets the task created for it, unless that task failed or was cancelled
+        const idempotencyScope = this.auth.getPrincipal(clientId)?.id || '';
+        const idempotentRequest = { agentId, agentName, capabilities, taskData };
+        if (idempotencyKey) {
+          const existingTaskId = this.idempotencyKeys.find(idempotencyScope, idempotencyKey, idempotentRequest);
+          const existingTask = existingTaskId ? this.tasks.getTaskOrNull(existingTaskId) : null;
+          if (existingTask && ['pending', 'in_progress', 'completed'].includes(existingTask.status)) {
+            this.replayTask(existingTask, clientId, message.id);
+            return;
+          }
+        }
+
         // Allow direct targeting by ID or lookup by name
         let agent: Agent | undefined;
 
@@ -316,21 +1193,38 @@ class Orchestrator {
           // Find agent directly by ID
           agent = this.agents.getAgentById(agentId);
           if (!agent) {
-            throw new Error(`Agent not found: No agent found with ID '${agentId}'`);
+            throw new NotFoundError(`Agent not found: No agent found with ID '${agentId}'`);
           }
         } else if (agentName) {
           // Find the agent by name
           agent = this.agents.getAgentByName(agentName);
           if (!agent) {
-            throw new Error(`Agent not found: No agent found with name '${agentName}'`);
+            throw new NotFoundError(`Agent not found: No agent found with name '${agentName}'`);
           }
+        } else if (Array.isArray(capabilities) && capabilities.length > 0) {
+          // Let the router pick one of the online agents with the required capabilities
+          agent = this.agentRouter.selectAgent(capabilities, strategy,
+            candidate => this.auth.isAllowed(clientId, 'agents', candidate));
+          if (!agent) {
+            throw new NotFoundError(`Agent not found: No online agent has the capabilities '${capabilities.join(', ')}'`);
+          }
+          logger.system(`Routed task to agent ${agent.name}`, { agentId: agent.id, capabilities, strategy });
         } else {
-          throw new Error('Invalid task creation request: Either agentName or agentId is required');
+          throw new Error('Invalid task creation request: Either agentName, agentId or capabilities is required');
+        }
+
+        if (!this.auth.isAllowed(clientId, 'agents', agent)) {
+          throw new NotAuthorizedError(`Not authorized to use agent '${agent.name}'`);
         }
 
         // Create a task
         const taskId = uuidv4();
 
+        // Deterministic agents answer input they have seen before from the result cache
+        const cacheKey = this.resultCache.agentKey(agent, taskData);
+        const cachedResult = cacheKey ? this.resultCache.get(cacheKey) : undefined;
+        const cached = cachedResult !== undefined;
+
         // Register task in task registry
         this.tasks.registerTask(taskId, {
           type: 'client.task',
@@ -338,13 +1232,26 @@ class Orchestrator {
           severity: 'normal',
           agentId: agent.id,
           clientId: clientId,
-          status: 'pending',
+          principalId: this.auth.getPrincipal(clientId)?.id,
+          status: cached ? 'completed' : 'pending',
           createdAt: new Date().toISOString(),
           taskData,
-          requestId: message.id
+          requestId: message.id,
+          cacheKey,
+          ...(cached ? { result: cachedResult, cached, completedAt: new Date().toISOString() } : {})
         });
 
-        // Get the agent connection and send task directly
+        if (idempotencyKey) {
+          this.idempotencyKeys.remember(idempotencyScope, idempotencyKey, idempotentRequest, taskId);
+        }
+
+        if (cached) {
+          logger.system(`Answered task for agent ${agent.name} from the result cache`, { taskId });
+          this.sendFinishedTask(this.tasks.getTask(taskId), clientId, message.id, { cached: true });
+          return;
+        }
+
+        // Make sure the agent is still connected before handing it the task
         const connection = this.agents.getConnectionByAgentId(agent.id);
         if (!connection) {
           // Update task status to failed
@@ -363,18 +1270,13 @@ class Orchestrator {
           content: {
             taskId: taskId,
             type: taskData.taskType,
-            data: taskData
+            data: taskData,
+            attempt: 1
           }
         };
 
-        // Send the task to the agent - use connectionId instead of connection object
-        this.agentServer.send(connection.id, taskMessage);
-        logger.orchestratorToAgent(`Task sent to agent`, { taskId }, agent.id);
-
-        // Update task status to running
-        this.tasks.updateTaskStatus(taskId, 'running', {
-          metadata: { startedAt: new Date().toISOString() }
-        });
+        // Send the task to the agent, or queue it if the agent is at its concurrency limit
+        const queued = this.taskDispatcher.dispatch(agent, taskId, taskMessage);
 
         // Send response to client
         this.clientServer.send(clientId, {
@@ -384,14 +1286,15 @@ class Orchestrator {
             taskId,
             agentId: agent.id,
             agentName: agent.name,
-            status: 'running'
+            status: queued ? 'pending' : 'running',
+            queuePosition: queued?.position
           },
           requestId: message.id
         });
 
       } catch (error) {
         this.clientServer.sendError(clientId, 'Error creating task', message.id,
-          error instanceof Error ? error.message : String(error));
+          error instanceof Error ? error.message : String(error), getErrorCode(error));
       }
     });
 
@@ -409,10 +1312,16 @@ class Orchestrator {
         // Get the task from the task registry
         const task = this.tasks.getTask(taskId);
         if (!task) {
-          this.clientServer.sendError(clientId, `Task ${taskId} not found`, message.id);
+          this.clientServer.sendError(clientId, `Task ${taskId} not found`, message.id, undefined, NOT_FOUND);
+          return;
+        }
+        if (!this.canAccessTask(clientId, task)) {
+          this.clientServer.sendError(clientId, `Not authorized to access task ${taskId}`, message.id, undefined, NOT_AUTHORIZED);
           return;
         }
 
+        const queueInfo = this.taskDispatcher.getQueueInfo(taskId);
+
         // Send task status response to client
         this.clientServer.send(clientId, {
           id: uuidv4(),
@@ -428,7 +1337,9 @@ class Orchestrator {
             completedAt: task.completedAt,
             result: task.result,
             error: task.error,
-            metadata: task.metadata
+            metadata: task.metadata,
+            queuePosition: queueInfo?.position,
+            queueDepth: queueInfo?.depth
           },
           requestId: message.id
         });
@@ -436,7 +1347,143 @@ class Orchestrator {
         logger.orchestratorToClient(`Task status sent to client`, { taskId, status: task.status }, clientId);
       } catch (error) {
         this.clientServer.sendError(clientId, 'Error getting task status', message.id,
-          error instanceof Error ? error.message : String(error));
+          error instanceof Error ? error.message : String(error), getErrorCode(error));
+      }
+    });
+
+    // Listen for task tree requests
+    this.eventBus.on('client.task.tree.request', (message: any, clientId: string) => {
+      try {
+        const { taskId, includeResults } = message.content || {};
+
+        if (!taskId) {
+          this.clientServer.sendError(clientId, 'Task ID is required', message.id);
+          return;
+        }
+
+        // A service task is checked through the agent task that requested it
+        const ownerTask = this.tasks.getTaskOrNull(taskId) ||
+          this.tasks.getTaskOrNull(this.serviceTasks.getTask(taskId)?.parentTaskId || '');
+        if (ownerTask && !this.canAccessTask(clientId, ownerTask)) {
+          this.clientServer.sendError(clientId, `Not authorized to access task ${taskId}`, message.id, undefined, NOT_AUTHORIZED);
+          return;
+        }
+
+        const built = buildTaskTree(taskId, {
+          agents: this.agents,
+          tasks: this.tasks,
+          services: this.services,
+          serviceTasks: this.serviceTasks
+        }, { includeResults });
+        if (!built) {
+          this.clientServer.sendError(clientId, `Task ${taskId} not found`, message.id, undefined, NOT_FOUND);
+          return;
+        }
+
+        this.clientServer.send(clientId, {
+          id: uuidv4(),
+          type: 'client.task.tree.response',
+          content: { taskId, tree: built.tree, taskCount: built.taskCount },
+          requestId: message.id
+        });
+
+        logger.orchestratorToClient(`Task tree sent to client`, { taskId, taskCount: built.taskCount }, clientId);
+      } catch (error) {
+        this.clientServer.sendError(clientId, 'Error getting task tree', message.id,
+          error instanceof Error ? error.message : String(error), getErrorCode(error));
+      }
+    });
+
+    // Listen for client task cancellation requests
+    this.eventBus.on('client.agent.task.cancel.request', (message: any, clientId: string) => {
+      try {
+        const { taskId, reason } = message.content || {};
+
+        if (!taskId) {
+          this.clientServer.sendError(clientId, 'Task ID is required', message.id);
+          return;
+        }
+
+        const task = this.tasks.getTaskOrNull(taskId);
+        if (!task) {
+          this.clientServer.sendError(clientId, `Task ${taskId} not found`, message.id, undefined, NOT_FOUND);
+          return;
+        }
+        if (!this.canAccessTask(clientId, task)) {
+          this.clientServer.sendError(clientId, `Not authorized to access task ${taskId}`, message.id, undefined, NOT_AUTHORIZED);
+          return;
+        }
+
+        if (task.status === 'completed' || task.status === 'failed' || task.status === 'cancelled') {
+          this.clientServer.sendError(clientId, `Task ${taskId} is already ${task.status}`, message.id);
+          return;
+        }
+
+        const { cancelledChildTaskIds, cancelledServiceTaskIds } = this.cancelTask(taskId, reason);
+
+        this.clientServer.send(clientId, {
+          id: uuidv4(),
+          type: 'client.agent.task.cancel.response',
+          content: {
+            taskId,
+            status: 'cancelled',
+            cancelledChildTaskIds,
+            cancelledServiceTaskIds
+          },
+          requestId: message.id
+        });
+
+        logger.orchestratorToClient(`Task cancelled by client`, { taskId, reason }, clientId);
+      } catch (error) {
+        this.clientServer.sendError(clientId, 'Error cancelling task', message.id,
+          error instanceof Error ? error.message : String(error), getErrorCode(error));
+      }
+    });
+
+    // Listen for client workflow run requests
+    this.eventBus.on('client.workflow.run.request', (message: any, clientId: string) => {
+      try {
+        const { workflow, workflowName, input } = message.content || {};
+
+        let definition: WorkflowDefinition;
+        if (workflow) {
+          try {
+            definition = parseWorkflowDefinition(workflow, this.workflowSettings.maxSteps || DEFAULT_MAX_STEPS);
+          } catch (error) {
+            this.clientServer.sendError(clientId, 'Invalid workflow definition', message.id,
+              error instanceof Error ? error.message : String(error));
+            return;
+          }
+        } else if (workflowName) {
+          const known = this.workflowDefinitions.get(workflowName);
+          if (!known) {
+            this.clientServer.sendError(clientId, `Workflow ${workflowName} not found`, message.id, undefined, NOT_FOUND);
+            return;
+          }
+          definition = known;
+        } else {
+          this.clientServer.sendError(clientId, 'Workflow definition or workflow name is required', message.id);
+          return;
+        }
+
+        // Respond before the first step starts so the response is the first message for the request
+        const workflowId = uuidv4();
+        this.clientServer.send(clientId, {
+          id: uuidv4(),
+          type: 'client.workflow.run.response',
+          content: {
+            workflowId,
+            workflowName: definition.name,
+            status: 'running',
+            steps: definition.steps.map(step => step.id)
+          },
+          requestId: message.id
+        });
+
+        this.workflows.start(workflowId, definition, input, clientId, message.id);
+      } catch (error) {
+        this.clientServer.sendError(clientId, 'Error running workflow', message.id,
+          error instanceof Error ? error.message : String(error), getErrorCode(error));
       }
     });
 
@@ -450,11 +1497,6 @@ class Orchestrator {
       this.messageHandler.handleClientMCPServerToolsRequest(serverId, requestId);
     });
 
-    // Listen for client MCP tool execution requests
-    this.eventBus.on('client.mcp.tool.execute', (params: any, requestId?: string) => {
-      this.messageHandler.handleClientMCPToolExecuteRequest(params, requestId);
-    });
-
     // NEW: Handle task.message events from client SDK
     this.eventBus.on('task.message', (message: any, clientId: string) => {
       try {
@@ -468,7 +1510,11 @@ class Orchestrator {
         // Get the task to find the agent
         const task = this.tasks.getTask(taskId);
         if (!task) {
-          this.clientServer.sendError(clientId, `Task ${taskId} not found`, message.id);
+          this.clientServer.sendError(clientId, `Task ${taskId} not found`, message.id, undefined, NOT_FOUND);
+          return;
+        }
+        if (!this.canAccessTask(clientId, task)) {
+          this.clientServer.sendError(clientId, `Not authorized to access task ${taskId}`, message.id, undefined, NOT_AUTHORIZED);
           return;
         }
 
@@ -507,7 +1553,7 @@ class Orchestrator {
         }
       } catch (error) {
         this.clientServer.sendError(clientId, 'Error sending task message', message.id,
-          error instanceof Error ? error.message : String(error));
+          error instanceof Error ? error.message : String(error), getErrorCode(error));
       }
     });
 
@@ -528,71 +1574,21 @@ class Orchestrator {
           return;
         }
 
-        // Track which clients we've already sent messages to
-        const notifiedClientIds = new Set<string>();
-
-        // If this task has a client ID associated with it, forward the message to the client
-        if (task.clientId) {
-          this.clientServer.forwardTaskNotificationToClient(task.clientId, {
+        const notification = {
+          agentId: agentId || task.agentId,
+          message: taskMessage,
+          timestamp: new Date().toISOString()
+        };
+        const notified = this.notifyTaskClient(task, task.clientId ? notification : {
+          ...notification,
+          childAgentName: this.agents.getAgentById(task.agentId)?.name || 'Unknown',
+          parentAgentName: task.requestingAgentId ? this.agents.getAgentById(task.requestingAgentId)?.name : undefined
+        });
+        if (!notified) {
+          logger.debug(MessageDirection.AGENT_TO_ORCHESTRATOR, `Task ${taskId} has no client at the root of its tree; message not forwarded`, {
             taskId,
-            agentId: agentId || task.agentId,
-            message: taskMessage,
-            timestamp: new Date().toISOString()
-          });
-          
-          // Mark this client as notified
-          notifiedClientIds.add(task.clientId);
-        }
-
-        // If this is a child task, find the requesting agent's client and forward the message
-        // (but only if we haven't already sent to this client)
-        if (task.requestingAgentId) {
-          const requestingAgent = this.agents.getAgentById(task.requestingAgentId);
-          if (requestingAgent) {
-            // Get the requesting agent's task to find its client
-            const parentTasks = this.tasks.getTasksByAgentId(requestingAgent.id);
-            
-            // Get all parent tasks that have clients (including client tasks and parent tasks from other agents)
-            // but only those we haven't notified yet
-            const parentClientTasks = parentTasks.filter((parentTask: any) => 
-              parentTask.clientId && !notifiedClientIds.has(parentTask.clientId)
-            );
-            
-            if (parentClientTasks.length > 0) {
-              // Forward the message to only the first client of the requesting agent
-              // to avoid duplicate messages
-              const parentTask = parentClientTasks[0];
-              if (parentTask.clientId) {
-                // Log the forwarding for debugging
-                logger.orchestratorToClient(`Forwarding child agent message to parent client`, {
-                  childTaskId: taskId,
-                  parentTaskId: parentTask.taskId,
-                  childAgentId: task.agentId,
-                  parentAgentId: requestingAgent.id,
-                  clientId: parentTask.clientId
-                }, parentTask.clientId);
-                
-                this.clientServer.forwardTaskNotificationToClient(parentTask.clientId, {
-                  taskId: parentTask.taskId, // Use parent task ID for client context
-                  childTaskId: taskId, // Include child task ID
-                  agentId: agentId || task.agentId,
-                  childAgentName: this.agents.getAgentById(task.agentId)?.name || "Unknown",
-                  parentAgentName: requestingAgent.name,
-                  message: taskMessage,
-                  timestamp: new Date().toISOString(),
-                  isChildAgentMessage: true
-                });
-                
-                // Mark this client as notified
-                notifiedClientIds.add(parentTask.clientId);
-              }
-            } else if (notifiedClientIds.size === 0) {
-              // Only try to propagate up the chain if we haven't sent any messages yet
-              // Handle case where no direct client tasks are found
-              // Try to find parent task's parent tasks (chain upward)
-              this.propagateMessageUpTaskChain(task, taskMessage, agentId);
-            }
-          }
+            rootTaskId: task.rootTaskId
+          }, connectionId);
         }
 
         // Send confirmation back to the agent
@@ -617,17 +1613,28 @@ class Orchestrator {
     // NEW: Handle agent task request messages (agent-to-agent communication)
     this.eventBus.on('agent.task.request', (message: any, connectionId: string) => {
       try {
-        const { targetAgentName, taskType, taskData, timeout } = message.content;
+        const { targetAgentName, capabilities, strategy, taskType, taskData, timeout } = message.content;
+        const routeByCapability = !targetAgentName && Array.isArray(capabilities) && capabilities.length > 0;
 
-        if (!targetAgentName || !taskData) {
-          this.agentServer.sendError(connectionId, 'Target agent name and task data are required', message.id);
+        if ((!targetAgentName && !routeByCapability) || !taskData) {
+          this.agentServer.sendError(connectionId, 'Target agent name (or capabilities) and task data are required', message.id);
           return;
         }
 
-        // Find the target agent
-        const targetAgent = this.agents.getAgentByName(targetAgentName);
+        // Find the target agent, by name or by picking one with the required capabilities
+        const targetAgent = routeByCapability
+          ? this.agentRouter.selectAgent(capabilities, strategy,
+            candidate => this.auth.isAllowed(connectionId, 'agents', candidate))
+          : this.agents.getAgentByName(targetAgentName);
         if (!targetAgent) {
-          this.agentServer.sendError(connectionId, `Agent ${targetAgentName} not found`, message.id);
+          this.agentServer.sendError(connectionId, routeByCapability
+            ? `No online agent has the capabilities '${capabilities.join(', ')}'`
+            : `Agent ${targetAgentName} not found`, message.id);
+          return;
+        }
+
+        if (!this.auth.isAllowed(connectionId, 'agents', targetAgent)) {
+          this.agentServer.sendError(connectionId, `Not authorized to use agent '${targetAgent.name}'`, message.id);
           return;
         }
 
@@ -641,16 +1648,45 @@ class Orchestrator {
         // Create a child task
         const childTaskId = uuidv4();
 
+        // The child joins the tree of the task the requesting agent is working on; without one it starts its own
+        const { parentTaskId } = message.content;
+        let lineage: TaskLineage = { rootTaskId: childTaskId, depth: 1 };
+        if (parentTaskId) {
+          const refusal = this.checkParentTask(parentTaskId, requestingAgent);
+          if (refusal) {
+            this.agentServer.sendError(connectionId, refusal, message.id);
+            return;
+          }
+          lineage = this.tasks.getChildLineage(parentTaskId)!;
+        }
+
+        if (lineage.depth > this.maxTaskDepth) {
+          logger.warn(MessageDirection.AGENT_TO_ORCHESTRATOR, `Refused child task beyond the maximum task depth`, {
+            parentTaskId,
+            rootTaskId: lineage.rootTaskId,
+            maxTaskDepth: this.maxTaskDepth
+          }, connectionId);
+          this.agentServer.sendError(connectionId, `Child task would exceed the maximum task depth of ${this.maxTaskDepth}`, message.id);
+          return;
+        }
+
+        const cacheKey = this.resultCache.agentKey(targetAgent, taskData);
+        const cachedResult = cacheKey ? this.resultCache.get(cacheKey) : undefined;
+        const cached = cachedResult !== undefined;
+
         // Register the child task
         this.tasks.registerTask(childTaskId, {
           type: 'agent.child.task',
           name: `Child task from ${requestingAgent.name}`,
           severity: 'normal',
           agentId: targetAgent.id,
-          parentTaskId: message.content.parentTaskId,
+          parentTaskId,
+          ...lineage,
           requestingAgentId: requestingAgent.id,
-          status: 'pending' as TaskStatus,
+          status: (cached ? 'completed' : 'pending') as TaskStatus,
           createdAt: new Date().toISOString(),
+          cacheKey,
+          ...(cached ? { result: cachedResult, cached, completedAt: new Date().toISOString() } : {}),
           taskData: {
             taskType,
             ...taskData,
@@ -659,7 +1695,8 @@ class Orchestrator {
                 id: requestingAgent.id,
                 name: requestingAgent.name
               },
-              timeout: timeout || 30000
+              // Without one, the target agent's configured timeout or the orchestrator's applies
+              timeout
             }
           },
           requestId: message.id
@@ -671,13 +1708,30 @@ class Orchestrator {
           type: 'childagent.request.accepted',
           content: {
             childTaskId,
-            targetAgent: targetAgentName,
+            targetAgent: targetAgent.name,
+            targetAgentId: targetAgent.id,
             status: 'accepted'
           },
           requestId: message.id
         });
 
-        // Get target agent connection ID and send task directly
+        // A cache hit is answered straight away without involving the target agent
+        if (cached) {
+          logger.agentToAgent(`Child task answered from the result cache`, { childTaskId }, requestingAgent.id, targetAgent.id);
+          this.agentServer.send(connectionId, {
+            id: uuidv4(),
+            type: 'childagent.response',
+            content: {
+              childTaskId,
+              result: cachedResult,
+              status: 'completed',
+              cached: true
+            }
+          });
+          return;
+        }
+
+        // Make sure the target agent is still connected
         const targetConnectionId = this.agents.getConnectionIdByAgentId(targetAgent.id);
         if (!targetConnectionId) {
           // Update task status to failed
@@ -715,18 +1769,14 @@ class Orchestrator {
                   name: requestingAgent.name
                 }
               }
-            }
+            },
+            attempt: 1
           }
         };
 
-        // Send the task to the target agent
-        this.agentServer.send(targetConnectionId, taskMessage);
-        logger.agentToAgent(`Child task sent`, { childTaskId }, requestingAgent.id, targetAgent.id);
-
-        // Update task status to running
-        this.tasks.updateTaskStatus(childTaskId, 'running', {
-          metadata: { startedAt: new Date().toISOString() }
-        });
+        // Send the task to the target agent, or queue it if the agent is at its concurrency limit
+        const queued = this.taskDispatcher.dispatch(targetAgent, childTaskId, taskMessage);
+        logger.agentToAgent(queued ? `Child task queued` : `Child task sent`, { childTaskId, queuePosition: queued?.position }, requestingAgent.id, targetAgent.id);
 
       } catch (error) {
         this.agentServer.sendError(connectionId, `Error processing agent task request: ${error instanceof Error ? error.message : String(error)}`, message.id);
@@ -750,6 +1800,11 @@ class Orchestrator {
           return;
         }
 
+        if (!this.auth.isAllowed(connectionId, 'services', service)) {
+          this.agentServer.sendError(connectionId, `Not authorized to use service '${service.name}'`, message.id);
+          return;
+        }
+
         // Get tools for the service
         const tools = this.services.getServiceTools(serviceId);
         
@@ -772,7 +1827,7 @@ class Orchestrator {
     // NEW: Enhanced service task execution with client notifications
     this.eventBus.on('service.task.execute', (message: any, connectionId: string) => {
       try {
-        const { serviceId, toolId, toolName, params, clientId } = message.content;
+        const { serviceId, toolId, toolName, params, clientId, parentTaskId } = message.content;
 
         if (!serviceId || (!toolId && !toolName)) {
           this.agentServer.sendError(connectionId, 'Service ID and tool ID (or tool name) are required', message.id);
@@ -789,9 +1844,22 @@ class Orchestrator {
           return;
         }
 
+        if (!this.auth.isAllowed(connectionId, 'services', service)) {
+          this.agentServer.sendError(connectionId, `Not authorized to use service '${service.name}'`, message.id);
+          return;
+        }
+
         // Get the requesting agent
         const requestingAgent = this.agents.getAgentByConnectionId(connectionId);
 
+        if (parentTaskId) {
+          const refusal = this.checkParentTask(parentTaskId, requestingAgent);
+          if (refusal) {
+            this.agentServer.sendError(connectionId, refusal, message.id);
+            return;
+          }
+        }
+
         // Create a service task
         const serviceTaskId = uuidv4();
 
@@ -799,6 +1867,30 @@ class Orchestrator {
         const tool = service.tools?.find(t => t.id === actualToolId);
         const displayName = tool ? tool.name : actualToolId;
 
+        // Bad params are refused here rather than failing inside the service
+        const invalidInput = this.toolValidator.validateInput(service, actualToolId, params || {});
+        if (invalidInput) {
+          logger.warn(MessageDirection.AGENT_TO_ORCHESTRATOR, invalidInput.message, { serviceId, toolId: actualToolId }, connectionId);
+          this.agentServer.send(connectionId, {
+            id: uuidv4(),
+            type: 'service.task.execute.response',
+            content: {
+              serviceId,
+              toolId: actualToolId,
+              error: invalidInput.message,
+              code: invalidInput.code,
+              validationErrors: invalidInput.errors,
+              status: 'failed'
+            },
+            requestId: message.id
+          });
+          return;
+        }
+
+        // Tools registered as deterministic answer parameters they have seen before from the result cache
+        const cacheKey = this.resultCache.toolKey(service, actualToolId, params || {});
+        const cachedResult = cacheKey ? this.resultCache.get(cacheKey) : undefined;
+
         // Register the service task
         this.serviceTasks.registerTask(serviceTaskId, {
           type: 'service.task',
@@ -807,6 +1899,7 @@ class Orchestrator {
           serviceId: service.id,
           agentId: requestingAgent?.id,
           clientId: clientId,
+          parentTaskId,
           status: 'pending' as TaskStatus,
           createdAt: new Date().toISOString(),
           taskData: {
@@ -819,9 +1912,43 @@ class Orchestrator {
               timestamp: new Date().toISOString()
             }
           },
+          cacheKey,
           requestId: message.id
         });
 
+        if (cachedResult !== undefined) {
+          this.serviceTasks.updateTaskStatus(serviceTaskId, 'completed', { result: cachedResult });
+          logger.system(`Answered service tool ${displayName} from the result cache`, { serviceTaskId, serviceId });
+
+          if (clientId && this.clientServer.hasClientConnection(clientId)) {
+            this.clientServer.send(clientId, {
+              id: uuidv4(),
+              type: 'service.completed',
+              content: {
+                serviceTaskId,
+                serviceId,
+                result: cachedResult,
+                cached: true,
+                timestamp: new Date().toISOString()
+              }
+            });
+          }
+
+          this.agentServer.send(connectionId, {
+            id: uuidv4(),
+            type: 'service.task.execute.response',
+            content: {
+              serviceTaskId,
+              serviceId,
+              result: cachedResult,
+              status: 'completed',
+              cached: true
+            },
+            requestId: message.id
+          });
+          return;
+        }
+
         // Send service started notification to client if clientId is provided
         if (clientId && this.clientServer.hasClientConnection(clientId)) {
           this.clientServer.send(clientId, {
@@ -873,8 +2000,18 @@ class Orchestrator {
           return this.serviceServer.sendError(connectionId, 'Service name is required', message.id);
         }
 
+        const protocol = negotiateProtocol('service', content);
+        if ('code' in protocol) {
+          return this.serviceServer.sendError(connectionId, `Service registration rejected: ${protocol.message}`, message.id, protocol.message, protocol.code);
+        }
+
         // Use provided serviceId or generate one
         const serviceId = content.id || uuidv4();
+
+        const authError = this.auth.claimIdentity(connectionId, 'service', { id: serviceId, name: content.name });
+        if (authError) {
+          return this.serviceServer.sendError(connectionId, `Service registration rejected: ${authError}`, message.id);
+        }
         
         // Check if this is a reconnection of an existing service
         const existingService = this.services.getServiceById(serviceId);
@@ -888,7 +2025,8 @@ class Orchestrator {
           status: 'online' as ServiceStatus,
           connectionId, // Include the connectionId in the service object
           registeredAt: existingService ? existingService.registeredAt : new Date().toISOString(),
-          metadata: content.metadata || {}
+          metadata: content.metadata || {},
+          protocol
         };
 
         // Register in registry - this will update existing service or create new one
@@ -902,12 +2040,15 @@ class Orchestrator {
             id: serviceId,
             name: service.name,
             status: service.status,
+            protocolVersion: protocol.protocolVersion,
+            features: protocol.features,
             message: existingService ? 'Service reconnected successfully' : 'Service successfully registered'
           },
           requestId: message.id
         });
 
         logger.serviceToOrchestrator(`Service ${existingService ? 'reconnected' : 'registered'} successfully`, { serviceName: service.name }, serviceId);
+        this.swarmMCPServer?.notifyToolsChanged();
       } catch (error) {
         this.serviceServer.sendError(
           connectionId,
@@ -1015,11 +2156,160 @@ class Orchestrator {
       }
     });
 
+    // Listen for agent disconnection events and deal with the tasks left behind
+    this.eventBus.on('agent.disconnected', (connectionId: string) => {
+      try {
+        this.handleAgentDisconnected(connectionId);
+      } catch (error) {
+        logger.error(MessageDirection.AGENT_TO_ORCHESTRATOR, 'Error handling agent disconnection', error, connectionId);
+      }
+    });
+
     // Listen for client disconnection events
     this.eventBus.on('client.disconnected', (connectionId: string) => {
       this.messageHandler.handleClientDisconnected(connectionId);
     });
 
+    // Peers that stop answering heartbeats are unresponsive until heard from again; clients are told about agents and services
+    this.eventBus.on('agent.unresponsive', (connectionId: string) => {
+      const agent = this.agents.markUnresponsive(connectionId);
+      if (agent) {
+        logger.warn(MessageDirection.AGENT_TO_ORCHESTRATOR, `Agent ${agent.name} is not answering heartbeats`, { agentId: agent.id }, connectionId);
+        this.clientServer.broadcastNotification('agent', `Agent "${agent.name}" is not responding`,
+          { agentId: agent.id, agentName: agent.name, status: agent.status });
+      }
+    });
+
+    this.eventBus.on('agent.responsive', (connectionId: string) => {
+      const agent = this.agents.markResponsive(connectionId);
+      if (agent) {
+        logger.agentToOrchestrator(`Agent ${agent.name} is answering heartbeats again`, { agentId: agent.id, status: agent.status }, connectionId);
+        this.clientServer.broadcastNotification('agent', `Agent "${agent.name}" is responding again`,
+          { agentId: agent.id, agentName: agent.name, status: agent.status });
+        // Tasks queued for the agent while it was silent can go out now
+        if (agent.status === 'online') {
+          this.taskDispatcher.dispatchNext(agent.id);
+        }
+      }
+    });
+
+    this.eventBus.on('agent.heartbeat.timeout', (connectionId: string, missed: number) => {
+      const agent = this.agents.getAgentByConnectionId(connectionId);
+      logger.warn(MessageDirection.AGENT_TO_ORCHESTRATOR, `${agent ? `Agent ${agent.name}` : 'Unregistered agent connection'} missed ${missed} heartbeats; closing its connection`,
+        { agentId: agent?.id }, connectionId);
+      if (agent) {
+        this.clientServer.broadcastNotification('agent', `Agent "${agent.name}" stopped responding and was disconnected`,
+          { agentId: agent.id, agentName: agent.name, status: 'offline' });
+      }
+    });
+
+    this.eventBus.on('service.unresponsive', (connectionId: string) => {
+      const service = this.services.markUnresponsive(connectionId);
+      if (service) {
+        logger.warn(MessageDirection.SERVICE_TO_ORCHESTRATOR, `Service ${service.name} is not answering heartbeats`, { serviceId: service.id }, connectionId);
+        this.clientServer.broadcastNotification('service', `Service "${service.name}" is not responding`,
+          { serviceId: service.id, serviceName: service.name, status: service.status });
+      }
+    });
+
+    this.eventBus.on('service.responsive', (connectionId: string) => {
+      const service = this.services.markResponsive(connectionId);
+      if (service) {
+        logger.serviceToOrchestrator(`Service ${service.name} is answering heartbeats again`, { serviceId: service.id, status: service.status }, connectionId);
+        this.clientServer.broadcastNotification('service', `Service "${service.name}" is responding again`,
+          { serviceId: service.id, serviceName: service.name, status: service.status });
+      }
+    });
+
+    this.eventBus.on('service.heartbeat.timeout', (connectionId: string, missed: number) => {
+      const service = this.services.getServiceByConnectionId(connectionId);
+      logger.warn(MessageDirection.SERVICE_TO_ORCHESTRATOR, `${service ? `Service ${service.name}` : 'Unregistered service connection'} missed ${missed} heartbeats; closing its connection`,
+        { serviceId: service?.id }, connectionId);
+      if (service) {
+        this.clientServer.broadcastNotification('service', `Service "${service.name}" stopped responding and was disconnected`,
+          { serviceId: service.id, serviceName: service.name, status: 'offline' });
+      }
+    });
+
+    this.eventBus.on('client.unresponsive', (clientId: string) => {
+      if (this.clients.markUnresponsive(clientId)) {
+        logger.warn(MessageDirection.CLIENT_TO_ORCHESTRATOR, 'Client is not answering heartbeats', undefined, clientId);
+      }
+    });
+
+    this.eventBus.on('client.responsive', (clientId: string) => {
+      if (this.clients.markResponsive(clientId)) {
+        logger.clientToOrchestrator('Client is answering heartbeats again', undefined, clientId);
+      }
+    });
+
+    this.eventBus.on('client.heartbeat.timeout', (clientId: string, missed: number) => {
+      logger.warn(MessageDirection.CLIENT_TO_ORCHESTRATOR, `Client missed ${missed} heartbeats; closing its connection`, undefined, clientId);
+    });
+
+    // Topic publish/subscribe works the same for agents, clients and services
+    const topicServers = { agent: this.agentServer, client: this.clientServer, service: this.serviceServer };
+    (Object.keys(topicServers) as ConnectionType[]).forEach(type => {
+      const handleTopicRequest = (action: (connectionId: string, message: any) => void) => (message: any, connectionId: string) => {
+        try {
+          action(connectionId, message);
+        } catch (error) {
+          this.sendConnectionError(type, connectionId, error, message.id);
+        }
+      };
+
+      this.eventBus.on(`${type}.topic.subscribe`,
+        handleTopicRequest((connectionId, message) => this.topics.handleSubscribe(type, connectionId, message)));
+      this.eventBus.on(`${type}.topic.unsubscribe`,
+        handleTopicRequest((connectionId, message) => this.topics.handleUnsubscribe(type, connectionId, message)));
+      this.eventBus.on(`${type}.topic.publish`,
+        handleTopicRequest((connectionId, message) => this.topics.handlePublish(type, connectionId, message)));
+      this.eventBus.on(`${type}.disconnected`, (connectionId: string) => this.topics.removeConnection(connectionId));
+    });
+
+    // Agents and clients browse the resources and prompts of MCP servers the same way
+    const mcpActions: Record<string, string> = {
+      'mcp.resources.list': 'list-resources',
+      'mcp.resource.read': 'read-resource',
+      'mcp.resource.subscribe': 'subscribe-resource',
+      'mcp.resource.unsubscribe': 'unsubscribe-resource',
+      'mcp.prompts.list': 'list-prompts',
+      'mcp.prompt.get': 'get-prompt'
+    };
+    const mcpServers = { agent: this.agentServer, client: this.clientServer };
+    (Object.keys(mcpServers) as Array<keyof typeof mcpServers>).forEach(type => {
+      this.eventBus.on(`${type}.mcp.request`, async (message: any, connectionId: string) => {
+        const { serverId, uri, promptName, arguments: promptArgs } = message.content || {};
+        try {
+          if (serverId && !this.canUseMCPServer(connectionId, serverId)) {
+            throw new NotAuthorizedError(`Not authorized to use MCP server '${serverId}'`);
+          }
+          const result = await this.mcpAdapter.handleAgentMCPRequest(
+            { action: mcpActions[message.type], serverId, uri, promptName, promptArgs }, connectionId, type);
+          mcpServers[type].send(connectionId, {
+            id: uuidv4(),
+            type: `${message.type}.result`,
+            content: result,
+            requestId: message.id
+          });
+        } catch (error) {
+          this.sendConnectionError(type, connectionId, error, message.id);
+        }
+      });
+      this.eventBus.on(`${type}.disconnected`, (connectionId: string) => this.mcpAdapter.removeResourceSubscriber(connectionId));
+    });
+
+    // Agents and services that leave take their tools off the swarm's MCP server
+    ['agent.disconnected', 'service.disconnected'].forEach(event =>
+      this.eventBus.on(event, () => this.swarmMCPServer?.notifyToolsChanged()));
+
+    this.eventBus.on('mcp.resource.updated', (content: { serverId: string, uri: string }, subscribers: MCPResourceSubscriber[]) => {
+      subscribers.forEach(({ type, connectionId }) => {
+        const server = type === 'agent' ? this.agentServer : this.clientServer;
+        server.send(connectionId, { id: uuidv4(), type: 'mcp.resource.updated', content });
+      });
+    });
+
     // MCP-related event listeners
     // Listen for MCP server registration
     this.eventBus.on('mcp.server.register', async (message: MCPServerConfig, requestId?: string) => {
@@ -1053,6 +2343,7 @@ class Orchestrator {
 
     // Listen for MCP tool execution requests
     this.eventBus.on('mcp.tool.execute', async (message: any, clientIdOrRequestId?: string) => {
+      let callTaskId: string | undefined;
       try {
         // Handle both old format (MCPExecuteToolMessage, requestId?: string) 
         // and new format (message: any, clientId: string)
@@ -1076,7 +2367,36 @@ class Orchestrator {
           return;
         }
 
-        const result = await this.mcpAdapter.executeMCPTool(serverId, toolName, parameters);
+        if (message.id && clientIdOrRequestId && !this.canUseMCPServer(clientIdOrRequestId, serverId)) {
+          this.agentServer.sendError(clientIdOrRequestId, `Not authorized to use MCP server '${serverId}'`, message.id);
+          return;
+        }
+
+        // Calls an agent makes for one of its tasks are recorded as children of that task, so they show in task trees
+        const parentTaskId = message.content?.parentTaskId;
+        if (message.id && clientIdOrRequestId && parentTaskId) {
+          const refusal = this.checkParentTask(parentTaskId, this.agents.getAgentByConnectionId(clientIdOrRequestId));
+          if (refusal) {
+            this.agentServer.sendError(clientIdOrRequestId, refusal, message.id);
+            return;
+          }
+
+          callTaskId = uuidv4();
+          this.tasks.registerTask(callTaskId, {
+            type: 'mcp.call',
+            name: `MCP call: ${toolName} on ${serverId}`,
+            severity: 'normal',
+            parentTaskId,
+            serverId,
+            toolName,
+            status: 'in_progress',
+            createdAt: new Date().toISOString(),
+            input: parameters
+          });
+        }
+
+        const result = await this.mcpAdapter.executeMCPTool(serverId, toolName, parameters, { type: 'agent', connectionId: clientIdOrRequestId });
+        this.finishMCPCallTask(callTaskId, 'completed', { result });
         
         // If this is from an agent (has message.id), send response back to agent
         if (message.id && clientIdOrRequestId) {
@@ -1101,16 +2421,20 @@ class Orchestrator {
           }, clientIdOrRequestId);
         }
       } catch (error) {
+        this.finishMCPCallTask(callTaskId, 'failed', { error: error instanceof Error ? error.message : String(error) });
+
         // If this is from an agent (has message.id), send error back to agent
         if (message.id && clientIdOrRequestId) {
-          this.agentServer.sendError(clientIdOrRequestId, `Error executing MCP tool: ${error instanceof Error ? error.message : String(error)}`, message.id);
+          this.agentServer.sendError(clientIdOrRequestId, `Error executing MCP tool: ${error instanceof Error ? error.message : String(error)}`, message.id,
+            error instanceof mcp.MCPAccessDeniedError ? error.code : undefined);
         } else {
           // Otherwise emit error to event bus
           this.eventBus.emit('mcp.tool.execute.error', {
             serverId: message.serverId || message.content?.serverId,
             toolName: message.toolName || message.content?.toolName,
             status: 'error',
-            error: (error as Error).message
+            error: (error as Error).message,
+            code: error instanceof mcp.MCPAccessDeniedError ? error.code : undefined
           }, clientIdOrRequestId);
         }
       }
@@ -1147,6 +2471,11 @@ class Orchestrator {
           return;
         }
 
+        if (message.id && clientIdOrRequestId && !this.canUseMCPServer(clientIdOrRequestId, serverId)) {
+          this.agentServer.sendError(clientIdOrRequestId, `Not authorized to use MCP server '${serverId}'`, message.id);
+          return;
+        }
+
         const result = await this.mcpAdapter.listMCPTools(serverId);
         
         // If this is from an agent (has message.id), send response back to agent
@@ -1195,7 +2524,8 @@ class Orchestrator {
     // Agent MCP Servers List Request
     this.eventBus.on('agent.mcp.servers.list', (message: any, clientId: string) => {
       try {
-        const servers = this.mcpAdapter.listMCPServers();
+        const servers = this.mcpAdapter.listMCPServers()
+          .filter(server => this.auth.isAllowed(clientId, 'mcpServers', server));
 
         this.agentServer.send(clientId, {
           id: uuidv4(),
@@ -1204,6 +2534,8 @@ class Orchestrator {
             servers: servers.map((server: any) => ({
               id: server.id,
               name: server.name,
+              transport: server.transport,
+              url: server.url,
               status: server.status,
               capabilities: server.capabilities
             }))
@@ -1243,32 +2575,6 @@ class Orchestrator {
 
 
 
-    // Agent MCP Tool Execute Request
-    this.eventBus.on('agent.mcp.tool.execute', async (message: { serverId: string, toolName: string, parameters: Record<string, any> }, requestId?: string) => {
-      try {
-        const result = await this.mcpAdapter.executeMCPTool(
-          message.serverId,
-          message.toolName,
-          message.parameters
-        );
-        this.eventBus.emit('agent.mcp.tool.execute.result', {
-          serverId: message.serverId,
-          toolName: message.toolName,
-          result,
-          status: 'success'
-        }, requestId);
-      } catch (error) {
-        this.eventBus.emit('agent.mcp.tool.execute.error', {
-          serverId: message.serverId,
-          toolName: message.toolName,
-          status: 'error',
-          error: (error as Error).message
-        }, requestId);
-      }
-    });
-
-
-
     // NEW: Handle task completion events
     this.eventBus.on('agent.task.result.received', (message: any, connectionId: string) => {
       try {
@@ -1286,6 +2592,20 @@ class Orchestrator {
           return;
         }
 
+        // Results of an attempt that was cancelled, timed out, retried or moved to another agent are dropped
+        const staleReason = this.getStaleAttemptReason(task, connectionId, message.content.attempt);
+        if (staleReason) {
+          logger.warn(MessageDirection.AGENT_TO_ORCHESTRATOR, `Ignoring late result for task ${taskId}: ${staleReason}`, { taskId, status: task.status }, connectionId);
+          return;
+        }
+
+        this.taskTimeouts.clear(taskId);
+
+        // Cache before the registry adds its metadata to the result; a reported failure must not be replayed
+        if (task.cacheKey && !isFailedResult(result)) {
+          this.resultCache.set(task.cacheKey, result);
+        }
+
         // Update task status
         this.tasks.updateTaskStatus(taskId, 'completed', {
           result,
@@ -1294,6 +2614,12 @@ class Orchestrator {
           }
         });
 
+        // The agent has a free slot again
+        this.taskDispatcher.dispatchNext(task.agentId);
+
+        // Workflow steps move their workflow on
+        this.workflows.handleTaskFinished(taskId, 'completed', { result });
+
         // Notify client if one is specified
         if (task.clientId) {
           this.clientServer.send(task.clientId, {
@@ -1331,6 +2657,49 @@ class Orchestrator {
       }
     });
 
+    // Forward partial results of a running task to the client that created it
+    this.eventBus.on('agent.task.result.chunk', (message: any, connectionId: string) => {
+      try {
+        const { taskId, sequence, chunk } = message.content;
+
+        if (!taskId || typeof sequence !== 'number') {
+          logger.error(MessageDirection.AGENT_TO_ORCHESTRATOR, 'Task result chunk received without task ID or sequence', message, connectionId);
+          return;
+        }
+
+        const task = this.tasks.getTask(taskId);
+        if (!task) {
+          logger.error(MessageDirection.AGENT_TO_ORCHESTRATOR, `Task ${taskId} not found for result chunk`, { taskId }, connectionId);
+          return;
+        }
+
+        // Chunks from an attempt that was cancelled, timed out or moved to another agent are dropped
+        const staleReason = this.getStaleAttemptReason(task, connectionId, message.content.attempt);
+        if (staleReason) {
+          logger.warn(MessageDirection.AGENT_TO_ORCHESTRATOR, `Ignoring result chunk for task ${taskId}: ${staleReason}`, { taskId, sequence }, connectionId);
+          return;
+        }
+
+        // Clients that did not negotiate streaming only get the final result
+        if (task.clientId && hasFeature(this.clients.getClientById(task.clientId)?.protocol, 'task.streaming')) {
+          this.clientServer.send(task.clientId, {
+            id: uuidv4(),
+            requestId: task.requestId,
+            type: 'client.agent.task.result.chunk',
+            content: {
+              taskId,
+              agentId: task.agentId,
+              sequence,
+              chunk,
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+      } catch (error) {
+        logger.error(MessageDirection.AGENT_TO_ORCHESTRATOR, 'Error handling task result chunk', error, connectionId);
+      }
+    });
+
     // NEW: Handle task error events
     this.eventBus.on('task.error', (message: any, connectionId: string) => {
       try {
@@ -1348,6 +2717,22 @@ class Orchestrator {
           return;
         }
 
+        // The attempt that failed was already given up on, e.g. after a timeout, or the task was cancelled or moved
+        const staleReason = this.getStaleAttemptReason(task, connectionId, message.content.attempt);
+        if (staleReason) {
+          logger.warn(MessageDirection.AGENT_TO_ORCHESTRATOR, `Ignoring late error for task ${taskId}: ${staleReason}`, { taskId, status: task.status }, connectionId);
+          return;
+        }
+
+        this.taskTimeouts.clear(taskId);
+
+        // Try again if the task's retry policy allows it
+        const errorMessage = typeof error === 'string' ? error : (error && error.message) || 'Unknown error';
+        if (this.retryTask(task, errorMessage, 'TASK_FAILED')) {
+          this.taskDispatcher.dispatchNext(task.agentId);
+          return;
+        }
+
         // Update task status
         this.tasks.updateTaskStatus(taskId, 'failed', {
           error: error || 'Unknown error',
@@ -1356,36 +2741,10 @@ class Orchestrator {
           }
         });
 
-        // Notify client if one is specified
-        if (task.clientId) {
-          this.clientServer.send(task.clientId, {
-            id: uuidv4(),
-            type: 'task.error',
-            content: {
-              taskId,
-              error: error || 'Unknown error',
-              status: 'failed',
-              agentId: task.agentId,
-              failedAt: new Date().toISOString()
-            }
-          });
-        }
+        this.taskDispatcher.dispatchNext(task.agentId);
 
-        // If this is a child task, notify the requesting agent
-        if (task.requestingAgentId) {
-          const requestingAgent = this.agents.getAgentById(task.requestingAgentId);
-          if (requestingAgent && requestingAgent.connectionId) {
-            this.agentServer.send(requestingAgent.connectionId, {
-              id: uuidv4(),
-              type: 'childagent.response',
-              content: {
-                childTaskId: taskId,
-                error: error || 'Unknown error',
-                status: 'failed'
-              }
-            });
-          }
-        }
+        // The client's pending create request, the requesting agent and workflows all learn of the failure
+        this.notifyTaskFailed(task, errorMessage, 'TASK_FAILED');
 
       } catch (error) {
         logger.error(MessageDirection.AGENT_TO_ORCHESTRATOR, 'Error handling task error', error, connectionId);
@@ -1457,11 +2816,34 @@ class Orchestrator {
           return;
         }
 
+        if (serviceTask.status === 'cancelled') {
+          logger.warn(MessageDirection.SERVICE_TO_ORCHESTRATOR, `Ignoring result for cancelled service task ${taskId}`, { taskId }, connectionId);
+          return;
+        }
+
+        // A result that does not match the tool's outputSchema fails the call instead of reaching the agent
+        const service = this.services.getServiceById(serviceTask.serviceId);
+        const invalidOutput = service && !isFailedResult(result)
+          ? this.toolValidator.validateOutput(service, serviceTask.taskData?.taskData?.toolId, result)
+          : null;
+        if (invalidOutput) {
+          this.failServiceTaskOutput(serviceTask, invalidOutput);
+          return;
+        }
+
+        // A tool that threw must be tried again next time, not answered with its error
+        if (serviceTask.taskData?.cacheKey && !isFailedResult(result)) {
+          this.resultCache.set(serviceTask.taskData.cacheKey, result);
+        }
+
         // Update service task status
         this.serviceTasks.updateTaskStatus(taskId, 'completed', {
           result
         });
 
+        // Service steps move their workflow on
+        this.workflows.handleServiceTaskFinished(serviceTask.parentTaskId, result);
+
         // Send service completed notification to client if one is specified
         if (serviceTask.clientId) {
           this.clientServer.send(serviceTask.clientId, {
@@ -1505,7 +2887,8 @@ class Orchestrator {
     this.eventBus.on('client.agent.list.request', (message: any, clientId: string, clientServer: any) => {
       try {
         const filters = message.content?.filters || {};
-        const agents = this.agents.getAllAgents();
+        const agents = this.agents.getAllAgents()
+          .filter(agent => this.auth.isAllowed(clientId, 'agents', agent));
 
         this.clientServer.send(clientId, {
           id: uuidv4(),
@@ -1532,7 +2915,8 @@ class Orchestrator {
     this.eventBus.on('agent.agent.list.request', (message: any, clientId: string, clientServer: any) => {
       try {
         const filters = message.content?.filters || {};
-        const agents = this.agents.getAllAgents();
+        const agents = this.agents.getAllAgents()
+          .filter(agent => this.auth.isAllowed(clientId, 'agents', agent));
 
         this.agentServer.send(clientId, {
           id: uuidv4(),
@@ -1555,10 +2939,40 @@ class Orchestrator {
       }
     });
 
+    // Handle client service list requests
+    this.eventBus.on('client.service.list.request', (message: any, clientId: string) => {
+      try {
+        const filters = message.content?.filters || {};
+        const services = this.services.getAllServices(filters)
+          .filter(service => this.auth.isAllowed(clientId, 'services', service));
+
+        this.clientServer.send(clientId, {
+          id: uuidv4(),
+          type: 'client.service.list.response',
+          content: {
+            services: services.map(service => ({
+              id: service.id,
+              name: service.name,
+              status: service.status,
+              capabilities: service.capabilities,
+              tools: service.tools
+            }))
+          },
+          requestId: message.id
+        });
+
+      } catch (error) {
+        this.clientServer.sendError(clientId, 'Error getting service list', message.id,
+          error instanceof Error ? error.message : String(error));
+      }
+    });
+
     // Handle client MCP server list requests
     this.eventBus.on('client.mcp.server.list.request', (message: any, clientId: string) => {
       try {
-        const servers = this.mcpAdapter.listMCPServers();
+        // Clients only see the servers their credential allows
+        const servers = this.mcpAdapter.listMCPServers()
+          .filter((server: any) => this.canUseMCPServer(clientId, server.id));
 
         this.clientServer.send(clientId, {
           id: uuidv4(),
@@ -1567,7 +2981,12 @@ class Orchestrator {
             servers: servers.map((server: any) => ({
               id: server.id,
               name: server.name,
+              transport: server.transport,
+              url: server.url,
               status: server.status,
+              restartCount: server.restartCount,
+              lastError: server.lastError,
+              lastErrorAt: server.lastErrorAt,
               capabilities: server.capabilities
             }))
           },
@@ -1589,6 +3008,10 @@ class Orchestrator {
           this.clientServer.sendError(clientId, 'Server ID is required', message.id);
           return;
         }
+        if (!this.canUseMCPServer(clientId, serverId)) {
+          this.clientServer.sendError(clientId, `Not authorized to use MCP server '${serverId}'`, message.id, undefined, NOT_AUTHORIZED);
+          return;
+        }
 
         const tools = await this.mcpAdapter.listMCPTools(serverId);
 
@@ -1604,7 +3027,7 @@ class Orchestrator {
 
       } catch (error) {
         this.clientServer.sendError(clientId, 'Error getting MCP server tools', message.id,
-          error instanceof Error ? error.message : String(error));
+          error instanceof Error ? error.message : String(error), getErrorCode(error));
       }
     });
 
@@ -1617,9 +3040,13 @@ class Orchestrator {
           this.clientServer.sendError(clientId, 'Server ID and tool name are required', message.id);
           return;
         }
+        if (!this.canUseMCPServer(clientId, serverId)) {
+          this.clientServer.sendError(clientId, `Not authorized to use MCP server '${serverId}'`, message.id, undefined, NOT_AUTHORIZED);
+          return;
+        }
 
         // Execute the MCP tool
-        this.mcpAdapter.executeMCPTool(serverId, toolName, parameters || {})
+        this.mcpAdapter.executeMCPTool(serverId, toolName, parameters || {}, { type: 'client', connectionId: clientId })
           .then((result: any) => {
             this.clientServer.send(clientId, {
               id: uuidv4(),
@@ -1634,7 +3061,7 @@ class Orchestrator {
           })
           .catch((error: any) => {
             this.clientServer.sendError(clientId, 'Error executing MCP tool', message.id,
-              error instanceof Error ? error.message : String(error));
+              error instanceof Error ? error.message : String(error), getErrorCode(error));
           });
 
       } catch (error) {
@@ -1652,20 +3079,32 @@ class Orchestrator {
     try {
       logger.system(`Starting Agent Swarm Protocol Orchestrator (${this.logLevel} mode)`);
 
+      // Reload persisted tasks before accepting any connections
+      this.restoreTasks();
+
       // Start the WebSocket servers
       await this.agentServer.start();
-      logger.system(`Agent server started on port ${this.port}`);
-
       await this.clientServer.start();
-      logger.system(`Client server started on port ${this.clientPort}`);
-
       await this.serviceServer.start();
-      logger.system(`Service server started on port ${this.servicePort}`);
+      this.heartbeats.start();
+
+      if (this.singlePortServer) {
+        await this.singlePortServer.start();
+        logger.system(`Agent, client and service servers started on port ${this.singlePort}`);
+      } else {
+        logger.system(`Agent server started on port ${this.port}`);
+        logger.system(`Client server started on port ${this.clientPort}`);
+        logger.system(`Service server started on port ${this.servicePort}`);
+      }
+      if (this.swarmMCPServer) {
+        logger.system(`Swarm MCP server available at ${this.swarmMCPServer.getPath()} on the client interface`);
+      }
 
       // Initialize components from config if available
       await this.initMCPServersFromConfig();
       await this.initAgentsFromConfig();
       await this.initServicesFromConfig();
+      this.initWorkflowsFromConfig();
 
       logger.system('Orchestrator ready!');
     } catch (error) {
@@ -1674,6 +3113,27 @@ class Orchestrator {
     }
   }
 
+  /**
+   * Reload tasks from the task stores and mark the ones that were running as interrupted
+   */
+  private restoreTasks(): void {
+    const agentTaskCount = this.tasks.loadFromStore();
+    const serviceTaskCount = this.serviceTasks.loadFromStore();
+
+    if (agentTaskCount === 0 && serviceTaskCount === 0) {
+      return;
+    }
+
+    const interruptedAgentTasks = this.tasks.markInterruptedTasks();
+    const interruptedServiceTasks = this.serviceTasks.markInterruptedTasks();
+
+    logger.system(`Restored ${agentTaskCount} agent task(s) and ${serviceTaskCount} service task(s)`);
+
+    if (interruptedAgentTasks.length > 0 || interruptedServiceTasks.length > 0) {
+      logger.warn(MessageDirection.SYSTEM, `Marked ${interruptedAgentTasks.length} agent task(s) and ${interruptedServiceTasks.length} service task(s) as interrupted`);
+    }
+  }
+
   //Ok
   /**
    * Initialize MCP servers from configuration
@@ -1684,7 +3144,7 @@ class Orchestrator {
     if (mcpServers && mcpServers.length > 0) {
       for (const serverConfig of mcpServers) {
         try {
-          // Include command and args from the config
+          // Include command and args, or the url of a remote server, from the config
           const registrationResult = await this.mcpAdapter.registerMCPServer({
             id: serverConfig.id || uuidv4(),
             name: serverConfig.name,
@@ -1693,6 +3153,11 @@ class Orchestrator {
             path: serverConfig.path,
             command: serverConfig.command,
             args: serverConfig.args,
+            url: serverConfig.url,
+            transport: serverConfig.transport,
+            headers: serverConfig.headers,
+            reconnect: serverConfig.reconnect,
+            healthCheck: serverConfig.healthCheck,
             metadata: serverConfig.metadata || {}
           });
 
@@ -1746,6 +3211,23 @@ class Orchestrator {
     }
   }
 
+  /**
+   * Load the workflow definitions in the configured workflow directory
+   */
+  private initWorkflowsFromConfig(): void {
+    const directory = this.workflowSettings.directory;
+    if (!directory) {
+      return;
+    }
+
+    try {
+      this.workflowDefinitions = loadWorkflowDefinitions(directory, this.workflowSettings.maxSteps || DEFAULT_MAX_STEPS);
+      logger.system(`Loaded ${this.workflowDefinitions.size} workflow definitions from ${directory}`);
+    } catch (error) {
+      logger.error(MessageDirection.SYSTEM, `Failed to load workflow definitions from ${directory}`, error);
+    }
+  }
+
   /**
    * Stop the orchestrator and all its servers
    */
@@ -1753,7 +3235,16 @@ class Orchestrator {
     try {
       logger.system('Stopping Orchestrator...');
 
+      this.reconnectTimers.forEach(timer => clearTimeout(timer));
+      this.reconnectTimers.clear();
+      this.taskTimeouts.clearAll();
+      this.heartbeats.stop();
+      await this.mcpAdapter.disconnectAll();
+
+      await this.swarmMCPServer?.stop();
+
       // Stop all servers
+      this.singlePortServer?.stop();
       await this.agentServer.stop();
       await this.clientServer.stop();
       await this.serviceServer.stop();
@@ -24,10 +24,13 @@ import {
 import { EventEmitter } from 'events';
 import { ServiceRegistry } from '../registry/service-registry';
 import { ClientRegistry, Client } from '../registry/client-registry';
+import { AuthManager } from './utils/auth/auth-manager';
+import { MCPAccessDeniedError } from './utils/mcp/mcp-access-policy';
 
 // Extend MessageHandlerConfig to include clients
 interface ExtendedMessageHandlerConfig extends MessageHandlerConfig {
   clients?: ClientRegistry;
+  auth?: AuthManager;
 }
 
 /**
@@ -42,6 +45,7 @@ class MessageHandler {
   private clients?: ClientRegistry;
   private eventBus: EventEmitter;
   private mcp: MCPInterface;
+  private auth?: AuthManager;
 
   constructor(config: ExtendedMessageHandlerConfig) {
     this.agents = config.agents;
@@ -51,6 +55,7 @@ class MessageHandler {
     this.clients = config.clients;
     this.eventBus = config.eventBus;
     this.mcp = config.mcp;
+    this.auth = config.auth;
   }
 
   /**
@@ -179,6 +184,10 @@ class MessageHandler {
 
     // Check if this is an MCP request
     if (service === 'mcp-service') {
+      const mcpServerId = (params as any).serverId;
+      if (mcpServerId && this.auth && !this.auth.isAllowed(connectionId, 'mcpServers', { id: mcpServerId, name: this.mcp.getServerById(mcpServerId)?.name })) {
+        throw new Error(`Agent is not authorized to use MCP server: ${mcpServerId}`);
+      }
       return this.handleMCPRequest(params as any, agent);
     }
 
@@ -192,6 +201,11 @@ class MessageHandler {
       throw new Error(`Service not found: ${service}`);
     }
 
+    // Check if the agent's credential allows this service
+    if (this.auth && !this.auth.isAllowed(connectionId, 'services', serviceObj)) {
+      throw new Error(`Agent is not authorized to use service: ${serviceObj.name}`);
+    }
+
     // Check if the agent is allowed to use this service
     if (agent.manifest?.requiredServices && !agent.manifest.requiredServices.includes(serviceObj.name)) {
       throw new Error(`Agent is not authorized to use service: ${serviceObj.name}`);
@@ -333,7 +347,7 @@ class MessageHandler {
    */
   async handleMCPToolExecuteRequest(serverId: string, toolName: string, args: any, agent: Agent): Promise<any> {
     try {
-      const result = await this.mcp.executeServerTool(serverId, toolName, args);
+      const result = await this.mcp.executeServerTool(serverId, toolName, args, { type: 'agent', connectionId: agent.connectionId });
 
       return {
         serverId,
@@ -346,7 +360,8 @@ class MessageHandler {
         serverId,
         toolName,
         status: 'error',
-        error: error instanceof Error ? error.message : String(error)
+        error: error instanceof Error ? error.message : String(error),
+        code: error instanceof MCPAccessDeniedError ? error.code : undefined
       };
     }
   }
@@ -386,34 +401,6 @@ class MessageHandler {
       });
     }
   }
-
-  /**
-   * Handle client MCP tool execute request
-   * @param params The tool execution parameters
-   * @param requestId Optional request ID for tracking the response
-   */
-  async handleClientMCPToolExecuteRequest(params: any, requestId?: string): Promise<void> {
-    try {
-      const result = await this.mcp.executeServerTool(
-        params.serverId, 
-        params.toolName, 
-        params.parameters || {}
-      );
-      
-      // Emit result event with the request ID
-      this.eventBus.emit(`client.mcp.tool.execute.result.${requestId || 'default'}`, {
-        serverId: params.serverId,
-        toolName: params.toolName,
-        result,
-        status: 'success'
-      });
-    } catch (error) {
-      // Emit error event with the request ID
-      this.eventBus.emit(`client.mcp.tool.execute.error.${requestId || 'default'}`, { 
-        error: error instanceof Error ? error.message : String(error) 
-      });
-    }
-  }
 }
 
 export default MessageHandler; 
\ No newline at end of file
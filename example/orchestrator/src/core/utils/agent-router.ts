@@ -0,0 +1,124 @@
+/**
+ * Capability-based agent routing for the ASP Orchestrator
+ * Picks an online agent for a task from the agents that have the required capabilities
+ */
+import { Agent, AgentSelectionStrategy } from '@agentswarmprotocol/types/dist/common';
+import { AgentRegistry } from '../../registry/agent-registry';
+import { AgentTaskRegistry } from './tasks/agent-task-registry';
+import { TaskDispatcher } from './tasks/task-dispatcher';
+import { logger, MessageDirection } from './logger';
+
+const STRATEGIES: AgentSelectionStrategy[] = ['round-robin', 'least-loaded', 'random'];
+
+class AgentRouter {
+  private agents: AgentRegistry;
+  private tasks: AgentTaskRegistry;
+  private dispatcher: TaskDispatcher;
+  private defaultStrategy: AgentSelectionStrategy;
+  // Next round-robin position for each set of required capabilities
+  private roundRobinCursors: Map<string, number>;
+
+  /**
+   * Create a new AgentRouter
+   * @param agents - Agent registry to pick agents from
+   * @param tasks - Task registry used to count active tasks per agent
+   * @param dispatcher - Task dispatcher used to check which agents have free slots
+   * @param defaultStrategy - Strategy used when a request does not name one
+   */
+  constructor(agents: AgentRegistry, tasks: AgentTaskRegistry, dispatcher: TaskDispatcher, defaultStrategy: AgentSelectionStrategy = 'round-robin') {
+    this.agents = agents;
+    this.tasks = tasks;
+    this.dispatcher = dispatcher;
+    this.defaultStrategy = defaultStrategy;
+    this.roundRobinCursors = new Map();
+
+    if (!STRATEGIES.includes(defaultStrategy)) {
+      logger.warn(MessageDirection.SYSTEM, `Unknown agent selection strategy '${defaultStrategy}' in configuration, using round-robin`);
+      this.defaultStrategy = 'round-robin';
+    }
+  }
+
+  /**
+   * Select a connected agent that has every required capability
+   * Agents with a free slot are preferred; if every candidate is at its limit the task will queue on the selected one
+   * @param capabilities - Required capabilities
+   * @param strategy - Selection strategy, defaults to the configured strategy
+   * @param filter - Optional extra check an agent must pass, e.g. that the requester may use it
+   * @returns The selected agent or undefined if no agent is eligible
+   */
+  selectAgent(capabilities: string[], strategy?: AgentSelectionStrategy, filter?: (agent: Agent) => boolean): Agent | undefined {
+    const eligible = this.agents.getAllAgents({ capabilities })
+      .filter(agent => agent.status === 'online' || agent.status === 'busy')
+      .filter(agent => !filter || filter(agent))
+      .sort((a, b) => a.id.localeCompare(b.id));
+
+    if (eligible.length === 0) {
+      return undefined;
+    }
+
+    const available = eligible.filter(agent => this.dispatcher.hasCapacity(agent));
+    const candidates = available.length > 0 ? available : eligible;
+
+    switch (this.validateStrategy(strategy || this.defaultStrategy)) {
+      case 'least-loaded':
+        return this.selectLeastLoaded(candidates);
+      case 'random':
+        return candidates[Math.floor(Math.random() * candidates.length)];
+      case 'round-robin':
+      default:
+        return this.selectRoundRobin(capabilities, candidates);
+    }
+  }
+
+  /**
+   * Get the number of pending and in-progress tasks assigned to an agent
+   * @param agentId - The agent ID
+   * @returns Number of active tasks
+   */
+  getActiveTaskCount(agentId: string): number {
+    return this.tasks.getTasks({ agentId, status: ['pending', 'in_progress'] }).length;
+  }
+
+  /**
+   * Pick the next candidate in turn for this set of capabilities
+   * @private
+   */
+  private selectRoundRobin(capabilities: string[], candidates: Agent[]): Agent {
+    const key = [...capabilities].sort().join('|');
+    const cursor = this.roundRobinCursors.get(key) || 0;
+    this.roundRobinCursors.set(key, cursor + 1);
+    return candidates[cursor % candidates.length];
+  }
+
+  /**
+   * Pick the candidate with the fewest active tasks; ties go to the first candidate
+   * @private
+   */
+  private selectLeastLoaded(candidates: Agent[]): Agent {
+    let selected = candidates[0];
+    let selectedCount = this.getActiveTaskCount(selected.id);
+
+    for (const candidate of candidates.slice(1)) {
+      const count = this.getActiveTaskCount(candidate.id);
+      if (count < selectedCount) {
+        selected = candidate;
+        selectedCount = count;
+      }
+    }
+
+    return selected;
+  }
+
+  /**
+   * Ensure a strategy name is one the router supports
+   * @private
+   */
+  private validateStrategy(strategy: string): AgentSelectionStrategy {
+    if (!STRATEGIES.includes(strategy as AgentSelectionStrategy)) {
+      throw new Error(`Unknown agent selection strategy '${strategy}'. Valid strategies: ${STRATEGIES.join(', ')}`);
+    }
+    return strategy as AgentSelectionStrategy;
+  }
+}
+
+export { AgentRouter };
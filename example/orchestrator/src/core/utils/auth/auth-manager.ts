@@ -0,0 +1,373 @@
+/**
+ * Authentication and authorization for the ASP Orchestrator
+ * Checks the token an agent, client or service connects with, and what the connection may use afterwards
+ */
+import crypto from 'crypto';
+import * as http from 'http';
+import {
+  AuthSettings,
+  ApiKeyCredential,
+  ConnectionType,
+  RolePermissions
+} from '@agentswarmprotocol/types/dist/common';
+import { isJwt, verifyJwt } from './jwt';
+import { matchesTopic } from '../topics/topic-pattern';
+import { logger, MessageDirection } from '../logger';
+
+/**
+ * The identity a connection authenticated as
+ */
+interface Principal {
+  // Stable ID of the credential, e.g. 'api-key:research-agent' or 'jwt:user-42'
+  id: string;
+  method: 'api-key' | 'jwt';
+  type?: ConnectionType;
+  // Agent or service ID or name the credential is bound to
+  subject?: string;
+  roles: string[];
+}
+
+interface AuthResult {
+  principal?: Principal;
+  error?: string;
+}
+
+type VerifyClientCallback = (result: boolean, code?: number, message?: string) => void;
+type VerifyClient = (info: { req: http.IncomingMessage }, callback: VerifyClientCallback) => void;
+
+/**
+ * Something a principal may be allowed to use, matched by ID or name
+ */
+interface Resource {
+  id?: string;
+  name?: string;
+}
+
+class AuthManager {
+  private settings: AuthSettings;
+  private enabled: boolean;
+  // Principals of accepted requests, until the WebSocket connection for the request is set up
+  private requestPrincipals: WeakMap<http.IncomingMessage, Principal>;
+  private principals: Map<string, Principal>;
+  // Which credential registered each agent and service ID, so other credentials cannot take it over
+  private identityOwners: Map<string, string>;
+
+  /**
+   * Create a new AuthManager
+   * @param settings - Auth settings from the orchestrator configuration
+   */
+  constructor(settings: AuthSettings = {}) {
+    this.settings = settings;
+    this.enabled = settings.enabled === true;
+    this.requestPrincipals = new WeakMap();
+    this.principals = new Map();
+    this.identityOwners = new Map();
+
+    if (this.enabled) {
+      if (!settings.apiKeys?.length && !settings.jwt) {
+        logger.warn(MessageDirection.SYSTEM, 'Authentication is enabled but no API keys or JWT settings are configured; every connection will be rejected');
+      }
+
+      const roles = settings.roles || {};
+      (settings.apiKeys || []).forEach(credential => {
+        (credential.roles || []).filter(role => !roles[role]).forEach(role => {
+          logger.warn(MessageDirection.SYSTEM, `API key '${credential.name || credential.subject || 'unnamed'}' refers to unknown role '${role}'`);
+        });
+      });
+    }
+  }
+
+  /**
+   * Whether connections must authenticate
+   * @returns True if auth is enabled
+   */
+  isEnabled(): boolean {
+    return this.enabled;
+  }
+
+  /**
+   * Authenticate a token presented by a connection of the given type
+   * API keys are checked first; tokens shaped like a JWT are then verified if JWT settings exist
+   * @param token - The presented token
+   * @param type - The kind of connection
+   * @returns The principal, or an error message
+   */
+  authenticate(token: string | undefined, type: ConnectionType): AuthResult {
+    if (!token) {
+      return { error: 'Authentication token is required' };
+    }
+
+    const credential = this.findApiKey(token);
+    if (credential) {
+      if (credential.type && credential.type !== type) {
+        return { error: `API key is not valid for ${type} connections` };
+      }
+      return {
+        principal: {
+          id: `api-key:${credential.name || credential.subject || this.fingerprint(credential.key)}`,
+          method: 'api-key',
+          type: credential.type,
+          subject: credential.subject,
+          roles: credential.roles || []
+        }
+      };
+    }
+
+    if (this.settings.jwt && isJwt(token)) {
+      try {
+        const claims = verifyJwt(token, this.settings.jwt);
+        if (claims.type && claims.type !== type) {
+          return { error: `Token is not valid for ${type} connections` };
+        }
+        return {
+          principal: {
+            id: `jwt:${claims.sub || this.fingerprint(token)}`,
+            method: 'jwt',
+            type: claims.type,
+            subject: claims.sub,
+            roles: Array.isArray(claims.roles) ? claims.roles : []
+          }
+        };
+      } catch (error) {
+        return { error: error instanceof Error ? error.message : String(error) };
+      }
+    }
+
+    return { error: 'Invalid authentication token' };
+  }
+
+  /**
+   * Create a ws verifyClient function that rejects unauthenticated upgrade requests
+   * @param type - The kind of connection the server accepts
+   * @returns The verifyClient function, or undefined when auth is disabled
+   */
+  createVerifyClient(type: ConnectionType): VerifyClient | undefined {
+    if (!this.enabled) {
+      return undefined;
+    }
+
+    return (info, callback) => {
+      const result = this.verifyRequest(info.req, type);
+      if (!result.principal) {
+        callback(false, 401, 'Unauthorized');
+        return;
+      }
+
+      callback(true);
+    };
+  }
+
+  /**
+   * Authenticate an HTTP request and remember its principal until bindConnection is called for it
+   * @param req - The upgrade or REST request
+   * @param type - The kind of connection the request is for
+   * @returns The principal, or an error message
+   */
+  verifyRequest(req: http.IncomingMessage, type: ConnectionType): AuthResult {
+    const result = this.authenticate(this.extractToken(req), type);
+    if (!result.principal) {
+      logger.warn(MessageDirection.SYSTEM, `Rejected ${type} connection: ${result.error}`, { remoteAddress: req.socket.remoteAddress });
+      return result;
+    }
+
+    this.requestPrincipals.set(req, result.principal);
+    return result;
+  }
+
+  /**
+   * Attach the principal of an accepted upgrade request to its connection
+   * @param connectionId - The connection ID
+   * @param req - The upgrade request
+   */
+  bindConnection(connectionId: string, req?: http.IncomingMessage): void {
+    const principal = req ? this.requestPrincipals.get(req) : undefined;
+    if (principal) {
+      this.principals.set(connectionId, principal);
+      this.requestPrincipals.delete(req!);
+    }
+  }
+
+  /**
+   * Let an ID act with the principal of a connection, e.g. a workflow with that of the client that started it
+   * The principal stays bound after the connection closes, until unbindConnection is called for the ID
+   * @param connectionId - The ID to bind
+   * @param fromConnectionId - The connection whose principal it gets
+   */
+  inheritPrincipal(connectionId: string, fromConnectionId: string): void {
+    const principal = this.principals.get(fromConnectionId);
+    if (principal) {
+      this.principals.set(connectionId, principal);
+    }
+  }
+
+  /**
+   * Forget the principal of a closed connection
+   * @param connectionId - The connection ID
+   */
+  unbindConnection(connectionId: string): void {
+    this.principals.delete(connectionId);
+  }
+
+  /**
+   * Get the principal a connection authenticated as
+   * @param connectionId - The connection ID
+   * @returns The principal, or undefined if the connection did not authenticate
+   */
+  getPrincipal(connectionId: string): Principal | undefined {
+    return this.principals.get(connectionId);
+  }
+
+  /**
+   * Check that a connection may register as the given agent or service
+   * The first credential to register an ID owns it until the orchestrator restarts
+   * @param connectionId - The connection ID
+   * @param kind - Whether an agent or a service is registering
+   * @param identity - The ID and name being registered
+   * @returns An error message, or undefined if the registration is allowed
+   */
+  claimIdentity(connectionId: string, kind: 'agent' | 'service', identity: { id: string; name: string }): string | undefined {
+    if (!this.enabled) {
+      return undefined;
+    }
+
+    const principal = this.principals.get(connectionId);
+    if (!principal) {
+      return 'Connection is not authenticated';
+    }
+
+    if (principal.subject && principal.subject !== identity.id && principal.subject !== identity.name) {
+      return `Not authorized to register as ${kind} '${identity.name}'`;
+    }
+
+    const key = `${kind}:${identity.id}`;
+    const owner = this.identityOwners.get(key);
+    if (owner && owner !== principal.id) {
+      return `${kind === 'agent' ? 'Agent' : 'Service'} ID '${identity.id}' is registered with a different credential`;
+    }
+
+    this.identityOwners.set(key, principal.id);
+    return undefined;
+  }
+
+  /**
+   * Check whether a connection may use an agent, service or MCP server
+   * Principals without roles may use everything; otherwise one of their roles must list the resource or '*'
+   * @param connectionId - The connection ID
+   * @param category - What kind of resource is used
+   * @param resource - The resource's ID and name
+   * @returns Whether access is allowed
+   */
+  isAllowed(connectionId: string, category: Exclude<keyof RolePermissions, 'admin'>, resource: Resource): boolean {
+    if (!this.enabled) {
+      return true;
+    }
+
+    const principal = this.principals.get(connectionId);
+    if (!principal) {
+      return false;
+    }
+
+    if (principal.roles.length === 0) {
+      return true;
+    }
+
+    const roles = this.settings.roles || {};
+    return principal.roles.some(role => {
+      const allowed = roles[role]?.[category] || [];
+      return allowed.includes('*') ||
+        (resource.id !== undefined && allowed.includes(resource.id)) ||
+        (resource.name !== undefined && allowed.includes(resource.name));
+    });
+  }
+
+  /**
+   * Check whether a connection may publish to a topic and receive its messages
+   * Principals without roles may use every topic; otherwise one of their roles must list a pattern matching it
+   * @param connectionId - The connection ID
+   * @param topic - The topic name
+   * @returns Whether access is allowed
+   */
+  isTopicAllowed(connectionId: string, topic: string): boolean {
+    if (!this.enabled) {
+      return true;
+    }
+
+    const principal = this.principals.get(connectionId);
+    if (!principal) {
+      return false;
+    }
+
+    if (principal.roles.length === 0) {
+      return true;
+    }
+
+    const roles = this.settings.roles || {};
+    return principal.roles.some(role =>
+      (roles[role]?.topics || []).some(pattern => pattern === '*' || matchesTopic(pattern, topic))
+    );
+  }
+
+  /**
+   * Check whether a connection may read, message and cancel tasks that other credentials started
+   * Only principals with a role marked `admin` may; without auth every connection may
+   * @param connectionId - The connection ID
+   * @returns Whether access is allowed
+   */
+  isAdmin(connectionId: string): boolean {
+    if (!this.enabled) {
+      return true;
+    }
+
+    const principal = this.principals.get(connectionId);
+    const roles = this.settings.roles || {};
+    return !!principal && principal.roles.some(role => roles[role]?.admin === true);
+  }
+
+  /**
+   * Read the token from an upgrade request
+   * Accepts an `Authorization: Bearer` header, an `X-API-Key` header, or a `token` query parameter for browsers
+   * @private
+   */
+  private extractToken(req: http.IncomingMessage): string | undefined {
+    const authorization = req.headers['authorization'];
+    if (authorization && authorization.startsWith('Bearer ')) {
+      return authorization.slice('Bearer '.length).trim();
+    }
+
+    const apiKey = req.headers['x-api-key'];
+    if (typeof apiKey === 'string' && apiKey) {
+      return apiKey;
+    }
+
+    const url = new URL(req.url || '/', 'http://localhost');
+    return url.searchParams.get('token') || undefined;
+  }
+
+  /**
+   * Find the configured API key matching a token, comparing in constant time
+   * @private
+   */
+  private findApiKey(token: string): ApiKeyCredential | undefined {
+    const presented = this.digest(token);
+    return (this.settings.apiKeys || []).find(credential =>
+      credential.key && crypto.timingSafeEqual(this.digest(credential.key), presented)
+    );
+  }
+
+  /**
+   * @private
+   */
+  private digest(value: string): Buffer {
+    return crypto.createHash('sha256').update(value).digest();
+  }
+
+  /**
+   * Short non-reversible identifier for a secret, used when a credential has no name
+   * @private
+   */
+  private fingerprint(value: string): string {
+    return this.digest(value).toString('hex').slice(0, 12);
+  }
+}
+
+export { AuthManager, Principal, AuthResult };
@@ -0,0 +1,100 @@
+/**
+ * JSON Web Token verification for the ASP Orchestrator
+ * Supports HMAC (HS*) tokens signed with a shared secret and RSA/ECDSA (RS*, ES*) tokens signed with a private key
+ */
+import crypto from 'crypto';
+import { JwtSettings } from '@agentswarmprotocol/types/dist/common';
+
+const HASHES: Record<string, string> = {
+  HS256: 'sha256', HS384: 'sha384', HS512: 'sha512',
+  RS256: 'sha256', RS384: 'sha384', RS512: 'sha512',
+  ES256: 'sha256', ES384: 'sha384', ES512: 'sha512'
+};
+
+/**
+ * Check whether a token has the shape of a JWT
+ * @param token - The token
+ * @returns Whether the token has three dot-separated parts
+ */
+function isJwt(token: string): boolean {
+  return token.split('.').length === 3;
+}
+
+/**
+ * Verify a JWT and return its claims
+ * @param token - The token
+ * @param settings - Key, allowed algorithms and expected issuer and audience
+ * @returns The token's claims
+ * @throws If the signature, algorithm, expiry, issuer or audience is not valid
+ */
+function verifyJwt(token: string, settings: JwtSettings): Record<string, any> {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+  let header: Record<string, any>;
+  let claims: Record<string, any>;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  const algorithms = settings.algorithms || (settings.publicKey ? ['RS256'] : ['HS256']);
+  const algorithm = header.alg;
+  if (!algorithm || !HASHES[algorithm] || !algorithms.includes(algorithm)) {
+    throw new Error(`Token algorithm '${algorithm}' is not allowed`);
+  }
+
+  const data = `${encodedHeader}.${encodedPayload}`;
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  const hash = HASHES[algorithm];
+
+  let valid: boolean;
+  if (algorithm.startsWith('HS')) {
+    if (!settings.secret) {
+      throw new Error('No secret configured for HMAC tokens');
+    }
+    const expected = crypto.createHmac(hash, settings.secret).update(data).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else {
+    if (!settings.publicKey) {
+      throw new Error('No public key configured for signed tokens');
+    }
+    valid = crypto.verify(hash, Buffer.from(data), {
+      key: settings.publicKey,
+      // JWTs carry raw r||s ECDSA signatures rather than DER
+      dsaEncoding: algorithm.startsWith('ES') ? 'ieee-p1363' : undefined
+    }, signature);
+  }
+
+  if (!valid) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = settings.clockTolerance || 0;
+
+  if (typeof claims.exp === 'number' && now > claims.exp + tolerance) {
+    throw new Error('Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf - tolerance) {
+    throw new Error('Token is not valid yet');
+  }
+  if (settings.issuer && claims.iss !== settings.issuer) {
+    throw new Error('Token issuer is not accepted');
+  }
+  if (settings.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(settings.audience)) {
+      throw new Error('Token audience is not accepted');
+    }
+  }
+
+  return claims;
+}
+
+export { isJwt, verifyJwt };
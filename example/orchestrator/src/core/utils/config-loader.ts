@@ -101,6 +101,7 @@ class ConfigLoader {
     clientPort: number;
     servicePort: number;
     logLevel: string;
+    singlePort?: number;
   } {
     // Ensure config is loaded
     if (!this.config) {
@@ -125,6 +126,15 @@ class ConfigLoader {
     const logLevelFromCli = this.cliArgs.logLevel && typeof this.cliArgs.logLevel === 'string'
       ? this.cliArgs.logLevel
       : undefined;
+
+    const singlePortFromCli = this.cliArgs.singlePort && typeof this.cliArgs.singlePort === 'string'
+      ? parseInt(this.cliArgs.singlePort, 10)
+      : undefined;
+
+    const singlePortSettings = orchestratorSettings.singlePort;
+    const singlePortFromConfig = singlePortSettings?.enabled
+      ? singlePortSettings.port || 3000
+      : undefined;
     
     // Priority: CLI args > provided options > config file > environment vars > defaults
     return {
@@ -150,7 +160,14 @@ class ConfigLoader {
                 options.logLevel || 
                 orchestratorSettings.logLevel || 
                 process.env.LOG_LEVEL || 
-                'info'
+                'info',
+
+      // Unset means the usual three ports
+      singlePort: singlePortFromCli ||
+                  options.singlePort ||
+                  singlePortFromConfig ||
+                  Number(process.env.SINGLE_PORT) ||
+                  undefined
     };
   }
 
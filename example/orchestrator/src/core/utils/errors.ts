@@ -0,0 +1,35 @@
+/**
+ * Typed errors for the ASP Orchestrator
+ * Their codes go out with the error messages they cause, so callers such as the REST API can tell failures apart
+ * without matching message text
+ */
+
+// Error code when a task, agent, service, MCP server or workflow a request names does not exist
+const NOT_FOUND = 'NOT_FOUND';
+// Error code when the caller's credential does not allow the request
+const NOT_AUTHORIZED = 'NOT_AUTHORIZED';
+
+/**
+ * Thrown when something a request names does not exist
+ */
+class NotFoundError extends Error {
+  readonly code: string = NOT_FOUND;
+}
+
+/**
+ * Thrown when the caller's credential does not allow a request
+ */
+class NotAuthorizedError extends Error {
+  readonly code: string = NOT_AUTHORIZED;
+}
+
+/**
+ * Get the code of a typed orchestrator error
+ * @param error - The caught error
+ * @returns The error's code, or undefined for any other error
+ */
+function getErrorCode(error: unknown): string | undefined {
+  return error instanceof NotFoundError || error instanceof NotAuthorizedError ? error.code : undefined;
+}
+
+export { NOT_FOUND, NOT_AUTHORIZED, NotFoundError, NotAuthorizedError, getErrorCode };
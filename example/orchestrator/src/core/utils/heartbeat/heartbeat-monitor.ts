@@ -0,0 +1,137 @@
+/**
+ * Heartbeats for the ASP Orchestrator
+ * Pings every agent, client and service connection at a fixed interval, so a peer that stops answering
+ * is noticed even when its TCP connection is left half open
+ */
+import WebSocket from 'ws';
+import { EventEmitter } from 'events';
+import { ConnectionType, HeartbeatSettings } from '@agentswarmprotocol/types/dist/common';
+
+const DEFAULT_INTERVAL = 30 * 1000;
+const DEFAULT_MISS_THRESHOLD = 3;
+
+interface WatchedConnection {
+  connectionType: ConnectionType;
+  ws: WebSocket;
+  // Whether the peer answered a ping or sent a message since the last ping
+  alive: boolean;
+  // Pings in a row left unanswered
+  missed: number;
+}
+
+/**
+ * HeartbeatMonitor - Pings connections and reports the ones that stop answering
+ * Emits `<type>.unresponsive` (connectionId, missed) on the event bus at the first unanswered ping,
+ * `<type>.responsive` (connectionId) when such a peer is heard from again, and `<type>.heartbeat.timeout`
+ * (connectionId, missed) just before closing a connection that reached the miss threshold
+ */
+class HeartbeatMonitor {
+  private eventBus: EventEmitter;
+  private enabled: boolean;
+  private interval: number;
+  private missThreshold: number;
+  private connections: Map<string, WatchedConnection>;
+  private timer?: NodeJS.Timeout;
+
+  /**
+   * Create a new HeartbeatMonitor
+   * @param eventBus - Event bus the status changes are emitted on
+   * @param settings - Heartbeat settings from the orchestrator configuration
+   */
+  constructor(eventBus: EventEmitter, settings: HeartbeatSettings = {}) {
+    this.eventBus = eventBus;
+    this.enabled = settings.enabled !== false;
+    this.interval = settings.interval ?? DEFAULT_INTERVAL;
+    this.missThreshold = Math.max(1, settings.missThreshold ?? DEFAULT_MISS_THRESHOLD);
+    this.connections = new Map();
+  }
+
+  /**
+   * Start pinging the watched connections
+   */
+  start(): void {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.beat(), this.interval);
+  }
+
+  /**
+   * Stop pinging and forget all connections
+   */
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = undefined;
+    }
+    this.connections.clear();
+  }
+
+  /**
+   * Watch a newly opened connection until it closes
+   * Call this before adding the server's own message listener, so a returning peer is marked responsive
+   * before its message is handled
+   * @param connectionType - Kind of peer on the connection
+   * @param connectionId - The connection ID
+   * @param ws - The connection's WebSocket
+   */
+  watch(connectionType: ConnectionType, connectionId: string, ws: WebSocket): void {
+    if (!this.enabled) {
+      return;
+    }
+
+    const watched: WatchedConnection = { connectionType, ws, alive: true, missed: 0 };
+    this.connections.set(connectionId, watched);
+
+    const heard = () => this.handleActivity(connectionId, watched);
+    ws.on('pong', heard);
+    ws.on('message', heard);
+    ws.once('close', () => {
+      if (this.connections.get(connectionId) === watched) {
+        this.connections.delete(connectionId);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  private handleActivity(connectionId: string, watched: WatchedConnection): void {
+    watched.alive = true;
+    if (watched.missed > 0) {
+      watched.missed = 0;
+      this.eventBus.emit(`${watched.connectionType}.responsive`, connectionId);
+    }
+  }
+
+  /**
+   * Count the unanswered ping of every connection that stayed silent, then ping them all again
+   * @private
+   */
+  private beat(): void {
+    this.connections.forEach((watched, connectionId) => {
+      if (!watched.alive) {
+        watched.missed++;
+
+        if (watched.missed >= this.missThreshold) {
+          this.connections.delete(connectionId);
+          this.eventBus.emit(`${watched.connectionType}.heartbeat.timeout`, connectionId, watched.missed);
+          // The server's close handler takes the peer offline as for any other disconnection
+          watched.ws.terminate();
+          return;
+        }
+
+        if (watched.missed === 1) {
+          this.eventBus.emit(`${watched.connectionType}.unresponsive`, connectionId, watched.missed);
+        }
+      }
+
+      watched.alive = false;
+      if (watched.ws.readyState === WebSocket.OPEN) {
+        watched.ws.ping();
+      }
+    });
+  }
+}
+
+export { HeartbeatMonitor };
@@ -5,26 +5,43 @@
 
 import { MCPManager, MCPServer, MCPServerConfig, MCPConnection, MCPTool } from './mcp-manager';
 import { MCPClient, MCPServerConfig as ClientServerConfig } from './mcp-client';
-import { MCPAdapter, MCPServerFilters } from './mcp-adapter';
+import { MCPAdapter, MCPServerFilters, MCPResourceSubscriber, MCPAdapterOptions, MCPCallerResolver } from './mcp-adapter';
+import { MCPSupervisor, MCPServerHealth } from './mcp-supervisor';
+import { SwarmMCPServer } from './swarm-mcp-server';
+import { MCPAccessPolicy, MCPAccessDeniedError, MCPAccessDecision, MCP_ACCESS_DENIED } from './mcp-access-policy';
+import { MCPAuditLog, MCPAuditRecord } from './mcp-audit-log';
 import { EventEmitter } from 'events';
 
 /**
  * Set up the MCP components with an event bus
  * @param eventBus - Event emitter for communication
+ * @param options - Access policy for tool calls, and how to identify callers for it
  * @returns MCP interface
  */
-export function setup(eventBus: EventEmitter): MCPAdapter {
-  return new MCPAdapter(eventBus);
+export function setup(eventBus: EventEmitter, options: MCPAdapterOptions = {}): MCPAdapter {
+  return new MCPAdapter(eventBus, options);
 }
 
 export {
   MCPManager,
   MCPClient,
   MCPAdapter,
+  MCPSupervisor,
+  MCPServerHealth,
+  SwarmMCPServer,
+  MCPAccessPolicy,
+  MCPAccessDeniedError,
+  MCPAccessDecision,
+  MCP_ACCESS_DENIED,
+  MCPAuditLog,
+  MCPAuditRecord,
   MCPServer,
   MCPServerConfig,
   MCPConnection,
   MCPTool,
   ClientServerConfig,
-  MCPServerFilters
+  MCPServerFilters,
+  MCPResourceSubscriber,
+  MCPAdapterOptions,
+  MCPCallerResolver
 }; 
\ No newline at end of file
@@ -0,0 +1,226 @@
+/**
+ * MCP access policy for the ASP Orchestrator
+ * Decides which agents and clients may call which tools of which MCP servers, and with which arguments
+ */
+import path from 'path';
+import { ConnectionType, MCPPolicySettings, MCPPolicyRule, MCPArgumentConstraint } from '@agentswarmprotocol/types/dist/common';
+import { NotAuthorizedError } from '../errors';
+
+// Error code of tool calls the policy denies
+const MCP_ACCESS_DENIED = 'MCP_ACCESS_DENIED';
+
+/**
+ * Interface for who is calling, as far as the orchestrator knows
+ */
+interface MCPCallerIdentity {
+  type: ConnectionType;
+  connectionId?: string;
+  id?: string;
+  name?: string;
+}
+
+/**
+ * Interface for a tool call to decide on
+ */
+interface MCPToolCall {
+  caller: MCPCallerIdentity;
+  server: { id: string; name: string };
+  toolName: string;
+  args: Record<string, any>;
+}
+
+/**
+ * Interface for the policy's decision on a call
+ */
+interface MCPAccessDecision {
+  allowed: boolean;
+  // Position of the deciding rule, counted from 1; none when the default action decided
+  rule?: number;
+  reason?: string;
+}
+
+/**
+ * Thrown for a tool call the policy denies
+ */
+class MCPAccessDeniedError extends NotAuthorizedError {
+  readonly code: string = MCP_ACCESS_DENIED;
+}
+
+class MCPAccessPolicy {
+  private enabled: boolean;
+  private defaultAction: 'allow' | 'deny';
+  private rules: MCPPolicyRule[];
+  // Compiled name patterns, by pattern
+  private patterns: Map<string, RegExp>;
+
+  /**
+   * Create a new MCPAccessPolicy
+   * @param settings - MCP policy settings from the orchestrator configuration
+   * @throws If a rule has an unknown effect or an invalid argument pattern
+   */
+  constructor(settings: MCPPolicySettings = {}) {
+    this.enabled = settings.enabled !== false;
+    this.defaultAction = settings.defaultAction === 'deny' ? 'deny' : 'allow';
+    this.rules = settings.rules || [];
+    this.patterns = new Map();
+
+    this.rules.forEach((rule, index) => {
+      if (rule.effect !== 'allow' && rule.effect !== 'deny') {
+        throw new Error(`MCP policy rule ${index + 1} needs an effect of 'allow' or 'deny'`);
+      }
+      Object.entries(rule.arguments || {}).forEach(([name, constraint]) => {
+        if (constraint.pattern === undefined) {
+          return;
+        }
+        try {
+          new RegExp(constraint.pattern);
+        } catch (error) {
+          throw new Error(`MCP policy rule ${index + 1} has an invalid pattern for argument '${name}': ${(error as Error).message}`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Whether the policy has rules to apply
+   */
+  isEnabled(): boolean {
+    return this.enabled;
+  }
+
+  /**
+   * Decide on a tool call with the first rule that matches it, or the default action if none does
+   * @param call - Caller, server, tool and arguments of the call
+   * @returns The decision
+   */
+  check(call: MCPToolCall): MCPAccessDecision {
+    if (!this.enabled) {
+      return { allowed: true };
+    }
+
+    const index = this.rules.findIndex(rule => this.matchesCaller(rule, call.caller) &&
+      this.matchesAny(rule.servers, [call.server.id, call.server.name]) &&
+      this.matchesAny(rule.tools, [call.toolName]));
+
+    if (index === -1) {
+      return this.defaultAction === 'allow'
+        ? { allowed: true }
+        : { allowed: false, reason: 'no policy rule allows it' };
+    }
+
+    const rule = this.rules[index];
+    if (rule.effect === 'deny') {
+      return { allowed: false, rule: index + 1, reason: rule.reason || `denied by policy rule ${index + 1}` };
+    }
+
+    const violation = this.checkArguments(rule.arguments || {}, call.args || {});
+    return violation
+      ? { allowed: false, rule: index + 1, reason: rule.reason ? `${rule.reason}: ${violation}` : violation }
+      : { allowed: true, rule: index + 1 };
+  }
+
+  /**
+   * Whether a rule applies to the caller; agents are matched against `agents` and clients against `clients`
+   * @private
+   */
+  private matchesCaller(rule: MCPPolicyRule, caller: MCPCallerIdentity): boolean {
+    if (!rule.agents && !rule.clients) {
+      return true;
+    }
+
+    const patterns = caller.type === 'agent' ? rule.agents : caller.type === 'client' ? rule.clients : undefined;
+    return patterns !== undefined && this.matchesAny(patterns, [caller.id, caller.name]);
+  }
+
+  /**
+   * Whether one of the patterns matches one of the values; no patterns match everything
+   * A lone '*' also matches callers the orchestrator could not identify
+   * @private
+   */
+  private matchesAny(patterns: string[] | undefined, values: Array<string | undefined>): boolean {
+    if (!patterns) {
+      return true;
+    }
+
+    return patterns.some(pattern => pattern === '*' ||
+      values.some(value => value !== undefined && this.compile(pattern).test(value)));
+  }
+
+  /**
+   * @private
+   */
+  private compile(pattern: string): RegExp {
+    let compiled = this.patterns.get(pattern);
+    if (!compiled) {
+      const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      compiled = new RegExp(`^${source}$`);
+      this.patterns.set(pattern, compiled);
+    }
+    return compiled;
+  }
+
+  /**
+   * Find the first argument that breaks its constraint
+   * @returns What is wrong, or null if every constraint is met
+   * @private
+   */
+  private checkArguments(constraints: Record<string, MCPArgumentConstraint>, args: Record<string, any>): string | null {
+    for (const [name, constraint] of Object.entries(constraints)) {
+      const value = args[name];
+      if (value === undefined) {
+        if (constraint.required) {
+          return `argument '${name}' is required`;
+        }
+        continue;
+      }
+
+      for (const item of Array.isArray(value) ? value : [value]) {
+        const problem = this.checkValue(constraint, item);
+        if (problem) {
+          return `argument '${name}' ${problem}`;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  private checkValue(constraint: MCPArgumentConstraint, value: any): string | null {
+    if (constraint.values && !constraint.values.some(allowed => JSON.stringify(allowed) === JSON.stringify(value))) {
+      return `must be one of ${constraint.values.map(allowed => JSON.stringify(allowed)).join(', ')}`;
+    }
+
+    if (constraint.pattern !== undefined && (typeof value !== 'string' || !new RegExp(constraint.pattern).test(value))) {
+      return `must match ${constraint.pattern}`;
+    }
+
+    if (constraint.pathPrefix !== undefined) {
+      const prefixes = Array.isArray(constraint.pathPrefix) ? constraint.pathPrefix : [constraint.pathPrefix];
+      if (typeof value !== 'string' || !prefixes.some(prefix => isInside(value, prefix))) {
+        return `must be a path inside ${prefixes.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Whether a path is a directory or inside it once '.' and '..' segments are resolved
+ * Relative paths are only inside relative prefixes, since the server's working directory is unknown
+ * @private
+ */
+function isInside(value: string, prefix: string): boolean {
+  const normalize = (text: string) => path.posix.normalize(text.replace(/\\/g, '/'));
+  const target = normalize(value);
+  const directory = normalize(prefix).replace(/\/+$/, '');
+
+  if (target.startsWith('../') || target === '..') {
+    return false;
+  }
+  return target === directory || target.startsWith(`${directory}/`);
+}
+
+export { MCPAccessPolicy, MCPAccessDeniedError, MCPAccessDecision, MCPCallerIdentity, MCPToolCall, MCP_ACCESS_DENIED };
@@ -1,8 +1,12 @@
 import { v4 as uuidv4 } from 'uuid';
-import { MCPClient } from './mcp-client';
+import { MCPClient, MCPTransportType, MCPReconnectSettings, MCPHealthCheckSettings, resolveTransportType } from './mcp-client';
 import { MCPManager } from './mcp-manager';
+import { MCPSupervisor } from './mcp-supervisor';
+import { MCPAccessPolicy, MCPAccessDeniedError } from './mcp-access-policy';
+import { MCPAuditLog } from './mcp-audit-log';
+import { NotFoundError } from '../errors';
 import { EventEmitter } from 'events';
-import { MCPInterface } from '@agentswarmprotocol/types/dist/common';
+import { MCPInterface, ConnectionType, MCPCaller, MCPPolicySettings, MCPResource, MCPResourceTemplate, MCPResourceContents, MCPPrompt, MCPPromptResult } from '@agentswarmprotocol/types/dist/common';
 
 // Interfaces for MCP-related types
 interface MCPServerConfig {
@@ -13,6 +17,11 @@ interface MCPServerConfig {
   capabilities?: string[];
   command?: string;
   args?: string[];
+  url?: string;
+  transport?: MCPTransportType;
+  headers?: Record<string, string>;
+  reconnect?: MCPReconnectSettings;
+  healthCheck?: MCPHealthCheckSettings;
   metadata?: Record<string, any>;
 }
 
@@ -26,7 +35,15 @@ interface MCPServer {
   connectionId?: string | null;
   command?: string;
   args?: string[];
+  url?: string;
+  transport?: MCPTransportType;
+  headers?: Record<string, string>;
+  reconnect?: MCPReconnectSettings;
+  healthCheck?: MCPHealthCheckSettings;
   metadata: Record<string, any>;
+  restartCount?: number;
+  lastError?: string;
+  lastErrorAt?: string;
 }
 
 interface MCPExecuteToolMessage {
@@ -42,29 +59,73 @@ interface MCPAgentRequest {
   serverId?: string;
   toolName?: string;
   toolArgs?: Record<string, any>;
+  uri?: string;
+  promptName?: string;
+  promptArgs?: Record<string, string>;
   filters?: MCPServerFilters;
 }
 
+interface MCPResourceSubscriber {
+  type: ConnectionType;
+  connectionId: string;
+}
+
 interface MCPServerFilters {
   type?: string;
   status?: string;
   capabilities?: string[];
 }
 
+/**
+ * Finds the ID and name of the agent or client behind a connection, for matching policy rules
+ */
+type MCPCallerResolver = (type: ConnectionType, connectionId: string) => { id?: string; name?: string } | undefined;
+
+interface MCPAdapterOptions {
+  policy?: MCPPolicySettings;
+  identify?: MCPCallerResolver;
+}
+
 /**
  * MCPAdapter - Adapter for integrating MCP servers with the orchestrator
  * Handles the translation between orchestrator requests and MCP protocol
  * Implements MCPInterface for MessageHandler
+ * Emits `mcp.resource.updated` ({ serverId, uri }, subscribers) on the event bus when a subscribed resource changes
  */
 class MCPAdapter implements MCPInterface {
   private mcpManager: MCPManager;
   private eventBus: EventEmitter;
   private activeClients: Map<string, MCPClient>;
+  private supervisor: MCPSupervisor;
+  // Agents and clients subscribed to each resource, by server ID, then URI, then connection ID
+  private resourceSubscribers: Map<string, Map<string, Map<string, MCPResourceSubscriber>>>;
+  private policy: MCPAccessPolicy;
+  private auditLog: MCPAuditLog;
+  private identify: MCPCallerResolver;
   
-  constructor(eventBus: EventEmitter) {
+  constructor(eventBus: EventEmitter, options: MCPAdapterOptions = {}) {
     this.mcpManager = new MCPManager();
     this.eventBus = eventBus;
     this.activeClients = new Map();  // Map of serverIds to MCPClient instances
+    this.supervisor = new MCPSupervisor();
+    this.resourceSubscribers = new Map();
+    // Without a configured policy every call is allowed and nothing is audited
+    this.policy = new MCPAccessPolicy(options.policy || { enabled: false });
+    this.auditLog = new MCPAuditLog(options.policy?.audit);
+    this.identify = options.identify || (() => undefined);
+
+    this.supervisor.events.on('status', (serverId: string, status: string) => {
+      const server = this.mcpManager.getServerById(serverId);
+      if (server) {
+        server.status = status;
+      }
+    });
+    this.supervisor.events.on('restarted', (serverId: string) => this.restoreSubscriptions(serverId));
+    this.supervisor.events.on('stopped', (serverId: string, error: Error) => {
+      console.error(error.message);
+      // The next request for the server connects from scratch
+      this.activeClients.delete(serverId);
+    });
   }
 
   /**
@@ -81,6 +142,11 @@ class MCPAdapter implements MCPInterface {
       capabilities: server.capabilities || [],
       command: server.command,
       args: server.args,
+      url: server.url,
+      transport: server.transport,
+      headers: server.headers,
+      reconnect: server.reconnect,
+      healthCheck: server.healthCheck,
       metadata: server.metadata || {}
     });
   }
@@ -104,10 +170,11 @@ class MCPAdapter implements MCPInterface {
    * @param {string} serverId - Server ID
    * @param {string} toolName - Tool name
    * @param {any} args - Tool arguments
+   * @param {MCPCaller} caller - Agent or client making the call
    * @returns {Promise<any>} Tool result
    */
-  async executeServerTool(serverId: string, toolName: string, args: any): Promise<any> {
-    return this.executeMCPTool(serverId, toolName, args);
+  async executeServerTool(serverId: string, toolName: string, args: any, caller: MCPCaller): Promise<any> {
+    return this.executeMCPTool(serverId, toolName, args, caller);
   }
 
   /**
@@ -116,16 +183,20 @@ class MCPAdapter implements MCPInterface {
    * @returns {Object} Registration result
    */
   async registerMCPServer(message: MCPServerConfig): Promise<{ serverId: string, name: string, status: string }> {
-    const { id, name, path, type, capabilities, command, args, metadata } = message;
+    const { id, name, path, type, capabilities, command, args, url, transport, headers, reconnect, healthCheck, metadata } = message;
     
     // For manually registered servers (from API)
-    if (!id && (!name || !path)) {
-      throw new Error('Server name and path are required for MCP server registration');
+    if (!id && (!name || (!path && !url))) {
+      throw new Error('Server name and either path or url are required for MCP server registration');
     }
     
     // For pre-configured servers (from config)
-    if (id && (!name || (!path && !command))) {
-      throw new Error('Server name and either path or command are required for MCP server registration');
+    if (id && (!name || (!path && !command && !url))) {
+      throw new Error('Server name and either path, command or url are required for MCP server registration');
+    }
+
+    if (url && resolveTransportType({ url, transport }) === 'stdio') {
+      throw new Error(`MCP server ${name} has a url, so its transport must be 'sse' or 'streamable-http'`);
     }
     
     const server = this.mcpManager.registerServer({
@@ -136,6 +207,11 @@ class MCPAdapter implements MCPInterface {
       capabilities: capabilities || [],
       command, // Add command for launching server
       args, // Add arguments for command
+      url, // Remote servers are reached over HTTP instead of being launched
+      transport,
+      headers,
+      reconnect,
+      healthCheck,
       metadata: metadata || {}
     });
     
@@ -154,12 +230,13 @@ class MCPAdapter implements MCPInterface {
   async connectToMCPServer(serverId: string): Promise<{ serverId: string, status: string, tools: any[] }> {
     const server = this.mcpManager.getServerById(serverId);
     if (!server) {
-      throw new Error(`MCP Server not found: ${serverId}`);
+      throw new NotFoundError(`MCP Server not found: ${serverId}`);
     }
     
     // Check if we already have a client for this server
     if (this.activeClients.has(serverId)) {
       console.log(`Client already exists for server ${server.name}, reconnecting`);
+      this.supervisor.release(serverId);
       await this.activeClients.get(serverId)?.disconnect();
       this.activeClients.delete(serverId);
     }
@@ -170,13 +247,24 @@ class MCPAdapter implements MCPInterface {
       path: server.path,
       command: server.command,
       args: server.args,
-      type: server.type
+      type: server.type,
+      url: server.url,
+      transport: server.transport,
+      headers: server.headers,
+      reconnect: server.reconnect,
+      healthCheck: server.healthCheck
     });
     
-    const tools = await client.connect();
-    
-    // Store the client
+    // Stored before connecting so requests made while the supervisor retries a failed start find it
     this.activeClients.set(serverId, client);
+    client.events.on('resource.updated', (uri: string) => this.handleResourceUpdated(serverId, uri));
+    
+    const tools = await this.supervisor.start(serverId, client, {
+      name: server.name,
+      reconnect: server.reconnect,
+      healthCheck: server.healthCheck
+    });
+    await this.restoreSubscriptions(serverId);
     
     // Update server status
     server.status = 'online';
@@ -197,9 +285,10 @@ class MCPAdapter implements MCPInterface {
   async disconnectMCPServer(serverId: string): Promise<{ serverId: string, status: string }> {
     const server = this.mcpManager.getServerById(serverId);
     if (!server) {
-      throw new Error(`MCP Server not found: ${serverId}`);
+      throw new NotFoundError(`MCP Server not found: ${serverId}`);
     }
     
+    this.supervisor.release(serverId);
     const client = this.activeClients.get(serverId);
     if (client) {
       await client.disconnect();
@@ -220,12 +309,73 @@ class MCPAdapter implements MCPInterface {
    * @param {string} serverId - ID of the server
    * @param {string} toolName - Name of the tool to execute
    * @param {Record<string, any>} toolArgs - Arguments for the tool
+   * @param {MCPCaller} caller - Agent or client making the call
    * @returns {Promise<any>} Tool execution result
+   * @throws {MCPAccessDeniedError} If the access policy denies the call
    */
-  async executeMCPTool(serverId: string, toolName: string, toolArgs: Record<string, any>): Promise<any> {
+  async executeMCPTool(serverId: string, toolName: string, toolArgs: Record<string, any>, caller: MCPCaller): Promise<any> {
     const server = this.mcpManager.getServerById(serverId);
     if (!server) {
-      throw new Error(`MCP Server not found: ${serverId}`);
+      throw new NotFoundError(`MCP Server not found: ${serverId}`);
+    }
+
+    this.authorize(server, toolName, toolArgs, caller);
+    
+    const client = await this.getConnectedClient(serverId);
+    return await client.executeTool(toolName, toolArgs);
+  }
+
+  /**
+   * Check a tool call against the access policy and audit the decision
+   * @param {MCPServer} server - Server the tool belongs to
+   * @param {string} toolName - Name of the tool
+   * @param {Record<string, any>} toolArgs - Arguments for the tool
+   * @param {MCPCaller} caller - Agent or client making the call
+   * @throws {MCPAccessDeniedError} If the policy denies the call
+   * @private
+   */
+  private authorize(server: MCPServer, toolName: string, toolArgs: Record<string, any>, caller: MCPCaller): void {
+    if (!this.policy.isEnabled()) {
+      return;
+    }
+
+    const identity = { ...caller, ...(caller.connectionId ? this.identify(caller.type, caller.connectionId) : undefined) };
+    const decision = this.policy.check({
+      caller: identity,
+      server: { id: server.id, name: server.name },
+      toolName,
+      args: toolArgs || {}
+    });
+
+    this.auditLog.record({
+      decision: decision.allowed ? 'allowed' : 'denied',
+      callerType: identity.type,
+      callerId: identity.id,
+      callerName: identity.name,
+      connectionId: identity.connectionId,
+      serverId: server.id,
+      serverName: server.name,
+      toolName,
+      arguments: toolArgs || {},
+      rule: decision.rule,
+      reason: decision.reason
+    });
+
+    if (!decision.allowed) {
+      throw new MCPAccessDeniedError(`Not authorized to call MCP tool '${toolName}' on server '${server.name}': ${decision.reason}`);
+    }
+  }
+
+  /**
+   * Get the connected client of an MCP server, connecting to the server first if needed
+   * @param {string} serverId - ID of the server
+   * @returns {Promise<MCPClient>} The server's client
+   * @private
+   */
+  private async getConnectedClient(serverId: string): Promise<MCPClient> {
+    const server = this.mcpManager.getServerById(serverId);
+    if (!server) {
+      throw new NotFoundError(`MCP Server not found: ${serverId}`);
     }
     
     // Connect to the server if not already connected
@@ -237,8 +387,131 @@ class MCPAdapter implements MCPInterface {
     if (!client) {
       throw new Error(`Client not found for server: ${serverId}`);
     }
-    
-    return await client.executeTool(toolName, toolArgs);
+    if (!client.isConnected()) {
+      const { lastError } = this.supervisor.getHealth(serverId);
+      throw new Error(`MCP server ${server.name} is ${server.status}${lastError ? ` after an error: ${lastError}` : ''}`);
+    }
+    return client;
+  }
+
+  /**
+   * List the resources and resource templates of an MCP server
+   * @param {string} serverId - ID of the server
+   * @returns {Promise<Object>} Resources and resource templates
+   */
+  async listMCPResources(serverId: string): Promise<{ resources: MCPResource[], resourceTemplates: MCPResourceTemplate[] }> {
+    const client = await this.getConnectedClient(serverId);
+    return client.listResources();
+  }
+
+  /**
+   * Read a resource from an MCP server
+   * @param {string} serverId - ID of the server
+   * @param {string} uri - URI of the resource
+   * @returns {Promise<MCPResourceContents[]>} The resource's contents
+   */
+  async readMCPResource(serverId: string, uri: string): Promise<MCPResourceContents[]> {
+    const client = await this.getConnectedClient(serverId);
+    return client.readResource(uri);
+  }
+
+  /**
+   * Subscribe an agent or client to changes of a resource
+   * The server is only asked to report changes once, however many connections subscribe
+   * @param {string} serverId - ID of the server
+   * @param {string} uri - URI of the resource
+   * @param {MCPResourceSubscriber} subscriber - The subscribing connection
+   */
+  async subscribeMCPResource(serverId: string, uri: string, subscriber: MCPResourceSubscriber): Promise<void> {
+    const client = await this.getConnectedClient(serverId);
+    await client.subscribeResource(uri);
+
+    const byUri = this.resourceSubscribers.get(serverId) || new Map<string, Map<string, MCPResourceSubscriber>>();
+    const subscribers = byUri.get(uri) || new Map<string, MCPResourceSubscriber>();
+    subscribers.set(subscriber.connectionId, subscriber);
+    byUri.set(uri, subscribers);
+    this.resourceSubscribers.set(serverId, byUri);
+  }
+
+  /**
+   * Unsubscribe a connection from changes of a resource
+   * @param {string} serverId - ID of the server
+   * @param {string} uri - URI of the resource
+   * @param {string} connectionId - The connection ID
+   */
+  async unsubscribeMCPResource(serverId: string, uri: string, connectionId: string): Promise<void> {
+    const subscribers = this.resourceSubscribers.get(serverId)?.get(uri);
+    if (!subscribers?.delete(connectionId) || subscribers.size > 0) {
+      return;
+    }
+
+    this.resourceSubscribers.get(serverId)?.delete(uri);
+    await this.activeClients.get(serverId)?.unsubscribeResource(uri);
+  }
+
+  /**
+   * Drop every resource subscription of a connection, once it disconnects
+   * @param {string} connectionId - The connection ID
+   */
+  removeResourceSubscriber(connectionId: string): void {
+    this.resourceSubscribers.forEach((byUri, serverId) => {
+      byUri.forEach((subscribers, uri) => {
+        if (subscribers.has(connectionId)) {
+          this.unsubscribeMCPResource(serverId, uri, connectionId).catch(error => {
+            console.error(`Failed to unsubscribe from MCP resource ${uri}:`, error);
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * List the prompts of an MCP server
+   * @param {string} serverId - ID of the server
+   * @returns {Promise<MCPPrompt[]>} The prompts
+   */
+  async listMCPPrompts(serverId: string): Promise<MCPPrompt[]> {
+    const client = await this.getConnectedClient(serverId);
+    return client.listPrompts();
+  }
+
+  /**
+   * Render a prompt of an MCP server
+   * @param {string} serverId - ID of the server
+   * @param {string} promptName - Name of the prompt
+   * @param {Record<string, string>} promptArgs - Values of the prompt's arguments
+   * @returns {Promise<MCPPromptResult>} The prompt's description and messages
+   */
+  async getMCPPrompt(serverId: string, promptName: string, promptArgs: Record<string, string> = {}): Promise<MCPPromptResult> {
+    const client = await this.getConnectedClient(serverId);
+    return client.getPrompt(promptName, promptArgs);
+  }
+
+  /**
+   * Pass a resource change on to the resource's subscribers
+   * @private
+   */
+  private handleResourceUpdated(serverId: string, uri: string): void {
+    const subscribers = this.resourceSubscribers.get(serverId)?.get(uri);
+    if (subscribers && subscribers.size > 0) {
+      this.eventBus.emit('mcp.resource.updated', { serverId, uri }, Array.from(subscribers.values()));
+    }
+  }
+
+  /**
+   * Subscribe a server's current client to the resources agents and clients subscribed to through an earlier one
+   * @private
+   */
+  private async restoreSubscriptions(serverId: string): Promise<void> {
+    const client = this.activeClients.get(serverId);
+    const uris = Array.from(this.resourceSubscribers.get(serverId)?.keys() || []);
+    for (const uri of uris) {
+      try {
+        await client?.subscribeResource(uri);
+      } catch (error) {
+        console.error(`Failed to subscribe again to MCP resource ${uri}:`, error);
+      }
+    }
   }
 
   /**
@@ -266,7 +539,11 @@ class MCPAdapter implements MCPInterface {
       id: server.id,
       name: server.name,
       type: server.type,
+      // Headers are left out as they usually carry credentials
+      transport: resolveTransportType(server),
+      url: server.url,
       status: server.status,
+      ...this.supervisor.getHealth(server.id),
       capabilities: server.capabilities,
       metadata: server.metadata
     }));
@@ -280,7 +557,7 @@ class MCPAdapter implements MCPInterface {
   async listMCPTools(serverId: string): Promise<any[]> {
     const server = this.mcpManager.getServerById(serverId);
     if (!server) {
-      throw new Error(`MCP Server not found: ${serverId}`);
+      throw new NotFoundError(`MCP Server not found: ${serverId}`);
     }
     
     // Connect to the server if not already connected
@@ -297,17 +574,32 @@ class MCPAdapter implements MCPInterface {
   }
 
   /**
-   * Handle MCP requests from agents
+   * Handle MCP requests from agents, and the resource and prompt requests of clients
    * @param {MCPAgentRequest} message - MCP request message
-   * @param {string} agentId - Requesting agent ID
+   * @param {string} agentId - Connection ID of the requesting agent or client
+   * @param {ConnectionType} connectionType - Whether the request came from an agent or a client
    * @returns {Promise<Object>} MCP operation result
    */
-  async handleAgentMCPRequest(message: MCPAgentRequest, agentId: string): Promise<any> {
-    const { action, mcpServerName, serverId, toolName, toolArgs } = message;
+  async handleAgentMCPRequest(message: MCPAgentRequest, agentId: string, connectionType: ConnectionType = 'agent'): Promise<any> {
+    const { action, mcpServerName, serverId, toolName, toolArgs, uri, promptName, promptArgs } = message;
     
     if (!action) {
       throw new Error('MCP action is required');
     }
+
+    const requireServerId = (): string => {
+      const id = serverId || (mcpServerName ? this.mcpManager.getServerIdByName(mcpServerName) : undefined);
+      if (!id) {
+        throw new Error(`Server ID or name is required to ${action.replace('-', ' ')}`);
+      }
+      return id;
+    };
+    const requireUri = (): string => {
+      if (!uri) {
+        throw new Error('Resource URI is required');
+      }
+      return uri;
+    };
     
     switch (action) {
       case 'list-servers':
@@ -338,15 +630,70 @@ class MCPAdapter implements MCPInterface {
         return {
           serverId: serverIdForExecution,
           toolName,
-          result: await this.executeMCPTool(serverIdForExecution, toolName, toolArgs || {})
+          result: await this.executeMCPTool(serverIdForExecution, toolName, toolArgs || {}, { type: connectionType, connectionId: agentId })
         };
       }
+
+      case 'list-resources': {
+        const id = requireServerId();
+        return { serverId: id, ...await this.listMCPResources(id) };
+      }
+
+      case 'read-resource': {
+        const id = requireServerId();
+        const resourceUri = requireUri();
+        return { serverId: id, uri: resourceUri, contents: await this.readMCPResource(id, resourceUri) };
+      }
+
+      case 'subscribe-resource': {
+        const id = requireServerId();
+        const resourceUri = requireUri();
+        await this.subscribeMCPResource(id, resourceUri, { type: connectionType, connectionId: agentId });
+        return { serverId: id, uri: resourceUri, subscribed: true };
+      }
+
+      case 'unsubscribe-resource': {
+        const id = requireServerId();
+        const resourceUri = requireUri();
+        await this.unsubscribeMCPResource(id, resourceUri, agentId);
+        return { serverId: id, uri: resourceUri, subscribed: false };
+      }
+
+      case 'list-prompts': {
+        const id = requireServerId();
+        return { serverId: id, prompts: await this.listMCPPrompts(id) };
+      }
+
+      case 'get-prompt': {
+        const id = requireServerId();
+        if (!promptName) {
+          throw new Error('Prompt name is required');
+        }
+        return { serverId: id, promptName, ...await this.getMCPPrompt(id, promptName, promptArgs || {}) };
+      }
         
       default:
         throw new Error(`Unknown MCP action: ${action}`);
     }
   }
   
+  /**
+   * Get the latest lines an MCP server wrote to stderr
+   * @param {string} serverId - ID of the server
+   * @returns {string[]} Log lines, oldest first
+   */
+  getServerLog(serverId: string): string[] {
+    return this.supervisor.getLog(serverId);
+  }
+
+  /**
+   * Disconnect from every MCP server without restarting any of them
+   */
+  async disconnectAll(): Promise<void> {
+    this.supervisor.releaseAll();
+    await Promise.all(Array.from(this.activeClients.keys()).map(serverId => this.disconnectMCPServer(serverId)));
+  }
+
   /**
    * Get a server by ID
    * @param {string} serverId - ID of the server
@@ -362,6 +709,9 @@ export {
   MCPServerConfig, 
   MCPServer, 
   MCPServerFilters,
+  MCPAdapterOptions,
+  MCPCallerResolver,
   MCPExecuteToolMessage,
-  MCPAgentRequest
+  MCPAgentRequest,
+  MCPResourceSubscriber
 }; 
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Audit log of MCP tool calls for the ASP Orchestrator
+ * Records the calls the access policy denies, and optionally the ones it allows
+ */
+import fs from 'fs';
+import path from 'path';
+import { ConnectionType, MCPAuditSettings } from '@agentswarmprotocol/types/dist/common';
+import { logger, MessageDirection } from '../logger';
+
+/**
+ * A single entry in the audit log
+ */
+interface MCPAuditRecord {
+  timestamp: string;
+  decision: 'allowed' | 'denied';
+  callerType: ConnectionType;
+  callerId?: string;
+  callerName?: string;
+  connectionId?: string;
+  serverId: string;
+  serverName: string;
+  toolName: string;
+  arguments: Record<string, any>;
+  rule?: number;
+  reason?: string;
+}
+
+class MCPAuditLog {
+  private filePath: string | null;
+  private logAllowed: boolean;
+
+  /**
+   * Create a new MCPAuditLog
+   * @param {MCPAuditSettings} settings - Audit settings from the MCP policy
+   */
+  constructor(settings: MCPAuditSettings = {}) {
+    this.filePath = settings.file ? path.resolve(settings.file) : null;
+    this.logAllowed = settings.logAllowed === true;
+
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+  }
+
+  /**
+   * Record a policy decision; allowed calls are skipped unless `logAllowed` is set
+   * @param {Omit<MCPAuditRecord, 'timestamp'>} entry - The call and its decision
+   */
+  record(entry: Omit<MCPAuditRecord, 'timestamp'>): void {
+    if (entry.decision === 'allowed' && !this.logAllowed) {
+      return;
+    }
+
+    const record: MCPAuditRecord = { timestamp: new Date().toISOString(), ...entry };
+    const caller = `${record.callerType} ${record.callerName || record.callerId || record.connectionId || 'unknown'}`;
+
+    if (record.decision === 'denied') {
+      logger.warn(MessageDirection.INTERNAL, `Denied MCP tool call ${record.serverName}/${record.toolName} from ${caller}: ${record.reason}`);
+    } else {
+      logger.debug(MessageDirection.INTERNAL, `Allowed MCP tool call ${record.serverName}/${record.toolName} from ${caller}`);
+    }
+
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+    } catch (error) {
+      // A full disk must not turn into refused tool calls
+      logger.error(MessageDirection.INTERNAL, `Could not write MCP audit record to ${this.filePath}: ${(error as Error).message}`);
+    }
+  }
+}
+
+export { MCPAuditLog, MCPAuditRecord };
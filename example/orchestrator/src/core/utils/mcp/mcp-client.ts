@@ -1,6 +1,36 @@
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { Transport } from '@modelcontextprotocol/sdk/shared/transport.js';
+import { McpError, ErrorCode, ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
+import { MCPResource, MCPResourceTemplate, MCPResourceContents, MCPPrompt, MCPPromptResult } from '@agentswarmprotocol/types/dist/common';
+
+/**
+ * How the orchestrator talks to an MCP server: a child process over stdio, or a remote server over HTTP
+ */
+type MCPTransportType = 'stdio' | 'sse' | 'streamable-http';
+
+/**
+ * Interface for reconnecting to an MCP server after its connection is lost, restarting it if it is a child process
+ */
+interface MCPReconnectSettings {
+  enabled?: boolean;
+  maxRetries?: number;
+  initialDelay?: number;
+  maxDelay?: number;
+}
+
+/**
+ * Interface for periodically checking that a connected MCP server still answers
+ */
+interface MCPHealthCheckSettings {
+  enabled?: boolean;
+  interval?: number;
+  timeout?: number;
+}
 
 /**
  * Interface for MCP server configuration
@@ -11,6 +41,11 @@ interface MCPServerConfig {
   command?: string;
   args?: string[];
   type: string;
+  url?: string;
+  transport?: MCPTransportType;
+  headers?: Record<string, string>;
+  reconnect?: MCPReconnectSettings;
+  healthCheck?: MCPHealthCheckSettings;
 }
 
 /**
@@ -22,17 +57,33 @@ interface MCPTool {
   inputSchema: Record<string, any>;
 }
 
+/**
+ * Transport an MCP server configuration uses; a `url` without a `transport` means streamable HTTP
+ * @param config - The server configuration
+ */
+function resolveTransportType(config: { url?: string, transport?: MCPTransportType }): MCPTransportType {
+  return config.transport || (config.url ? 'streamable-http' : 'stdio');
+}
+
 /**
  * MCPClient - Client implementation for Model Context Protocol using official SDK
  * Handles communication with MCP servers using the official TypeScript SDK
+ * Emits `disconnected` (error) when the session ends without disconnect() being called, e.g. when the server
+ * process exits, `stderr` (text) for output a stdio server writes to stderr and `resource.updated` (uri) when
+ * the server reports that a subscribed resource changed
  */
 class MCPClient {
   private config: MCPServerConfig;
   private client: Client | null;
-  private transport: StdioClientTransport | null;
+  private transport: Transport | null;
   private tools: MCPTool[];
   private initialized: boolean;
+  // Set while disconnect() closes the session on purpose, so the close is not taken for a lost connection
+  private closing: boolean;
+  // URIs of the resources subscribed to, subscribed again whenever a new session is opened
+  private subscriptions: Set<string>;
   readonly connectionId: string;
+  readonly events: EventEmitter;
 
   constructor(serverConfig: MCPServerConfig) {
     this.config = serverConfig;
@@ -40,7 +91,10 @@ class MCPClient {
     this.transport = null;
     this.tools = [];
     this.initialized = false;
+    this.closing = false;
+    this.subscriptions = new Set();
     this.connectionId = uuidv4();
+    this.events = new EventEmitter();
   }
 
   /**
@@ -53,78 +107,209 @@ class MCPClient {
       await this.disconnect();
     }
 
+    this.closing = false;
+
     try {
-      // Determine command based on server configuration
-      let command: string;
-      let args: string[];
-      
-      if (this.config.command && this.config.args) {
-        // Use explicit command and args from configuration
-        command = this.config.command;
-        args = this.config.args;
-        console.log(`Starting MCP server with command: ${command} ${args.join(' ')}`);
-      } else if (this.config.path) {
-        // Use path-based configuration with type detection
-        switch (this.config.type.toLowerCase()) {
-          case 'python':
-            command = 'python';
-            args = [this.config.path];
-            break;
-          case 'node':
-            command = 'node';
-            args = [this.config.path];
-            break;
-          default:
-            throw new Error(`Unsupported server type: ${this.config.type}`);
-        }
-        console.log(`Starting MCP server with path: ${command} ${args.join(' ')}`);
-      } else {
-        throw new Error('Either command+args or path must be provided for MCP server');
-      }
-      
-      // Create transport using official SDK
-      this.transport = new StdioClientTransport({
-        command,
-        args
-      });
-
-      // Create client using official SDK
-      this.client = new Client(
-        {
-          name: 'orchestrator-mcp-client',
-          version: '1.0.0'
-        },
-        {
-          capabilities: {}
-        }
-      );
-
-      // Connect to the server
-      await this.client.connect(this.transport);
-      
-      this.initialized = true;
+      await this.open();
       
       // List available tools
       this.tools = await this.listTools();
+      await this.resubscribe();
       
       return this.tools;
     } catch (error) {
       console.error('Failed to connect to MCP server:', error);
+      // Drop the half-open session, e.g. a server process that started but did not answer
+      if (this.client) {
+        await this.disconnect();
+      }
       throw error;
     }
   }
 
   /**
-   * List available tools from the MCP server
-   * @returns {Promise<MCPTool[]>} List of available tools
+   * Whether the client currently has a session with the server
+   */
+  isConnected(): boolean {
+    return this.client !== null && this.initialized;
+  }
+
+  /**
+   * Transport the client reaches the server over
+   */
+  getTransportType(): MCPTransportType {
+    return resolveTransportType(this.config);
+  }
+
+  /**
+   * Create the transport and client and open a session with the server
+   * @private
+   */
+  private async open(): Promise<void> {
+    const transport = this.createTransport();
+
+    // Create client using official SDK
+    const client = new Client(
+      {
+        name: 'orchestrator-mcp-client',
+        version: '1.0.0'
+      },
+      {
+        capabilities: {}
+      }
+    );
+    client.onclose = () => this.handleClose(client);
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+      this.events.emit('resource.updated', notification.params.uri);
+    });
+
+    // Connect to the server
+    await client.connect(transport);
+
+    this.client = client;
+    this.transport = transport;
+    this.initialized = true;
+  }
+
+  /**
+   * Create the transport for the configured server
+   * @private
+   */
+  private createTransport(): Transport {
+    const transportType = resolveTransportType(this.config);
+
+    if (transportType === 'sse' || transportType === 'streamable-http') {
+      if (!this.config.url) {
+        throw new Error(`A url is required for the ${transportType} transport`);
+      }
+
+      const url = new URL(this.config.url);
+      const requestInit = this.config.headers ? { headers: this.config.headers } : undefined;
+      console.log(`Connecting to MCP server at ${url.href} over ${transportType}`);
+
+      if (transportType === 'sse') {
+        const headers = this.config.headers || {};
+        return new SSEClientTransport(url, {
+          requestInit,
+          // requestInit only applies to the POSTed messages, so the event stream gets the headers here
+          eventSourceInit: {
+            fetch: (input, init) => fetch(input, {
+              ...init,
+              headers: { ...headers, Accept: 'text/event-stream' }
+            })
+          }
+        });
+      }
+      return new StreamableHTTPClientTransport(url, { requestInit });
+    }
+
+    if (transportType !== 'stdio') {
+      throw new Error(`Unsupported MCP transport: ${transportType}`);
+    }
+
+    // Determine command based on server configuration
+    let command: string;
+    let args: string[];
+    
+    if (this.config.command && this.config.args) {
+      // Use explicit command and args from configuration
+      command = this.config.command;
+      args = this.config.args;
+      console.log(`Starting MCP server with command: ${command} ${args.join(' ')}`);
+    } else if (this.config.path) {
+      // Use path-based configuration with type detection
+      switch (this.config.type.toLowerCase()) {
+        case 'python':
+          command = 'python';
+          args = [this.config.path];
+          break;
+        case 'node':
+          command = 'node';
+          args = [this.config.path];
+          break;
+        default:
+          throw new Error(`Unsupported server type: ${this.config.type}`);
+      }
+      console.log(`Starting MCP server with path: ${command} ${args.join(' ')}`);
+    } else {
+      throw new Error('Either command+args or path must be provided for MCP server');
+    }
+    
+    // Create transport using official SDK
+    const transport = new StdioClientTransport({
+      command,
+      args,
+      stderr: 'pipe'
+    });
+    // The stream exists before the process starts, so nothing written during startup is lost
+    transport.stderr?.on('data', (chunk: Buffer) => this.events.emit('stderr', chunk.toString()));
+    return transport;
+  }
+
+  /**
+   * Handle the close of a client's session
+   * @private
+   */
+  private handleClose(client: Client): void {
+    if (this.closing || client !== this.client) {
+      return;
+    }
+    this.connectionLost(new Error(this.getTransportType() === 'stdio'
+      ? `MCP server ${this.config.name} exited`
+      : `MCP server ${this.config.name} closed the connection`));
+  }
+
+  /**
+   * Forget the current session and report it as lost
+   * @private
+   */
+  private connectionLost(error: Error): void {
+    const client = this.client;
+    this.client = null;
+    this.transport = null;
+    this.initialized = false;
+    // Closing the old client fires its onclose, which handleClose ignores now that it is no longer current
+    client?.close().catch(() => undefined);
+
+    this.events.emit('disconnected', error);
+  }
+
+  /**
+   * Run a request on the current session, treating transport failures as a lost connection
+   * A remote server that restarted rejects the old session, which only shows when a request fails; a stdio
+   * server that dies closes the session itself
+   * @private
    */
-  async listTools(): Promise<MCPTool[]> {
+  private async request<T>(operation: (client: Client) => Promise<T>): Promise<T> {
     if (!this.client || !this.initialized) {
       throw new Error('MCP client not connected');
     }
 
     try {
-      const response = await this.client.listTools();
+      return await operation(this.client);
+    } catch (error) {
+      // McpErrors come from the server or the request timing out; anything else means the transport failed
+      if (!(error instanceof McpError) && this.getTransportType() !== 'stdio') {
+        this.connectionLost(error as Error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List available tools from the MCP server
+   * @param {number} [timeout] - Milliseconds to wait for the server's answer
+   * @returns {Promise<MCPTool[]>} List of available tools
+   */
+  async listTools(timeout?: number): Promise<MCPTool[]> {
+    try {
+      const options = timeout ? { timeout } : undefined;
+      // Servers that only offer resources or prompts have no tools to list, but must still answer
+      if (this.client && !this.client.getServerCapabilities()?.tools) {
+        await this.request(client => client.ping(options));
+        return [];
+      }
+      const response = await this.request(client => client.listTools(undefined, options));
       
       return response.tools.map(tool => ({
         name: tool.name,
@@ -144,15 +329,11 @@ class MCPClient {
    * @returns {Promise<Object>} Tool execution result
    */
   async callTool(toolName: string, toolArgs: Record<string, any>): Promise<{ result: any, metadata: Record<string, any> }> {
-    if (!this.client || !this.initialized) {
-      throw new Error('MCP client not connected');
-    }
-
     try {
-      const response = await this.client.callTool({
+      const response = await this.request(client => client.callTool({
         name: toolName,
         arguments: toolArgs
-      });
+      }));
       
       return {
         result: response.content || response,
@@ -175,6 +356,130 @@ class MCPClient {
     return result.result;
   }
 
+  /**
+   * List the resources and resource templates of the MCP server
+   * @returns {Promise<Object>} Resources and resource templates
+   */
+  async listResources(): Promise<{ resources: MCPResource[], resourceTemplates: MCPResourceTemplate[] }> {
+    this.requireCapability('resources');
+
+    const resources = await this.listAllPages((client, cursor) => client.listResources({ cursor }), 'resources');
+    let resourceTemplates: MCPResourceTemplate[] = [];
+    try {
+      resourceTemplates = await this.listAllPages((client, cursor) => client.listResourceTemplates({ cursor }), 'resourceTemplates');
+    } catch (error) {
+      // Templates are optional for servers that offer resources
+      if (!(error instanceof McpError && error.code === ErrorCode.MethodNotFound)) {
+        throw error;
+      }
+    }
+
+    return { resources, resourceTemplates };
+  }
+
+  /**
+   * Read a resource from the MCP server
+   * @param {string} uri - URI of the resource
+   * @returns {Promise<MCPResourceContents[]>} The resource's contents
+   */
+  async readResource(uri: string): Promise<MCPResourceContents[]> {
+    this.requireCapability('resources');
+    const response = await this.request(client => client.readResource({ uri }));
+    return response.contents as MCPResourceContents[];
+  }
+
+  /**
+   * Ask the MCP server to report changes to a resource, as `resource.updated` events
+   * @param {string} uri - URI of the resource
+   */
+  async subscribeResource(uri: string): Promise<void> {
+    // Every new session subscribes again by itself
+    if (this.subscriptions.has(uri)) {
+      return;
+    }
+    this.requireCapability('resources');
+    if (!this.client?.getServerCapabilities()?.resources?.subscribe) {
+      throw new Error(`MCP server ${this.config.name} does not support resource subscriptions`);
+    }
+
+    await this.request(client => client.subscribeResource({ uri }));
+    this.subscriptions.add(uri);
+  }
+
+  /**
+   * Stop the MCP server from reporting changes to a resource
+   * @param {string} uri - URI of the resource
+   */
+  async unsubscribeResource(uri: string): Promise<void> {
+    if (!this.subscriptions.delete(uri) || !this.isConnected()) {
+      return;
+    }
+    await this.request(client => client.unsubscribeResource({ uri }));
+  }
+
+  /**
+   * List the prompts of the MCP server
+   * @returns {Promise<MCPPrompt[]>} The prompts
+   */
+  async listPrompts(): Promise<MCPPrompt[]> {
+    this.requireCapability('prompts');
+    return this.listAllPages((client, cursor) => client.listPrompts({ cursor }), 'prompts');
+  }
+
+  /**
+   * Render a prompt of the MCP server
+   * @param {string} promptName - Name of the prompt
+   * @param {Record<string, string>} promptArgs - Values of the prompt's arguments
+   * @returns {Promise<MCPPromptResult>} The prompt's description and messages
+   */
+  async getPrompt(promptName: string, promptArgs: Record<string, string> = {}): Promise<MCPPromptResult> {
+    this.requireCapability('prompts');
+    const response = await this.request(client => client.getPrompt({ name: promptName, arguments: promptArgs }));
+    return {
+      description: response.description,
+      messages: response.messages as MCPPromptResult['messages']
+    };
+  }
+
+  /**
+   * Fail early with a clear error when the server does not offer resources or prompts
+   * @private
+   */
+  private requireCapability(capability: 'resources' | 'prompts'): void {
+    if (this.client && !this.client.getServerCapabilities()?.[capability]) {
+      throw new Error(`MCP server ${this.config.name} does not offer ${capability}`);
+    }
+  }
+
+  /**
+   * Collect the items of every page of a paginated list request
+   * @private
+   */
+  private async listAllPages(fetchPage: (client: Client, cursor?: string) => Promise<any>, key: string): Promise<any[]> {
+    const items: any[] = [];
+    let cursor: string | undefined;
+    do {
+      const page = await this.request(client => fetchPage(client, cursor));
+      items.push(...(page[key] || []));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return items;
+  }
+
+  /**
+   * Subscribe to the resources subscribed to before the session was opened
+   * @private
+   */
+  private async resubscribe(): Promise<void> {
+    for (const uri of this.subscriptions) {
+      try {
+        await this.request(client => client.subscribeResource({ uri }));
+      } catch (error) {
+        console.error(`Failed to subscribe again to MCP resource ${uri}:`, error);
+      }
+    }
+  }
+
   /**
    * Get the list of available tools
    * @returns {MCPTool[]} List of available tools
@@ -187,6 +492,8 @@ class MCPClient {
    * Disconnect from the MCP server
    */
   async disconnect(): Promise<void> {
+    this.closing = true;
+
     if (!this.client) {
       console.log('MCP client already disconnected');
       return;
@@ -206,4 +513,4 @@ class MCPClient {
   }
 }
 
-export { MCPClient, MCPServerConfig, MCPTool }; 
\ No newline at end of file
+export { MCPClient, MCPServerConfig, MCPTool, MCPTransportType, MCPReconnectSettings, MCPHealthCheckSettings, resolveTransportType }; 
\ No newline at end of file
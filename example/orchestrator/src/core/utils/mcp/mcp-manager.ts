@@ -2,6 +2,8 @@ import { spawn, ChildProcess } from 'child_process';
 import { v4 as uuidv4 } from 'uuid';
 import * as path from 'path';
 import { EventEmitter } from 'events';
+import { MCPTransportType, MCPReconnectSettings, MCPHealthCheckSettings } from './mcp-client';
+import { NotFoundError } from '../errors';
 
 /**
  * Interface for MCP Server
@@ -13,6 +15,11 @@ interface MCPServer {
   command?: string;
   args?: string[];
   type: string;
+  url?: string;
+  transport?: MCPTransportType;
+  headers?: Record<string, string>;
+  reconnect?: MCPReconnectSettings;
+  healthCheck?: MCPHealthCheckSettings;
   capabilities: string[];
   metadata: Record<string, any>;
   status: string;
@@ -31,6 +38,11 @@ interface MCPServerConfig {
   command?: string;
   args?: string[];
   type?: string;
+  url?: string;
+  transport?: MCPTransportType;
+  headers?: Record<string, string>;
+  reconnect?: MCPReconnectSettings;
+  healthCheck?: MCPHealthCheckSettings;
   capabilities?: string[];
   metadata?: Record<string, any>;
 }
@@ -83,13 +95,18 @@ class MCPManager {
       command,
       args = [],
       type = 'node', 
+      url,
+      transport,
+      headers,
+      reconnect,
+      healthCheck,
       capabilities = [],
       metadata = {}
     } = serverConfig;
     
-    // Either path or command must be provided
-    if (!name || (!serverPath && !command)) {
-      throw new Error('Server name and either path or command are required for MCP server registration');
+    // Either path, command or url must be provided
+    if (!name || (!serverPath && !command && !url)) {
+      throw new Error('Server name and either path, command or url are required for MCP server registration');
     }
     
     // Use provided ID or generate a new one
@@ -112,6 +129,11 @@ class MCPManager {
         command: command || existingServer.command,
         args: args || existingServer.args,
         type: type || existingServer.type,
+        url: url || existingServer.url,
+        transport: transport || existingServer.transport,
+        headers: headers || existingServer.headers,
+        reconnect: reconnect || existingServer.reconnect,
+        healthCheck: healthCheck || existingServer.healthCheck,
         capabilities: capabilities || existingServer.capabilities,
         metadata: { ...existingServer.metadata, ...metadata },
         updatedAt: new Date().toISOString()
@@ -129,6 +151,11 @@ class MCPManager {
       command,
       args,
       type,
+      url,
+      transport,
+      headers,
+      reconnect,
+      healthCheck,
       capabilities,
       metadata,
       status: 'registered',
@@ -149,7 +176,7 @@ class MCPManager {
   async connectToServer(serverId: string): Promise<{ connectionId: string, tools: MCPTool[] }> {
     const server = this.servers.get(serverId);
     if (!server) {
-      throw new Error(`MCP Server not found: ${serverId}`);
+      throw new NotFoundError(`MCP Server not found: ${serverId}`);
     }
     
     // Close existing connection if any
@@ -266,7 +293,7 @@ class MCPManager {
   async disconnectServer(serverId: string): Promise<void> {
     const server = this.servers.get(serverId);
     if (!server) {
-      throw new Error(`MCP Server not found: ${serverId}`);
+      throw new NotFoundError(`MCP Server not found: ${serverId}`);
     }
     
     if (!server.connectionId) {
@@ -0,0 +1,247 @@
+import { EventEmitter } from 'events';
+import { MCPClient, MCPTool, MCPReconnectSettings, MCPHealthCheckSettings } from './mcp-client';
+
+const DEFAULT_RECONNECT_MAX_RETRIES = 5;
+const DEFAULT_RECONNECT_INITIAL_DELAY = 1000;
+const DEFAULT_RECONNECT_MAX_DELAY = 30 * 1000;
+const DEFAULT_HEALTH_CHECK_INTERVAL = 30 * 1000;
+const DEFAULT_HEALTH_CHECK_TIMEOUT = 10 * 1000;
+// A server that stayed up this long before failing starts over with the initial delay and a fresh set of retries
+const STABLE_UPTIME = 60 * 1000;
+// Lines of stderr output kept per server
+const MAX_LOG_LINES = 200;
+
+/**
+ * Interface for how a supervised server has fared since it was registered
+ */
+interface MCPServerHealth {
+  restartCount: number;
+  lastError?: string;
+  lastErrorAt?: string;
+}
+
+/**
+ * Interface for the options a server is supervised with
+ */
+interface MCPSupervisionOptions {
+  name: string;
+  reconnect?: MCPReconnectSettings;
+  healthCheck?: MCPHealthCheckSettings;
+}
+
+interface SupervisedServer {
+  client: MCPClient;
+  options: MCPSupervisionOptions;
+  // Failed connection attempts in a row
+  attempts: number;
+  connectedAt?: number;
+  restartTimer?: NodeJS.Timeout;
+  healthTimer?: NodeJS.Timeout;
+  checkingHealth: boolean;
+  listeners: Array<[string, (...args: any[]) => void]>;
+}
+
+/**
+ * MCPSupervisor - Keeps connected MCP servers running
+ * Restarts stdio servers that exit and reconnects to remote servers that drop their session, with exponential
+ * backoff, restarts servers that stop answering health checks and keeps the tail of each server's stderr output.
+ * Emits `status` (serverId, status) as a server goes `online`, `offline`, `restarting` or `reconnecting`,
+ * `restarted` (serverId, tools) when a new session is open and `stopped` (serverId, error) when it gives up
+ */
+class MCPSupervisor {
+  private servers: Map<string, SupervisedServer>;
+  private health: Map<string, MCPServerHealth>;
+  private logs: Map<string, string[]>;
+  readonly events: EventEmitter;
+
+  constructor() {
+    this.servers = new Map();
+    this.health = new Map();
+    this.logs = new Map();
+    this.events = new EventEmitter();
+  }
+
+  /**
+   * Supervise a server's client and open its first session
+   * A failed first session is retried like a lost one
+   * @param {string} serverId - ID of the server
+   * @param {MCPClient} client - Client for the server, not yet connected
+   * @param {MCPSupervisionOptions} options - Name, reconnection and health check settings of the server
+   * @returns {Promise<MCPTool[]>} The server's tools
+   */
+  async start(serverId: string, client: MCPClient, options: MCPSupervisionOptions): Promise<MCPTool[]> {
+    this.release(serverId);
+
+    const supervised: SupervisedServer = { client, options, attempts: 0, checkingHealth: false, listeners: [] };
+    this.servers.set(serverId, supervised);
+
+    const onStderr = (text: string) => this.appendLog(serverId, text);
+    const onDisconnected = (error: Error) => this.handleFailure(serverId, supervised, error);
+    supervised.listeners.push(['stderr', onStderr], ['disconnected', onDisconnected]);
+    client.events.on('stderr', onStderr);
+    client.events.on('disconnected', onDisconnected);
+
+    try {
+      const tools = await client.connect();
+      this.handleConnected(serverId, supervised);
+      return tools;
+    } catch (error) {
+      this.handleFailure(serverId, supervised, error as Error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop supervising a server, e.g. before disconnecting it on purpose
+   * @param {string} serverId - ID of the server
+   */
+  release(serverId: string): void {
+    const supervised = this.servers.get(serverId);
+    if (!supervised) {
+      return;
+    }
+
+    clearTimeout(supervised.restartTimer);
+    clearInterval(supervised.healthTimer);
+    supervised.listeners.forEach(([event, listener]) => supervised.client.events.off(event, listener));
+    this.servers.delete(serverId);
+  }
+
+  /**
+   * Stop supervising every server
+   */
+  releaseAll(): void {
+    Array.from(this.servers.keys()).forEach(serverId => this.release(serverId));
+  }
+
+  /**
+   * Restart count and last error of a server
+   * @param {string} serverId - ID of the server
+   */
+  getHealth(serverId: string): MCPServerHealth {
+    return this.health.get(serverId) || { restartCount: 0 };
+  }
+
+  /**
+   * The latest lines a server wrote to stderr, oldest first
+   * @param {string} serverId - ID of the server
+   */
+  getLog(serverId: string): string[] {
+    return [...(this.logs.get(serverId) || [])];
+  }
+
+  /**
+   * @private
+   */
+  private handleConnected(serverId: string, supervised: SupervisedServer): void {
+    supervised.connectedAt = Date.now();
+    this.events.emit('status', serverId, 'online');
+
+    const settings = supervised.options.healthCheck || {};
+    if (settings.enabled === false) {
+      return;
+    }
+    clearInterval(supervised.healthTimer);
+    supervised.healthTimer = setInterval(
+      () => this.checkHealth(serverId, supervised),
+      settings.interval ?? DEFAULT_HEALTH_CHECK_INTERVAL
+    );
+  }
+
+  /**
+   * Ask the server for its tools and restart it if it does not answer in time
+   * @private
+   */
+  private async checkHealth(serverId: string, supervised: SupervisedServer): Promise<void> {
+    const { client } = supervised;
+    if (supervised.checkingHealth || !client.isConnected()) {
+      return;
+    }
+
+    supervised.checkingHealth = true;
+    try {
+      await client.listTools(supervised.options.healthCheck?.timeout ?? DEFAULT_HEALTH_CHECK_TIMEOUT);
+    } catch (error) {
+      if (this.servers.get(serverId) !== supervised) {
+        return;
+      }
+      // A hung stdio server is killed with its session
+      await client.disconnect();
+      this.handleFailure(serverId, supervised, new Error(`Health check failed: ${(error as Error).message}`));
+    } finally {
+      supervised.checkingHealth = false;
+    }
+  }
+
+  /**
+   * Record why a server's session ended and schedule the next attempt to open one
+   * @private
+   */
+  private handleFailure(serverId: string, supervised: SupervisedServer, error: Error): void {
+    if (this.servers.get(serverId) !== supervised || supervised.restartTimer) {
+      return;
+    }
+
+    clearInterval(supervised.healthTimer);
+    supervised.healthTimer = undefined;
+    if (supervised.connectedAt && Date.now() - supervised.connectedAt >= STABLE_UPTIME) {
+      supervised.attempts = 0;
+    }
+    supervised.connectedAt = undefined;
+
+    const health = this.getHealth(serverId);
+    health.lastError = error.message;
+    health.lastErrorAt = new Date().toISOString();
+    this.health.set(serverId, health);
+    console.error(`MCP server ${supervised.options.name} failed: ${health.lastError}`);
+
+    const settings = supervised.options.reconnect || {};
+    const maxRetries = settings.maxRetries ?? DEFAULT_RECONNECT_MAX_RETRIES;
+    if (settings.enabled === false || supervised.attempts >= maxRetries) {
+      this.release(serverId);
+      this.events.emit('status', serverId, 'offline');
+      this.events.emit('stopped', serverId, new Error(`Gave up on MCP server ${supervised.options.name} after ${supervised.attempts} attempt(s): ${health.lastError}`));
+      return;
+    }
+
+    const initialDelay = settings.initialDelay ?? DEFAULT_RECONNECT_INITIAL_DELAY;
+    const maxDelay = settings.maxDelay ?? DEFAULT_RECONNECT_MAX_DELAY;
+    const delay = Math.min(initialDelay * Math.pow(2, supervised.attempts), maxDelay);
+    supervised.attempts++;
+
+    const restarting = supervised.client.getTransportType() === 'stdio';
+    console.log(`${restarting ? 'Restarting' : 'Reconnecting to'} MCP server ${supervised.options.name} in ${delay}ms (attempt ${supervised.attempts} of ${maxRetries})`);
+    this.events.emit('status', serverId, restarting ? 'restarting' : 'reconnecting');
+
+    supervised.restartTimer = setTimeout(async () => {
+      supervised.restartTimer = undefined;
+      health.restartCount++;
+      try {
+        const tools = await supervised.client.connect();
+        if (this.servers.get(serverId) !== supervised) {
+          // Released while the session was opening
+          await supervised.client.disconnect();
+          return;
+        }
+        this.handleConnected(serverId, supervised);
+        this.events.emit('restarted', serverId, tools);
+      } catch (restartError) {
+        this.handleFailure(serverId, supervised, restartError as Error);
+      }
+    }, delay);
+  }
+
+  /**
+   * @private
+   */
+  private appendLog(serverId: string, text: string): void {
+    const log = this.logs.get(serverId) || [];
+    text.split(/\r?\n/).filter(line => line.trim() !== '').forEach(line => log.push(line));
+    if (log.length > MAX_LOG_LINES) {
+      log.splice(0, log.length - MAX_LOG_LINES);
+    }
+    this.logs.set(serverId, log);
+  }
+}
+
+export { MCPSupervisor, MCPServerHealth, MCPSupervisionOptions };
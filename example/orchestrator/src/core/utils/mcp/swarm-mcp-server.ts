@@ -0,0 +1,369 @@
+/**
+ * MCP server endpoint for the swarm itself
+ * Offers the capabilities of connected agents and the tools of connected services as MCP tools. A tool call is sent
+ * as a task or one-step workflow over a client connection of its session, so it is routed, authorized and tracked
+ * like one a client created.
+ */
+import * as http from 'http';
+import { v4 as uuidv4 } from 'uuid';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { CallToolRequestSchema, ListToolsRequestSchema, CallToolResult, Tool } from '@modelcontextprotocol/sdk/types.js';
+import { BaseMessage, SwarmMCPServerSettings } from '../../../../../types/common';
+import { AgentRegistry } from '../../../registry/agent-registry';
+import { ServiceRegistry } from '../../../registry/service-registry';
+import { AuthManager } from '../auth/auth-manager';
+import { LocalClientConnection } from '../../../client/client-server';
+import { logger, MessageDirection } from '../logger';
+
+const DEFAULT_PATH = '/mcp';
+const DEFAULT_TOOL_TIMEOUT = 5 * 60 * 1000;
+// MCP hosts expect tool names of at most 64 letters, digits, underscores and hyphens
+const MAX_TOOL_NAME_LENGTH = 64;
+
+interface SwarmMCPServerDependencies {
+  agents: AgentRegistry;
+  services: ServiceRegistry;
+  auth: AuthManager;
+  // Opens a client connection whose messages are handled like those of any other client
+  openClient: (onMessage: (message: BaseMessage) => void, req: http.IncomingMessage) => LocalClientConnection;
+}
+
+// What a tool call turns into
+type ToolTarget =
+  | { kind: 'agent'; capability: string }
+  | { kind: 'service'; serviceId: string; toolId: string };
+
+interface SwarmTool {
+  tool: Tool;
+  target: ToolTarget;
+}
+
+interface PendingCall {
+  requestId: string;
+  // Task or workflow the call created, once the orchestrator answered the request
+  taskId?: string;
+  onMessage: (message: BaseMessage) => void;
+  // Stop waiting, cancelling the task or workflow
+  cancel: (reason: string) => void;
+}
+
+interface MCPSession {
+  server: Server;
+  transport: StreamableHTTPServerTransport;
+  client: LocalClientConnection;
+  // Credential the session was opened with; its later requests must present the same one
+  principalId?: string;
+  calls: Set<PendingCall>;
+}
+
+class SwarmMCPServer {
+  private deps: SwarmMCPServerDependencies;
+  private path: string;
+  private toolTimeout: number;
+  // Open sessions by their MCP session ID
+  private sessions: Map<string, MCPSession>;
+
+  /**
+   * Create a new SwarmMCPServer
+   * @param deps - Registries, authentication and a way to open client connections
+   * @param settings - MCP server settings from the orchestrator configuration
+   */
+  constructor(deps: SwarmMCPServerDependencies, settings: SwarmMCPServerSettings = {}) {
+    this.deps = deps;
+    this.path = (settings.path || DEFAULT_PATH).replace(/\/+$/, '') || DEFAULT_PATH;
+    this.toolTimeout = settings.toolTimeout || DEFAULT_TOOL_TIMEOUT;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Answer an HTTP request if it is addressed to the MCP endpoint
+   * @param req - The HTTP request
+   * @param res - The response to write
+   * @returns Whether the request was taken
+   */
+  handleRequest(req: http.IncomingMessage, res: http.ServerResponse): boolean {
+    const { pathname } = new URL(req.url || '/', 'http://localhost');
+    if (pathname.replace(/\/+$/, '') !== this.path) {
+      return false;
+    }
+
+    this.handleSessionRequest(req, res).catch(error => {
+      logger.error(MessageDirection.CLIENT_TO_ORCHESTRATOR, `MCP request ${req.method} ${pathname} failed`, error);
+      if (!res.headersSent) {
+        this.sendError(res, 500, error instanceof Error ? error.message : String(error));
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Path of the MCP endpoint, e.g. '/mcp'
+   */
+  getPath(): string {
+    return this.path;
+  }
+
+  /**
+   * Tell every session that the tools changed, e.g. after an agent or service connected or left
+   */
+  notifyToolsChanged(): void {
+    this.sessions.forEach(session => {
+      session.server.sendToolListChanged().catch(() => {
+        // The session has no open stream for notifications; it sees the change the next time it lists tools
+      });
+    });
+  }
+
+  /**
+   * Close every session
+   */
+  async stop(): Promise<void> {
+    await Promise.all(Array.from(this.sessions.values()).map(session => session.transport.close()));
+  }
+
+  /**
+   * @private
+   */
+  private async handleSessionRequest(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const { auth } = this.deps;
+    const principal = auth.isEnabled() ? auth.verifyRequest(req, 'client').principal : undefined;
+    if (auth.isEnabled() && !principal) {
+      return this.sendError(res, 401, 'Unauthorized');
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    if (typeof sessionId === 'string') {
+      const session = this.sessions.get(sessionId);
+      if (!session) {
+        return this.sendError(res, 404, `MCP session ${sessionId} not found`);
+      }
+      if (session.principalId !== principal?.id) {
+        return this.sendError(res, 403, `MCP session ${sessionId} belongs to another credential`);
+      }
+      return session.transport.handleRequest(req, res);
+    }
+
+    if (req.method !== 'POST') {
+      return this.sendError(res, 400, 'No MCP session; open one with an initialize request');
+    }
+
+    // The transport refuses anything but an initialize request without a session ID
+    const session = await this.openSession(req, principal?.id);
+    await session.transport.handleRequest(req, res);
+    if (!session.transport.sessionId) {
+      this.closeSession(session);
+    }
+  }
+
+  /**
+   * Create the MCP server, transport and client connection of a new session
+   * @private
+   */
+  private async openSession(req: http.IncomingMessage, principalId?: string): Promise<MCPSession> {
+    const server = new Server(
+      { name: 'agent-swarm-protocol', version: '1.0.0' },
+      { capabilities: { tools: { listChanged: true } } }
+    );
+
+    const session: MCPSession = {
+      server,
+      transport: new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => uuidv4(),
+        onsessioninitialized: sessionId => {
+          this.sessions.set(sessionId, session);
+          logger.system(`MCP session ${sessionId} opened`, { clientId: session.client.id });
+        }
+      }),
+      client: this.deps.openClient(message => this.handleClientMessage(session, message), req),
+      principalId,
+      calls: new Set()
+    };
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: this.getTools(session.client.id).map(({ tool }) => tool)
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const swarmTool = this.getTools(session.client.id).find(({ tool }) => tool.name === request.params.name);
+      if (!swarmTool) {
+        return this.toToolResult(`Unknown tool: ${request.params.name}`, true);
+      }
+      return this.callTool(session, swarmTool.target, request.params.arguments || {}, extra.signal);
+    });
+
+    session.transport.onclose = () => this.closeSession(session);
+    await server.connect(session.transport);
+    return session;
+  }
+
+  /**
+   * @private
+   */
+  private closeSession(session: MCPSession): void {
+    if (session.transport.sessionId && this.sessions.get(session.transport.sessionId) === session) {
+      this.sessions.delete(session.transport.sessionId);
+      logger.system(`MCP session ${session.transport.sessionId} closed`, { clientId: session.client.id });
+    }
+
+    // Tasks still running for the session have no one left to return their results to
+    session.calls.forEach(call => call.cancel('MCP session closed'));
+    session.client.close();
+  }
+
+  /**
+   * Build the tools a session may use from the agents and services connected right now
+   * @private
+   */
+  private getTools(clientId: string): SwarmTool[] {
+    const { agents, services, auth } = this.deps;
+    const tools = new Map<string, SwarmTool>();
+    const add = (name: string, target: ToolTarget, tool: { description?: string; inputSchema: Tool['inputSchema'] }) => {
+      const toolName = name.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, MAX_TOOL_NAME_LENGTH);
+      // Names that only differ in characters replaced above keep the first tool
+      if (!tools.has(toolName)) {
+        tools.set(toolName, { target, tool: { ...tool, name: toolName } });
+      }
+    };
+
+    // One tool per capability, for whichever agent the orchestrator picks
+    const agentsByCapability = new Map<string, string[]>();
+    agents.getAllAgents()
+      .filter(agent => agent.status !== 'offline' && auth.isAllowed(clientId, 'agents', agent))
+      .forEach(agent => (agent.capabilities || []).forEach(capability => {
+        agentsByCapability.set(capability, [...(agentsByCapability.get(capability) || []), agent.name]);
+      }));
+
+    agentsByCapability.forEach((agentNames, capability) => add(`agent_${capability}`, { kind: 'agent', capability }, {
+      description: `Run a task on an agent with the '${capability}' capability (${agentNames.join(', ')}); the arguments are the task data`,
+      inputSchema: { type: 'object', additionalProperties: true }
+    }));
+
+    services.getAllServices()
+      .filter(service => service.status !== 'offline' && service.connectionId && auth.isAllowed(clientId, 'services', service))
+      .forEach(service => (service.tools || []).forEach(serviceTool => add(
+        `service_${service.name}_${serviceTool.id}`,
+        { kind: 'service', serviceId: service.id, toolId: serviceTool.id },
+        {
+          description: serviceTool.description || serviceTool.name,
+          // MCP tools take an object of arguments, so other schemas cannot be offered as they are
+          inputSchema: serviceTool.inputSchema?.type === 'object'
+            ? serviceTool.inputSchema as Tool['inputSchema']
+            : { type: 'object', additionalProperties: true }
+        }
+      )));
+
+    return Array.from(tools.values());
+  }
+
+  /**
+   * Create the task or workflow for a tool call and wait for it to finish
+   * @private
+   */
+  private callTool(session: MCPSession, target: ToolTarget, args: Record<string, unknown>, signal: AbortSignal): Promise<CallToolResult> {
+    const message: BaseMessage = target.kind === 'agent'
+      ? {
+        id: uuidv4(),
+        type: 'client.agent.task.create.request',
+        content: { capabilities: [target.capability], taskData: args }
+      }
+      : {
+        id: uuidv4(),
+        type: 'client.workflow.run.request',
+        content: {
+          workflow: {
+            name: `mcp:${target.toolId}`,
+            steps: [{ id: 'call', type: 'service', serviceId: target.serviceId, toolId: target.toolId, input: '{{input}}' }],
+            output: '{{steps.call.output}}'
+          },
+          input: args
+        }
+      };
+
+    return new Promise<CallToolResult>(resolve => {
+      const finish = (result: CallToolResult) => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', onAbort);
+        session.calls.delete(call);
+        resolve(result);
+      };
+
+      const call: PendingCall = {
+        requestId: message.id,
+        onMessage: response => {
+          const content = response.content || {};
+          switch (response.type) {
+            case 'client.agent.task.create.response':
+              call.taskId = content.taskId;
+              break;
+            case 'client.workflow.run.response':
+              call.taskId = content.workflowId;
+              break;
+            case 'client.agent.task.result':
+              finish(this.toToolResult(content.result));
+              break;
+            case 'client.workflow.result':
+              finish(content.status === 'completed'
+                ? this.toToolResult(content.output)
+                : this.toToolResult(content.error || `Workflow ${content.status}`, true));
+              break;
+            case 'task.error':
+            case 'client.agent.task.cancelled':
+              finish(this.toToolResult(content.error || `Task ${content.status}`, true));
+              break;
+            case 'error':
+              finish(this.toToolResult(content.details || content.error, true));
+              break;
+          }
+        },
+        cancel: reason => {
+          // Finish first, so the cancellation notice for the task does not become the result
+          finish(this.toToolResult(reason, true));
+          if (call.taskId) {
+            session.client.send({
+              id: uuidv4(),
+              type: 'client.agent.task.cancel',
+              content: { taskId: call.taskId, reason }
+            }).catch(error => logger.error(MessageDirection.CLIENT_TO_ORCHESTRATOR, `Could not cancel task ${call.taskId}`, error));
+          }
+        }
+      };
+
+      const timer = setTimeout(() => call.cancel(`No result within ${this.toolTimeout}ms`), this.toolTimeout);
+      const onAbort = () => call.cancel('Tool call cancelled');
+      signal.addEventListener('abort', onAbort);
+
+      session.calls.add(call);
+      session.client.send(message).catch(error => finish(this.toToolResult(error instanceof Error ? error.message : String(error), true)));
+    });
+  }
+
+  /**
+   * Pass a message sent to a session's client connection to the call it belongs to
+   * @private
+   */
+  private handleClientMessage(session: MCPSession, message: BaseMessage): void {
+    const taskId = message.content?.taskId || message.content?.workflowId;
+    const call = Array.from(session.calls).find(candidate =>
+      message.requestId === candidate.requestId || (candidate.taskId !== undefined && taskId === candidate.taskId));
+    call?.onMessage(message);
+  }
+
+  /**
+   * @private
+   */
+  private toToolResult(value: unknown, isError = false): CallToolResult {
+    const text = typeof value === 'string' ? value : JSON.stringify(value ?? null, null, 2);
+    return { content: [{ type: 'text', text }], isError };
+  }
+
+  /**
+   * @private
+   */
+  private sendError(res: http.ServerResponse, status: number, message: string): void {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+  }
+}
+
+export { SwarmMCPServer, SwarmMCPServerDependencies };
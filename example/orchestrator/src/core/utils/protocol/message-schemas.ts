@@ -0,0 +1,205 @@
+/**
+ * Protocol message schemas for the ASP Orchestrator
+ * JSON Schemas for the `content` of every message type agents, clients and services may send,
+ * following the message interfaces in schema/orchestrator-*-schema.ts
+ */
+import { ConnectionType } from '@agentswarmprotocol/types/dist/common';
+
+type MessageSchemas = Record<string, object>;
+
+const STRING = { type: 'string' };
+// The client SDK sends null for the agent it does not target by
+const OPTIONAL_STRING = { type: ['string', 'null'] };
+const STRING_LIST = { type: 'array', items: STRING };
+const BOOLEAN = { type: 'boolean' };
+// Free-form values such as task data and tool parameters
+const ANY = {};
+const OBJECT = { type: 'object' };
+const TIMESTAMP = { type: ['string', 'number'] };
+
+/**
+ * Schema for a message's content
+ * @param properties - Schemas of the fields the content may have
+ * @param required - Fields the content must have
+ * @private
+ */
+function content(properties: Record<string, object>, required: string[] = []): object {
+  return { type: 'object', properties, required };
+}
+
+/**
+ * Schema for content that may carry fields beyond the ones listed, even in strict mode
+ * @private
+ */
+function openContent(properties: Record<string, object>, required: string[] = []): object {
+  return { ...content(properties, required), additionalProperties: true };
+}
+
+const LIST_REQUEST = content({ filters: OBJECT });
+
+const TOPIC_SUBSCRIPTION = content({ topics: STRING_LIST, topic: STRING });
+const TOPIC_PUBLISH = content({ topic: STRING, payload: ANY, retain: BOOLEAN }, ['topic']);
+const PING = openContent({ timestamp: TIMESTAMP });
+
+const AGENT_MCP_TOOLS_LIST = content({ serverId: STRING }, ['serverId']);
+const AGENT_MCP_TOOL_EXECUTE = content({
+  serverId: STRING,
+  toolName: STRING,
+  parameters: OBJECT,
+  parentTaskId: STRING
+}, ['serverId', 'toolName']);
+const MCP_SERVER_REQUEST = content({ serverId: STRING }, ['serverId']);
+const MCP_RESOURCE_REQUEST = content({ serverId: STRING, uri: STRING }, ['serverId', 'uri']);
+// Resource and prompt requests are the same for agents and clients
+const MCP_RESOURCE_AND_PROMPT_SCHEMAS: MessageSchemas = {
+  'mcp.resources.list': MCP_SERVER_REQUEST,
+  'mcp.resource.read': MCP_RESOURCE_REQUEST,
+  'mcp.resource.subscribe': MCP_RESOURCE_REQUEST,
+  'mcp.resource.unsubscribe': MCP_RESOURCE_REQUEST,
+  'mcp.prompts.list': MCP_SERVER_REQUEST,
+  'mcp.prompt.get': content({ serverId: STRING, promptName: STRING, arguments: OBJECT }, ['serverId', 'promptName'])
+};
+// Attempts at a task are numbered from 1, as sent with `task.execute`
+const ATTEMPT = { type: 'integer', minimum: 1 };
+const AGENT_TASK_RESULT = content({ agentId: STRING, taskId: STRING, result: ANY, attempt: ATTEMPT }, ['taskId']);
+
+const AGENT_MESSAGE_SCHEMAS: MessageSchemas = {
+  'agent.register': content({
+    id: STRING,
+    agentId: STRING,
+    name: STRING,
+    description: STRING,
+    status: STRING,
+    capabilities: STRING_LIST,
+    maxConcurrentTasks: { type: 'integer', minimum: 1 },
+    deterministic: BOOLEAN,
+    manifest: { type: ['object', 'null'] },
+    protocolVersion: STRING,
+    features: STRING_LIST
+  }, ['name']),
+  'agent.status': content({ status: STRING }, ['status']),
+  'agent.list.request': LIST_REQUEST,
+  'agent.agent.list.request': LIST_REQUEST,
+  'agent.service.list.request': LIST_REQUEST,
+  'agent.request': content({
+    targetAgent: STRING,
+    capabilities: STRING_LIST,
+    strategy: STRING,
+    taskData: ANY,
+    timeout: { type: 'number' },
+    parentTaskId: STRING
+  }),
+  'task.result': AGENT_TASK_RESULT,
+  'agent.task.result': AGENT_TASK_RESULT,
+  'task.result.chunk': content({
+    agentId: STRING,
+    taskId: STRING,
+    sequence: { type: 'integer', minimum: 0 },
+    chunk: ANY,
+    attempt: ATTEMPT
+  }, ['taskId', 'sequence']),
+  'task.error': content({ agentId: STRING, taskId: STRING, error: ANY, attempt: ATTEMPT }, ['taskId']),
+  // Agents add their own status details next to the status
+  'task.status': openContent({ agentId: STRING, taskId: STRING, status: STRING }, ['taskId', 'status']),
+  'task.notification': openContent({ agentId: STRING, taskId: STRING }),
+  'task.message': content({ agentId: STRING, taskId: STRING, message: ANY }, ['taskId']),
+  'service.task.execute': content({
+    serviceId: STRING,
+    toolId: STRING,
+    toolName: STRING,
+    params: ANY,
+    clientId: STRING,
+    parentTaskId: STRING,
+    timestamp: TIMESTAMP
+  }, ['serviceId']),
+  'service.task.result': content({ serviceId: STRING, taskId: STRING, result: ANY }, ['taskId']),
+  'service.tools.list': content({ serviceId: STRING }, ['serviceId']),
+  'agent.mcp.servers.list': LIST_REQUEST,
+  'mcp.servers.list': LIST_REQUEST,
+  'mcp.servers.list.request': LIST_REQUEST,
+  'mcp.tools.list': AGENT_MCP_TOOLS_LIST,
+  'mcp.tools.list.request': AGENT_MCP_TOOLS_LIST,
+  'mcp.tool.execute': AGENT_MCP_TOOL_EXECUTE,
+  'mcp.tool.execute.request': AGENT_MCP_TOOL_EXECUTE,
+  ...MCP_RESOURCE_AND_PROMPT_SCHEMAS,
+  'topic.subscribe': TOPIC_SUBSCRIPTION,
+  'topic.unsubscribe': TOPIC_SUBSCRIPTION,
+  'topic.publish': TOPIC_PUBLISH,
+  'ping': PING
+};
+
+const CLIENT_MESSAGE_SCHEMAS: MessageSchemas = {
+  'client.register': openContent({
+    clientName: STRING,
+    clientType: STRING,
+    version: STRING,
+    capabilities: STRING_LIST,
+    protocolVersion: STRING,
+    features: STRING_LIST
+  }),
+  'client.list': LIST_REQUEST,
+  'client.agent.task.create.request': content({
+    agentId: OPTIONAL_STRING,
+    agentName: OPTIONAL_STRING,
+    capabilities: STRING_LIST,
+    strategy: STRING,
+    taskData: ANY,
+    idempotencyKey: STRING
+  }),
+  'client.agent.task.status.request': content({ taskId: STRING }, ['taskId']),
+  'client.agent.task.cancel': content({ taskId: STRING, reason: STRING }, ['taskId']),
+  'client.workflow.run.request': content({
+    // A definition object, or its JSON or YAML text
+    workflow: { type: ['object', 'string'] },
+    workflowName: STRING,
+    input: ANY
+  }),
+  'client.task.tree.request': content({ taskId: STRING, includeResults: BOOLEAN }, ['taskId']),
+  'client.agent.list.request': LIST_REQUEST,
+  'client.service.list.request': LIST_REQUEST,
+  'client.mcp.server.list.request': LIST_REQUEST,
+  'mcp.server.tools': content({ serverId: STRING }, ['serverId']),
+  'mcp.tool.execute': content({ serverId: STRING, toolName: STRING, parameters: OBJECT }, ['serverId', 'toolName']),
+  ...MCP_RESOURCE_AND_PROMPT_SCHEMAS,
+  'client.message': content({ targetClientId: STRING, messageType: STRING, data: ANY }),
+  'task.message': content({ taskId: STRING, messageType: STRING, message: ANY }, ['taskId']),
+  'topic.subscribe': TOPIC_SUBSCRIPTION,
+  'topic.unsubscribe': TOPIC_SUBSCRIPTION,
+  'topic.publish': TOPIC_PUBLISH,
+  'ping': PING
+};
+
+const SERVICE_STATUS = content({ serviceId: STRING, status: STRING, message: STRING, timestamp: TIMESTAMP }, ['status']);
+const SERVICE_NOTIFICATION = content({ serviceId: STRING, taskId: STRING, notification: OBJECT }, ['notification']);
+
+const SERVICE_MESSAGE_SCHEMAS: MessageSchemas = {
+  'service.register': content({
+    id: STRING,
+    name: STRING,
+    type: STRING,
+    capabilities: STRING_LIST,
+    tools: { type: 'array', items: OBJECT },
+    manifest: { type: ['object', 'null'] },
+    metadata: OBJECT,
+    protocolVersion: STRING,
+    features: STRING_LIST
+  }, ['name']),
+  'service.status': SERVICE_STATUS,
+  'service.status.update': SERVICE_STATUS,
+  'service.notification': SERVICE_NOTIFICATION,
+  'service.task.notification': SERVICE_NOTIFICATION,
+  'service.task.result': content({ serviceId: STRING, taskId: STRING, result: ANY }, ['taskId']),
+  'service.error': openContent({ serviceId: STRING, taskId: STRING, error: ANY }),
+  'topic.subscribe': TOPIC_SUBSCRIPTION,
+  'topic.unsubscribe': TOPIC_SUBSCRIPTION,
+  'topic.publish': TOPIC_PUBLISH,
+  'ping': PING
+};
+
+const MESSAGE_SCHEMAS: Record<ConnectionType, MessageSchemas> = {
+  agent: AGENT_MESSAGE_SCHEMAS,
+  client: CLIENT_MESSAGE_SCHEMAS,
+  service: SERVICE_MESSAGE_SCHEMAS
+};
+
+export { MESSAGE_SCHEMAS, MessageSchemas };
@@ -0,0 +1,121 @@
+/**
+ * Protocol message validation for the ASP Orchestrator
+ * Checks every message an agent, client or service sends against the schema for its type,
+ * before the message is routed to the handlers in core/index.ts
+ */
+import Ajv from 'ajv';
+import { BaseMessage, ConnectionType, ProtocolValidationSettings, SchemaValidationError } from '@agentswarmprotocol/types/dist/common';
+import { MESSAGE_SCHEMAS } from './message-schemas';
+
+// Error codes sent back with refused messages
+const INVALID_MESSAGE = 'INVALID_MESSAGE';
+const UNSUPPORTED_MESSAGE_TYPE = 'UNSUPPORTED_MESSAGE_TYPE';
+
+interface MessageValidationFailure {
+  code: string;
+  // One line summary listing every error
+  message: string;
+  errors: SchemaValidationError[];
+}
+
+class MessageValidator {
+  // Whether invalid messages are refused rather than only reported
+  readonly strict: boolean;
+  private validators: Record<ConnectionType, Map<string, Ajv.ValidateFunction>>;
+
+  /**
+   * Create a new MessageValidator
+   * @param settings - Protocol validation settings from the orchestrator configuration
+   */
+  constructor(settings: ProtocolValidationSettings = {}) {
+    this.strict = settings.mode === 'strict';
+
+    const ajv = new Ajv({ allErrors: true, jsonPointers: true });
+    const compile = (schemas: Record<string, object>) => new Map(Object.entries(schemas).map(
+      ([type, schema]) => [type, ajv.compile(this.strict ? closeSchema(schema) : schema)] as [string, Ajv.ValidateFunction]
+    ));
+    this.validators = {
+      agent: compile(MESSAGE_SCHEMAS.agent),
+      client: compile(MESSAGE_SCHEMAS.client),
+      service: compile(MESSAGE_SCHEMAS.service)
+    };
+  }
+
+  /**
+   * Check a message against the schema for its type
+   * @param connectionType - Kind of connection the message came from
+   * @param message - The message, with its type already checked to be present
+   * @returns The failure, or null if the message is valid
+   */
+  validate(connectionType: ConnectionType, message: BaseMessage): MessageValidationFailure | null {
+    const validateFunction = this.validators[connectionType].get(message.type);
+    if (!validateFunction) {
+      return {
+        code: UNSUPPORTED_MESSAGE_TYPE,
+        message: `Unsupported message type: ${message.type}`,
+        errors: [{ path: '/type', message: `is not a known ${connectionType} message type`, keyword: 'enum' }]
+      };
+    }
+
+    // Messages without content are checked as empty content, so missing required fields are named
+    if (validateFunction(message.content ?? {})) {
+      return null;
+    }
+
+    const errors = (validateFunction.errors || []).map(toValidationError);
+    return {
+      code: INVALID_MESSAGE,
+      message: `Invalid ${message.type} message: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`,
+      errors
+    };
+  }
+}
+
+/**
+ * Copy of a schema in which objects that list their properties accept no others,
+ * unless the schema explicitly allows them
+ * @private
+ */
+function closeSchema(schema: any): any {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return schema;
+  }
+
+  const closed: any = { ...schema };
+  if (closed.properties) {
+    closed.properties = Object.fromEntries(
+      Object.entries(closed.properties).map(([name, property]) => [name, closeSchema(property)])
+    );
+    if (closed.additionalProperties === undefined) {
+      closed.additionalProperties = false;
+    }
+  }
+  if (closed.items) {
+    closed.items = closeSchema(closed.items);
+  }
+  return closed;
+}
+
+/**
+ * Turn an Ajv error into a validation error whose path points at the offending field of the message
+ * @private
+ */
+function toValidationError(error: Ajv.ErrorObject): SchemaValidationError {
+  let path = `/content${error.dataPath}`;
+  // Missing and unknown properties are reported on their parent object; point at the property itself
+  if (error.keyword === 'required') {
+    path += `/${escapePointer((error.params as Ajv.RequiredParams).missingProperty)}`;
+  } else if (error.keyword === 'additionalProperties') {
+    path += `/${escapePointer((error.params as Ajv.AdditionalPropertiesParams).additionalProperty)}`;
+  }
+  return { path, message: error.message || 'is invalid', keyword: error.keyword };
+}
+
+/**
+ * @private
+ */
+function escapePointer(property: string): string {
+  return property.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+export { MessageValidator, MessageValidationFailure, INVALID_MESSAGE, UNSUPPORTED_MESSAGE_TYPE };
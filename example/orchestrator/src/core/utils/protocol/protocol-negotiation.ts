@@ -0,0 +1,83 @@
+/**
+ * Protocol version negotiation for the ASP Orchestrator
+ * Agents, clients and services declare the protocol version and optional features they support when they register;
+ * the orchestrator answers with the version and features both sides will use
+ */
+import { ConnectionType, NegotiatedProtocol, ProtocolHandshake } from '@agentswarmprotocol/types/dist/common';
+
+// Protocol version this orchestrator speaks; peers with the same major version and any minor version are accepted
+const PROTOCOL_VERSION = '1.1';
+// Version assumed for peers that register without declaring one, which predate negotiation
+const LEGACY_PROTOCOL_VERSION = '1.0';
+
+const PROTOCOL_VERSION_UNSUPPORTED = 'PROTOCOL_VERSION_UNSUPPORTED';
+
+// Optional features the orchestrator supports on each interface
+const PROTOCOL_FEATURES: Record<ConnectionType, string[]> = {
+  // task.cancel: the agent stops tasks it is sent task.cancel for; task.streaming: it may send task.result.chunk
+  agent: ['task.cancel', 'task.streaming', 'topics'],
+  // task.streaming: the client is sent client.agent.task.result.chunk for its tasks
+  client: ['task.streaming', 'topics'],
+  service: ['topics']
+};
+
+interface ProtocolNegotiationFailure {
+  code: string;
+  message: string;
+}
+
+/**
+ * Work out the protocol version and features to use with a peer
+ * A peer that declares no version is taken to speak the legacy version with every feature, as it did before negotiation
+ * @param connectionType - Kind of connection registering
+ * @param handshake - The protocol version and features the peer declared
+ * @returns The negotiated protocol, or the failure if the peer's version is incompatible
+ */
+function negotiateProtocol(connectionType: ConnectionType, handshake: ProtocolHandshake = {}): NegotiatedProtocol | ProtocolNegotiationFailure {
+  const supported = PROTOCOL_FEATURES[connectionType];
+  if (handshake.protocolVersion === undefined) {
+    return { protocolVersion: LEGACY_PROTOCOL_VERSION, features: [...supported] };
+  }
+
+  const peer = parseVersion(handshake.protocolVersion);
+  const own = parseVersion(PROTOCOL_VERSION)!;
+  if (!peer || peer.major !== own.major) {
+    return {
+      code: PROTOCOL_VERSION_UNSUPPORTED,
+      message: `Unsupported protocol version ${handshake.protocolVersion}: this orchestrator speaks protocol ${own.major}.x (up to ${PROTOCOL_VERSION})`
+    };
+  }
+
+  const requested = new Set(handshake.features || []);
+  return {
+    protocolVersion: `${own.major}.${Math.min(peer.minor, own.minor)}`,
+    features: supported.filter(feature => requested.has(feature))
+  };
+}
+
+/**
+ * Whether a peer negotiated a feature; peers registered without negotiating have every feature
+ * @param protocol - The protocol negotiated with the peer, if any
+ * @param feature - Name of the feature
+ */
+function hasFeature(protocol: NegotiatedProtocol | undefined, feature: string): boolean {
+  return !protocol || protocol.features.includes(feature);
+}
+
+/**
+ * Major and minor number of a 'major.minor' or 'major.minor.patch' version
+ * @private
+ */
+function parseVersion(version: string): { major: number; minor: number } | null {
+  const match = /^(\d+)\.(\d+)(?:\.\d+)?$/.exec(version);
+  return match ? { major: Number(match[1]), minor: Number(match[2]) } : null;
+}
+
+export {
+  negotiateProtocol,
+  hasFeature,
+  ProtocolNegotiationFailure,
+  PROTOCOL_VERSION,
+  PROTOCOL_FEATURES,
+  PROTOCOL_VERSION_UNSUPPORTED
+};
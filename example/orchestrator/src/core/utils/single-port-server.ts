@@ -0,0 +1,109 @@
+/**
+ * Single-port listener for the ASP Orchestrator
+ * Accepts agent, client and service WebSocket connections on one port and routes each upgrade request by its path
+ */
+import * as http from 'http';
+import * as https from 'https';
+import { Duplex } from 'stream';
+import { createServer } from './tls';
+import { logger, MessageDirection } from './logger';
+
+type UpgradeHandler = (req: http.IncomingMessage, socket: Duplex, head: Buffer) => void;
+// Returns whether it answered the request
+type RequestHandler = (req: http.IncomingMessage, res: http.ServerResponse) => boolean;
+
+interface UpgradeRoute {
+  path: string;
+  handler: UpgradeHandler;
+}
+
+class SinglePortServer {
+  private port: number;
+  private tls?: https.ServerOptions;
+  // Upgrade handlers by request path, e.g. '/agent'
+  private routes: Map<string, UpgradeHandler>;
+  private server: http.Server | null;
+  // Answers plain HTTP requests, e.g. the client REST API
+  private requestHandler?: RequestHandler;
+
+  /**
+   * Create a new SinglePortServer
+   * @param port - Port to listen on
+   * @param routes - Path and upgrade handler of each interface
+   * @param tls - TLS options, or undefined for plain HTTP
+   * @param requestHandler - Handler for requests that are not WebSocket upgrades
+   * @throws If a path does not start with '/' or two interfaces share a path
+   */
+  constructor(port: number, routes: UpgradeRoute[], tls?: https.ServerOptions, requestHandler?: RequestHandler) {
+    this.port = port;
+    this.tls = tls;
+    this.requestHandler = requestHandler;
+    this.routes = new Map();
+    this.server = null;
+
+    routes.forEach(({ path: routePath, handler }) => {
+      if (!routePath.startsWith('/')) {
+        throw new Error(`Single-port path '${routePath}' must start with '/'`);
+      }
+      const normalized = this.normalizePath(routePath);
+      if (this.routes.has(normalized)) {
+        throw new Error(`Single-port path '${routePath}' is used by more than one interface`);
+      }
+      this.routes.set(normalized, handler);
+    });
+  }
+
+  /**
+   * Start listening
+   * @returns The server instance
+   */
+  async start(): Promise<SinglePortServer> {
+    this.server = createServer(this.tls, (req, res) => {
+      if (this.requestHandler && this.requestHandler(req, res)) {
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('Agent Swarm Protocol Orchestrator is running');
+    });
+
+    this.server.on('upgrade', (req: http.IncomingMessage, socket: Duplex, head: Buffer) => {
+      const { pathname } = new URL(req.url || '/', 'http://localhost');
+      const handler = this.routes.get(this.normalizePath(pathname));
+
+      if (!handler) {
+        logger.warn(MessageDirection.SYSTEM, `Rejected WebSocket upgrade for unknown path ${pathname}`, { remoteAddress: req.socket.remoteAddress });
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+        return;
+      }
+
+      handler(req, socket, head);
+    });
+
+    this.server.listen(this.port, () => {
+      const paths = Array.from(this.routes.keys()).join(', ');
+      logger.system(`ASP Orchestrator listening on port ${this.port}${this.tls ? ' (TLS)' : ''} for ${paths}`);
+    });
+
+    return this;
+  }
+
+  /**
+   * Stop listening; open connections are closed by the interface servers
+   */
+  stop(): void {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * Drop a trailing slash so '/agent/' and '/agent' route the same way
+   * @private
+   */
+  private normalizePath(routePath: string): string {
+    return routePath.length > 1 && routePath.endsWith('/') ? routePath.slice(0, -1) : routePath;
+  }
+}
+
+export { SinglePortServer, UpgradeHandler, UpgradeRoute, RequestHandler };
@@ -2,6 +2,8 @@
  * Task interfaces for the ASP Orchestrator
  */
 import { TaskStatus } from '@agentswarmprotocol/types/dist/common';
+import { TaskStore, MemoryTaskStore } from './task-store';
+import { NotFoundError } from '../errors';
 
 interface TaskHistoryEntry {
   status: string;
@@ -25,6 +27,19 @@ interface TaskData {
   [key: string]: any;
 }
 
+/**
+ * Retry state of a task whose earlier attempts failed, kept apart from the result the agent sends
+ */
+interface TaskRetryState {
+  // The attempt that is running or about to be sent, starting at 1
+  attempt: number;
+  // Why the previous attempt failed
+  lastError?: string;
+  lastErrorCode?: string;
+  // When the current attempt is, or was, due to be sent
+  retryAt?: string;
+}
+
 interface Task {
   id: string;
   status: TaskStatus;
@@ -34,19 +49,41 @@ interface Task {
   agentId: string;      // Required by the types package
   taskData: any;        // Required by the types package
   clientId?: string;
+  parentTaskId?: string;
+  rootTaskId?: string;
+  rootClientId?: string;
+  principalId?: string; // Credential that started a root task, when auth is enabled
+  depth?: number;
   completedAt?: string;
   result?: any;
   error?: any;
+  retry?: TaskRetryState;
   assigneeId?: string;  // Added to handle existing code references
   [key: string]: any;   // Allow string indexing
 }
 
+// How many levels of child tasks may be delegated below a root task unless configured otherwise
+const DEFAULT_MAX_TASK_DEPTH = 10;
+
+/**
+ * Where a task sits in the tree of tasks started by one client task or workflow
+ */
+interface TaskLineage {
+  // The task at the top of the tree
+  rootTaskId: string;
+  // The client that created the root task, if a client did
+  rootClientId?: string;
+  // 0 for a root task, 1 for its children, and so on
+  depth: number;
+}
+
 interface TaskUpdateOptions {
   note?: string;
   result?: any;
   agentId?: string;
   error?: string;
   metadata?: Record<string, any>;
+  retry?: TaskRetryState;
 }
 
 /**
@@ -58,12 +95,64 @@ class AgentTaskRegistry {
   private tasksByAgentId: Map<string, string[]>;
   private tasksByClientId: Map<string, string[]>;
   private taskIdCounter: number;
+  private store: TaskStore<Task>;
 
-  constructor() {
+  constructor(store: TaskStore<Task> = new MemoryTaskStore<Task>()) {
     this.tasks = new Map(); // Maps task IDs to task objects
     this.tasksByAgentId = new Map(); // Maps agent IDs to arrays of assigned task IDs
     this.tasksByClientId = new Map(); // Maps client IDs to arrays of requested task IDs
     this.taskIdCounter = 0; // Counter for generating unique task IDs
+    this.store = store; // Storage backend for persisting tasks
+  }
+
+  /**
+   * Write the current state of a task to the store
+   * @private
+   * @param {Task} task - Task to persist
+   */
+  private _persist(task: Task): void {
+    try {
+      this.store.save(task);
+    } catch (error) {
+      console.warn(`Failed to persist task ${task.id}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  /**
+   * Load tasks from the store into the registry
+   * @returns {number} Number of tasks loaded
+   */
+  loadFromStore(): number {
+    const storedTasks = this.store.load();
+
+    for (const task of storedTasks) {
+      this.tasks.set(task.id, task);
+
+      if (task.assigneeId) {
+        this._assignTaskToAgent(task.id, task.assigneeId);
+      }
+
+      if (task.clientId) {
+        this._assignTaskToClient(task.id, task.clientId);
+      }
+    }
+
+    return storedTasks.length;
+  }
+
+  /**
+   * Mark tasks that were pending or in progress when the orchestrator stopped as interrupted
+   * Pending tasks were waiting in the dispatcher's queue, which does not survive a restart, so they would never run.
+   * @returns {Task[]} The interrupted tasks
+   */
+  markInterruptedTasks(): Task[] {
+    return this.getTasks({ status: ['pending', 'in_progress'] })
+      .map(task => this.updateTaskStatus(task.id, 'interrupted', {
+        error: 'Task interrupted by orchestrator restart',
+        note: `Task was ${task.status === 'pending' ? 'queued' : 'in progress'} when the orchestrator stopped`,
+        metadata: { interrupted: true, interruptedAt: new Date().toISOString() }
+      }))
+      .filter((task): task is Task => task !== null);
   }
 
   /**
@@ -95,9 +184,12 @@ class AgentTaskRegistry {
       throw new Error('Task ID is required');
     }
     
+    const lineage = this._resolveLineage(taskId, taskData);
+
     const task: Task = {
       id: taskId,
       ...taskData,
+      ...lineage,
       status: (taskData.status as TaskStatus) || 'pending',
       createdAt: taskData.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString(),
@@ -122,6 +214,8 @@ class AgentTaskRegistry {
       this._assignTaskToClient(taskId, taskData.clientId);
     }
     
+    this._persist(task);
+    
     return task;
   }
 
@@ -143,6 +237,7 @@ class AgentTaskRegistry {
     
     const task: Task = {
       ...taskData,
+      ...this._resolveLineage(taskId, taskData),
       id: taskId,
       status: 'pending',
       createdAt: new Date().toISOString(),
@@ -168,9 +263,48 @@ class AgentTaskRegistry {
       this._assignTaskToClient(taskId, taskData.clientId);
     }
     
+    this._persist(task);
+    
     return task;
   }
 
+  /**
+   * Work out the lineage of a task started from another task: same root, one level deeper
+   * Tasks stored before lineage was recorded count as roots
+   * @param {string} parentTaskId - ID of the parent task
+   * @returns {TaskLineage|null} The child's lineage, or null if the parent is unknown
+   */
+  getChildLineage(parentTaskId: string): TaskLineage | null {
+    const parent = this.getTaskOrNull(parentTaskId);
+    if (!parent) {
+      return null;
+    }
+
+    return {
+      rootTaskId: parent.rootTaskId || parent.id,
+      rootClientId: parent.rootTaskId ? parent.rootClientId : parent.clientId,
+      depth: (parent.depth || 0) + 1
+    };
+  }
+
+  /**
+   * Lineage to record on a new task: given explicitly, taken from its parent, or that of a root task
+   * @private
+   * @param {string} taskId - ID of the new task
+   * @param {TaskData} taskData - Task details
+   * @returns {TaskLineage} The lineage
+   */
+  private _resolveLineage(taskId: string, taskData: TaskData): TaskLineage {
+    const lineage = (taskData.parentTaskId && this.getChildLineage(taskData.parentTaskId)) ||
+      { rootTaskId: taskId, rootClientId: taskData.clientId, depth: 0 };
+
+    return {
+      rootTaskId: taskData.rootTaskId ?? lineage.rootTaskId,
+      rootClientId: taskData.rootClientId ?? lineage.rootClientId,
+      depth: taskData.depth ?? lineage.depth
+    };
+  }
+
   /**
    * Assign a task to an agent
    * @param {string} taskId - ID of the task to assign
@@ -197,6 +331,8 @@ class AgentTaskRegistry {
       // Update the task assignment tracking
       this._assignTaskToAgent(taskId, agentId);
       
+      this._persist(task);
+      
       return task;
     } catch (error) {
       console.warn(`Failed to assign task ${taskId} to agent ${agentId}: ${error instanceof Error ? error.message : String(error)}`);
@@ -247,7 +383,7 @@ class AgentTaskRegistry {
   getTask(taskId: string): Task {
     const task = this.tasks.get(taskId);
     if (!task) {
-      throw new Error(`Task with ID ${taskId} not found`);
+      throw new NotFoundError(`Task with ID ${taskId} not found`);
     }
     return task;
   }
@@ -304,6 +440,10 @@ class AgentTaskRegistry {
         task.result.metadata = { ...task.result.metadata, ...options.metadata };
       }
       
+      if (options.retry) {
+        task.retry = options.retry;
+      }
+      
       // Add history entry
       const historyEntry: TaskHistoryEntry = {
         status,
@@ -318,6 +458,8 @@ class AgentTaskRegistry {
       
       task.history.push(historyEntry);
       
+      this._persist(task);
+      
       return task;
     } catch (error) {
       console.warn(`Failed to update task ${taskId} status: ${error instanceof Error ? error.message : String(error)}`);
@@ -332,7 +474,7 @@ class AgentTaskRegistry {
    * @returns {TaskStatus} A valid TaskStatus
    */
   private validateTaskStatus(status: string): TaskStatus {
-    const validStatuses: TaskStatus[] = ['pending', 'in_progress', 'completed', 'failed'];
+    const validStatuses: TaskStatus[] = ['pending', 'in_progress', 'completed', 'failed', 'cancelled'];
     
     if (validStatuses.includes(status as TaskStatus)) {
       return status as TaskStatus;
@@ -345,6 +487,8 @@ class AgentTaskRegistry {
       case 'running':
         return 'in_progress';
       case 'error':
+      case 'interrupted':
+      case 'timeout':
         return 'failed';
       case 'done':
       case 'success':
@@ -352,6 +496,8 @@ class AgentTaskRegistry {
       case 'waiting':
       case 'new':
         return 'pending';
+      case 'canceled':
+        return 'cancelled';
       default:
         console.warn(`[TaskRegistry] Invalid task status '${status}', defaulting to 'pending'. Valid statuses: pending, in_progress, completed, failed, cancelled`);
         return 'pending';
@@ -419,62 +565,6 @@ class AgentTaskRegistry {
   return [...indexedTasks, ...relatedTasks];
 }
 
-   /**
-   * Get tasks assigned to an agent
-   * @param {string} agentId - ID of the agent
-   * @returns {Task[]} Array of tasks assigned to the agent
-   */
-   getTasksByAgentIdForChildTasks(agentId: string): Task[] {
-    // Get tasks directly indexed by agentId
-    const indexedTaskIds = this.tasksByAgentId.get(agentId) || [];
-    const indexedTasks = indexedTaskIds
-      .map(taskId => this.getTaskOrNull(taskId))
-      .filter((task): task is Task => task !== null);
-    
-    // Search through all tasks for any references to this agentId
-    // (For example in requestingAgentId, parentAgentId, or within taskData.metadata)
-    const allTasks = Array.from(this.tasks.values());
-    const relatedTasks = allTasks.filter(task => {
-      // Skip tasks already found via direct indexing
-      if (indexedTaskIds.includes(task.id)) {
-        return false;
-      }
-      
-      // Check common agent-related fields
-      if (task.requestingAgentId === agentId) {
-        return true;
-      }
-      
-      if (task.parentAgentId === agentId) {
-        return true;
-      }
-      
-      // Check if the agent is mentioned in metadata
-      if (task.taskData?.metadata?.requestingAgent?.id === agentId) {
-        return true;
-      }
-      
-      // Check if this is a parent of a task assigned to the agent
-      if (task.parentTaskId && this.getTaskOrNull(task.parentTaskId)?.agentId === agentId) {
-        return true;
-      }
-      
-      // Deep check in task data for agent ID (could be anywhere in the task data)
-      const taskDataStr = JSON.stringify(task.taskData);
-      if (taskDataStr.includes(agentId)) {
-        // Verify it's actually a proper reference and not just a substring match
-        // This regex looks for the agentId in a context where it's likely a proper ID reference
-        const properIdRegex = new RegExp(`["']?(id|agentId|requestingAgentId)["']?\\s*:\\s*["']?${agentId}["']?`);
-        return properIdRegex.test(taskDataStr);
-      }
-      
-      return false;
-    });
-    
-    // Combine both sets of tasks
-    return [...indexedTasks, ...relatedTasks];
-  }
-
   /**
    * Get tasks created by a client
    * @param {string} clientId - ID of the client
@@ -574,6 +664,12 @@ class AgentTaskRegistry {
       }
     }
     
+    try {
+      this.store.remove(taskId);
+    } catch (error) {
+      console.warn(`Failed to remove task ${taskId} from store: ${error instanceof Error ? error.message : String(error)}`);
+    }
+
     return true;
   }
 
@@ -606,6 +702,8 @@ class AgentTaskRegistry {
       // Update last modified time
       task.updatedAt = new Date().toISOString();
       
+      this._persist(task);
+      
       return task;
     } catch (error) {
       console.warn(`Failed to add note to task ${taskId}: ${error instanceof Error ? error.message : String(error)}`);
@@ -671,4 +769,4 @@ class AgentTaskRegistry {
   }
 }
 
-export { AgentTaskRegistry, Task, TaskData, TaskHistoryEntry, TaskUpdateOptions }; 
\ No newline at end of file
+export { AgentTaskRegistry, DEFAULT_MAX_TASK_DEPTH, Task, TaskData, TaskHistoryEntry, TaskLineage, TaskRetryState, TaskUpdateOptions }; 
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * Idempotency keys for the ASP Orchestrator
+ * Lets a client submit the same task again, e.g. after reconnecting, without the task being created twice
+ */
+import { IdempotencySettings } from '@agentswarmprotocol/types/dist/common';
+import { ExpiringCache, hashInput } from './result-cache';
+
+const DEFAULT_WINDOW = 10 * 60 * 1000;
+const DEFAULT_MAX_KEYS = 10000;
+
+interface IdempotencyRecord {
+  taskId: string;
+  // Hash of the request the key was first used with
+  requestHash: string;
+}
+
+class IdempotencyKeys {
+  private keys: ExpiringCache<IdempotencyRecord>;
+
+  /**
+   * Create a new IdempotencyKeys store
+   * @param settings - Idempotency settings from the orchestrator configuration
+   */
+  constructor(settings: IdempotencySettings = {}) {
+    this.keys = new ExpiringCache(settings.window ?? DEFAULT_WINDOW, settings.maxKeys ?? DEFAULT_MAX_KEYS);
+  }
+
+  /**
+   * Find the task an idempotency key was used for
+   * Keys are scoped to the credential that sent them, so one credential cannot reach another's tasks
+   * @param scope - ID of the principal that sent the request, or '' without authentication
+   * @param key - The idempotency key
+   * @param request - The request the key is sent with
+   * @returns ID of the task, or undefined if the key is unused or has expired
+   * @throws If the key was used for a different request
+   */
+  find(scope: string, key: string, request: any): string | undefined {
+    const record = this.keys.get(this.scopedKey(scope, key));
+    if (!record) {
+      return undefined;
+    }
+    if (record.requestHash !== hashInput(request)) {
+      throw new Error(`Idempotency key '${key}' was already used for a different task`);
+    }
+    return record.taskId;
+  }
+
+  /**
+   * Point an idempotency key at a task for the configured window
+   * @param scope - ID of the principal that sent the request, or '' without authentication
+   * @param key - The idempotency key
+   * @param request - The request the key is sent with
+   * @param taskId - ID of the task created for the request
+   */
+  remember(scope: string, key: string, request: any, taskId: string): void {
+    this.keys.set(this.scopedKey(scope, key), { taskId, requestHash: hashInput(request) });
+  }
+
+  /**
+   * @private
+   */
+  private scopedKey(scope: string, key: string): string {
+    return JSON.stringify([scope, key]);
+  }
+}
+
+export { IdempotencyKeys };
@@ -0,0 +1,162 @@
+/**
+ * Result caching for the ASP Orchestrator
+ * Reuses the results of agents and service tools that declare themselves deterministic, for identical input
+ */
+import crypto from 'crypto';
+import { Agent, ResultCacheSettings } from '@agentswarmprotocol/types/dist/common';
+
+const DEFAULT_TTL = 5 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Map whose entries expire after a fixed time and that drops its oldest entries beyond a size limit
+ */
+class ExpiringCache<V> {
+  private ttl: number;
+  private maxEntries: number;
+  // Entries in insertion order, so the first one is the oldest
+  private entries: Map<string, { value: V; expiresAt: number }>;
+
+  /**
+   * Create a new ExpiringCache
+   * @param ttl - Milliseconds an entry is kept
+   * @param maxEntries - Most entries kept at once
+   */
+  constructor(ttl: number, maxEntries: number) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get an entry that has not expired
+   * @param key - The key
+   * @returns The value, or undefined if there is none
+   */
+  get(key: string): V | undefined {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Add or replace an entry; it expires one TTL from now
+   * @param key - The key
+   * @param value - The value
+   */
+  set(key: string, value: V): void {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value!);
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param key - The key
+   */
+  delete(key: string): void {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Hash a JSON value; objects with the same keys and values hash the same whatever the key order
+ * @param value - The value
+ * @returns Hex SHA-256 digest
+ */
+function hashInput(value: any): string {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+/**
+ * JSON text of a value with object keys sorted
+ * @private
+ */
+function stableStringify(value: any): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item ?? null)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+class ResultCache {
+  private enabled: boolean;
+  private cache: ExpiringCache<string>;
+
+  /**
+   * Create a new ResultCache
+   * @param settings - Result cache settings from the orchestrator configuration
+   */
+  constructor(settings: ResultCacheSettings = {}) {
+    this.enabled = settings.enabled !== false;
+    this.cache = new ExpiringCache(settings.ttl ?? DEFAULT_TTL, settings.maxEntries ?? DEFAULT_MAX_ENTRIES);
+  }
+
+  /**
+   * Cache key for a task sent to an agent
+   * @param agent - The agent that runs the task
+   * @param taskData - The task data as the client or requesting agent sent it, so client and child tasks share entries
+   * @returns The key, or undefined if the agent's results are not cached
+   */
+  agentKey(agent: Agent, taskData: any): string | undefined {
+    if (!this.enabled || agent.deterministic !== true) {
+      return undefined;
+    }
+    return `agent:${agent.name}:${hashInput(taskData)}`;
+  }
+
+  /**
+   * Cache key for a service tool call
+   * @param service - The service, with the tools it registered
+   * @param toolId - ID of the tool
+   * @param params - The tool parameters
+   * @returns The key, or undefined if the tool's results are not cached
+   */
+  toolKey(service: { name: string; tools?: any[] }, toolId: string, params: any): string | undefined {
+    const tool = service.tools?.find(candidate => candidate.id === toolId);
+    if (!this.enabled || tool?.deterministic !== true) {
+      return undefined;
+    }
+    return `service:${service.name}:${toolId}:${hashInput(params)}`;
+  }
+
+  /**
+   * Get a cached result
+   * @param key - Key from agentKey or toolKey
+   * @returns A copy of the result, or undefined if nothing is cached
+   */
+  get(key: string): any {
+    const text = this.cache.get(key);
+    return text === undefined ? undefined : JSON.parse(text);
+  }
+
+  /**
+   * Cache a result
+   * The result is stored as JSON, so later changes to the object do not leak into the cache
+   * @param key - Key from agentKey or toolKey
+   * @param result - The result
+   */
+  set(key: string, result: any): void {
+    if (result === undefined) {
+      return;
+    }
+    this.cache.set(key, JSON.stringify(result));
+  }
+}
+
+export { ExpiringCache, ResultCache, hashInput };
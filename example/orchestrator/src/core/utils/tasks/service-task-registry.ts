@@ -1,18 +1,20 @@
 import { v4 as uuidv4 } from 'uuid';
 import { ServiceTaskRegistry as IServiceTaskRegistry } from '../../../../../types/common';
+import { TaskStore, MemoryTaskStore } from './task-store';
 
-interface ServiceTask {
+export interface ServiceTask {
   id: string;
   serviceId: string;
   agentId?: string;
   clientId?: string;
-  status: 'pending' | 'in_progress' | 'completed' | 'failed';
+  status: 'pending' | 'in_progress' | 'completed' | 'failed' | 'cancelled';
   createdAt: string;
   completedAt?: string;
   taskData: Record<string, any>;
   result: any;
   error: null | { message: string; code?: string; details?: any };
   requestId?: string;
+  parentTaskId?: string;
 }
 
 interface TaskInfo {
@@ -22,6 +24,7 @@ interface TaskInfo {
   clientId?: string;
   taskData?: Record<string, any>;
   requestId?: string;
+  parentTaskId?: string;
 }
 
 interface TaskStatusData {
@@ -37,12 +40,85 @@ export class ServiceTaskRegistry implements IServiceTaskRegistry {
   private agentTasks: Map<string, Set<string>>;
   private serviceTasks: Map<string, Set<string>>;
   private clientTasks: Map<string, Set<string>>;
+  private store: TaskStore<ServiceTask>;
 
-  constructor() {
+  constructor(store: TaskStore<ServiceTask> = new MemoryTaskStore<ServiceTask>()) {
     this.tasks = new Map();
     this.agentTasks = new Map(); // Map agent ID to task IDs
     this.serviceTasks = new Map(); // Map service ID to task IDs
     this.clientTasks = new Map(); // Map client ID to task IDs
+    this.store = store; // Storage backend for persisting tasks
+  }
+
+  /**
+   * Write the current state of a task to the store
+   * @param {ServiceTask} task - Task to persist
+   */
+  private persist(task: ServiceTask): void {
+    try {
+      this.store.save(task);
+    } catch (error) {
+      console.warn(`Failed to persist service task ${task.id}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  /**
+   * Add a task to the lookup indexes
+   * @param {ServiceTask} task - Task to index
+   */
+  private indexTask(task: ServiceTask): void {
+    // Add to agent tasks
+    if (task.agentId) {
+      const agentTasks = this.agentTasks.get(task.agentId) || new Set();
+      agentTasks.add(task.id);
+      this.agentTasks.set(task.agentId, agentTasks);
+    }
+    
+    // Add to service tasks
+    if (task.serviceId) {
+      const serviceTasks = this.serviceTasks.get(task.serviceId) || new Set();
+      serviceTasks.add(task.id);
+      this.serviceTasks.set(task.serviceId, serviceTasks);
+    }
+    
+    // Add to client tasks
+    if (task.clientId) {
+      const clientTasks = this.clientTasks.get(task.clientId) || new Set();
+      clientTasks.add(task.id);
+      this.clientTasks.set(task.clientId, clientTasks);
+    }
+  }
+
+  /**
+   * Load tasks from the store into the registry
+   * @returns {number} Number of tasks loaded
+   */
+  loadFromStore(): number {
+    const storedTasks = this.store.load();
+    
+    for (const task of storedTasks) {
+      this.tasks.set(task.id, task);
+      this.indexTask(task);
+    }
+    
+    return storedTasks.length;
+  }
+
+  /**
+   * Mark tasks that were still running when the orchestrator stopped as failed.
+   * Service tasks stay pending while the service works on them, so pending tasks count too.
+   * @returns {Array<ServiceTask>} The interrupted tasks
+   */
+  markInterruptedTasks(): ServiceTask[] {
+    return this.getAllTasks()
+      .filter(task => task.status === 'pending' || task.status === 'in_progress')
+      .map(task => this.updateTaskStatus(task.id, 'failed', {
+        error: {
+          message: 'Task interrupted by orchestrator restart',
+          code: 'TASK_INTERRUPTED'
+        }
+      }))
+      .filter((task): task is ServiceTask => task !== null);
   }
 
   /**
@@ -64,32 +140,14 @@ export class ServiceTaskRegistry implements IServiceTaskRegistry {
       taskData: taskInfo.taskData || {},
       result: null,
       error: null,
-      requestId: taskInfo.requestId
+      requestId: taskInfo.requestId,
+      parentTaskId: taskInfo.parentTaskId
     };
     
     // Store the task
     this.tasks.set(taskId, task);
-    
-    // Add to agent tasks
-    if (taskInfo.agentId) {
-      const agentTasks = this.agentTasks.get(taskInfo.agentId) || new Set();
-      agentTasks.add(taskId);
-      this.agentTasks.set(taskInfo.agentId, agentTasks);
-    }
-    
-    // Add to service tasks
-    if (taskInfo.serviceId) {
-      const serviceTasks = this.serviceTasks.get(taskInfo.serviceId) || new Set();
-      serviceTasks.add(taskId);
-      this.serviceTasks.set(taskInfo.serviceId, serviceTasks);
-    }
-    
-    // Add to client tasks
-    if (taskInfo.clientId) {
-      const clientTasks = this.clientTasks.get(taskInfo.clientId) || new Set();
-      clientTasks.add(taskId);
-      this.clientTasks.set(taskInfo.clientId, clientTasks);
-    }
+    this.indexTask(task);
+    this.persist(task);
     
     return task;
   }
@@ -181,7 +239,7 @@ export class ServiceTaskRegistry implements IServiceTaskRegistry {
    */
   updateTaskStatus(
     taskId: string, 
-    status: 'pending' | 'in_progress' | 'completed' | 'failed', 
+    status: 'pending' | 'in_progress' | 'completed' | 'failed' | 'cancelled', 
     data: TaskStatusData = {}
   ): ServiceTask | null {
     const task = this.tasks.get(taskId);
@@ -192,7 +250,7 @@ export class ServiceTaskRegistry implements IServiceTaskRegistry {
     const updatedTask = { ...task, status };
     
     // Add completed timestamp if task is completing
-    if (status === 'completed' || status === 'failed') {
+    if (status === 'completed' || status === 'failed' || status === 'cancelled') {
       updatedTask.completedAt = new Date().toISOString();
     }
     
@@ -210,6 +268,7 @@ export class ServiceTaskRegistry implements IServiceTaskRegistry {
     
     // Update the task
     this.tasks.set(taskId, updatedTask);
+    this.persist(updatedTask);
     
     return updatedTask;
   }
@@ -264,6 +323,12 @@ export class ServiceTaskRegistry implements IServiceTaskRegistry {
     // Remove the task
     this.tasks.delete(taskId);
     
+    try {
+      this.store.remove(taskId);
+    } catch (error) {
+      console.warn(`Failed to remove service task ${taskId} from store: ${error instanceof Error ? error.message : String(error)}`);
+    }
+    
     return true;
   }
 
@@ -280,7 +345,8 @@ export class ServiceTaskRegistry implements IServiceTaskRegistry {
       agentId: taskData.agentId,
       clientId: taskData.clientId,
       taskData: taskData,
-      requestId: taskData.requestId
+      requestId: taskData.requestId,
+      parentTaskId: taskData.parentTaskId
     });
   }
 } 
\ No newline at end of file
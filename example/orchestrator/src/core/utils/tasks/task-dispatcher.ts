@@ -0,0 +1,242 @@
+/**
+ * Task dispatching for the ASP Orchestrator
+ * Sends tasks to agents while they have free slots and queues the rest until a slot frees up
+ */
+import { Agent, BaseMessage } from '@agentswarmprotocol/types/dist/common';
+import { AgentRegistry } from '../../../registry/agent-registry';
+import { AgentTaskRegistry } from './agent-task-registry';
+import { logger, MessageDirection } from '../logger';
+
+interface QueuedTask {
+  taskId: string;
+  message: BaseMessage;
+  queuedAt: string;
+}
+
+interface QueueInfo {
+  agentId: string;
+  position: number;
+  depth: number;
+}
+
+type SendFunction = (connectionId: string, message: BaseMessage) => void;
+type SentCallback = (agent: Agent, taskId: string) => void;
+
+class TaskDispatcher {
+  private agents: AgentRegistry;
+  private tasks: AgentTaskRegistry;
+  private send: SendFunction;
+  private onSent?: SentCallback;
+  // Waiting tasks for each agent, oldest first
+  private queues: Map<string, QueuedTask[]>;
+
+  /**
+   * Create a new TaskDispatcher
+   * @param agents - Agent registry
+   * @param tasks - Task registry used to count running tasks and update task status
+   * @param send - Function that sends a message to an agent connection
+   * @param onSent - Called after a task has been handed to its agent
+   */
+  constructor(agents: AgentRegistry, tasks: AgentTaskRegistry, send: SendFunction, onSent?: SentCallback) {
+    this.agents = agents;
+    this.tasks = tasks;
+    this.send = send;
+    this.onSent = onSent;
+    this.queues = new Map();
+  }
+
+  /**
+   * Send a task to an agent now, or queue it if the agent has no free slot
+   * @param agent - Agent that should run the task
+   * @param taskId - ID of the task
+   * @param message - The task.execute message
+   * @returns Queue details if the task was queued, undefined if it was sent
+   */
+  dispatch(agent: Agent, taskId: string, message: BaseMessage): QueueInfo | undefined {
+    const queue = this.queues.get(agent.id) || [];
+
+    // Tasks already waiting go first, so a freed slot is never taken out of turn
+    if (queue.length === 0 && this.hasCapacity(agent)) {
+      this.sendTask(agent, taskId, message);
+      return undefined;
+    }
+
+    queue.push({ taskId, message, queuedAt: new Date().toISOString() });
+    this.queues.set(agent.id, queue);
+
+    this.tasks.updateTaskStatus(taskId, 'pending', {
+      note: `Queued for agent ${agent.name} (position ${queue.length})`,
+      metadata: { queuedAt: new Date().toISOString() }
+    });
+    logger.system(`Task ${taskId} queued for agent ${agent.name}`, { position: queue.length, running: this.getRunningTaskCount(agent.id) });
+
+    return { agentId: agent.id, position: queue.length, depth: queue.length };
+  }
+
+  /**
+   * Put tasks back at the head of an agent's queue, keeping their order
+   * Used for tasks the agent was running when it disconnected, so they are sent again first when it returns
+   * @param agentId - The agent ID
+   * @param items - Tasks and their task.execute messages
+   */
+  enqueueFirst(agentId: string, items: { taskId: string; message: BaseMessage }[]): void {
+    if (items.length === 0) {
+      return;
+    }
+
+    const queuedAt = new Date().toISOString();
+    const queue = this.queues.get(agentId) || [];
+    queue.unshift(...items.map(item => ({ ...item, queuedAt })));
+    this.queues.set(agentId, queue);
+
+    items.forEach(item => {
+      this.tasks.updateTaskStatus(item.taskId, 'pending', {
+        note: 'Waiting for the agent to reconnect',
+        metadata: { queuedAt }
+      });
+    });
+  }
+
+  /**
+   * Send queued tasks to an agent for as long as it has free slots
+   * Called whenever an agent finishes a task or becomes available again
+   * @param agentId - The agent ID
+   * @returns Number of tasks sent
+   */
+  dispatchNext(agentId: string): number {
+    const queue = this.queues.get(agentId);
+    const agent = this.agents.getAgentById(agentId);
+    let sent = 0;
+
+    while (queue && queue.length > 0 && agent && this.hasCapacity(agent)) {
+      const next = queue.shift()!;
+
+      // Skip tasks that were cancelled or failed while they waited
+      const task = this.tasks.getTaskOrNull(next.taskId);
+      if (!task || task.status !== 'pending') {
+        continue;
+      }
+
+      try {
+        this.sendTask(agent, next.taskId, next.message);
+        sent++;
+      } catch (error) {
+        // Keep the task at the head of the queue and try again on the next free slot
+        queue.unshift(next);
+        logger.error(MessageDirection.ORCHESTRATOR_TO_AGENT, `Could not send queued task ${next.taskId}`, error, agentId);
+        break;
+      }
+    }
+
+    if (queue && queue.length === 0) {
+      this.queues.delete(agentId);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Remove a task from whichever queue holds it
+   * @param taskId - ID of the task
+   * @returns Whether the task was queued
+   */
+  remove(taskId: string): boolean {
+    for (const [agentId, queue] of this.queues.entries()) {
+      const index = queue.findIndex(item => item.taskId === taskId);
+      if (index !== -1) {
+        queue.splice(index, 1);
+        if (queue.length === 0) {
+          this.queues.delete(agentId);
+        }
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Empty an agent's queue
+   * @param agentId - The agent ID
+   * @returns The tasks that were queued, oldest first
+   */
+  removeAll(agentId: string): QueuedTask[] {
+    const queue = this.queues.get(agentId) || [];
+    this.queues.delete(agentId);
+    return queue;
+  }
+
+  /**
+   * Get where a task is in its agent's queue
+   * @param taskId - ID of the task
+   * @returns Queue details, or undefined if the task is not queued
+   */
+  getQueueInfo(taskId: string): QueueInfo | undefined {
+    for (const [agentId, queue] of this.queues.entries()) {
+      const index = queue.findIndex(item => item.taskId === taskId);
+      if (index !== -1) {
+        return { agentId, position: index + 1, depth: queue.length };
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Get the number of tasks waiting for an agent
+   * @param agentId - The agent ID
+   * @returns Queue depth
+   */
+  getQueueDepth(agentId: string): number {
+    return this.queues.get(agentId)?.length || 0;
+  }
+
+  /**
+   * Check whether an agent can take another task right now
+   * Agents that report themselves busy get no new tasks until they are online again
+   * @param agent - The agent
+   * @returns Whether the agent has a free slot
+   */
+  hasCapacity(agent: Agent): boolean {
+    if (agent.status !== 'online') {
+      return false;
+    }
+
+    if (!agent.maxConcurrentTasks) {
+      return true;
+    }
+
+    return this.getRunningTaskCount(agent.id) < agent.maxConcurrentTasks;
+  }
+
+  /**
+   * Get the number of tasks an agent is currently running
+   * @param agentId - The agent ID
+   * @returns Number of in-progress tasks
+   */
+  getRunningTaskCount(agentId: string): number {
+    return this.tasks.getTasks({ agentId, status: 'in_progress' }).length;
+  }
+
+  /**
+   * Send a task to an agent and mark it as running
+   * @private
+   */
+  private sendTask(agent: Agent, taskId: string, message: BaseMessage): void {
+    const connectionId = this.agents.getConnectionIdByAgentId(agent.id);
+    if (!connectionId) {
+      throw new Error('Cannot deliver task to agent: not connected');
+    }
+
+    this.send(connectionId, message);
+    logger.orchestratorToAgent(`Task sent to agent`, { taskId }, agent.id);
+
+    this.tasks.updateTaskStatus(taskId, 'running', {
+      metadata: { startedAt: new Date().toISOString() }
+    });
+
+    if (this.onSent) {
+      this.onSent(agent, taskId);
+    }
+  }
+}
+
+export { TaskDispatcher, QueueInfo, QueuedTask };
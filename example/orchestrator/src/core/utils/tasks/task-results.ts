@@ -0,0 +1,15 @@
+/**
+ * Task results for the ASP Orchestrator
+ * Helpers shared by the agent and service task registries
+ */
+
+/**
+ * Whether a task result reports a failure rather than an outcome: services send `{ error }` as the result when
+ * a tool throws, and so do agents built on older SDKs instead of a `task.error` when their handler throws
+ * @param result - The result the agent or service sent
+ */
+function isFailedResult(result: any): boolean {
+  return !!result && typeof result === 'object' && result.error !== undefined && Object.keys(result).length === 1;
+}
+
+export { isFailedResult };
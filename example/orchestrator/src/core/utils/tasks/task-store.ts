@@ -0,0 +1,179 @@
+/**
+ * Task storage backends for the ASP Orchestrator
+ * Lets the task registries persist tasks so they survive orchestrator restarts
+ */
+import fs from 'fs';
+import path from 'path';
+import { TaskStoreSettings } from '@agentswarmprotocol/types/dist/common';
+import { logger, MessageDirection } from '../logger';
+
+interface StoredTask {
+  id: string;
+  [key: string]: any;
+}
+
+// The log is compacted while running once it holds this many records per stored task...
+const COMPACT_RECORDS_PER_TASK = 4;
+// ...and at least this many records, so a small log is not rewritten on every few changes
+const MIN_COMPACT_RECORDS = 1000;
+
+/**
+ * A single entry in the append log
+ */
+type TaskLogRecord<T extends StoredTask> =
+  | { op: 'put'; task: T }
+  | { op: 'delete'; id: string };
+
+/**
+ * Storage backend used by the task registries
+ */
+interface TaskStore<T extends StoredTask = StoredTask> {
+  /**
+   * Load all stored tasks
+   * @returns {T[]} The stored tasks
+   */
+  load(): T[];
+
+  /**
+   * Store the current state of a task
+   * @param {T} task - Task to store
+   */
+  save(task: T): void;
+
+  /**
+   * Remove a task from the store
+   * @param {string} taskId - ID of the task to remove
+   */
+  remove(taskId: string): void;
+}
+
+/**
+ * MemoryTaskStore - Keeps nothing between restarts (default behaviour)
+ */
+class MemoryTaskStore<T extends StoredTask = StoredTask> implements TaskStore<T> {
+  load(): T[] {
+    return [];
+  }
+
+  save(task: T): void {}
+
+  remove(taskId: string): void {}
+}
+
+/**
+ * FileTaskStore - Persists tasks to a JSON lines append log
+ * Every change appends a record; the log is compacted to one record per task when loaded,
+ * and again whenever it grows well past the number of stored tasks
+ */
+class FileTaskStore<T extends StoredTask = StoredTask> implements TaskStore<T> {
+  private filePath: string;
+  private tasks: Map<string, T>; // Latest state of every stored task, written out when the log is compacted
+  private recordCount: number; // Records in the log file
+  private loaded: boolean; // Until the log is loaded, the tasks already in it are unknown and it cannot be compacted
+
+  /**
+   * Create a new FileTaskStore
+   * @param {string} filePath - Path of the log file
+   */
+  constructor(filePath: string) {
+    this.filePath = path.resolve(filePath);
+    this.tasks = new Map();
+    this.recordCount = 0;
+    this.loaded = false;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  load(): T[] {
+    this.loaded = true;
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const tasks = this.tasks;
+    tasks.clear();
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      try {
+        const record = JSON.parse(line) as TaskLogRecord<T>;
+        if (record.op === 'delete') {
+          tasks.delete(record.id);
+        } else if (record.op === 'put' && record.task && record.task.id) {
+          tasks.set(record.task.id, record.task);
+        }
+      } catch (error) {
+        // A partially written last line is expected if the process died mid-write
+        logger.warn(MessageDirection.INTERNAL, `Skipping unreadable task record at ${this.filePath}:${index + 1}`);
+      }
+    });
+
+    this.compact();
+
+    return Array.from(tasks.values());
+  }
+
+  save(task: T): void {
+    this.tasks.set(task.id, task);
+    this.append({ op: 'put', task });
+  }
+
+  remove(taskId: string): void {
+    this.tasks.delete(taskId);
+    this.append({ op: 'delete', id: taskId });
+  }
+
+  /**
+   * Append a record to the log
+   * @private
+   * @param {TaskLogRecord} record - Record to append
+   */
+  private append(record: TaskLogRecord<T>): void {
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+    this.recordCount++;
+
+    if (this.loaded && this.recordCount >= MIN_COMPACT_RECORDS && this.recordCount > this.tasks.size * COMPACT_RECORDS_PER_TASK) {
+      try {
+        this.compact();
+      } catch (error) {
+        // The log is still complete, just longer than it needs to be; the next append tries again
+        logger.warn(MessageDirection.INTERNAL, `Could not compact task log ${this.filePath}: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+  }
+
+  /**
+   * Rewrite the log so it holds a single record per task
+   * @private
+   */
+  private compact(): void {
+    const tempPath = `${this.filePath}.tmp`;
+    const data = Array.from(this.tasks.values()).map(task => JSON.stringify({ op: 'put', task })).join('\n');
+    fs.writeFileSync(tempPath, data ? data + '\n' : '');
+    fs.renameSync(tempPath, this.filePath);
+    this.recordCount = this.tasks.size;
+  }
+}
+
+/**
+ * Create a task store from the orchestrator settings
+ * @param {TaskStoreSettings} settings - Task store settings
+ * @param {string} name - Name of the store, used as the log file name
+ * @returns {TaskStore} The task store
+ */
+function createTaskStore<T extends StoredTask>(settings: TaskStoreSettings | undefined, name: string): TaskStore<T> {
+  if (!settings || settings.type !== 'file') {
+    return new MemoryTaskStore<T>();
+  }
+
+  const directory = settings.directory || './data/tasks';
+  const filePath = path.join(directory, `${name}.jsonl`);
+  logger.system(`Persisting ${name} to ${path.resolve(filePath)}`);
+
+  return new FileTaskStore<T>(filePath);
+}
+
+export { TaskStore, MemoryTaskStore, FileTaskStore, createTaskStore };
@@ -0,0 +1,118 @@
+/**
+ * Task timeouts and retries for the ASP Orchestrator
+ * Works out how long a task may run and how often it may be tried, and keeps the timers for both
+ */
+import { RetryPolicy } from '@agentswarmprotocol/types/dist/common';
+
+/**
+ * Timeout and retry settings at one level (orchestrator, agent or task)
+ */
+interface TaskLimits {
+  timeout?: number;
+  retryPolicy?: RetryPolicy;
+}
+
+/**
+ * Settings that apply to a task once every level is merged
+ */
+interface ResolvedTaskLimits {
+  timeout?: number;
+  retryPolicy: Required<RetryPolicy>;
+}
+
+const DEFAULT_RETRY_POLICY: Required<RetryPolicy> = {
+  maxAttempts: 1,
+  backoff: 'exponential',
+  delay: 1000,
+  maxDelay: 60000
+};
+
+class TaskTimeoutManager {
+  private defaults: TaskLimits;
+  // One timer per task: the run timeout while it is running, the backoff delay while it waits to be retried
+  private timers: Map<string, NodeJS.Timeout>;
+
+  /**
+   * Create a new TaskTimeoutManager
+   * @param defaults - Orchestrator-wide timeout and retry policy
+   */
+  constructor(defaults: TaskLimits = {}) {
+    this.defaults = defaults;
+    this.timers = new Map();
+  }
+
+  /**
+   * Work out the timeout and retry policy for a task
+   * Values in the task data win over the agent's configuration, which wins over the orchestrator settings
+   * @param input - The task data sent to the agent
+   * @param agentLimits - Settings from the agent's configuration
+   * @returns The timeout in milliseconds (undefined for none) and the retry policy
+   */
+  resolve(input: any, agentLimits: TaskLimits = {}): ResolvedTaskLimits {
+    const taskTimeout = input ? (input.timeout ?? input.metadata?.timeout) : undefined;
+    const timeout = [taskTimeout, agentLimits.timeout, this.defaults.timeout]
+      .find(value => typeof value === 'number' && value > 0);
+
+    const retryPolicy = {
+      ...DEFAULT_RETRY_POLICY,
+      ...this.defaults.retryPolicy,
+      ...agentLimits.retryPolicy,
+      ...(input && typeof input.retryPolicy === 'object' ? input.retryPolicy : {})
+    };
+
+    if (!Number.isInteger(retryPolicy.maxAttempts) || retryPolicy.maxAttempts < 1) {
+      retryPolicy.maxAttempts = DEFAULT_RETRY_POLICY.maxAttempts;
+    }
+
+    return { timeout, retryPolicy };
+  }
+
+  /**
+   * Get how long to wait before the next attempt
+   * @param policy - The retry policy
+   * @param attempt - Number of the attempt that just failed, starting at 1
+   * @returns Delay in milliseconds
+   */
+  getRetryDelay(policy: Required<RetryPolicy>, attempt: number): number {
+    if (policy.backoff === 'fixed') {
+      return policy.delay;
+    }
+    return Math.min(policy.delay * Math.pow(2, attempt - 1), policy.maxDelay);
+  }
+
+  /**
+   * Run a callback for a task after a delay, replacing any timer the task already has
+   * @param taskId - ID of the task
+   * @param delay - Delay in milliseconds
+   * @param callback - Function to run
+   */
+  schedule(taskId: string, delay: number, callback: () => void): void {
+    this.clear(taskId);
+    this.timers.set(taskId, setTimeout(() => {
+      this.timers.delete(taskId);
+      callback();
+    }, delay));
+  }
+
+  /**
+   * Stop the timer of a task
+   * @param taskId - ID of the task
+   */
+  clear(taskId: string): void {
+    const timer = this.timers.get(taskId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(taskId);
+    }
+  }
+
+  /**
+   * Stop every timer
+   */
+  clearAll(): void {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+export { TaskTimeoutManager, TaskLimits, ResolvedTaskLimits };
@@ -0,0 +1,167 @@
+/**
+ * Task trees for the ASP Orchestrator
+ * Collects a task and everything it started from the agent and service task registries
+ */
+import { TaskTreeNode, TaskTreeNodeKind } from '@agentswarmprotocol/types/dist/common';
+import { AgentRegistry } from '../../../registry/agent-registry';
+import { ServiceRegistry } from '../../../registry/service-registry';
+import { AgentTaskRegistry } from './agent-task-registry';
+import { ServiceTaskRegistry } from './service-task-registry';
+
+interface TaskTreeSources {
+  agents: AgentRegistry;
+  tasks: AgentTaskRegistry;
+  services: ServiceRegistry;
+  serviceTasks: ServiceTaskRegistry;
+}
+
+interface TaskTreeOptions {
+  // Whether nodes carry task results (default true)
+  includeResults?: boolean;
+}
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+/**
+ * Build the tree of tasks rooted at a task
+ * Children are found through their `parentTaskId`: child agent tasks, workflow steps, service tasks and MCP calls
+ * @param rootTaskId - ID of an agent or service task
+ * @param sources - Registries to read tasks, agents and services from
+ * @param options - What to include in the nodes
+ * @returns The root node and the number of nodes, or null if the task does not exist
+ */
+function buildTaskTree(
+  rootTaskId: string,
+  sources: TaskTreeSources,
+  options: TaskTreeOptions = {}
+): { tree: TaskTreeNode; taskCount: number } | null {
+  const includeResults = options.includeResults !== false;
+
+  // Index every task by its parent once, instead of scanning the registries for each node
+  const nodes = new Map<string, TaskTreeNode>();
+  const childIds = new Map<string, string[]>();
+  const addChild = (parentTaskId: string | undefined, taskId: string) => {
+    if (parentTaskId) {
+      childIds.set(parentTaskId, [...(childIds.get(parentTaskId) || []), taskId]);
+    }
+  };
+
+  sources.tasks.getAllTasks().forEach(task => {
+    nodes.set(task.id, describeAgentTask(task, sources, includeResults));
+    addChild(task.parentTaskId, task.id);
+  });
+  sources.serviceTasks.getAllTasks().forEach(task => {
+    nodes.set(task.id, describeServiceTask(task, sources, includeResults));
+    addChild(task.parentTaskId, task.id);
+  });
+
+  const root = nodes.get(rootTaskId);
+  if (!root) {
+    return null;
+  }
+
+  // Attach children breadth-first; a task is only attached once, so a bad parent link cannot loop
+  const attached = new Set<string>([rootTaskId]);
+  const queue = [root];
+  while (queue.length > 0) {
+    const node = queue.shift()!;
+    (childIds.get(node.taskId) || [])
+      .filter(childId => !attached.has(childId))
+      .map(childId => nodes.get(childId)!)
+      .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
+      .forEach(child => {
+        attached.add(child.taskId);
+        node.children.push(child);
+        queue.push(child);
+      });
+  }
+
+  return { tree: root, taskCount: attached.size };
+}
+
+/**
+ * @private
+ */
+function describeAgentTask(task: any, sources: TaskTreeSources, includeResults: boolean): TaskTreeNode {
+  const kind: TaskTreeNodeKind = task.type === 'workflow' ? 'workflow'
+    : task.type === 'workflow.step' ? 'workflow.step'
+    : task.type === 'mcp.call' ? 'mcp'
+    : 'agent';
+  const agentId = task.agentId || undefined;
+  const startedAt = (task.history || []).find((entry: any) => entry.status === 'in_progress')?.timestamp;
+  const completedAt = FINISHED_STATUSES.includes(task.status)
+    ? task.completedAt || task.result?.metadata?.completedAt || task.updatedAt
+    : undefined;
+
+  // The registry keeps agent task errors on the result
+  const error = task.error || task.result?.error;
+
+  return {
+    taskId: task.id,
+    kind,
+    name: task.name,
+    status: task.status,
+    agentId,
+    agentName: agentId ? sources.agents.getAgentById(agentId)?.name : undefined,
+    serverId: task.serverId,
+    toolName: task.toolName,
+    clientId: task.clientId,
+    createdAt: task.createdAt,
+    startedAt,
+    completedAt,
+    durationMs: duration(task.createdAt, completedAt),
+    result: includeResults ? task.result : undefined,
+    error: error === undefined ? undefined : errorMessage(error),
+    children: []
+  };
+}
+
+/**
+ * @private
+ */
+function describeServiceTask(task: any, sources: TaskTreeSources, includeResults: boolean): TaskTreeNode {
+  const service = sources.services.getServiceById(task.serviceId);
+
+  return {
+    taskId: task.id,
+    kind: 'service',
+    name: task.taskData?.name,
+    status: task.status,
+    agentId: task.agentId,
+    serviceId: task.serviceId,
+    serviceName: service?.name,
+    // The registry keeps the whole registration as taskData
+    toolName: task.taskData?.taskData?.toolId,
+    clientId: task.clientId,
+    createdAt: task.createdAt,
+    completedAt: task.completedAt,
+    durationMs: duration(task.createdAt, task.completedAt),
+    result: includeResults ? task.result ?? undefined : undefined,
+    error: task.error ? errorMessage(task.error) : undefined,
+    children: []
+  };
+}
+
+/**
+ * @private
+ */
+function duration(from: string | undefined, to: string | undefined): number | undefined {
+  if (!from) {
+    return undefined;
+  }
+  const end = to ? Date.parse(to) : Date.now();
+  const start = Date.parse(from);
+  return Number.isNaN(start) || Number.isNaN(end) ? undefined : Math.max(0, end - start);
+}
+
+/**
+ * @private
+ */
+function errorMessage(error: any): string {
+  if (typeof error === 'string') {
+    return error;
+  }
+  return error?.message || error?.error || JSON.stringify(error);
+}
+
+export { buildTaskTree, TaskTreeSources, TaskTreeOptions };
@@ -0,0 +1,62 @@
+/**
+ * TLS support for the ASP Orchestrator
+ * Loads the configured certificates and creates the HTTP or HTTPS servers the WebSocket interfaces listen on
+ */
+import * as fs from 'fs';
+import * as http from 'http';
+import * as https from 'https';
+import * as path from 'path';
+import { TlsSettings } from '@agentswarmprotocol/types/dist/common';
+
+/**
+ * Read the certificate files named in the TLS settings
+ * @param settings - TLS settings from the orchestrator configuration
+ * @returns Options for https.createServer, or undefined when TLS is disabled
+ * @throws If TLS is enabled without a certificate and key, or a file cannot be read
+ */
+function loadTlsOptions(settings: TlsSettings = {}): https.ServerOptions | undefined {
+  if (!settings.enabled) {
+    return undefined;
+  }
+
+  if (!settings.cert || !settings.key) {
+    throw new Error('TLS is enabled but tls.cert and tls.key are not both configured');
+  }
+
+  const requestCert = settings.requestClientCert === true;
+  const ca = settings.ca ? ([] as string[]).concat(settings.ca) : [];
+
+  return {
+    cert: readPemFile(settings.cert),
+    key: readPemFile(settings.key),
+    passphrase: settings.passphrase,
+    ca: ca.length > 0 ? ca.map(readPemFile) : undefined,
+    requestCert,
+    // Only meaningful for client certificates, and only enforced when they are requested
+    rejectUnauthorized: requestCert && settings.rejectUnauthorized !== false
+  };
+}
+
+/**
+ * Create the server a WebSocket interface listens on
+ * @param tlsOptions - Loaded TLS options, or undefined for plain HTTP
+ * @param handler - Handler for plain HTTP requests
+ * @returns An HTTPS server when TLS options are given, otherwise an HTTP server
+ */
+function createServer(tlsOptions: https.ServerOptions | undefined, handler: http.RequestListener): http.Server {
+  return tlsOptions ? https.createServer(tlsOptions, handler) : http.createServer(handler);
+}
+
+/**
+ * Read a PEM file, resolving it against the working directory
+ * @private
+ */
+function readPemFile(file: string): Buffer {
+  try {
+    return fs.readFileSync(path.resolve(file));
+  } catch (error) {
+    throw new Error(`Cannot read TLS file '${file}': ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+export { loadTlsOptions, createServer };
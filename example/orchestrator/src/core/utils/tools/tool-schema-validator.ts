@@ -0,0 +1,132 @@
+/**
+ * Service tool schema validation for the ASP Orchestrator
+ * Checks tool params against the tool's inputSchema before the call reaches the service,
+ * and optionally the service's result against the tool's outputSchema
+ */
+import Ajv from 'ajv';
+import { SchemaValidationError, ToolValidationSettings } from '@agentswarmprotocol/types/dist/common';
+import { logger, MessageDirection } from '../logger';
+
+// Error codes reported to the calling agent
+const INVALID_TOOL_INPUT = 'INVALID_TOOL_INPUT';
+const INVALID_TOOL_OUTPUT = 'INVALID_TOOL_OUTPUT';
+
+interface ToolValidationFailure {
+  code: string;
+  // One line summary listing every error
+  message: string;
+  errors: SchemaValidationError[];
+}
+
+class ToolSchemaValidator {
+  private validateInputEnabled: boolean;
+  private validateOutputEnabled: boolean;
+  private ajv: Ajv.Ajv;
+  // Compiled schemas; null for schemas that do not compile, which are not checked
+  private compiled: WeakMap<object, Ajv.ValidateFunction | null>;
+
+  /**
+   * Create a new ToolSchemaValidator
+   * @param settings - Tool validation settings from the orchestrator configuration
+   */
+  constructor(settings: ToolValidationSettings = {}) {
+    this.validateInputEnabled = settings.validateInput !== false;
+    this.validateOutputEnabled = settings.validateOutput === true;
+    this.ajv = new Ajv({ allErrors: true, jsonPointers: true, unknownFormats: 'ignore' });
+    this.compiled = new WeakMap();
+  }
+
+  /**
+   * Check tool params against the tool's inputSchema
+   * @param service - The service, with the tools it registered
+   * @param toolId - ID of the tool
+   * @param params - The params the tool is called with
+   * @returns The failure, or null if the params match or the tool has no inputSchema
+   */
+  validateInput(service: { name: string; tools?: any[] }, toolId: string, params: any): ToolValidationFailure | null {
+    if (!this.validateInputEnabled) {
+      return null;
+    }
+    return this.validate(service, toolId, 'inputSchema', params, INVALID_TOOL_INPUT, `Invalid params for tool '${toolId}'`);
+  }
+
+  /**
+   * Check a tool result against the tool's outputSchema, if output validation is enabled
+   * @param service - The service, with the tools it registered
+   * @param toolId - ID of the tool
+   * @param result - The result the service sent
+   * @returns The failure, or null if the result matches, the tool has no outputSchema or output validation is off
+   */
+  validateOutput(service: { name: string; tools?: any[] }, toolId: string, result: any): ToolValidationFailure | null {
+    if (!this.validateOutputEnabled) {
+      return null;
+    }
+    return this.validate(service, toolId, 'outputSchema', result, INVALID_TOOL_OUTPUT, `Invalid result from tool '${toolId}'`);
+  }
+
+  /**
+   * @private
+   */
+  private validate(
+    service: { name: string; tools?: any[] },
+    toolId: string,
+    schemaField: 'inputSchema' | 'outputSchema',
+    value: any,
+    code: string,
+    summary: string
+  ): ToolValidationFailure | null {
+    const schema = service.tools?.find(tool => tool.id === toolId)?.[schemaField];
+    if (!schema || typeof schema !== 'object') {
+      return null;
+    }
+
+    const validateFunction = this.getValidateFunction(service.name, toolId, schemaField, schema);
+    if (!validateFunction || validateFunction(value)) {
+      return null;
+    }
+
+    const errors = (validateFunction.errors || []).map(toValidationError);
+    return {
+      code,
+      message: `${summary}: ${errors.map(error => `${error.path || '(root)'} ${error.message}`).join('; ')}`,
+      errors
+    };
+  }
+
+  /**
+   * Compile a schema once; a schema that does not compile is logged and left unchecked
+   * @private
+   */
+  private getValidateFunction(serviceName: string, toolId: string, schemaField: string, schema: object): Ajv.ValidateFunction | null {
+    if (this.compiled.has(schema)) {
+      return this.compiled.get(schema)!;
+    }
+
+    let validateFunction: Ajv.ValidateFunction | null = null;
+    try {
+      validateFunction = this.ajv.compile(schema);
+    } catch (error) {
+      logger.warn(MessageDirection.SERVICE_TO_ORCHESTRATOR, `Not validating tool ${toolId} of service ${serviceName}: its ${schemaField} is not a valid JSON Schema`, {
+        error: error instanceof Error ? error.message : String(error)
+      });
+    }
+    this.compiled.set(schema, validateFunction);
+    return validateFunction;
+  }
+}
+
+/**
+ * Turn an Ajv error into a validation error whose path points at the offending value
+ * @private
+ */
+function toValidationError(error: Ajv.ErrorObject): SchemaValidationError {
+  let path = error.dataPath;
+  // A missing property is reported on its parent object; point at the property itself
+  if (error.keyword === 'required') {
+    const property = (error.params as Ajv.RequiredParams).missingProperty;
+    path += `/${property.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  }
+  return { path, message: error.message || 'is invalid', keyword: error.keyword };
+}
+
+export { ToolSchemaValidator, ToolValidationFailure, INVALID_TOOL_INPUT, INVALID_TOOL_OUTPUT };
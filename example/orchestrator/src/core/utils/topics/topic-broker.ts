@@ -0,0 +1,233 @@
+/**
+ * Topic publish/subscribe for the ASP Orchestrator
+ * Agents, clients and services subscribe to topic patterns; messages published to a topic are sent to every matching subscriber
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { BaseMessage, ConnectionType, TopicSettings } from '@agentswarmprotocol/types/dist/common';
+import { AuthManager } from '../auth/auth-manager';
+import { logger, MessageDirection } from '../logger';
+import { NotAuthorizedError } from '../errors';
+import { validateTopic, matchesTopic } from './topic-pattern';
+
+type SendFunction = (connectionId: string, message: BaseMessage) => void;
+
+interface TopicPublisher {
+  type: ConnectionType;
+  id?: string;
+  name?: string;
+}
+
+interface TopicBrokerDependencies {
+  auth: AuthManager;
+  settings?: TopicSettings;
+  // How to reach each kind of connection
+  send: Record<ConnectionType, SendFunction>;
+  // Agent or service ID and name behind a connection, shown to subscribers as the publisher
+  describeConnection: (type: ConnectionType, connectionId: string) => { id?: string; name?: string };
+}
+
+interface Subscription {
+  type: ConnectionType;
+  connectionId: string;
+  patterns: Set<string>;
+}
+
+interface RetainedMessage {
+  topic: string;
+  payload: any;
+  publisher: TopicPublisher;
+  publishedAt: string;
+}
+
+const DEFAULT_MAX_RETAINED = 1000;
+const DEFAULT_MAX_SUBSCRIPTIONS = 100;
+
+class TopicBroker {
+  private deps: TopicBrokerDependencies;
+  private maxRetained: number;
+  private maxSubscriptions: number;
+  // Subscriptions by connection ID
+  private subscriptions: Map<string, Subscription>;
+  // Retained message by topic, oldest first
+  private retained: Map<string, RetainedMessage>;
+
+  /**
+   * Create a new TopicBroker
+   * @param deps - Auth, topic settings and the functions used to reach agents, clients and services
+   */
+  constructor(deps: TopicBrokerDependencies) {
+    this.deps = deps;
+    this.maxRetained = deps.settings?.maxRetained ?? DEFAULT_MAX_RETAINED;
+    this.maxSubscriptions = deps.settings?.maxSubscriptions ?? DEFAULT_MAX_SUBSCRIPTIONS;
+    this.subscriptions = new Map();
+    this.retained = new Map();
+  }
+
+  /**
+   * Subscribe a connection to topic patterns, then send it the retained messages on matching topics
+   * @param type - Kind of connection
+   * @param connectionId - The connection ID
+   * @param message - The `topic.subscribe` message
+   * @throws If a pattern is invalid or the connection would exceed its subscription limit
+   */
+  handleSubscribe(type: ConnectionType, connectionId: string, message: BaseMessage): void {
+    const patterns = this.readPatterns(message.content);
+    if (!patterns || patterns.length === 0) {
+      throw new Error('Topic pattern is required');
+    }
+    patterns.forEach(pattern => validateTopic(pattern, true));
+
+    const subscription = this.subscriptions.get(connectionId) || { type, connectionId, patterns: new Set<string>() };
+    const added = patterns.filter(pattern => !subscription.patterns.has(pattern));
+    if (subscription.patterns.size + added.length > this.maxSubscriptions) {
+      throw new Error(`Cannot subscribe to more than ${this.maxSubscriptions} topic patterns`);
+    }
+
+    added.forEach(pattern => subscription.patterns.add(pattern));
+    this.subscriptions.set(connectionId, subscription);
+
+    const retained = Array.from(this.retained.values())
+      .filter(entry => patterns.some(pattern => matchesTopic(pattern, entry.topic)) &&
+        this.deps.auth.isTopicAllowed(connectionId, entry.topic));
+
+    this.deps.send[type](connectionId, {
+      id: uuidv4(),
+      type: 'topic.subscribe.response',
+      content: { topics: Array.from(subscription.patterns), retained: retained.length },
+      requestId: message.id
+    });
+
+    retained.forEach(entry => this.deliver(subscription, entry, true));
+
+    logger.debug(MessageDirection.INTERNAL, `Subscribed ${type} to topics`, { patterns, retained: retained.length }, connectionId);
+  }
+
+  /**
+   * Remove some or all of a connection's topic patterns
+   * @param type - Kind of connection
+   * @param connectionId - The connection ID
+   * @param message - The `topic.unsubscribe` message; without topics every pattern is removed
+   */
+  handleUnsubscribe(type: ConnectionType, connectionId: string, message: BaseMessage): void {
+    const patterns = this.readPatterns(message.content);
+    const subscription = this.subscriptions.get(connectionId);
+
+    if (subscription) {
+      if (patterns) {
+        patterns.forEach(pattern => subscription.patterns.delete(pattern));
+      } else {
+        subscription.patterns.clear();
+      }
+      if (subscription.patterns.size === 0) {
+        this.subscriptions.delete(connectionId);
+      }
+    }
+
+    this.deps.send[type](connectionId, {
+      id: uuidv4(),
+      type: 'topic.unsubscribe.response',
+      content: { topics: subscription ? Array.from(subscription.patterns) : [] },
+      requestId: message.id
+    });
+  }
+
+  /**
+   * Send a message to every connection subscribed to a matching pattern, and retain it if asked
+   * @param type - Kind of the publishing connection
+   * @param connectionId - The publishing connection ID
+   * @param message - The `topic.publish` message
+   * @throws If the topic is invalid or the connection may not publish to it
+   */
+  handlePublish(type: ConnectionType, connectionId: string, message: BaseMessage): void {
+    const { topic, payload, retain } = message.content || {};
+    validateTopic(topic, false);
+
+    if (!this.deps.auth.isTopicAllowed(connectionId, topic)) {
+      throw new NotAuthorizedError(`Not authorized to publish to topic '${topic}'`);
+    }
+
+    const entry: RetainedMessage = {
+      topic,
+      payload,
+      publisher: { type, ...this.deps.describeConnection(type, connectionId) },
+      publishedAt: new Date().toISOString()
+    };
+
+    // Retaining a null payload clears the topic's retained message
+    let retained = false;
+    if (retain === true) {
+      this.retained.delete(topic);
+      if (payload !== null && payload !== undefined) {
+        this.retained.set(topic, entry);
+        retained = true;
+        if (this.retained.size > this.maxRetained) {
+          this.retained.delete(this.retained.keys().next().value!);
+        }
+      }
+    }
+
+    let delivered = 0;
+    this.subscriptions.forEach(subscription => {
+      if (this.deliver(subscription, entry, false)) {
+        delivered++;
+      }
+    });
+
+    this.deps.send[type](connectionId, {
+      id: uuidv4(),
+      type: 'topic.publish.response',
+      content: { topic, delivered, retained },
+      requestId: message.id
+    });
+  }
+
+  /**
+   * Forget the subscriptions of a closed connection
+   * @param connectionId - The connection ID
+   */
+  removeConnection(connectionId: string): void {
+    this.subscriptions.delete(connectionId);
+  }
+
+  /**
+   * Send a topic message to one subscriber if one of its patterns matches and its credential allows the topic
+   * @private
+   * @returns Whether the message was sent
+   */
+  private deliver(subscription: Subscription, entry: RetainedMessage, retained: boolean): boolean {
+    const patterns = Array.from(subscription.patterns).filter(pattern => matchesTopic(pattern, entry.topic));
+    if (patterns.length === 0 || !this.deps.auth.isTopicAllowed(subscription.connectionId, entry.topic)) {
+      return false;
+    }
+
+    this.deps.send[subscription.type](subscription.connectionId, {
+      id: uuidv4(),
+      type: 'topic.message',
+      content: {
+        topic: entry.topic,
+        patterns,
+        payload: entry.payload,
+        publisher: entry.publisher,
+        retained,
+        publishedAt: entry.publishedAt
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Read the patterns of a subscribe or unsubscribe request, given as `topics` or a single `topic`
+   * @private
+   */
+  private readPatterns(content: any): string[] | undefined {
+    if (Array.isArray(content?.topics)) {
+      return content.topics;
+    }
+    if (content?.topic !== undefined) {
+      return [content.topic];
+    }
+    return undefined;
+  }
+}
+
+export { TopicBroker, TopicBrokerDependencies, TopicPublisher };
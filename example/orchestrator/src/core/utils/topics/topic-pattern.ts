@@ -0,0 +1,62 @@
+/**
+ * Topic names and subscription patterns for the ASP Orchestrator
+ * Topics are dot-separated segments such as `market.updates.aapl`
+ */
+
+const MAX_TOPIC_LENGTH = 256;
+
+/**
+ * Check a topic name or subscription pattern
+ * Topics are dot-separated segments; patterns may also use `*` for one segment and a final `#` for any remaining segments
+ * @param value - The topic or pattern
+ * @param allowWildcards - Whether `*` and `#` segments are allowed
+ * @throws If the value is not a valid topic or pattern
+ */
+function validateTopic(value: any, allowWildcards: boolean): void {
+  if (typeof value !== 'string' || !value) {
+    throw new Error('Topic must be a non-empty string');
+  }
+  if (value.length > MAX_TOPIC_LENGTH) {
+    throw new Error(`Topic '${value.slice(0, 32)}...' is longer than ${MAX_TOPIC_LENGTH} characters`);
+  }
+
+  const segments = value.split('.');
+  segments.forEach((segment, index) => {
+    if (!segment) {
+      throw new Error(`Topic '${value}' has an empty segment`);
+    }
+    const isWildcard = segment === '*' || segment === '#';
+    if (!isWildcard && /[*#]/.test(segment)) {
+      throw new Error(`Topic '${value}' uses a wildcard inside a segment; '*' and '#' must be whole segments`);
+    }
+    if (isWildcard && !allowWildcards) {
+      throw new Error(`Cannot publish to '${value}'; wildcards are only allowed in subscriptions`);
+    }
+    if (segment === '#' && index !== segments.length - 1) {
+      throw new Error(`Topic pattern '${value}' uses '#' before its last segment`);
+    }
+  });
+}
+
+/**
+ * Check whether a topic matches a subscription pattern
+ * @param pattern - Pattern with optional `*` and `#` segments
+ * @param topic - Topic name
+ * @returns Whether the topic matches
+ */
+function matchesTopic(pattern: string, topic: string): boolean {
+  const patternSegments = pattern.split('.');
+  const topicSegments = topic.split('.');
+
+  for (let i = 0; i < patternSegments.length; i++) {
+    if (patternSegments[i] === '#') {
+      return true;
+    }
+    if (i >= topicSegments.length || (patternSegments[i] !== '*' && patternSegments[i] !== topicSegments[i])) {
+      return false;
+    }
+  }
+  return patternSegments.length === topicSegments.length;
+}
+
+export { validateTopic, matchesTopic };
@@ -0,0 +1,315 @@
+/**
+ * Workflow definitions for the ASP Orchestrator
+ * Parses and checks JSON or YAML workflow definitions, and resolves the placeholders in their inputs and conditions
+ */
+import * as fs from 'fs';
+import * as path from 'path';
+import YAML from 'yaml';
+import { WorkflowDefinition, WorkflowStepDefinition, WorkflowCondition } from '@agentswarmprotocol/types/dist/common';
+import { logger, MessageDirection } from '../logger';
+
+const DEFAULT_MAX_STEPS = 100;
+const STEP_TYPES = ['agent', 'service', 'mcp'];
+const STEP_FIELDS = ['output', 'status'];
+
+// `{{ path }}` anywhere in a string, and a string that is nothing but one placeholder
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([^{}]+?)\s*\}\}$/;
+
+/**
+ * Values placeholders can refer to while a workflow runs
+ */
+interface WorkflowContext {
+  input: any;
+  steps: Record<string, { output?: any; status: string }>;
+}
+
+/**
+ * Parse a workflow definition and check that it can run
+ * @param source - The definition, or its JSON or YAML text
+ * @param maxSteps - Largest number of steps allowed
+ * @returns The checked definition
+ * @throws If the text cannot be parsed or the definition is invalid
+ */
+function parseWorkflowDefinition(source: string | object, maxSteps: number = DEFAULT_MAX_STEPS): WorkflowDefinition {
+  let definition: any = source;
+
+  if (typeof source === 'string') {
+    try {
+      // YAML is a superset of JSON, so one parser handles both
+      definition = YAML.parse(source);
+    } catch (error) {
+      throw new Error(`Workflow definition is not valid JSON or YAML: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  validateWorkflowDefinition(definition, maxSteps);
+  return definition as WorkflowDefinition;
+}
+
+/**
+ * Check a workflow definition: step fields, unique IDs, known dependencies, no cycles,
+ * and placeholders that only refer to steps the step depends on
+ * @param definition - The parsed definition
+ * @param maxSteps - Largest number of steps allowed
+ * @throws If the definition is invalid
+ */
+function validateWorkflowDefinition(definition: any, maxSteps: number = DEFAULT_MAX_STEPS): void {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('Workflow definition must be an object');
+  }
+  if (typeof definition.name !== 'string' || !definition.name) {
+    throw new Error('Workflow definition requires a name');
+  }
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error(`Workflow '${definition.name}' has no steps`);
+  }
+  if (definition.steps.length > maxSteps) {
+    throw new Error(`Workflow '${definition.name}' has ${definition.steps.length} steps; at most ${maxSteps} are allowed`);
+  }
+
+  const steps = new Map<string, WorkflowStepDefinition>();
+  for (const step of definition.steps) {
+    if (!step || typeof step.id !== 'string' || !step.id) {
+      throw new Error(`Every step of workflow '${definition.name}' requires an id`);
+    }
+    if (steps.has(step.id)) {
+      throw new Error(`Workflow '${definition.name}' has more than one step with id '${step.id}'`);
+    }
+    validateStep(step);
+    steps.set(step.id, step);
+  }
+
+  for (const step of steps.values()) {
+    for (const dependency of step.dependsOn || []) {
+      if (!steps.has(dependency)) {
+        throw new Error(`Step '${step.id}' depends on unknown step '${dependency}'`);
+      }
+    }
+  }
+
+  const ancestors = collectAncestors(steps);
+
+  for (const step of steps.values()) {
+    const references = [...collectPlaceholders(step.input)];
+    if (step.condition) {
+      references.push(step.condition.path);
+    }
+    references.forEach(reference => validateReference(reference, `Step '${step.id}'`, ancestors.get(step.id)!));
+  }
+
+  collectPlaceholders(definition.output)
+    .forEach(reference => validateReference(reference, `Output of workflow '${definition.name}'`, new Set(steps.keys())));
+}
+
+/**
+ * Check the fields of one step
+ * @private
+ */
+function validateStep(step: any): void {
+  if (!STEP_TYPES.includes(step.type)) {
+    throw new Error(`Step '${step.id}' has type '${step.type}'; expected one of ${STEP_TYPES.join(', ')}`);
+  }
+
+  if (step.type === 'agent' && !step.agentName && !step.agentId &&
+    !(Array.isArray(step.capabilities) && step.capabilities.length > 0)) {
+    throw new Error(`Agent step '${step.id}' requires agentName, agentId or capabilities`);
+  }
+  if (step.type === 'service' && (!step.serviceId || !step.toolId)) {
+    throw new Error(`Service step '${step.id}' requires serviceId and toolId`);
+  }
+  if (step.type === 'mcp' && (!step.serverId || !step.toolName)) {
+    throw new Error(`MCP step '${step.id}' requires serverId and toolName`);
+  }
+
+  if (step.dependsOn !== undefined &&
+    (!Array.isArray(step.dependsOn) || step.dependsOn.some((dependency: any) => typeof dependency !== 'string'))) {
+    throw new Error(`dependsOn of step '${step.id}' must be a list of step IDs`);
+  }
+  if (step.condition !== undefined &&
+    (!step.condition || typeof step.condition !== 'object' || typeof step.condition.path !== 'string')) {
+    throw new Error(`Condition of step '${step.id}' requires a path`);
+  }
+}
+
+/**
+ * Work out every step each step depends on, directly or through other steps
+ * @private
+ * @throws If the dependencies form a cycle
+ */
+function collectAncestors(steps: Map<string, WorkflowStepDefinition>): Map<string, Set<string>> {
+  const ancestors = new Map<string, Set<string>>();
+  const visiting = new Set<string>();
+
+  const visit = (stepId: string): Set<string> => {
+    const known = ancestors.get(stepId);
+    if (known) {
+      return known;
+    }
+    if (visiting.has(stepId)) {
+      throw new Error(`Workflow steps have a dependency cycle through '${stepId}'`);
+    }
+
+    visiting.add(stepId);
+    const result = new Set<string>();
+    for (const dependency of steps.get(stepId)!.dependsOn || []) {
+      result.add(dependency);
+      visit(dependency).forEach(ancestor => result.add(ancestor));
+    }
+    visiting.delete(stepId);
+
+    ancestors.set(stepId, result);
+    return result;
+  };
+
+  steps.forEach((_, stepId) => visit(stepId));
+  return ancestors;
+}
+
+/**
+ * Check that a placeholder path refers to the workflow input or to a step that has finished by the time it is used
+ * @private
+ */
+function validateReference(reference: string, owner: string, availableSteps: Set<string>): void {
+  const [root, stepId, field] = reference.split('.');
+
+  if (root === 'input') {
+    return;
+  }
+  if (root !== 'steps' || !stepId || !STEP_FIELDS.includes(field)) {
+    throw new Error(`${owner} refers to '${reference}'; paths must start with 'input' or 'steps.<stepId>.output'`);
+  }
+  if (!availableSteps.has(stepId)) {
+    throw new Error(`${owner} refers to step '${stepId}', which it does not depend on`);
+  }
+}
+
+/**
+ * Find the paths of all placeholders in a value
+ * @private
+ */
+function collectPlaceholders(value: any): string[] {
+  if (typeof value === 'string') {
+    return Array.from(value.matchAll(PLACEHOLDER), match => match[1]);
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(collectPlaceholders);
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).flatMap(collectPlaceholders);
+  }
+  return [];
+}
+
+/**
+ * Replace the placeholders in a value with values from the workflow context
+ * A string that is a single placeholder becomes the value itself; placeholders inside longer strings are inserted as text
+ * @param value - Value with placeholders, e.g. a step input
+ * @param context - The workflow input and the results of finished steps
+ * @returns A copy of the value with the placeholders replaced
+ */
+function resolveTemplate(value: any, context: WorkflowContext): any {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PLACEHOLDER);
+    if (whole) {
+      return getPath(context, whole[1]);
+    }
+    return value.replace(PLACEHOLDER, (_, reference: string) => {
+      const resolved = getPath(context, reference);
+      if (resolved === undefined || resolved === null) {
+        return '';
+      }
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTemplate(item, context));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplate(item, context)]));
+  }
+  return value;
+}
+
+/**
+ * Evaluate a step condition against the workflow context
+ * @param condition - The step's condition
+ * @param context - The workflow input and the results of finished steps
+ * @returns Whether the step should run
+ */
+function evaluateCondition(condition: WorkflowCondition, context: WorkflowContext): boolean {
+  const value = getPath(context, condition.path);
+
+  if (condition.exists !== undefined) {
+    return (value !== undefined) === condition.exists;
+  }
+  if ('equals' in condition) {
+    return isEqual(value, condition.equals);
+  }
+  if ('notEquals' in condition) {
+    return !isEqual(value, condition.notEquals);
+  }
+  return Boolean(value);
+}
+
+/**
+ * Read a dotted path such as `steps.plan.output.topics.0`
+ * @private
+ */
+function getPath(context: WorkflowContext, reference: string): any {
+  return reference.split('.').reduce((current: any, key) =>
+    current === undefined || current === null ? undefined : current[key], context);
+}
+
+/**
+ * Compare two JSON values structurally
+ * @private
+ */
+function isEqual(a: any, b: any): boolean {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Read every workflow definition file in a directory
+ * Files that cannot be read or hold an invalid definition are logged and skipped
+ * @param directory - Directory of .json, .yaml and .yml files
+ * @param maxSteps - Largest number of steps allowed
+ * @returns The definitions by workflow name
+ * @throws If the directory cannot be read
+ */
+function loadWorkflowDefinitions(directory: string, maxSteps: number = DEFAULT_MAX_STEPS): Map<string, WorkflowDefinition> {
+  const definitions = new Map<string, WorkflowDefinition>();
+  const resolvedDirectory = path.resolve(directory);
+
+  const files = fs.readdirSync(resolvedDirectory)
+    .filter(file => ['.json', '.yaml', '.yml'].includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  for (const file of files) {
+    let definition: WorkflowDefinition;
+    try {
+      definition = parseWorkflowDefinition(fs.readFileSync(path.join(resolvedDirectory, file), 'utf8'), maxSteps);
+    } catch (error) {
+      logger.error(MessageDirection.SYSTEM, `Skipping workflow file '${file}': ${error instanceof Error ? error.message : String(error)}`);
+      continue;
+    }
+
+    if (definitions.has(definition.name)) {
+      logger.error(MessageDirection.SYSTEM, `Skipping workflow file '${file}': workflow '${definition.name}' is already defined`);
+      continue;
+    }
+    definitions.set(definition.name, definition);
+  }
+
+  return definitions;
+}
+
+export {
+  WorkflowContext,
+  DEFAULT_MAX_STEPS,
+  parseWorkflowDefinition,
+  validateWorkflowDefinition,
+  resolveTemplate,
+  evaluateCondition,
+  loadWorkflowDefinitions
+};
@@ -0,0 +1,581 @@
+/**
+ * Workflow engine for the ASP Orchestrator
+ * Runs workflow definitions: starts each step once its dependencies are done, feeds it the outputs of earlier steps,
+ * and reports step progress to the client that started the workflow
+ */
+import { v4 as uuidv4 } from 'uuid';
+import {
+  Agent,
+  BaseMessage,
+  WorkflowDefinition,
+  WorkflowStepDefinition,
+  WorkflowStepStatus,
+  WorkflowStatus
+} from '@agentswarmprotocol/types/dist/common';
+import { AgentRegistry } from '../../../registry/agent-registry';
+import { ServiceRegistry } from '../../../registry/service-registry';
+import { AgentTaskRegistry } from '../tasks/agent-task-registry';
+import { ServiceTaskRegistry } from '../tasks/service-task-registry';
+import { isFailedResult } from '../tasks/task-results';
+import { TaskDispatcher } from '../tasks/task-dispatcher';
+import { AgentRouter } from '../agent-router';
+import { AuthManager } from '../auth/auth-manager';
+import { MCPAdapter } from '../mcp/mcp-adapter';
+import { ToolSchemaValidator } from '../tools/tool-schema-validator';
+import { logger } from '../logger';
+import { NotFoundError, NotAuthorizedError } from '../errors';
+import { WorkflowContext, resolveTemplate, evaluateCondition } from './workflow-definition';
+
+type SendFunction = (connectionId: string, message: BaseMessage) => void;
+
+interface WorkflowEngineDependencies {
+  agents: AgentRegistry;
+  tasks: AgentTaskRegistry;
+  services: ServiceRegistry;
+  serviceTasks: ServiceTaskRegistry;
+  agentRouter: AgentRouter;
+  taskDispatcher: TaskDispatcher;
+  mcp: MCPAdapter;
+  auth: AuthManager;
+  toolValidator: ToolSchemaValidator;
+  sendToClient: SendFunction;
+  sendToService: SendFunction;
+  // Cancels a task and everything it started, as a client cancellation does
+  cancelTask: (taskId: string, reason?: string) => void;
+}
+
+interface StepState {
+  definition: WorkflowStepDefinition;
+  status: WorkflowStepStatus;
+  // Task record of the step in the agent task registry, once it has started
+  taskId?: string;
+  output?: any;
+  error?: string;
+}
+
+interface WorkflowRun {
+  // Also the ID of the workflow's own task record
+  id: string;
+  definition: WorkflowDefinition;
+  input: any;
+  clientId: string;
+  requestId?: string;
+  status: WorkflowStatus;
+  steps: Map<string, StepState>;
+}
+
+const FINISHED_STEP_STATUSES: WorkflowStepStatus[] = ['completed', 'skipped'];
+
+class WorkflowEngine {
+  private deps: WorkflowEngineDependencies;
+  private runs: Map<string, WorkflowRun>;
+  // Workflow and step ID for each step task ID
+  private stepTasks: Map<string, { workflowId: string; stepId: string }>;
+
+  /**
+   * Create a new WorkflowEngine
+   * @param deps - Registries, routing and the functions used to reach clients and services
+   */
+  constructor(deps: WorkflowEngineDependencies) {
+    this.deps = deps;
+    this.runs = new Map();
+    this.stepTasks = new Map();
+  }
+
+  /**
+   * Start running a workflow
+   * @param workflowId - ID for the workflow, also used for its task record
+   * @param definition - A checked workflow definition
+   * @param input - The workflow input, available to steps as `input`
+   * @param clientId - Client that started the workflow; steps may use what its credential allows
+   * @param requestId - ID of the client's run request, echoed on progress messages
+   */
+  start(workflowId: string, definition: WorkflowDefinition, input: any, clientId: string, requestId?: string): void {
+    const run: WorkflowRun = {
+      id: workflowId,
+      definition,
+      input: input === undefined ? {} : input,
+      clientId,
+      requestId,
+      status: 'running',
+      steps: new Map(definition.steps.map((step): [string, StepState] => [step.id, { definition: step, status: 'pending' }]))
+    };
+
+    this.deps.tasks.registerTask(workflowId, {
+      type: 'workflow',
+      name: `Workflow ${definition.name}`,
+      severity: 'normal',
+      clientId,
+      principalId: this.deps.auth.getPrincipal(clientId)?.id,
+      status: 'in_progress',
+      createdAt: new Date().toISOString(),
+      workflowName: definition.name,
+      taskData: { input: run.input, definition },
+      requestId
+    });
+
+    // Steps run after the client's connection may be gone, so they keep its credential for authorization
+    this.deps.auth.inheritPrincipal(this.getAuthId(run), clientId);
+
+    this.runs.set(workflowId, run);
+    logger.system(`Workflow ${definition.name} started`, { workflowId, steps: definition.steps.length });
+
+    this.advance(run);
+  }
+
+  /**
+   * Take note of a finished task; steps advance their workflow and a cancelled workflow stops
+   * Does nothing for tasks that are not part of a running workflow
+   * @param taskId - ID of the task
+   * @param status - How the task finished
+   * @param outcome - The task result, or why it failed
+   */
+  handleTaskFinished(taskId: string, status: 'completed' | 'failed' | 'cancelled', outcome: { result?: any; error?: string } = {}): void {
+    const run = this.runs.get(taskId);
+    if (run) {
+      if (status === 'cancelled') {
+        this.finishRun(run, 'cancelled', { error: outcome.error || 'Workflow cancelled' });
+      }
+      return;
+    }
+
+    const stepTask = this.stepTasks.get(taskId);
+    if (!stepTask) {
+      return;
+    }
+
+    const stepRun = this.runs.get(stepTask.workflowId);
+    if (!stepRun) {
+      return;
+    }
+
+    if (status === 'completed') {
+      this.completeStep(stepRun, stepTask.stepId, outcome.result);
+    } else {
+      this.failStep(stepRun, stepTask.stepId, status, outcome.error || `Task ${status}`);
+    }
+  }
+
+  /**
+   * Take note of a finished service task; results of service steps advance their workflow
+   * @param parentTaskId - The task the service task was started for
+   * @param result - The service result; a result with only an `error` counts as a failure
+   */
+  handleServiceTaskFinished(parentTaskId: string | undefined, result: any): void {
+    if (!parentTaskId || !this.stepTasks.has(parentTaskId)) {
+      return;
+    }
+
+    if (isFailedResult(result)) {
+      const error = typeof result.error === 'string' ? result.error : (result.error.message || 'Service task failed');
+      this.updateStepTask(parentTaskId, 'failed', { error });
+      this.handleTaskFinished(parentTaskId, 'failed', { error });
+    } else {
+      this.updateStepTask(parentTaskId, 'completed', { result });
+      this.handleTaskFinished(parentTaskId, 'completed', { result });
+    }
+  }
+
+  /**
+   * Start every pending step whose dependencies are done, skip those whose condition fails,
+   * and finish the workflow once no step is left
+   * @private
+   */
+  private advance(run: WorkflowRun): void {
+    let changed = true;
+
+    // Skipping a step can unblock the steps that depend on it, so look again until nothing changes
+    while (changed && run.status === 'running') {
+      changed = false;
+
+      for (const step of run.steps.values()) {
+        if (run.status !== 'running') {
+          return;
+        }
+        if (step.status !== 'pending' || !this.dependenciesDone(run, step.definition)) {
+          continue;
+        }
+
+        changed = true;
+        const { condition } = step.definition;
+        if (condition && !evaluateCondition(condition, this.getContext(run))) {
+          step.status = 'skipped';
+          this.notifyStep(run, step);
+          continue;
+        }
+
+        this.startStep(run, step);
+      }
+    }
+
+    if (run.status === 'running' && Array.from(run.steps.values()).every(step => FINISHED_STEP_STATUSES.includes(step.status))) {
+      this.completeRun(run);
+    }
+  }
+
+  /**
+   * @private
+   */
+  private dependenciesDone(run: WorkflowRun, step: WorkflowStepDefinition): boolean {
+    return (step.dependsOn || []).every(dependency => FINISHED_STEP_STATUSES.includes(run.steps.get(dependency)!.status));
+  }
+
+  /**
+   * Resolve a step's input and hand it to its agent, service or MCP server
+   * @private
+   */
+  private startStep(run: WorkflowRun, step: StepState): void {
+    const definition = step.definition;
+    const taskId = uuidv4();
+
+    step.status = 'running';
+    step.taskId = taskId;
+    this.stepTasks.set(taskId, { workflowId: run.id, stepId: definition.id });
+
+    try {
+      const input = resolveTemplate(definition.input === undefined ? {} : definition.input, this.getContext(run));
+
+      if (definition.type === 'agent') {
+        this.startAgentStep(run, step, input);
+      } else if (definition.type === 'service') {
+        this.startServiceStep(run, step, input);
+      } else {
+        this.startMCPStep(run, step, input);
+      }
+
+      this.notifyStep(run, step);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      this.updateStepTask(taskId, 'failed', { error: message });
+      this.failStep(run, definition.id, 'failed', message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  private startAgentStep(run: WorkflowRun, step: StepState, input: any): void {
+    const definition = step.definition;
+    const authId = this.getAuthId(run);
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new Error(`Input of agent step '${definition.id}' must be an object`);
+    }
+
+    let agent: Agent | undefined;
+    if (definition.agentId) {
+      agent = this.deps.agents.getAgentById(definition.agentId);
+    } else if (definition.agentName) {
+      agent = this.deps.agents.getAgentByName(definition.agentName);
+    } else {
+      agent = this.deps.agentRouter.selectAgent(definition.capabilities!, definition.strategy,
+        candidate => this.deps.auth.isAllowed(authId, 'agents', candidate));
+    }
+
+    if (!agent) {
+      throw new Error(`No agent found for step '${definition.id}'`);
+    }
+    if (!this.deps.auth.isAllowed(authId, 'agents', agent)) {
+      throw new NotAuthorizedError(`Not authorized to use agent '${agent.name}'`);
+    }
+
+    this.registerStepTask(run, step, { agentId: agent.id, taskData: input });
+
+    if (!this.deps.agents.getConnectionByAgentId(agent.id)) {
+      throw new Error(`Agent '${agent.name}' is not connected`);
+    }
+
+    this.deps.taskDispatcher.dispatch(agent, step.taskId!, {
+      id: step.taskId!,
+      type: 'task.execute',
+      content: {
+        taskId: step.taskId,
+        type: input.taskType,
+        data: input,
+        attempt: 1
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  private startServiceStep(run: WorkflowRun, step: StepState, input: any): void {
+    const definition = step.definition;
+    const service = this.deps.services.getServiceById(definition.serviceId!) ||
+      this.deps.services.getServiceByName(definition.serviceId!);
+
+    if (!service || !service.connectionId) {
+      throw new NotFoundError(`Service ${definition.serviceId} not found or not connected`);
+    }
+    if (!this.deps.auth.isAllowed(this.getAuthId(run), 'services', service)) {
+      throw new NotAuthorizedError(`Not authorized to use service '${service.name}'`);
+    }
+
+    const invalidInput = this.deps.toolValidator.validateInput(service, definition.toolId!, input);
+    if (invalidInput) {
+      throw new Error(invalidInput.message);
+    }
+
+    this.registerStepTask(run, step, { status: 'in_progress', taskData: input });
+
+    // The service task is a child of the step, so cancelling the step cancels it too
+    const serviceTaskId = uuidv4();
+    this.deps.serviceTasks.registerTask(serviceTaskId, {
+      type: 'service.task',
+      name: `Service task: ${definition.toolId}`,
+      severity: 'normal',
+      serviceId: service.id,
+      parentTaskId: step.taskId,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      taskData: {
+        toolId: definition.toolId,
+        functionName: definition.toolId,
+        params: input,
+        metadata: { workflowId: run.id, timestamp: new Date().toISOString() }
+      }
+    });
+
+    this.deps.sendToService(service.connectionId, {
+      id: serviceTaskId,
+      type: 'service.task.execute',
+      content: {
+        toolId: definition.toolId,
+        functionName: definition.toolId, // Keep for backward compatibility
+        params: input,
+        metadata: { workflowId: run.id, timestamp: new Date().toISOString() }
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  private startMCPStep(run: WorkflowRun, step: StepState, input: any): void {
+    const definition = step.definition;
+    const taskId = step.taskId!;
+    const server = this.deps.mcp.getServerById(definition.serverId!);
+
+    if (!server) {
+      throw new NotFoundError(`MCP server ${definition.serverId} not found`);
+    }
+    if (!this.deps.auth.isAllowed(this.getAuthId(run), 'mcpServers', { id: server.id, name: server.name })) {
+      throw new NotAuthorizedError(`Not authorized to use MCP server '${server.name}'`);
+    }
+
+    this.registerStepTask(run, step, { status: 'in_progress', taskData: input });
+
+    this.deps.mcp.executeMCPTool(definition.serverId!, definition.toolName!, input || {}, { type: 'client', connectionId: run.clientId })
+      .then(result => {
+        if (this.updateStepTask(taskId, 'completed', { result })) {
+          this.handleTaskFinished(taskId, 'completed', { result });
+        }
+      })
+      .catch(error => {
+        const message = error instanceof Error ? error.message : String(error);
+        if (this.updateStepTask(taskId, 'failed', { error: message })) {
+          this.handleTaskFinished(taskId, 'failed', { error: message });
+        }
+      });
+  }
+
+  /**
+   * Record a step in the agent task registry as a child of its workflow's task
+   * @private
+   */
+  private registerStepTask(run: WorkflowRun, step: StepState, fields: Record<string, any>): void {
+    this.deps.tasks.registerTask(step.taskId!, {
+      type: 'workflow.step',
+      name: `Workflow ${run.definition.name}: ${step.definition.id}`,
+      severity: 'normal',
+      parentTaskId: run.id,
+      workflowId: run.id,
+      stepId: step.definition.id,
+      stepType: step.definition.type,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      ...fields
+    });
+  }
+
+  /**
+   * Update the task record of a service or MCP step; agent steps are updated by the agent result handling
+   * @private
+   * @returns False if the step task was cancelled in the meantime
+   */
+  private updateStepTask(taskId: string, status: 'completed' | 'failed', outcome: { result?: any; error?: string }): boolean {
+    const task = this.deps.tasks.getTaskOrNull(taskId);
+    if (!task || task.status === 'cancelled') {
+      return false;
+    }
+
+    if (task.status === 'in_progress' || task.status === 'pending') {
+      this.deps.tasks.updateTaskStatus(taskId, status, {
+        result: outcome.result,
+        error: outcome.error,
+        metadata: status === 'completed' ? { completedAt: new Date().toISOString() } : { failedAt: new Date().toISOString() }
+      });
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  private completeStep(run: WorkflowRun, stepId: string, output: any): void {
+    const step = run.steps.get(stepId)!;
+    if (run.status !== 'running' || step.status !== 'running') {
+      return;
+    }
+
+    step.status = 'completed';
+    step.output = output;
+    this.notifyStep(run, step);
+    this.advance(run);
+  }
+
+  /**
+   * A failed or cancelled step fails the whole workflow
+   * @private
+   */
+  private failStep(run: WorkflowRun, stepId: string, status: 'failed' | 'cancelled', error: string): void {
+    const step = run.steps.get(stepId)!;
+    if (run.status !== 'running' || step.status !== 'running') {
+      return;
+    }
+
+    step.status = status;
+    step.error = error;
+    this.notifyStep(run, step);
+    this.finishRun(run, 'failed', { error: `Step '${stepId}' ${status}: ${error}` });
+  }
+
+  /**
+   * Build the workflow result from its output template, or from all step outputs if it has none
+   * @private
+   */
+  private completeRun(run: WorkflowRun): void {
+    let output: any;
+    try {
+      output = run.definition.output !== undefined
+        ? resolveTemplate(run.definition.output, this.getContext(run))
+        : Object.fromEntries(Array.from(run.steps.entries())
+          .filter(([, step]) => step.status === 'completed')
+          .map(([stepId, step]) => [stepId, step.output]));
+    } catch (error) {
+      this.finishRun(run, 'failed', { error: `Cannot build workflow output: ${error instanceof Error ? error.message : String(error)}` });
+      return;
+    }
+
+    this.finishRun(run, 'completed', { output });
+  }
+
+  /**
+   * End a workflow: stop its running steps, update its task record and send the result to the client
+   * @private
+   */
+  private finishRun(run: WorkflowRun, status: WorkflowStatus, outcome: { output?: any; error?: string }): void {
+    if (run.status !== 'running') {
+      return;
+    }
+    run.status = status;
+    const finishedAt = new Date().toISOString();
+
+    for (const step of run.steps.values()) {
+      if (step.status === 'pending') {
+        step.status = 'skipped';
+      } else if (step.status === 'running') {
+        step.status = 'cancelled';
+        // A cancelled workflow's steps are already being cancelled along with its task
+        if (status !== 'cancelled') {
+          this.deps.cancelTask(step.taskId!, `Workflow ${status}`);
+        }
+      }
+    }
+
+    const steps = this.getStepSummary(run);
+    if (status !== 'cancelled') {
+      this.deps.tasks.updateTaskStatus(run.id, status, {
+        result: status === 'completed' ? { output: outcome.output, steps } : { steps },
+        error: outcome.error,
+        metadata: status === 'completed' ? { completedAt: finishedAt } : { failedAt: finishedAt }
+      });
+    }
+
+    this.deps.sendToClient(run.clientId, {
+      id: uuidv4(),
+      type: 'client.workflow.result',
+      content: {
+        workflowId: run.id,
+        workflowName: run.definition.name,
+        status,
+        output: outcome.output,
+        error: outcome.error,
+        steps,
+        finishedAt
+      },
+      requestId: run.requestId
+    });
+
+    logger.system(`Workflow ${run.definition.name} ${status}`, { workflowId: run.id, error: outcome.error });
+
+    this.deps.auth.unbindConnection(this.getAuthId(run));
+    run.steps.forEach(step => step.taskId && this.stepTasks.delete(step.taskId));
+    this.runs.delete(run.id);
+  }
+
+  /**
+   * Record that a step started, finished or was skipped, and tell the client
+   * @private
+   */
+  private notifyStep(run: WorkflowRun, step: StepState): void {
+    this.deps.tasks.addTaskNote(run.id, `Step ${step.definition.id} ${step.status}${step.error ? `: ${step.error}` : ''}`);
+
+    this.deps.sendToClient(run.clientId, {
+      id: uuidv4(),
+      type: 'client.workflow.step.status',
+      content: {
+        workflowId: run.id,
+        workflowName: run.definition.name,
+        stepId: step.definition.id,
+        stepType: step.definition.type,
+        taskId: step.taskId,
+        status: step.status,
+        output: step.output,
+        error: step.error,
+        timestamp: new Date().toISOString()
+      },
+      requestId: run.requestId
+    });
+  }
+
+  /**
+   * @private
+   */
+  private getStepSummary(run: WorkflowRun): Record<string, { status: WorkflowStepStatus; taskId?: string; error?: string }> {
+    return Object.fromEntries(Array.from(run.steps.entries()).map(([stepId, step]) =>
+      [stepId, { status: step.status, taskId: step.taskId, error: step.error }]));
+  }
+
+  /**
+   * @private
+   */
+  private getContext(run: WorkflowRun): WorkflowContext {
+    return {
+      input: run.input,
+      steps: Object.fromEntries(Array.from(run.steps.entries()).map(([stepId, step]) =>
+        [stepId, { output: step.output, status: step.status }]))
+    };
+  }
+
+  /**
+   * ID the workflow's steps are authorized under
+   * @private
+   */
+  private getAuthId(run: WorkflowRun): string {
+    return `workflow:${run.id}`;
+  }
+}
+
+export { WorkflowEngine, WorkflowEngineDependencies };
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// Stdio launcher for the swarm's MCP server
+// MCP hosts that can only start servers as subprocesses run this; it relays their messages to the orchestrator's
+// streamable HTTP endpoint and writes the answers back to stdout.
+//
+// Usage: asp-mcp [url]
+//   url defaults to ORCHESTRATOR_MCP_URL, then http://localhost:3001/mcp
+//   ORCHESTRATOR_TOKEN, if set, is sent as a bearer token when the orchestrator requires authentication
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+
+const DEFAULT_URL = 'http://localhost:3001/mcp';
+
+async function main(): Promise<void> {
+  const url = new URL(process.argv[2] || process.env.ORCHESTRATOR_MCP_URL || DEFAULT_URL);
+  const token = process.env.ORCHESTRATOR_TOKEN;
+
+  const orchestrator = new StreamableHTTPClientTransport(url, {
+    requestInit: token ? { headers: { Authorization: `Bearer ${token}` } } : undefined
+  });
+  const host = new StdioServerTransport();
+
+  // stdout carries the protocol, so anything else goes to stderr
+  const report = (error: Error) => console.error(`asp-mcp: ${error.message}`);
+
+  host.onmessage = message => {
+    orchestrator.send(message).catch(report);
+  };
+  orchestrator.onmessage = message => {
+    host.send(message).catch(report);
+  };
+  orchestrator.onerror = report;
+  host.onerror = report;
+
+  // The host closing stdin ends the session; the orchestrator going away ends the process
+  process.stdin.on('end', () => {
+    orchestrator.terminateSession()
+      .catch(report)
+      .finally(() => process.exit(0));
+  });
+  orchestrator.onclose = () => process.exit(0);
+
+  await orchestrator.start();
+  await host.start();
+}
+
+main().catch(error => {
+  console.error(`asp-mcp: ${error instanceof Error ? error.message : String(error)}`);
+  process.exit(1);
+});
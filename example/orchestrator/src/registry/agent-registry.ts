@@ -3,7 +3,7 @@
  * Responsible for managing agent registrations, capabilities, and connections
  */
 
-import { Agent, AgentStatus, AgentRegistry as IAgentRegistry } from "../../../types/common";
+import { Agent, AgentStatus, AgentRegistry as IAgentRegistry, RetryPolicy } from "../../../types/common";
 
 
 
@@ -17,6 +17,8 @@ interface AgentConfiguration {
   name: string;
   capabilities: string[];
   metadata: Record<string, any>;
+  taskTimeout?: number;
+  retryPolicy?: RetryPolicy;
   configuredAt: string;
 }
 
@@ -31,11 +33,13 @@ export class AgentRegistry implements IAgentRegistry {
   private connectedAgents: Map<string, ConnectedAgent>; // Map of connectionId to ConnectedAgent
   private pendingConnections: Map<string, PendingConnection>; // Connections waiting for agent.register
   private agentConfigurations: Map<string, AgentConfiguration>; // Maps agent IDs to preconfigured settings
+  private statusBeforeUnresponsive: Map<string, AgentStatus>; // Status to restore when an unresponsive agent answers again, by connection ID
 
   constructor() {
     this.connectedAgents = new Map(); // Maps connection IDs to Agent objects (with status indicating connected/disconnected)
     this.pendingConnections = new Map(); // Connections waiting for agent.register
     this.agentConfigurations = new Map(); // Maps agent IDs to preconfigured settings
+    this.statusBeforeUnresponsive = new Map();
   }
 
   /**
@@ -198,9 +202,9 @@ export class AgentRegistry implements IAgentRegistry {
    * @returns The WebSocket connection object or undefined if not found
    */
   getConnection(connectionId: string): any {
-    // First check connected agents
+    // First check connected agents (busy agents are still reachable)
     const connectedAgent = this.connectedAgents.get(connectionId);
-    if (connectedAgent && connectedAgent.agent.status === 'online') {
+    if (connectedAgent && connectedAgent.agent.status !== 'offline') {
       return connectedAgent.connection;
     }
     
@@ -232,9 +236,9 @@ export class AgentRegistry implements IAgentRegistry {
    * @returns The WebSocket connection object or undefined if not found
    */
   getConnectionByAgentId(agentId: string): any {
-    // Find agent in connected agents with online status
+    // Find agent in connected agents that have not gone offline
     for (const connectedAgent of this.connectedAgents.values()) {
-      if (connectedAgent.agent.id === agentId && connectedAgent.agent.status === 'online') {
+      if (connectedAgent.agent.id === agentId && connectedAgent.agent.status !== 'offline') {
         return connectedAgent.connection;
       }
     }
@@ -248,9 +252,9 @@ export class AgentRegistry implements IAgentRegistry {
    * @returns The connection ID or undefined if not found
    */
   getConnectionIdByAgentId(agentId: string): string | undefined {
-    // Find agent in connected agents with online status
+    // Find agent in connected agents that have not gone offline
     for (const connectedAgent of this.connectedAgents.values()) {
-      if (connectedAgent.agent.id === agentId && connectedAgent.agent.status === 'online') {
+      if (connectedAgent.agent.id === agentId && connectedAgent.agent.status !== 'offline') {
         return connectedAgent.agent.connectionId;
       }
     }
@@ -309,6 +313,8 @@ export class AgentRegistry implements IAgentRegistry {
    * @returns true if successfully removed
    */
   removeConnection(connectionId: string): boolean {
+    this.statusBeforeUnresponsive.delete(connectionId);
+
     // If it's a connected agent, update the status to offline but keep the agent in the registry
     const connectedAgent = this.connectedAgents.get(connectionId);
     if (connectedAgent) {
@@ -429,6 +435,40 @@ export class AgentRegistry implements IAgentRegistry {
     return null;
   }
 
+  /**
+   * Mark the agent on a connection unresponsive because it stopped answering heartbeats
+   * @param connectionId - The connection ID
+   * @returns The agent, or undefined if no registered agent uses the connection or it is already unresponsive
+   */
+  markUnresponsive(connectionId: string): Agent | undefined {
+    const connectedAgent = this.connectedAgents.get(connectionId);
+    if (!connectedAgent || connectedAgent.agent.status === 'unresponsive' || connectedAgent.agent.status === 'offline') {
+      return undefined;
+    }
+
+    this.statusBeforeUnresponsive.set(connectionId, connectedAgent.agent.status);
+    connectedAgent.agent.status = 'unresponsive';
+    return connectedAgent.agent;
+  }
+
+  /**
+   * Give an unresponsive agent back the status it had before it stopped answering heartbeats
+   * @param connectionId - The connection ID
+   * @returns The agent, or undefined if the agent on the connection is not unresponsive
+   */
+  markResponsive(connectionId: string): Agent | undefined {
+    const previousStatus = this.statusBeforeUnresponsive.get(connectionId);
+    this.statusBeforeUnresponsive.delete(connectionId);
+
+    const connectedAgent = this.connectedAgents.get(connectionId);
+    if (!previousStatus || !connectedAgent || connectedAgent.agent.status !== 'unresponsive') {
+      return undefined;
+    }
+
+    connectedAgent.agent.status = previousStatus;
+    return connectedAgent.agent;
+  }
+
   /**
    * Remove an agent by ID
    * @param agentId - The agent ID to remove
@@ -486,6 +526,8 @@ export class AgentRegistry implements IAgentRegistry {
       name: agentName,
       capabilities: configuration.capabilities || [],
       metadata: configuration.metadata || {},
+      taskTimeout: configuration.taskTimeout,
+      retryPolicy: configuration.retryPolicy,
       configuredAt: new Date().toISOString()
     });
     
@@ -513,6 +555,8 @@ export class AgentRegistry implements IAgentRegistry {
     name: string;
     capabilities?: string[];
     metadata?: Record<string, any>;
+    taskTimeout?: number;
+    retryPolicy?: RetryPolicy;
   }): AgentConfiguration {
     // Create the agent configuration
     const agentConfig: AgentConfiguration = {
@@ -520,6 +564,8 @@ export class AgentRegistry implements IAgentRegistry {
       name: configuration.name,
       capabilities: configuration.capabilities || [],
       metadata: configuration.metadata || {},
+      taskTimeout: configuration.taskTimeout,
+      retryPolicy: configuration.retryPolicy,
       configuredAt: new Date().toISOString()
     };
     
@@ -23,11 +23,14 @@ export class ClientRegistry {
   private clients: Map<string, Client>;
   private clientConfigurations: Map<string, ClientConfiguration>;
   private connectionToClientId: Map<string, string>;
+  // Status to restore when an unresponsive client answers again, by connection ID
+  private statusBeforeUnresponsive: Map<string, ClientStatus>;
 
   constructor() {
     this.clients = new Map();
     this.clientConfigurations = new Map();
     this.connectionToClientId = new Map();
+    this.statusBeforeUnresponsive = new Map();
   }
 
   /**
@@ -179,6 +182,8 @@ export class ClientRegistry {
    * @returns {Client|undefined} The disconnected client or undefined if not found
    */
   handleDisconnection(connectionId: string): Client | undefined {
+    this.statusBeforeUnresponsive.delete(connectionId);
+
     const clientId = this.connectionToClientId.get(connectionId);
     if (!clientId) {
       return undefined;
@@ -227,6 +232,40 @@ export class ClientRegistry {
     return client;
   }
 
+  /**
+   * Mark the client on a connection unresponsive because it stopped answering heartbeats
+   * @param {string} connectionId - WebSocket connection ID
+   * @returns {Client|undefined} The client, or undefined if no client uses the connection or it is already unresponsive
+   */
+  markUnresponsive(connectionId: string): Client | undefined {
+    const client = this.getClientByConnectionId(connectionId);
+    if (!client || client.status === 'unresponsive' || client.status === 'offline') {
+      return undefined;
+    }
+
+    this.statusBeforeUnresponsive.set(connectionId, client.status);
+    client.status = 'unresponsive';
+    return client;
+  }
+
+  /**
+   * Give an unresponsive client back the status it had before it stopped answering heartbeats
+   * @param {string} connectionId - WebSocket connection ID
+   * @returns {Client|undefined} The client, or undefined if the client on the connection is not unresponsive
+   */
+  markResponsive(connectionId: string): Client | undefined {
+    const previousStatus = this.statusBeforeUnresponsive.get(connectionId);
+    this.statusBeforeUnresponsive.delete(connectionId);
+
+    const client = this.getClientByConnectionId(connectionId);
+    if (!previousStatus || !client || client.status !== 'unresponsive') {
+      return undefined;
+    }
+
+    client.status = previousStatus;
+    return client;
+  }
+
   /**
    * Remove a client
    * @param {string} clientId - ID of the client to remove
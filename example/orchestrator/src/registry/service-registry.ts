@@ -33,11 +33,14 @@ export class ServiceRegistry implements IServiceRegistry {
   private services: Map<string, Service>;
   private serviceConfigurations: Map<string, ServiceConfiguration>;
   private connectionToServiceId: Map<string, string>;
+  // Status to restore when an unresponsive service answers again, by connection ID
+  private statusBeforeUnresponsive: Map<string, ServiceStatus>;
 
   constructor() {
     this.services = new Map();
     this.serviceConfigurations = new Map();
     this.connectionToServiceId = new Map();
+    this.statusBeforeUnresponsive = new Map();
   }
 
   /**
@@ -204,7 +207,8 @@ export class ServiceRegistry implements IServiceRegistry {
       connectionId: serviceInfo.connectionId,
       registeredAt: now,
       manifest: serviceInfo.manifest || {},
-      tools: serviceInfo.tools || []
+      tools: serviceInfo.tools || [],
+      protocol: serviceInfo.protocol
     };
 
     // Store the service
@@ -252,6 +256,8 @@ export class ServiceRegistry implements IServiceRegistry {
    * @returns {Service|undefined} The disconnected service or undefined if not found
    */
   handleDisconnection(connectionId: string): Service | undefined {
+    this.statusBeforeUnresponsive.delete(connectionId);
+
     const serviceId = this.connectionToServiceId.get(connectionId);
     if (!serviceId) {
       return undefined;
@@ -305,6 +311,40 @@ export class ServiceRegistry implements IServiceRegistry {
     return service;
   }
 
+  /**
+   * Mark the service on a connection unresponsive because it stopped answering heartbeats
+   * @param {string} connectionId - WebSocket connection ID
+   * @returns {Service|undefined} The service, or undefined if no service uses the connection or it is already unresponsive
+   */
+  markUnresponsive(connectionId: string): Service | undefined {
+    const service = this.getServiceByConnectionId(connectionId);
+    if (!service || service.status === 'unresponsive' || service.status === 'offline') {
+      return undefined;
+    }
+
+    this.statusBeforeUnresponsive.set(connectionId, service.status);
+    service.status = 'unresponsive';
+    return service;
+  }
+
+  /**
+   * Give an unresponsive service back the status it had before it stopped answering heartbeats
+   * @param {string} connectionId - WebSocket connection ID
+   * @returns {Service|undefined} The service, or undefined if the service on the connection is not unresponsive
+   */
+  markResponsive(connectionId: string): Service | undefined {
+    const previousStatus = this.statusBeforeUnresponsive.get(connectionId);
+    this.statusBeforeUnresponsive.delete(connectionId);
+
+    const service = this.getServiceByConnectionId(connectionId);
+    if (!previousStatus || !service || service.status !== 'unresponsive') {
+      return undefined;
+    }
+
+    service.status = previousStatus;
+    return service;
+  }
+
   /**
    * Remove a service
    * @param {string} serviceId - ID of the service to remove
@@ -1,9 +1,16 @@
 import * as WebSocket from 'ws';
 import * as http from 'http';
+import * as https from 'https';
+import { Duplex } from 'stream';
 import { v4 as uuidv4 } from 'uuid';
 import { ServiceRegistry, BaseMessage, SendOptions } from '../../../types/common';
 import { EventEmitter } from 'events';
 import { logger, MessageDirection } from '../core/utils/logger';
+import { AuthManager } from '../core/utils/auth/auth-manager';
+import { createServer } from '../core/utils/tls';
+import { MessageValidator, MessageValidationFailure } from '../core/utils/protocol/message-validator';
+import { PROTOCOL_VERSION, PROTOCOL_FEATURES } from '../core/utils/protocol/protocol-negotiation';
+import { HeartbeatMonitor } from '../core/utils/heartbeat/heartbeat-monitor';
 
 // Extended WebSocket interface with ID
 interface WebSocketWithId extends WebSocket.WebSocket {
@@ -19,10 +26,16 @@ interface PendingResponseEntry {
 
 interface ServiceServerConfig {
   port?: number;
+  tls?: https.ServerOptions;
+  // Skip creating a listener; upgrades arrive through handleUpgrade
+  noServer?: boolean;
 }
 
 interface ServiceServerDependencies {
   services: ServiceRegistry;
+  auth?: AuthManager;
+  messageValidator?: MessageValidator;
+  heartbeat?: HeartbeatMonitor;
 }
 
 /**
@@ -31,8 +44,13 @@ interface ServiceServerDependencies {
  */
 class ServiceServer {
   private services: ServiceRegistry; 
+  private auth?: AuthManager;
+  private messageValidator: MessageValidator;
+  private heartbeat?: HeartbeatMonitor;
   private eventBus: EventEmitter;
   private port: number;
+  private tls?: https.ServerOptions;
+  private noServer: boolean;
   private pendingResponses: Record<string, PendingResponseEntry[]>;
   private server: http.Server;
   private wss: WebSocket.Server;
@@ -40,13 +58,18 @@ class ServiceServer {
   private connections: Map<string, WebSocketWithId>;
 
   constructor(
-    { services }: ServiceServerDependencies, 
+    { services, auth, messageValidator, heartbeat }: ServiceServerDependencies, 
     eventBus: EventEmitter, 
     config: ServiceServerConfig = {}
   ) {
     this.services = services; // For connection tracking
+    this.auth = auth; // Connection authentication, if configured
+    this.messageValidator = messageValidator || new MessageValidator(); // Schema checks of inbound messages
+    this.heartbeat = heartbeat; // Liveness pings, if configured
     this.eventBus = eventBus;
     this.port = config.port || parseInt(process.env.SERVICE_PORT || '3002', 10);
+    this.tls = config.tls;
+    this.noServer = config.noServer === true;
     this.pendingResponses = {}; // Track pending responses
     // Initialize server and wss to null as they'll be set in start()
     this.server = null as unknown as http.Server;
@@ -56,26 +79,39 @@ class ServiceServer {
   }
 
   async start(): Promise<ServiceServer> {
-    // Create HTTP server for services
-    this.server = http.createServer((req, res) => {
-      res.writeHead(200, { 'Content-Type': 'text/plain' });
-      res.end('Agent Swarm Protocol Service Interface is running');
-    });
+    // Create WebSocket server for services, rejecting unauthenticated upgrades when auth is enabled
+    if (this.noServer) {
+      // In single-port mode the shared listener passes upgrade requests to handleUpgrade
+      this.wss = new WebSocket.Server({
+        noServer: true,
+        verifyClient: this.auth?.createVerifyClient('service')
+      });
+    } else {
+      // Create HTTP server for services, or HTTPS when TLS is configured
+      this.server = createServer(this.tls, (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('Agent Swarm Protocol Service Interface is running');
+      });
 
-    // Create WebSocket server for services
-    this.wss = new WebSocket.Server({ server: this.server });
+      this.wss = new WebSocket.Server({
+        server: this.server,
+        verifyClient: this.auth?.createVerifyClient('service')
+      });
+    }
     
     // Handle WebSocket connections from services
-    this.wss.on('connection', (ws: WebSocket.WebSocket) => {
+    this.wss.on('connection', (ws: WebSocket.WebSocket, req: http.IncomingMessage) => {
       // Generate unique ID for the connection
       const connectionId = uuidv4();
       const wsWithId = ws as WebSocketWithId;
       wsWithId.id = connectionId;
+      this.auth?.bindConnection(connectionId, req);
       
       // Store connection directly in our map
       this.connections.set(connectionId, wsWithId);
       
       logger.connection(MessageDirection.SERVICE_TO_ORCHESTRATOR, 'connected', connectionId);
+      this.heartbeat?.watch('service', connectionId, ws);
       
       // Handle incoming messages from services
       ws.on('message', async (message: WebSocket.Data) => {
@@ -102,6 +138,7 @@ class ServiceServer {
         this.connections.delete(connectionId);
         // Let the registry handle the disconnection
         this.services.handleDisconnection(connectionId);
+        this.auth?.unbindConnection(connectionId);
         // Emit event for disconnection, let the message handler deal with it
         this.eventBus.emit('service.disconnected', connectionId);
       });
@@ -112,19 +149,33 @@ class ServiceServer {
         type: 'orchestrator.welcome',
         content: {
           message: 'Connected to ASP Orchestrator Service Interface',
-          orchestratorVersion: '1.0.0'
+          orchestratorVersion: '1.0.0',
+          protocolVersion: PROTOCOL_VERSION,
+          features: PROTOCOL_FEATURES.service
         }
       });
     });
     
     // Start HTTP server for services
-    this.server.listen(this.port, () => {
-      logger.system(`ASP Orchestrator Service Interface running on port ${this.port}`);
-    });
+    if (!this.noServer) {
+      this.server.listen(this.port, () => {
+        logger.system(`ASP Orchestrator Service Interface running on port ${this.port}${this.tls ? ' (TLS)' : ''}`);
+      });
+    }
 
     return this;
   }
 
+  /**
+   * Accept a WebSocket upgrade request routed here by the single-port listener
+   * @param req - The upgrade request
+   * @param socket - The request's socket
+   * @param head - First packet of the upgraded stream
+   */
+  handleUpgrade(req: http.IncomingMessage, socket: Duplex, head: Buffer): void {
+    this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, req));
+  }
+
   async handleMessage(message: BaseMessage, connectionId: string): Promise<void> {
     logger.serviceToOrchestrator(`Received message: ${message.type}`, {
       messageId: message.id,
@@ -136,6 +187,14 @@ class ServiceServer {
     if (!message.type) {
       return this.sendError(connectionId, 'Invalid message format: type is required', message.id);
     }
+
+    const invalid = this.messageValidator.validate('service', message);
+    if (invalid) {
+      logger.warn(MessageDirection.SERVICE_TO_ORCHESTRATOR, invalid.message, { messageType: message.type, errors: invalid.errors }, connectionId);
+      if (this.messageValidator.strict) {
+        return this.sendInvalidMessage(connectionId, invalid, message.id);
+      }
+    }
     
     // Handle different message types with switch-case for better readability
     switch (message.type) {
@@ -163,6 +222,19 @@ class ServiceServer {
         this.eventBus.emit('service.error.received', message, connectionId);
         break;
         
+      // Topic publish/subscribe
+      case 'topic.subscribe':
+        this.eventBus.emit('service.topic.subscribe', message, connectionId);
+        break;
+
+      case 'topic.unsubscribe':
+        this.eventBus.emit('service.topic.unsubscribe', message, connectionId);
+        break;
+
+      case 'topic.publish':
+        this.eventBus.emit('service.topic.publish', message, connectionId);
+        break;
+
       case 'ping':
         this.send(connectionId, {
           id: uuidv4(),
@@ -219,7 +291,7 @@ class ServiceServer {
   }
 
   // Helper method to send an error response
-  sendError(connectionId: string, errorMessage: string, requestId: string | null = null, details?: string): void {
+  sendError(connectionId: string, errorMessage: string, requestId: string | null = null, details?: string, code?: string): void {
     const message: BaseMessage = {
       id: uuidv4(),
       type: 'error',
@@ -228,6 +300,10 @@ class ServiceServer {
         details: details || errorMessage
       }
     };
+
+    if (code) {
+      message.content.code = code;
+    }
     
     if (requestId) {
       message.requestId = requestId;
@@ -252,6 +328,30 @@ class ServiceServer {
     }
   }
 
+  // Helper method to refuse a message that does not match the schema for its type
+  private sendInvalidMessage(connectionId: string, failure: MessageValidationFailure, requestId: string | null = null): void {
+    const message: BaseMessage = {
+      id: uuidv4(),
+      type: 'error',
+      content: {
+        error: failure.message,
+        details: failure.message,
+        code: failure.code,
+        validationErrors: failure.errors
+      }
+    };
+
+    if (requestId) {
+      message.requestId = requestId;
+    }
+
+    try {
+      this.send(connectionId, message);
+    } catch (error) {
+      logger.error(MessageDirection.ORCHESTRATOR_TO_SERVICE, 'Error sending error message to service', error, connectionId);
+    }
+  }
+
   // Helper method to send a message and wait for a response
   async sendAndWaitForResponse(
     connectionId: string, 
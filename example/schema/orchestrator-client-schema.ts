@@ -4,6 +4,9 @@
  * This file defines the TypeScript interfaces for messages exchanged between 
  * the orchestrator and clients. It covers both messages sent from the orchestrator
  * to clients and from clients to the orchestrator.
+ *
+ * The orchestrator checks inbound messages at runtime against the JSON Schemas in
+ * orchestrator/src/core/utils/protocol/message-schemas.ts; keep the two in step.
  */
 
 /**
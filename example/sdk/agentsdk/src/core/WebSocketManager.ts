@@ -1,6 +1,6 @@
 import WebSocket from 'ws';
 import { EventEmitter } from 'events';
-import { BaseMessage } from '@agentswarmprotocol/types/common';
+import { BaseMessage, TlsClientOptions } from '@agentswarmprotocol/types/common';
 import { AgentPendingResponse } from './types';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -15,7 +15,9 @@ export class WebSocketManager extends EventEmitter {
     private orchestratorUrl: string,
     private autoReconnect: boolean = true,
     private reconnectInterval: number = 5000,
-    private logger: Console = console
+    private logger: Console = console,
+    private token?: string,
+    private tls?: TlsClientOptions
   ) {
     super();
   }
@@ -39,6 +41,9 @@ export class WebSocketManager extends EventEmitter {
           const isError = message.type === 'error' || (message.content && message.content.error);
           this.handleResponse(messageId, message, isError);
           this.logger.debug(`Resolved pending response for message ID: ${messageId} with custom event: ${pendingResponse.customEvent}`);
+        } else if (message.type === 'error') {
+          // An error reply to the request fails it even while waiting for a custom event
+          this.handleResponse(messageId, message, true);
         }
         // If custom event doesn't match, don't resolve and continue processing
       } else {
@@ -111,7 +116,10 @@ export class WebSocketManager extends EventEmitter {
     return new Promise((resolve, reject) => {
       try {
         // Create WebSocket connection with appropriate error handling
-        this.ws = new WebSocket(this.orchestratorUrl);
+        this.ws = new WebSocket(this.orchestratorUrl, {
+          ...this.tls,
+          headers: this.token ? { Authorization: `Bearer ${this.token}` } : undefined
+        });
 
         this.ws.on('open', () => {
           this.connected = true;
@@ -364,7 +372,15 @@ export class WebSocketManager extends EventEmitter {
       this.pendingResponses.delete(requestId);
       
       if (isError) {
-        pendingResponse.reject(new Error(message.content ? message.content.error : 'Unknown error'));
+        // Keep the error code and any schema validation errors the orchestrator sent along
+        const error: Error & { code?: string; validationErrors?: any[] } = new Error(message.content ? message.content.error : 'Unknown error');
+        if (message.content?.code) {
+          error.code = message.content.code;
+        }
+        if (message.content?.validationErrors) {
+          error.validationErrors = message.content.validationErrors;
+        }
+        pendingResponse.reject(error);
       } else {
         pendingResponse.resolve(message);
       }
@@ -1,9 +1,11 @@
 // Import and re-export agent-specific types from the centralized types package
-import { BaseMessage } from '@agentswarmprotocol/types/common';
-import { AgentMessages } from '@agentswarmprotocol/types/messages';
+import { BaseMessage, AgentSelectionStrategy, TlsClientOptions } from '@agentswarmprotocol/types/common';
+import { AgentMessages, TopicMessages, MCPMessages } from '@agentswarmprotocol/types/messages';
 
 // Re-export types from centralized package
 export type TaskExecuteMessage = AgentMessages.TaskExecuteMessage;
+export type TopicDeliveryMessage = TopicMessages.TopicDeliveryMessage;
+export type MCPResourceUpdatedMessage = MCPMessages.MCPResourceUpdatedMessage;
 
 export interface PendingResponse {
   resolve: (value: BaseMessage) => void;
@@ -18,19 +20,47 @@ export interface AgentConfig {
   name?: string;
   agentType?: string;
   capabilities?: string[];
+  maxConcurrentTasks?: number;
+  deterministic?: boolean;
   description?: string;
   manifest?: Record<string, any>;
   orchestratorUrl?: string;
+  token?: string;
+  tls?: TlsClientOptions;
   autoReconnect?: boolean;
   reconnectInterval?: number;
   logger?: Console;
 }
 
 export type MessageHandler = (content: any, message: BaseMessage) => void;
-export type AgentTaskHandler = (taskData: any, message: TaskExecuteMessage) => Promise<any>;
+export type AgentTaskHandler = (taskData: any, message: TaskExecuteMessage, signal: AbortSignal, stream: TaskResultStream) => Promise<any> | AsyncIterable<any>;
+
+export interface TaskResultStream {
+  /** Send a partial result to the client; chunks are numbered from 0 in the order they are written */
+  write(chunk: any): void;
+  /** Number of chunks written so far */
+  readonly chunkCount: number;
+}
+
+export interface AgentSelector {
+  capabilities: string[];
+  strategy?: AgentSelectionStrategy;
+}
 
 export interface ServiceTaskOptions {
   timeout?: number;
+  /** ID of the task this service call is made for, so it is cancelled along with it; defaults to the task whose handler makes the call */
+  parentTaskId?: string;
+}
+
+export type TopicMessageHandler = (payload: any, message: TopicDeliveryMessage['content']) => void;
+
+export type MCPResourceUpdateHandler = (update: MCPResourceUpdatedMessage['content']) => void;
+
+export interface TopicPublishOptions {
+  /** Keep the message as the topic's retained message for later subscribers; a null payload clears it */
+  retain?: boolean;
+  timeout?: number;
 }
 
 // Alias for backward compatibility
@@ -1,13 +1,18 @@
 import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
 import { v4 as uuidv4 } from 'uuid';
 import { BaseMessage } from '@agentswarmprotocol/types/common';
-import { TaskExecuteMessage, AgentTaskHandler as TaskHandlerType } from '../core/types';
+import { TaskExecuteMessage, AgentTaskHandler as TaskHandlerType, TaskResultStream } from '../core/types';
 import { WebSocketManager } from '../core/WebSocketManager';
 
 export class TaskHandler extends EventEmitter {
   // Remove taskHandlers map since we'll only have one handler
   // private taskHandlers: Map<string, TaskHandlerType> = new Map();
   private taskHandler: TaskHandlerType | null = null;
+  // Abort controllers for the tasks currently being executed
+  private abortControllers: Map<string, AbortController> = new Map();
+  // ID of the task whose handler is running, followed across its awaits
+  private currentTask = new AsyncLocalStorage<string>();
 
   constructor(
     private webSocketManager: WebSocketManager,
@@ -33,6 +38,8 @@ export class TaskHandler extends EventEmitter {
   async handleTask(message: TaskExecuteMessage): Promise<void> {
     const taskId = message.content?.taskId;
     const taskData = message.content?.data;
+    // Echoed back so the orchestrator can drop what a timed out attempt sends after it was retried
+    const attempt: number | undefined = message.content?.attempt;
     
     if (!taskId) {
       this.logger.error('Task execution message missing taskId');
@@ -52,6 +59,9 @@ export class TaskHandler extends EventEmitter {
     // Emit task event
     this.emit('task', taskData, message);
 
+    const abortController = new AbortController();
+    this.abortControllers.set(taskId, abortController);
+
     try {
       // Check if we have a handler
       if (!this.taskHandler) {
@@ -61,39 +71,171 @@ export class TaskHandler extends EventEmitter {
       // Update task status
       this.sendTaskStatus(taskId, 'started');
       
-      // Execute the handler
-      const result = await this.taskHandler(taskData, message);
+      // Execute the handler; partial results it writes or yields are sent as chunks
+      const handler = this.taskHandler;
+      const stream = this.createResultStream(taskId, abortController.signal, attempt);
+      const result = await this.currentTask.run(taskId, async () => {
+        const output = handler(taskData, message, abortController.signal, stream);
+        return isAsyncIterable(output)
+          ? await this.drainResultStream(output, stream)
+          : await output;
+      });
+
+      // The orchestrator has already closed a cancelled task, so there is nothing to report
+      if (abortController.signal.aborted) {
+        this.logger.info(`Task ${taskId} was cancelled, discarding its result`);
+        return;
+      }
       
       // Send the result
-      this.sendTaskResult(taskId, result);
+      this.sendTaskResult(taskId, result, attempt);
       
       // Update task status with the result to ensure completion is recognized
       this.sendTaskStatus(taskId, 'completed', { result });
     } catch (err) {
       const error = err as Error;
+
+      if (abortController.signal.aborted) {
+        this.logger.info(`Task ${taskId} was cancelled: ${error.message}`);
+        return;
+      }
+
       this.logger.error(`Error executing task: ${error.message}`);
       
       // Update task status
       this.sendTaskStatus(taskId, 'failed', { error: error.message });
       
-      // Send error result
-      this.sendTaskResult(taskId, { error: error.message });
+      // Report the failure, so the orchestrator can retry the task or fail it instead of completing it
+      this.sendTaskError(taskId, error.message, attempt);
+    } finally {
+      // A timed out task can be sent again while this attempt is still winding down
+      if (this.abortControllers.get(taskId) === abortController) {
+        this.abortControllers.delete(taskId);
+      }
+    }
+  }
+
+  /**
+   * Get the ID of the task being executed, when called from within its handler
+   * @returns The task ID, or undefined outside a task handler
+   */
+  getCurrentTaskId(): string | undefined {
+    return this.currentTask.getStore();
+  }
+
+  /**
+   * Cancel a running task by aborting the signal passed to its handler
+   * @param taskId ID of the task to cancel
+   * @param reason Optional cancellation reason
+   * @returns Whether a running task was found
+   */
+  cancelTask(taskId: string, reason?: string): boolean {
+    const abortController = this.abortControllers.get(taskId);
+    if (!abortController) {
+      return false;
     }
+
+    abortController.abort(new Error(reason || 'Task cancelled'));
+    this.emit('task-cancelled', taskId, reason);
+    return true;
+  }
+
+  /**
+   * Create the stream helper passed to the task handler
+   * @param taskId ID of the task
+   * @param signal Abort signal of the task; chunks written after cancellation are dropped
+   * @param attempt Attempt the chunks belong to
+   */
+  private createResultStream(taskId: string, signal: AbortSignal, attempt?: number): TaskResultStream {
+    let sequence = 0;
+    return {
+      write: (chunk: any) => {
+        if (signal.aborted) {
+          return;
+        }
+        this.sendTaskResultChunk(taskId, sequence++, chunk, attempt);
+      },
+      get chunkCount() {
+        return sequence;
+      }
+    };
+  }
+
+  /**
+   * Send every value yielded by a streaming task handler as a chunk
+   * @param output Async iterable returned by the handler
+   * @param stream Stream helper of the task
+   * @returns The iterator's return value, or the chunks it yielded if it returned nothing
+   */
+  private async drainResultStream(output: AsyncIterable<any>, stream: TaskResultStream): Promise<any> {
+    const iterator = output[Symbol.asyncIterator]();
+    const chunks: any[] = [];
+
+    while (true) {
+      const next = await iterator.next();
+      if (next.done) {
+        return next.value !== undefined ? next.value : chunks;
+      }
+      chunks.push(next.value);
+      stream.write(next.value);
+    }
+  }
+
+  /**
+   * Send a partial task result back to the orchestrator
+   * @param taskId ID of the task
+   * @param sequence Position of the chunk within the task's stream, starting at 0
+   * @param chunk Partial result data
+   * @param attempt Attempt the chunk belongs to, as sent with the task
+   */
+  sendTaskResultChunk(taskId: string, sequence: number, chunk: any, attempt?: number): void {
+    this.webSocketManager.send({
+      id: uuidv4(),
+      type: 'task.result.chunk',
+      content: {
+        agentId: this.agentId,
+        taskId,
+        sequence,
+        chunk,
+        attempt
+      }
+    } as BaseMessage);
   }
 
   /**
    * Send a task result back to the orchestrator
    * @param taskId ID of the task
    * @param result Result data
+   * @param attempt Attempt the result belongs to, as sent with the task
    */
-  sendTaskResult(taskId: string, result: any): void {
+  sendTaskResult(taskId: string, result: any, attempt?: number): void {
     this.webSocketManager.send({
       id: uuidv4(),
       type: 'agent.task.result',
       content: {
         agentId: this.agentId,
         taskId,
-        result
+        result,
+        attempt
+      }
+    } as BaseMessage);
+  }
+
+  /**
+   * Report that a task failed
+   * @param taskId ID of the task
+   * @param error Error message
+   * @param attempt Attempt that failed, as sent with the task
+   */
+  sendTaskError(taskId: string, error: string, attempt?: number): void {
+    this.webSocketManager.send({
+      id: uuidv4(),
+      type: 'task.error',
+      content: {
+        agentId: this.agentId,
+        taskId,
+        error,
+        attempt
       }
     } as BaseMessage);
   }
@@ -159,4 +301,11 @@ export class TaskHandler extends EventEmitter {
       return response.content;
     });
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Whether a task handler returned an async iterable (e.g. an async generator) rather than a promise
+ */
+function isAsyncIterable(value: any): value is AsyncIterable<any> {
+  return value != null && typeof value[Symbol.asyncIterator] === 'function';
+}
@@ -4,13 +4,30 @@
 
 import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
-import { BaseMessage, AgentStatus } from '@agentswarmprotocol/types/common';
-import { AgentConfig, MessageHandler, AgentTaskHandler, TaskExecuteMessage } from './core/types';
+import { BaseMessage, AgentStatus, MCPResource, MCPResourceTemplate, MCPResourceContents, MCPPrompt, MCPPromptResult } from '@agentswarmprotocol/types/common';
+import {
+  AgentConfig,
+  MessageHandler,
+  AgentTaskHandler,
+  TaskExecuteMessage,
+  ServiceTaskOptions,
+  AgentSelector,
+  TopicDeliveryMessage,
+  TopicMessageHandler,
+  TopicPublishOptions,
+  MCPResourceUpdatedMessage,
+  MCPResourceUpdateHandler
+} from './core/types';
 import { WebSocketManager } from './core/WebSocketManager';
 import { TaskHandler as TaskHandlerClass } from './handlers/TaskHandler';
 import { AgentManager } from './services/AgentManager';
 import { ServiceManager } from './services/ServiceManager';
 import { MCPManager } from './services/MCPManager';
+import { TopicManager } from './services/TopicManager';
+
+// Protocol version this SDK speaks and the optional features it implements, declared when registering
+const PROTOCOL_VERSION = '1.1';
+const PROTOCOL_FEATURES = ['task.cancel', 'task.streaming', 'topics'];
 
 class SwarmAgentSDK extends EventEmitter {
   // Core properties
@@ -18,6 +35,8 @@ class SwarmAgentSDK extends EventEmitter {
   protected name: string;
   protected agentType: string;
   protected capabilities: string[];
+  protected maxConcurrentTasks?: number;
+  protected deterministic?: boolean;
   protected description: string;
   protected manifest: Record<string, any>;
   protected logger: Console;
@@ -28,6 +47,7 @@ class SwarmAgentSDK extends EventEmitter {
   private agentManager: AgentManager;
   private serviceManager: ServiceManager;
   private mcpManager: MCPManager;
+  private topicManager: TopicManager;
 
   constructor(config: AgentConfig = {}) {
     super();
@@ -37,6 +57,8 @@ class SwarmAgentSDK extends EventEmitter {
     this.name = config.name || 'Generic Agent';
     this.agentType = config.agentType || 'generic';
     this.capabilities = config.capabilities || [];
+    this.maxConcurrentTasks = config.maxConcurrentTasks;
+    this.deterministic = config.deterministic;
     this.description = config.description || 'Generic Agent';
     this.manifest = config.manifest || {};
     this.logger = config.logger || console;
@@ -46,13 +68,16 @@ class SwarmAgentSDK extends EventEmitter {
       config.orchestratorUrl || 'ws://localhost:3000',
       config.autoReconnect !== false,
       config.reconnectInterval || 5000,
-      this.logger
+      this.logger,
+      config.token,
+      config.tls
     );
 
     this.taskHandler = new TaskHandlerClass(this.webSocketManager, this.agentId, this.logger);
     this.agentManager = new AgentManager(this.webSocketManager, this.agentId, this.logger);
     this.serviceManager = new ServiceManager(this.webSocketManager, this.logger);
     this.mcpManager = new MCPManager(this.webSocketManager, this.logger);
+    this.topicManager = new TopicManager(this.webSocketManager, this.logger);
 
     // Set up event forwarding
     this.setupEventForwarding();
@@ -74,8 +99,15 @@ class SwarmAgentSDK extends EventEmitter {
           this.emit('registered', response.content);
         })
         .catch(err => {
+          // Reconnecting would only be refused again
+          if (err.code === 'PROTOCOL_VERSION_UNSUPPORTED') {
+            this.webSocketManager.disconnect();
+          }
           this.emit('error', new Error(`Failed to register: ${err.message}`));
         });
+      // Subscriptions end with the connection
+      this.topicManager.resubscribe();
+      this.mcpManager.resubscribeResources();
       this.emit('connected');
     });
     this.webSocketManager.on('disconnected', () => this.emit('disconnected'));
@@ -88,6 +120,7 @@ class SwarmAgentSDK extends EventEmitter {
 
     // Forward TaskHandler events
     this.taskHandler.on('task', (taskData, message) => this.emit('task', taskData, message));
+    this.taskHandler.on('task-cancelled', (taskId, reason) => this.emit('task-cancelled', taskId, reason));
   }
 
   /**
@@ -102,10 +135,14 @@ class SwarmAgentSDK extends EventEmitter {
         agentId: this.agentId,
         name: this.name,
         capabilities: this.capabilities,
+        maxConcurrentTasks: this.maxConcurrentTasks,
+        deterministic: this.deterministic,
         manifest: {
           ...this.manifest,
           id: this.agentId
-        }
+        },
+        protocolVersion: PROTOCOL_VERSION,
+        features: PROTOCOL_FEATURES
       }
     } as BaseMessage);
   }
@@ -142,6 +179,9 @@ class SwarmAgentSDK extends EventEmitter {
       case 'task.execute':
         this.taskHandler.handleTask(message as TaskExecuteMessage);
         break;
+      case 'task.cancel':
+        this.taskHandler.cancelTask(message.content.taskId, message.content.reason);
+        break;
       case 'task.messageresponse':
         this.emit('task.messageresponse', message.content);
         break;
@@ -255,6 +295,13 @@ class SwarmAgentSDK extends EventEmitter {
           this.emit('mcp-tool-execute-result', null);
         }
         break;
+      case 'topic.message':
+        this.topicManager.handleMessage(message as TopicDeliveryMessage);
+        break;
+      case 'mcp.resource.updated':
+        this.mcpManager.handleResourceUpdated(message as MCPResourceUpdatedMessage);
+        this.emit('mcp-resource-updated', message.content);
+        break;
       case 'task.message.received':
         // Handle task message confirmation from orchestrator
         this.emit('task-message-received', message.content);
@@ -374,12 +421,15 @@ class SwarmAgentSDK extends EventEmitter {
   //OK
   /**
    * Request another agent to perform a task
-   * @param targetAgentName Name of the target agent
+   * @param target Name of the target agent, or `{ capabilities, strategy }` to let the orchestrator pick one
    * @param taskData Task data
-   * @param timeout Request timeout
+   * @param timeout Request timeout (default 30000); when given, it is also the child task's timeout
+   * @param parentTaskId ID of the task being executed, so the child task is cancelled along with it;
+   * defaults to the task whose handler makes the call
    */
-  executeChildAgentTask(targetAgentName: string, taskData: any, timeout = 30000): Promise<any> {
-    return this.agentManager.executeChildAgentTask(targetAgentName, taskData, timeout);
+  executeChildAgentTask(target: string | AgentSelector, taskData: any, timeout?: number, parentTaskId?: string): Promise<any> {
+    return this.agentManager.executeChildAgentTask(target, taskData, timeout,
+      parentTaskId ?? this.taskHandler.getCurrentTaskId());
   }
 
   // Service Manager methods
@@ -395,7 +445,7 @@ class SwarmAgentSDK extends EventEmitter {
     serviceId: string,
     toolId: string,
     params: Record<string, any> = {},
-    options = {
+    options: ServiceTaskOptions = {
       timeout: 30000
     }
   ): Promise<any> {
@@ -408,7 +458,8 @@ class SwarmAgentSDK extends EventEmitter {
     this.logger.debug(`Executing service tool "${toolId}" on service "${serviceId}"`);
 
     try {
-      return this.serviceManager.executeServiceTool(serviceId, toolId, params, options)
+      const parentTaskId = options.parentTaskId ?? this.taskHandler.getCurrentTaskId();
+      return this.serviceManager.executeServiceTool(serviceId, toolId, params, { ...options, parentTaskId })
         .catch((error: any) => {
           // Enhance error messages for better troubleshooting
           if (error.message.includes('Connection not found')) {
@@ -419,7 +470,7 @@ class SwarmAgentSDK extends EventEmitter {
           // Handle other common errors
           if (error.message.includes('timed out')) {
             this.logger.error(`Service tool timed out: "${toolId}" on service "${serviceId}"`);
-            throw new Error(`Service tool "${toolId}" timed out after ${options.timeout}ms. The service might be unresponsive.`);
+            throw new Error(`Service tool "${toolId}" timed out after ${options.timeout || 30000}ms. The service might be unresponsive.`);
           }
 
           // Pass through other errors
@@ -443,7 +494,7 @@ class SwarmAgentSDK extends EventEmitter {
     serviceId: string,
     toolName: string,
     params: Record<string, any> = {},
-    options = {
+    options: ServiceTaskOptions = {
       timeout: 30000
     }
   ): Promise<any> {
@@ -499,14 +550,112 @@ class SwarmAgentSDK extends EventEmitter {
    * @param toolName Tool name
    * @param parameters Tool parameters
    * @param timeout Request timeout
+   * @param parentTaskId ID of the task the call is made for, so it shows in that task's tree;
+   * defaults to the task whose handler makes the call
    */
   executeMCPTool(
     serverId: string,
     toolName: string,
     parameters: Record<string, any> = {},
-    timeout = 60000
+    timeout = 60000,
+    parentTaskId?: string
   ): Promise<any> {
-    return this.mcpManager.executeMCPTool(serverId, toolName, parameters, timeout);
+    return this.mcpManager.executeMCPTool(serverId, toolName, parameters, timeout,
+      parentTaskId ?? this.taskHandler.getCurrentTaskId());
+  }
+
+  /**
+   * Get the resources and resource templates of an MCP server
+   * @param serverId Server ID
+   * @param timeout Request timeout
+   */
+  listMCPResources(serverId: string, timeout = 30000): Promise<{ resources: MCPResource[]; resourceTemplates: MCPResourceTemplate[] }> {
+    return this.mcpManager.listMCPResources(serverId, timeout);
+  }
+
+  /**
+   * Read a resource of an MCP server
+   * @param serverId Server ID
+   * @param uri Resource URI
+   * @param timeout Request timeout
+   */
+  readMCPResource(serverId: string, uri: string, timeout = 30000): Promise<MCPResourceContents[]> {
+    return this.mcpManager.readMCPResource(serverId, uri, timeout);
+  }
+
+  /**
+   * Subscribe to changes of a resource of an MCP server
+   * @param serverId Server ID
+   * @param uri Resource URI
+   * @param handler Called whenever the resource changes; read it again for the new contents
+   * @param timeout Request timeout
+   */
+  subscribeMCPResource(serverId: string, uri: string, handler?: MCPResourceUpdateHandler, timeout = 30000): Promise<void> {
+    return this.mcpManager.subscribeMCPResource(serverId, uri, handler, timeout);
+  }
+
+  /**
+   * Stop receiving changes of a resource
+   * @param serverId Server ID
+   * @param uri Resource URI
+   * @param timeout Request timeout
+   */
+  unsubscribeMCPResource(serverId: string, uri: string, timeout = 30000): Promise<void> {
+    return this.mcpManager.unsubscribeMCPResource(serverId, uri, timeout);
+  }
+
+  /**
+   * Get the prompts of an MCP server
+   * @param serverId Server ID
+   * @param timeout Request timeout
+   */
+  listMCPPrompts(serverId: string, timeout = 30000): Promise<MCPPrompt[]> {
+    return this.mcpManager.listMCPPrompts(serverId, timeout);
+  }
+
+  /**
+   * Render a prompt of an MCP server
+   * @param serverId Server ID
+   * @param promptName Prompt name
+   * @param args Values of the prompt's arguments
+   * @param timeout Request timeout
+   */
+  getMCPPrompt(serverId: string, promptName: string, args: Record<string, string> = {}, timeout = 30000): Promise<MCPPromptResult> {
+    return this.mcpManager.getMCPPrompt(serverId, promptName, args, timeout);
+  }
+
+  // Topic publish/subscribe through the orchestrator
+
+  /**
+   * Subscribe to topic patterns
+   * @param topics Topic pattern or patterns; `*` matches one segment and a final `#` any remaining segments
+   * @param handler Called with the payload of each message on a matching topic, including retained messages
+   * @param timeout Request timeout
+   * @returns All patterns this agent is subscribed to
+   */
+  subscribe(topics: string | string[], handler?: TopicMessageHandler, timeout = 30000): Promise<string[]> {
+    return this.topicManager.subscribe(topics, handler, timeout);
+  }
+
+  /**
+   * Unsubscribe from topic patterns
+   * @param topics Topic pattern or patterns; all of them when omitted
+   * @param timeout Request timeout
+   * @returns The patterns this agent is still subscribed to
+   */
+  unsubscribe(topics?: string | string[], timeout = 30000): Promise<string[]> {
+    return this.topicManager.unsubscribe(topics, timeout);
+  }
+
+  /**
+   * Publish a message to a topic
+   * @param topic Topic name, without wildcards
+   * @param payload Message payload
+   * @param options Retain the message for later subscribers, and the request timeout
+   * @returns The number of subscribers the message was delivered to, and whether it was retained
+   */
+  publish(topic: string, payload: any, options: TopicPublishOptions = {}): Promise<{ topic: string; delivered: number; retained: boolean }> {
+    return this.topicManager.publish(topic, payload, options);
   }
 }
 
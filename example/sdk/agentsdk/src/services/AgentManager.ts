@@ -1,7 +1,7 @@
 import { v4 as uuidv4 } from 'uuid';
 import { BaseMessage, AgentStatus } from '@agentswarmprotocol/types/common';
 import { WebSocketManager } from '../core/WebSocketManager';
-import { AgentTaskHandler as TaskHandlerType } from '../core/types';
+import { AgentTaskHandler as TaskHandlerType, AgentSelector } from '../core/types';
 
 export class AgentManager {
   constructor(
@@ -43,21 +43,27 @@ export class AgentManager {
 
   /**
    * Request a task from another agent
-   * @param targetAgentName Name of the target agent
+   * @param target Name of the target agent, or the capabilities it must have
    * @param taskData Task data
-   * @param timeout Request timeout
+   * @param timeout Request timeout; when given, the orchestrator also stops the child task once it runs this long
    */
-  async executeChildAgentTask(targetAgentName: string, taskData: any, timeout = 30000): Promise<any> {
+  async executeChildAgentTask(target: string | AgentSelector, taskData: any, timeout?: number, parentTaskId?: string): Promise<any> {
+    const targeting = typeof target === 'string'
+      ? { targetAgent: target }
+      : { capabilities: target.capabilities, strategy: target.strategy };
+
     // Use sendRequestWaitForResponse with custom event to wait for childagent.response
     const response = await this.webSocketManager.sendRequestWaitForResponse({
       id: uuidv4(),
       type: 'agent.request',
       content: {
-        targetAgent: targetAgentName,
-        taskData
+        ...targeting,
+        taskData,
+        timeout,
+        parentTaskId
       }
     }, {
-      timeout,
+      timeout: timeout ?? 30000,
       customEvent: 'childagent.response',
       anyMessageId: true
     });
@@ -1,8 +1,12 @@
 import { v4 as uuidv4 } from 'uuid';
-import { BaseMessage } from '@agentswarmprotocol/types/common';
+import { BaseMessage, MCPResource, MCPResourceTemplate, MCPResourceContents, MCPPrompt, MCPPromptResult } from '@agentswarmprotocol/types/common';
 import { WebSocketManager } from '../core/WebSocketManager';
+import { MCPResourceUpdatedMessage, MCPResourceUpdateHandler } from '../core/types';
 
 export class MCPManager {
+  // Update handlers by server ID and resource URI; the resources are subscribed to again after a reconnect
+  private resourceHandlers: Map<string, Map<string, Set<MCPResourceUpdateHandler>>> = new Map();
+
   constructor(
     private webSocketManager: WebSocketManager,
     private logger: Console = console
@@ -75,12 +79,14 @@ export class MCPManager {
    * @param toolName Tool name
    * @param parameters Tool parameters
    * @param timeout Request timeout
+   * @param parentTaskId ID of the task the call is made for, so it shows in that task's tree
    */
   async executeMCPTool(
     serverId: string, 
     toolName: string, 
     parameters: Record<string, any> = {},
-    timeout = 60000
+    timeout = 60000,
+    parentTaskId?: string
   ): Promise<any> {
     try {
       this.logger.debug(`Executing MCP tool "${toolName}" on server "${serverId}" with parameters:`, parameters);
@@ -99,7 +105,8 @@ export class MCPManager {
         content: {
           serverId,
           toolName,
-          parameters
+          parameters,
+          parentTaskId
         }
       } as BaseMessage, timeout);
       
@@ -120,4 +127,150 @@ export class MCPManager {
       throw error instanceof Error ? error : new Error(errorMessage);
     }
   }
-} 
\ No newline at end of file
+
+  /**
+   * Get the resources and resource templates of an MCP server
+   * @param serverId Server ID
+   * @param timeout Request timeout
+   */
+  async listMCPResources(serverId: string, timeout = 30000): Promise<{ resources: MCPResource[]; resourceTemplates: MCPResourceTemplate[] }> {
+    const response = await this.webSocketManager.sendAndWaitForResponse({
+      id: uuidv4(),
+      type: 'mcp.resources.list',
+      content: { serverId }
+    } as BaseMessage, timeout);
+
+    return { resources: response.content.resources || [], resourceTemplates: response.content.resourceTemplates || [] };
+  }
+
+  /**
+   * Read a resource of an MCP server
+   * @param serverId Server ID
+   * @param uri Resource URI, which may be filled in from a resource template
+   * @param timeout Request timeout
+   * @returns The resource's contents, each part with either `text` or base64 `blob`
+   */
+  async readMCPResource(serverId: string, uri: string, timeout = 30000): Promise<MCPResourceContents[]> {
+    const response = await this.webSocketManager.sendAndWaitForResponse({
+      id: uuidv4(),
+      type: 'mcp.resource.read',
+      content: { serverId, uri }
+    } as BaseMessage, timeout);
+
+    return response.content.contents || [];
+  }
+
+  /**
+   * Subscribe to changes of a resource; the server must support resource subscriptions
+   * @param serverId Server ID
+   * @param uri Resource URI
+   * @param handler Called with the server ID and URI whenever the resource changes
+   * @param timeout Request timeout
+   */
+  async subscribeMCPResource(serverId: string, uri: string, handler?: MCPResourceUpdateHandler, timeout = 30000): Promise<void> {
+    const byUri = this.resourceHandlers.get(serverId) || new Map<string, Set<MCPResourceUpdateHandler>>();
+    const added = !byUri.has(uri);
+    const handlers = byUri.get(uri) || new Set<MCPResourceUpdateHandler>();
+    if (handler) {
+      handlers.add(handler);
+    }
+    byUri.set(uri, handlers);
+    this.resourceHandlers.set(serverId, byUri);
+
+    try {
+      await this.webSocketManager.sendAndWaitForResponse({
+        id: uuidv4(),
+        type: 'mcp.resource.subscribe',
+        content: { serverId, uri }
+      } as BaseMessage, timeout);
+    } catch (error) {
+      if (added) {
+        byUri.delete(uri);
+      } else if (handler) {
+        handlers.delete(handler);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stop receiving changes of a resource
+   * @param serverId Server ID
+   * @param uri Resource URI
+   * @param timeout Request timeout
+   */
+  async unsubscribeMCPResource(serverId: string, uri: string, timeout = 30000): Promise<void> {
+    this.resourceHandlers.get(serverId)?.delete(uri);
+
+    await this.webSocketManager.sendAndWaitForResponse({
+      id: uuidv4(),
+      type: 'mcp.resource.unsubscribe',
+      content: { serverId, uri }
+    } as BaseMessage, timeout);
+  }
+
+  /**
+   * Get the prompts of an MCP server
+   * @param serverId Server ID
+   * @param timeout Request timeout
+   */
+  async listMCPPrompts(serverId: string, timeout = 30000): Promise<MCPPrompt[]> {
+    const response = await this.webSocketManager.sendAndWaitForResponse({
+      id: uuidv4(),
+      type: 'mcp.prompts.list',
+      content: { serverId }
+    } as BaseMessage, timeout);
+
+    return response.content.prompts || [];
+  }
+
+  /**
+   * Render a prompt of an MCP server
+   * @param serverId Server ID
+   * @param promptName Prompt name
+   * @param args Values of the prompt's arguments
+   * @param timeout Request timeout
+   * @returns The prompt's description and messages
+   */
+  async getMCPPrompt(serverId: string, promptName: string, args: Record<string, string> = {}, timeout = 30000): Promise<MCPPromptResult> {
+    const response = await this.webSocketManager.sendAndWaitForResponse({
+      id: uuidv4(),
+      type: 'mcp.prompt.get',
+      content: { serverId, promptName, arguments: args }
+    } as BaseMessage, timeout);
+
+    return { description: response.content.description, messages: response.content.messages || [] };
+  }
+
+  /**
+   * Call the handlers of a resource that changed
+   * @param message The `mcp.resource.updated` message
+   */
+  handleResourceUpdated(message: MCPResourceUpdatedMessage): void {
+    const { serverId, uri } = message.content;
+    this.resourceHandlers.get(serverId)?.get(uri)?.forEach(handler => {
+      try {
+        handler(message.content);
+      } catch (error) {
+        this.logger.error(`MCP resource handler for "${uri}" failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to all known resources again, after the orchestrator dropped the subscriptions on disconnect
+   */
+  resubscribeResources(): void {
+    this.resourceHandlers.forEach((byUri, serverId) => {
+      byUri.forEach((_handlers, uri) => {
+        this.webSocketManager.sendAndWaitForResponse({
+          id: uuidv4(),
+          type: 'mcp.resource.subscribe',
+          content: { serverId, uri }
+        } as BaseMessage).catch(error => {
+          this.logger.error(`Failed to resubscribe to MCP resource ${uri}: ${error instanceof Error ? error.message : String(error)}`);
+        });
+      });
+    });
+  }
+}
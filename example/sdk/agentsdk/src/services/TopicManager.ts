@@ -0,0 +1,128 @@
+import { v4 as uuidv4 } from 'uuid';
+import { BaseMessage } from '@agentswarmprotocol/types/common';
+import { WebSocketManager } from '../core/WebSocketManager';
+import { TopicDeliveryMessage, TopicMessageHandler, TopicPublishOptions } from '../core/types';
+
+export class TopicManager {
+  // Handlers by subscription pattern; the patterns are subscribed again after a reconnect
+  private handlers: Map<string, Set<TopicMessageHandler>> = new Map();
+
+  constructor(
+    private webSocketManager: WebSocketManager,
+    private logger: Console = console
+  ) {}
+
+  /**
+   * Subscribe to topic patterns
+   * @param topics Topic pattern or patterns; `*` matches one segment and a final `#` any remaining segments
+   * @param handler Called with the payload of each message on a matching topic, including retained messages
+   * @param timeout Request timeout
+   * @returns All patterns this agent is subscribed to
+   */
+  async subscribe(topics: string | string[], handler?: TopicMessageHandler, timeout = 30000): Promise<string[]> {
+    const patterns = Array.isArray(topics) ? topics : [topics];
+    const added = patterns.filter(pattern => !this.handlers.has(pattern));
+
+    // Retained messages follow the response right away, so the handler must be in place first
+    patterns.forEach(pattern => {
+      const handlers = this.handlers.get(pattern) || new Set<TopicMessageHandler>();
+      if (handler) {
+        handlers.add(handler);
+      }
+      this.handlers.set(pattern, handlers);
+    });
+
+    try {
+      const response = await this.webSocketManager.sendAndWaitForResponse({
+        id: uuidv4(),
+        type: 'topic.subscribe',
+        content: { topics: patterns }
+      } as BaseMessage, timeout);
+
+      return response.content.topics;
+    } catch (error) {
+      added.forEach(pattern => this.handlers.delete(pattern));
+      if (handler) {
+        patterns.forEach(pattern => this.handlers.get(pattern)?.delete(handler));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Unsubscribe from topic patterns
+   * @param topics Topic pattern or patterns; all of them when omitted
+   * @param timeout Request timeout
+   * @returns The patterns this agent is still subscribed to
+   */
+  async unsubscribe(topics?: string | string[], timeout = 30000): Promise<string[]> {
+    const patterns = topics === undefined ? undefined : (Array.isArray(topics) ? topics : [topics]);
+
+    if (patterns) {
+      patterns.forEach(pattern => this.handlers.delete(pattern));
+    } else {
+      this.handlers.clear();
+    }
+
+    const response = await this.webSocketManager.sendAndWaitForResponse({
+      id: uuidv4(),
+      type: 'topic.unsubscribe',
+      content: { topics: patterns }
+    } as BaseMessage, timeout);
+
+    return response.content.topics;
+  }
+
+  /**
+   * Publish a message to a topic
+   * @param topic Topic name, without wildcards
+   * @param payload Message payload
+   * @param options Retain the message, and the request timeout
+   * @returns The number of subscribers the message was delivered to, and whether it was retained
+   */
+  async publish(topic: string, payload: any, options: TopicPublishOptions = {}): Promise<{ topic: string; delivered: number; retained: boolean }> {
+    const response = await this.webSocketManager.sendAndWaitForResponse({
+      id: uuidv4(),
+      type: 'topic.publish',
+      content: { topic, payload, retain: options.retain }
+    } as BaseMessage, options.timeout || 30000);
+
+    return response.content;
+  }
+
+  /**
+   * Call the handlers of the subscription patterns a topic message matched
+   * @param message The `topic.message` message
+   */
+  handleMessage(message: TopicDeliveryMessage): void {
+    const handlers = new Set<TopicMessageHandler>();
+    (message.content.patterns || []).forEach(pattern => {
+      this.handlers.get(pattern)?.forEach(handler => handlers.add(handler));
+    });
+
+    handlers.forEach(handler => {
+      try {
+        handler(message.content.payload, message.content);
+      } catch (error) {
+        this.logger.error(`Topic handler for "${message.content.topic}" failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to all known patterns again, after the orchestrator dropped them on disconnect
+   */
+  resubscribe(): void {
+    if (this.handlers.size === 0) {
+      return;
+    }
+
+    this.webSocketManager.sendAndWaitForResponse({
+      id: uuidv4(),
+      type: 'topic.subscribe',
+      content: { topics: Array.from(this.handlers.keys()) }
+    } as BaseMessage).catch(error => {
+      this.logger.error(`Failed to resubscribe to topics: ${error instanceof Error ? error.message : String(error)}`);
+    });
+  }
+}
@@ -1,12 +1,26 @@
 import { EventEmitter } from 'events';
-import { BaseMessage } from '@agentswarmprotocol/types/common';
+import { BaseMessage, NegotiatedProtocol, TaskTreeNode, WorkflowDefinition, MCPResource, MCPResourceTemplate, MCPResourceContents, MCPPrompt, MCPPromptResult } from '@agentswarmprotocol/types/common';
 import { WebSocketClientConfig } from '@agentswarmprotocol/types/sdk/clientsdk';
 
 import { WebSocketClient } from './service/WebSocketClient';
 import { TaskManager } from './manager/TaskManager';
 import { AgentManager } from './manager/AgentManager';
 import { MCPManager, MCPServerFilters } from './manager/MCPManager';
-import { AgentFilters, TaskRequestOptions } from './types';
+import { WorkflowManager } from './manager/WorkflowManager';
+import { TopicManager } from './manager/TopicManager';
+import {
+  AgentFilters,
+  TaskRequestOptions,
+  TaskStreamEvent,
+  WorkflowRunOptions,
+  TopicMessageHandler,
+  TopicPublishOptions,
+  MCPResourceUpdateHandler
+} from './types';
+
+// Protocol version this SDK speaks and the optional features it implements, declared when registering
+const PROTOCOL_VERSION = '1.1';
+const PROTOCOL_FEATURES = ['task.streaming', 'topics'];
 
 /**
  * SwarmClientSDK - Client SDK for Agent Swarm Protocol
@@ -15,10 +29,13 @@ import { AgentFilters, TaskRequestOptions } from './types';
 export class SwarmClientSDK extends EventEmitter {
   private wsClient: WebSocketClient;
   private clientId: string | null = null;
+  private protocol: NegotiatedProtocol | null = null;
   
   private agentManager: AgentManager;
   private taskManager: TaskManager;
   private mcpManager: MCPManager;
+  private workflowManager: WorkflowManager;
+  private topicManager: TopicManager;
   
 
 
@@ -36,9 +53,20 @@ export class SwarmClientSDK extends EventEmitter {
     this.agentManager = new AgentManager(this.wsClient);
     this.mcpManager = new MCPManager(this.wsClient);
     this.taskManager = new TaskManager(this.wsClient);
+    this.workflowManager = new WorkflowManager(this.wsClient);
+    this.topicManager = new TopicManager(this.wsClient);
     
     // Set up event forwarding
     this.wsClient.on('connected', () => {
+      // A reconnection is a new client to the orchestrator; connect() registers the first one
+      if (this.protocol) {
+        this.register().catch(error => {
+          this.emit('error', new Error(`Failed to register: ${error.message}`));
+        });
+      }
+      // Subscriptions end with the connection
+      this.topicManager.resubscribe();
+      this.mcpManager.resubscribeResources();
       this.emit('connected');
     });
     
@@ -80,15 +108,31 @@ export class SwarmClientSDK extends EventEmitter {
       case 'client.agent.task.result':
         this.emit('task.result', message.content);
         break;
+
+      case 'client.agent.task.result.chunk':
+        this.emit('task.result.chunk', message.content);
+        break;
         
       case 'task.error':
         this.emit('task.error', message.content);
         break;
         
+      case 'client.agent.task.cancelled':
+        this.emit('task.cancelled', message.content);
+        break;
+        
       case 'client.agent.task.create.response':
         this.emit('task.created', message.content);
         break;
         
+      case 'client.task.tree.response':
+        // Reply to getTaskTree, returned by that method
+        break;
+
+      case 'client.registered':
+        // Reply to the registration connect() sends, handled there
+        break;
+
       case 'client.agent.task.status.response':
         this.emit('task.status', message.content);
         break;
@@ -100,6 +144,11 @@ export class SwarmClientSDK extends EventEmitter {
       case 'task.requestmessage':
         this.emit('task.requestmessage', message.content);
         break;
+
+      case 'system.notification':
+        // Agents and services joining, stopping to respond and responding again
+        this.emit('system.notification', message.content);
+        break;
       
       case 'task.childtask.created':
         this.emit('task.childtask.created', message.content);
@@ -109,6 +158,29 @@ export class SwarmClientSDK extends EventEmitter {
         this.emit('task.childtask.status', message.content);
         break;
         
+      case 'client.workflow.run.response':
+        this.emit('workflow.started', message.content);
+        break;
+
+      case 'client.workflow.step.status':
+        this.emit('workflow.step.status', message.content);
+        break;
+
+      case 'client.workflow.result':
+        this.emit('workflow.result', message.content);
+        break;
+        
+      case 'topic.message':
+        this.topicManager.handleMessage(message);
+        this.emit('topic.message', message.content);
+        break;
+
+      case 'topic.subscribe.response':
+      case 'topic.unsubscribe.response':
+      case 'topic.publish.response':
+        // Replies to subscribe, unsubscribe and publish, returned by those methods
+        break;
+        
       case 'service.started':
         this.emit('service.started', message.content);
         break;
@@ -128,6 +200,20 @@ export class SwarmClientSDK extends EventEmitter {
       case 'mcp.task.execution':
         this.emit('mcp.task.execution', message.content);
         break;
+
+      case 'mcp.resource.updated':
+        this.mcpManager.handleResourceUpdated(message);
+        this.emit('mcp.resource.updated', message.content);
+        break;
+
+      case 'mcp.resources.list.result':
+      case 'mcp.resource.read.result':
+      case 'mcp.resource.subscribe.result':
+      case 'mcp.resource.unsubscribe.result':
+      case 'mcp.prompts.list.result':
+      case 'mcp.prompt.get.result':
+        // Replies to the resource and prompt requests, returned by those methods
+        break;
         
       case 'error':
         this.emit('error', message.content || { error: 'Unknown error' });
@@ -141,37 +227,41 @@ export class SwarmClientSDK extends EventEmitter {
 
   /**
    * Connect to the orchestrator
-   * @returns Promise that resolves when connected and welcome message is received
+   * @returns Promise that resolves when connected and registered
    */
   async connect(): Promise<void> {
     // First establish the WebSocket connection
     await this.wsClient.connect();
-    
-    // Then wait for the welcome message from the orchestrator
-    return new Promise<void>((resolve, reject) => {
-      // Set up a timeout for the welcome message
-      const welcomeTimeout = setTimeout(() => {
-        this.off('welcome', onWelcome);
-        this.off('error', onError);
-        reject(new Error('Timeout waiting for welcome message from orchestrator'));
-      }, 10000); // 10 second timeout
-      
-      const onWelcome = (content: any) => {
-        clearTimeout(welcomeTimeout);
-        this.off('error', onError);
-        resolve();
-      };
-      
-      const onError = (error: any) => {
-        clearTimeout(welcomeTimeout);
-        this.off('welcome', onWelcome);
-        reject(error);
-      };
-      
-      // Listen for welcome message or error
-      this.once('welcome', onWelcome);
-      this.once('error', onError);
-    });
+
+    // Then agree on the protocol version and features with the orchestrator
+    try {
+      await this.register();
+    } catch (error) {
+      this.disconnect();
+      throw error;
+    }
+  }
+
+  /**
+   * Register with the orchestrator, declaring the protocol version and features this SDK supports
+   * An orchestrator that does not speak a compatible version rejects the registration
+   * @private
+   */
+  private async register(): Promise<void> {
+    const response = await this.wsClient.sendRequestWaitForResponse({
+      type: 'client.register',
+      content: {
+        protocolVersion: PROTOCOL_VERSION,
+        features: PROTOCOL_FEATURES
+      }
+    }, { customEvent: 'client.registered', timeout: 10000 });
+
+    this.clientId = response.content.clientId;
+    this.protocol = {
+      protocolVersion: response.content.protocolVersion,
+      features: response.content.features
+    };
+    this.emit('registered', response.content);
   }
 
   /**
@@ -198,6 +288,14 @@ export class SwarmClientSDK extends EventEmitter {
     return this.clientId;
   }
 
+  /**
+   * Get the protocol version and features agreed with the orchestrator
+   * @returns The negotiated protocol or null if not registered
+   */
+  getProtocol(): NegotiatedProtocol | null {
+    return this.protocol;
+  }
+
   /**
    * Send a request to the orchestrator
    * @param message - The message to send
@@ -219,6 +317,29 @@ export class SwarmClientSDK extends EventEmitter {
     return this.taskManager.sendTask(agentId, agentName, taskData, options);
   }
 
+  /**
+   * Send a task to an agent picked by the orchestrator from those with the required capabilities
+   * @param capabilities - Capabilities the agent must have
+   * @param taskData - Task data to send
+   * @param options - Additional options, including the selection strategy
+   * @returns Task information
+   */
+  async sendTaskByCapability(capabilities: string[], taskData: any, options: TaskRequestOptions = {}): Promise<any> {
+    return this.taskManager.sendTaskByCapability(capabilities, taskData, options);
+  }
+
+  /**
+   * Send a task to an agent and iterate over its partial results as the agent streams them
+   * @param agentId - ID of the agent to send the task to
+   * @param agentName - Name of the agent to send the task to
+   * @param taskData - Task data to send
+   * @param options - Additional options; pass `capabilities` instead of an agent to let the orchestrator pick one
+   * @returns Async iterator over `chunk` events in sequence order, followed by a single `result` event
+   */
+  streamTask(agentId: string, agentName: string, taskData: any, options: TaskRequestOptions = {}): AsyncGenerator<TaskStreamEvent> {
+    return this.taskManager.streamTask(agentId, agentName, taskData, options);
+  }
+
   /**
    * Get a list of all registered agents
    * @param filters - Optional filters to apply to the agent list
@@ -241,6 +362,49 @@ export class SwarmClientSDK extends EventEmitter {
     return this.taskManager.getTaskStatus(taskId);
   }
 
+  /**
+   * Get the tree of tasks a task started, with the status, timings and result of each
+   * @param taskId - ID of the root task, e.g. one created with sendTask
+   * @param options - Whether to include task results (default true)
+   * @returns The root node; child agent tasks, service tasks, MCP calls and workflow steps are in its `children`
+   */
+  async getTaskTree(taskId: string, options: { includeResults?: boolean } = {}): Promise<TaskTreeNode> {
+    return this.taskManager.getTaskTree(taskId, options);
+  }
+
+  /**
+   * Cancel a task
+   * @param taskId - ID of the task to cancel
+   * @param reason - Optional cancellation reason
+   * @returns Cancellation details including the IDs of cancelled child and service tasks
+   */
+  async cancelTask(taskId: string, reason?: string): Promise<any> {
+    return this.taskManager.cancelTask(taskId, reason);
+  }
+
+  /**
+   * Run a workflow: a graph of agent, service and MCP tool steps executed by the orchestrator
+   * Step progress is emitted as `workflow.step.status` events
+   * @param workflow - Workflow definition, or its JSON or YAML text
+   * @param input - Workflow input, available to steps as `input`
+   * @param options - Additional options
+   * @returns The workflow result with its output and the final status of every step
+   */
+  async runWorkflow(workflow: WorkflowDefinition | string, input: any = {}, options: WorkflowRunOptions = {}): Promise<any> {
+    return this.workflowManager.runWorkflow(workflow, input, options);
+  }
+
+  /**
+   * Run a workflow from the orchestrator's workflow directory
+   * @param workflowName - Name of the workflow
+   * @param input - Workflow input, available to steps as `input`
+   * @param options - Additional options
+   * @returns The workflow result with its output and the final status of every step
+   */
+  async runNamedWorkflow(workflowName: string, input: any = {}, options: WorkflowRunOptions = {}): Promise<any> {
+    return this.workflowManager.runNamedWorkflow(workflowName, input, options);
+  }
+
   /**
    * List available MCP servers
    * @param filters - Optional filters
@@ -269,4 +433,94 @@ export class SwarmClientSDK extends EventEmitter {
   async executeMCPTool(serverId: string, toolName: string, parameters: any): Promise<any> {
     return this.mcpManager.executeMCPTool(serverId, toolName, parameters);
   }
+
+  /**
+   * Get the resources and resource templates of an MCP server
+   * @param serverId - ID of the server
+   * @returns Resources, and templates to fill in resource URIs from
+   */
+  async listMCPResources(serverId: string): Promise<{ resources: MCPResource[]; resourceTemplates: MCPResourceTemplate[] }> {
+    return this.mcpManager.listMCPResources(serverId);
+  }
+
+  /**
+   * Read a resource of an MCP server
+   * @param serverId - ID of the server
+   * @param uri - URI of the resource
+   * @returns The resource's contents
+   */
+  async readMCPResource(serverId: string, uri: string): Promise<MCPResourceContents[]> {
+    return this.mcpManager.readMCPResource(serverId, uri);
+  }
+
+  /**
+   * Subscribe to changes of a resource of an MCP server
+   * @param serverId - ID of the server
+   * @param uri - URI of the resource
+   * @param handler - Called whenever the resource changes; read it again for the new contents
+   */
+  async subscribeMCPResource(serverId: string, uri: string, handler?: MCPResourceUpdateHandler): Promise<void> {
+    return this.mcpManager.subscribeMCPResource(serverId, uri, handler);
+  }
+
+  /**
+   * Stop receiving changes of a resource
+   * @param serverId - ID of the server
+   * @param uri - URI of the resource
+   */
+  async unsubscribeMCPResource(serverId: string, uri: string): Promise<void> {
+    return this.mcpManager.unsubscribeMCPResource(serverId, uri);
+  }
+
+  /**
+   * Get the prompts of an MCP server
+   * @param serverId - ID of the server
+   * @returns Prompts with their arguments
+   */
+  async listMCPPrompts(serverId: string): Promise<MCPPrompt[]> {
+    return this.mcpManager.listMCPPrompts(serverId);
+  }
+
+  /**
+   * Render a prompt of an MCP server
+   * @param serverId - ID of the server
+   * @param promptName - Name of the prompt
+   * @param args - Values of the prompt's arguments
+   * @returns The prompt's description and messages
+   */
+  async getMCPPrompt(serverId: string, promptName: string, args: Record<string, string> = {}): Promise<MCPPromptResult> {
+    return this.mcpManager.getMCPPrompt(serverId, promptName, args);
+  }
+
+  /**
+   * Subscribe to topic patterns
+   * @param topics - Topic pattern or patterns; `*` matches one segment and a final `#` any remaining segments
+   * @param handler - Called with the payload of each message on a matching topic, including retained messages
+   * @param timeout - Timeout in milliseconds
+   * @returns All patterns this client is subscribed to
+   */
+  async subscribe(topics: string | string[], handler?: TopicMessageHandler, timeout?: number): Promise<string[]> {
+    return this.topicManager.subscribe(topics, handler, timeout);
+  }
+
+  /**
+   * Unsubscribe from topic patterns
+   * @param topics - Topic pattern or patterns; all of them when omitted
+   * @param timeout - Timeout in milliseconds
+   * @returns The patterns this client is still subscribed to
+   */
+  async unsubscribe(topics?: string | string[], timeout?: number): Promise<string[]> {
+    return this.topicManager.unsubscribe(topics, timeout);
+  }
+
+  /**
+   * Publish a message to a topic
+   * @param topic - Topic name, without wildcards
+   * @param payload - Message payload
+   * @param options - Retain the message for later subscribers, and the timeout
+   * @returns The number of subscribers the message was delivered to, and whether it was retained
+   */
+  async publish(topic: string, payload: any, options: TopicPublishOptions = {}): Promise<{ topic: string; delivered: number; retained: boolean }> {
+    return this.topicManager.publish(topic, payload, options);
+  }
 } 
\ No newline at end of file
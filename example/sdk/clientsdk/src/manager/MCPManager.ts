@@ -1,5 +1,7 @@
-import { MCPServer, MCPTool } from '@agentswarmprotocol/types/common';
+import { MCPServer, MCPTool, MCPResource, MCPResourceTemplate, MCPResourceContents, MCPPrompt, MCPPromptResult } from '@agentswarmprotocol/types/common';
+import { MCPMessages } from '@agentswarmprotocol/types/messages';
 import { WebSocketClient } from '../service/WebSocketClient';
+import { MCPResourceUpdateHandler } from '../types';
 
 /**
  * MCP server filter options
@@ -18,6 +20,8 @@ export interface MCPServerFilters {
  */
 export class MCPManager {
   private wsClient: WebSocketClient;
+  // Update handlers by server ID and resource URI; the resources are subscribed to again after a reconnect
+  private resourceHandlers: Map<string, Map<string, Set<MCPResourceUpdateHandler>>> = new Map();
 
   /**
    * Create a new MCPManager instance
@@ -76,4 +80,139 @@ export class MCPManager {
     
     return response.content.result;
   }
-} 
\ No newline at end of file
+
+  /**
+   * Get the resources and resource templates of an MCP server
+   * @param serverId - ID of the server
+   * @returns Resources, and templates to fill in resource URIs from
+   */
+  async listMCPResources(serverId: string): Promise<{ resources: MCPResource[]; resourceTemplates: MCPResourceTemplate[] }> {
+    const response = await this.wsClient.sendRequestWaitForResponse({
+      type: 'mcp.resources.list',
+      content: { serverId }
+    });
+
+    return { resources: response.content.resources || [], resourceTemplates: response.content.resourceTemplates || [] };
+  }
+
+  /**
+   * Read a resource of an MCP server
+   * @param serverId - ID of the server
+   * @param uri - URI of the resource
+   * @returns The resource's contents, each part with either `text` or base64 `blob`
+   */
+  async readMCPResource(serverId: string, uri: string): Promise<MCPResourceContents[]> {
+    const response = await this.wsClient.sendRequestWaitForResponse({
+      type: 'mcp.resource.read',
+      content: { serverId, uri }
+    });
+
+    return response.content.contents || [];
+  }
+
+  /**
+   * Subscribe to changes of a resource; the server must support resource subscriptions
+   * @param serverId - ID of the server
+   * @param uri - URI of the resource
+   * @param handler - Called whenever the resource changes
+   */
+  async subscribeMCPResource(serverId: string, uri: string, handler?: MCPResourceUpdateHandler): Promise<void> {
+    const byUri = this.resourceHandlers.get(serverId) || new Map<string, Set<MCPResourceUpdateHandler>>();
+    const added = !byUri.has(uri);
+    const handlers = byUri.get(uri) || new Set<MCPResourceUpdateHandler>();
+    if (handler) {
+      handlers.add(handler);
+    }
+    byUri.set(uri, handlers);
+    this.resourceHandlers.set(serverId, byUri);
+
+    try {
+      await this.wsClient.sendRequestWaitForResponse({
+        type: 'mcp.resource.subscribe',
+        content: { serverId, uri }
+      });
+    } catch (error) {
+      if (added) {
+        byUri.delete(uri);
+      } else if (handler) {
+        handlers.delete(handler);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stop receiving changes of a resource
+   * @param serverId - ID of the server
+   * @param uri - URI of the resource
+   */
+  async unsubscribeMCPResource(serverId: string, uri: string): Promise<void> {
+    this.resourceHandlers.get(serverId)?.delete(uri);
+
+    await this.wsClient.sendRequestWaitForResponse({
+      type: 'mcp.resource.unsubscribe',
+      content: { serverId, uri }
+    });
+  }
+
+  /**
+   * Get the prompts of an MCP server
+   * @param serverId - ID of the server
+   * @returns Prompts with their arguments
+   */
+  async listMCPPrompts(serverId: string): Promise<MCPPrompt[]> {
+    const response = await this.wsClient.sendRequestWaitForResponse({
+      type: 'mcp.prompts.list',
+      content: { serverId }
+    });
+
+    return response.content.prompts || [];
+  }
+
+  /**
+   * Render a prompt of an MCP server
+   * @param serverId - ID of the server
+   * @param promptName - Name of the prompt
+   * @param args - Values of the prompt's arguments
+   * @returns The prompt's description and messages
+   */
+  async getMCPPrompt(serverId: string, promptName: string, args: Record<string, string> = {}): Promise<MCPPromptResult> {
+    const response = await this.wsClient.sendRequestWaitForResponse({
+      type: 'mcp.prompt.get',
+      content: { serverId, promptName, arguments: args }
+    });
+
+    return { description: response.content.description, messages: response.content.messages || [] };
+  }
+
+  /**
+   * Call the handlers of a resource that changed
+   * @param message - The `mcp.resource.updated` message
+   */
+  handleResourceUpdated(message: MCPMessages.MCPResourceUpdatedMessage): void {
+    const { serverId, uri } = message.content;
+    this.resourceHandlers.get(serverId)?.get(uri)?.forEach(handler => {
+      try {
+        handler(message.content);
+      } catch (error) {
+        console.error(`MCP resource handler for "${uri}" failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to all known resources again, after the orchestrator dropped the subscriptions on disconnect
+   */
+  resubscribeResources(): void {
+    this.resourceHandlers.forEach((byUri, serverId) => {
+      byUri.forEach((_handlers, uri) => {
+        this.wsClient.sendRequestWaitForResponse({
+          type: 'mcp.resource.subscribe',
+          content: { serverId, uri }
+        }).catch(error => {
+          console.error(`Failed to resubscribe to MCP resource ${uri}: ${error instanceof Error ? error.message : String(error)}`);
+        });
+      });
+    });
+  }
+}
@@ -1,9 +1,18 @@
-import { Task, TaskStatus } from '@agentswarmprotocol/types/common';
+import { v4 as uuidv4 } from 'uuid';
+import { Task, TaskStatus, TaskTreeNode } from '@agentswarmprotocol/types/common';
 import { WebSocketClient } from '../service/WebSocketClient';
 import { EventEmitter } from 'events';
-import { TaskRequestOptions } from '../types';
+import { TaskRequestOptions, TaskStreamEvent } from '../types';
 import { SwarmClientSDK } from '../index';
 
+// Messages that advance or end a streamed task
+const STREAM_MESSAGE_TYPES = [
+  'client.agent.task.result.chunk',
+  'client.agent.task.result',
+  'task.error',
+  'client.agent.task.cancelled'
+];
+
 /**
  * TaskManager - Handles task-related operations
  */
@@ -32,19 +41,39 @@ export class TaskManager {
     const waitForResult = options.waitForResult !== false;
     const timeout = options.timeout || 60000; // Default 60 second timeout
     
+    // Reject the pending create request if the task is cancelled before it produces a result
+    const requestId = uuidv4();
+    const cancelledHandler = (message: any) => {
+      if (message.type === 'client.agent.task.cancelled' && message.requestId === requestId) {
+        this.wsClient.handleResponse(requestId, message, true);
+      }
+      // A repeated idempotency key for an unfinished task gets no result for this request; the task's result
+      // goes to the connection that created it
+      if (message.type === 'client.agent.task.create.response' && message.requestId === requestId &&
+          message.content?.duplicate && message.content.status !== 'completed') {
+        this.wsClient.handleResponse(requestId, message, false);
+      }
+    };
+    this.wsClient.on('message', cancelledHandler);
+
     // Create task
     const response = await this.wsClient.sendRequestWaitForResponse({
+      id: requestId,
       type: 'client.agent.task.create.request',
       content: {
         agentId,
         agentName,
+        capabilities: options.capabilities,
+        strategy: options.strategy,
+        idempotencyKey: options.idempotencyKey,
         taskData
       },
       // Set noTimeout to true to prevent the WebSocketClient from timing out
       // We'll handle timeout ourselves with our specific event listeners
       noTimeout: true,
     
-    },{  customEvent: 'client.agent.task.result'});
+    },{  customEvent: 'client.agent.task.result'})
+      .finally(() => this.wsClient.removeListener('message', cancelledHandler));
     
     // If we don't need to wait for the result, return immediately
     if (!waitForResult) {
@@ -84,6 +113,14 @@ export class TaskManager {
           cleanup();
           reject(new Error(`Task failed: ${message.content.error || 'Unknown error'}`));
         }
+
+        // Handle task cancellation
+        if (message.type === 'client.agent.task.cancelled' && message.content && message.content.taskId === taskId) {
+          console.log(`Task ${taskId} was cancelled`);
+          taskResolved = true;
+          cleanup();
+          reject(new Error(`Task cancelled${message.content.reason ? `: ${message.content.reason}` : ''}`));
+        }
       };
       
       // Function to clean up event listeners
@@ -98,6 +135,125 @@ export class TaskManager {
     });
   }
 
+  /**
+   * Send a task to an agent and iterate over its partial results as they arrive
+   * @param agentId - ID of the agent to send the task to
+   * @param agentName - Name of the agent to send the task to
+   * @param taskData - Task data to send
+   * @param options - Additional options; `timeout` bounds the whole stream and `waitForResult` is ignored
+   * @returns Async iterator over the task's chunks in sequence order, ending with the final result
+   */
+  async *streamTask(agentId: string, agentName: string, taskData: any, options: TaskRequestOptions = {}): AsyncGenerator<TaskStreamEvent> {
+    const timeout = options.timeout || 60000; // Default 60 second timeout
+    const requestId = uuidv4();
+    let taskId: string | undefined;
+
+    // Collect the task's messages from the start, since chunks can follow the create response closely
+    const queue: any[] = [];
+    let wake: (() => void) | null = null;
+    const messageHandler = (message: any) => {
+      const content = message.content || {};
+      if (message.requestId !== requestId && !(taskId && content.taskId === taskId)) {
+        return;
+      }
+      if (STREAM_MESSAGE_TYPES.includes(message.type)) {
+        queue.push(message);
+        if (wake) {
+          wake();
+        }
+      }
+    };
+    this.wsClient.on('message', messageHandler);
+
+    const deadline = Date.now() + timeout;
+    const nextMessage = (): Promise<any> => new Promise((resolve, reject) => {
+      if (queue.length > 0) {
+        resolve(queue.shift());
+        return;
+      }
+      const timeoutId = setTimeout(() => {
+        wake = null;
+        reject(new Error(`Task timeout after ${timeout}ms: ${taskId}`));
+      }, Math.max(deadline - Date.now(), 0));
+      wake = () => {
+        clearTimeout(timeoutId);
+        wake = null;
+        resolve(queue.shift());
+      };
+    });
+
+    try {
+      const response = await this.wsClient.sendRequestWaitForResponse({
+        id: requestId,
+        type: 'client.agent.task.create.request',
+        content: {
+          agentId,
+          agentName,
+          capabilities: options.capabilities,
+          strategy: options.strategy,
+          idempotencyKey: options.idempotencyKey,
+          taskData
+        }
+      }, { timeout, customEvent: 'client.agent.task.create.response' });
+
+      taskId = response.content.taskId;
+
+      // Chunks that arrive ahead of their turn wait here until the gap is filled
+      const outOfOrder = new Map<number, any>();
+      let nextSequence = 0;
+
+      while (true) {
+        const message = await nextMessage();
+        const content = message.content || {};
+
+        if (message.type === 'client.agent.task.result.chunk') {
+          if (content.sequence < nextSequence) {
+            continue;
+          }
+          outOfOrder.set(content.sequence, content);
+          while (outOfOrder.has(nextSequence)) {
+            const { taskId: chunkTaskId, agentId: chunkAgentId, sequence, chunk } = outOfOrder.get(nextSequence);
+            outOfOrder.delete(nextSequence++);
+            yield { type: 'chunk', taskId: chunkTaskId, agentId: chunkAgentId, sequence, chunk };
+          }
+        } else if (message.type === 'client.agent.task.result') {
+          // Chunks lost on the way are skipped rather than holding back the result
+          for (const sequence of [...outOfOrder.keys()].sort((a, b) => a - b)) {
+            const { taskId: chunkTaskId, agentId: chunkAgentId, chunk } = outOfOrder.get(sequence);
+            yield { type: 'chunk', taskId: chunkTaskId, agentId: chunkAgentId, sequence, chunk };
+          }
+          yield {
+            type: 'result',
+            taskId: content.taskId,
+            agentId: content.agentId,
+            status: content.status,
+            result: content.result,
+            completedAt: content.completedAt
+          };
+          return;
+        } else if (message.type === 'task.error') {
+          throw new Error(`Task failed: ${content.error || 'Unknown error'}`);
+        } else if (message.type === 'client.agent.task.cancelled') {
+          throw new Error(`Task cancelled${content.reason ? `: ${content.reason}` : ''}`);
+        }
+      }
+    } finally {
+      wake = null;
+      this.wsClient.removeListener('message', messageHandler);
+    }
+  }
+
+  /**
+   * Send a task to any online agent with the required capabilities
+   * @param capabilities - Capabilities the agent must have
+   * @param taskData - Task data to send
+   * @param options - Additional options, including the selection strategy
+   * @returns Task information
+   */
+  async sendTaskByCapability(capabilities: string[], taskData: any, options: TaskRequestOptions = {}): Promise<any> {
+    return this.sendTask('', '', taskData, { ...options, capabilities });
+  }
+
   /**
    * Send a message to a running task
    * @param taskId - ID of the task to send the message to
@@ -151,4 +307,44 @@ export class TaskManager {
     
     return response.content;
   }
+
+  /**
+   * Get a task and everything it started: child agent tasks, service tasks, MCP calls and workflow steps
+   * @param taskId - ID of the root task
+   * @param options - Whether to include task results (default true)
+   * @returns The root node of the tree; each node lists its children
+   */
+  async getTaskTree(taskId: string, options: { includeResults?: boolean } = {}): Promise<TaskTreeNode> {
+    const response = await this.wsClient.sendRequestWaitForResponse({
+      type: 'client.task.tree.request',
+      content: {
+        taskId,
+        includeResults: options.includeResults
+      }
+    }, {
+      customEvent: 'client.task.tree.response'
+    });
+
+    return response.content.tree;
+  }
+
+  /**
+   * Cancel a task, along with the child tasks and service tasks it started
+   * @param taskId - ID of the task to cancel
+   * @param reason - Optional reason passed on to the agent
+   * @returns Cancellation details, including the IDs of the cascaded tasks
+   */
+  async cancelTask(taskId: string, reason?: string): Promise<any> {
+    console.log(`Cancelling task ${taskId}`);
+
+    const response = await this.wsClient.sendRequestWaitForResponse({
+      type: 'client.agent.task.cancel',
+      content: {
+        taskId,
+        reason
+      }
+    });
+
+    return response.content;
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { v4 as uuidv4 } from 'uuid';
+import { WorkflowDefinition } from '@agentswarmprotocol/types/common';
+import { WebSocketClient } from '../service/WebSocketClient';
+import { WorkflowRunOptions } from '../types';
+
+/**
+ * WorkflowManager - Handles workflow-related operations
+ */
+export class WorkflowManager {
+  private wsClient: WebSocketClient;
+
+  /**
+   * Create a new WorkflowManager instance
+   * @param wsClient - WebSocketClient instance
+   */
+  constructor(wsClient: WebSocketClient) {
+    this.wsClient = wsClient;
+  }
+
+  /**
+   * Run a workflow definition
+   * @param workflow - Workflow definition, or its JSON or YAML text
+   * @param input - Workflow input, available to steps as `input`
+   * @param options - Additional options
+   * @returns The workflow result, or the run response if not waiting for the result
+   */
+  async runWorkflow(workflow: WorkflowDefinition | string, input: any = {}, options: WorkflowRunOptions = {}): Promise<any> {
+    return this.run({ workflow, input }, options);
+  }
+
+  /**
+   * Run a workflow from the orchestrator's workflow directory
+   * @param workflowName - Name of the workflow
+   * @param input - Workflow input, available to steps as `input`
+   * @param options - Additional options
+   * @returns The workflow result, or the run response if not waiting for the result
+   */
+  async runNamedWorkflow(workflowName: string, input: any = {}, options: WorkflowRunOptions = {}): Promise<any> {
+    return this.run({ workflowName, input }, options);
+  }
+
+  /**
+   * Send a workflow run request and wait for the workflow to finish
+   * @private
+   */
+  private async run(content: any, options: WorkflowRunOptions): Promise<any> {
+    const waitForResult = options.waitForResult !== false;
+    const timeout = options.timeout || 60000; // Default 60 second timeout
+    const requestId = uuidv4();
+
+    // Listen from the start, since a short workflow can finish right after the run response
+    let resultMessage: any = null;
+    let onResult: ((message: any) => void) | null = null;
+    const resultHandler = (message: any) => {
+      if (message.type === 'client.workflow.result' && message.requestId === requestId) {
+        resultMessage = message;
+        if (onResult) {
+          onResult(message);
+        }
+      }
+    };
+    this.wsClient.on('message', resultHandler);
+
+    try {
+      const response = await this.wsClient.sendRequestWaitForResponse({
+        id: requestId,
+        type: 'client.workflow.run.request',
+        content
+      }, { timeout, customEvent: 'client.workflow.run.response' });
+
+      if (!waitForResult) {
+        return response.content;
+      }
+
+      const workflowId = response.content.workflowId;
+      const message = resultMessage || await new Promise<any>((resolve, reject) => {
+        const timeoutId = setTimeout(() => {
+          onResult = null;
+          reject(new Error(`Workflow timeout after ${timeout}ms: ${workflowId}`));
+        }, timeout);
+        onResult = (result: any) => {
+          clearTimeout(timeoutId);
+          resolve(result);
+        };
+      });
+
+      if (message.content.status !== 'completed') {
+        throw new Error(`Workflow ${message.content.status}: ${message.content.error || 'Unknown error'}`);
+      }
+      return message.content;
+    } finally {
+      this.wsClient.removeListener('message', resultHandler);
+    }
+  }
+}
@@ -4,6 +4,7 @@ import { EventEmitter } from 'events';
 import type * as WebSocketTypes from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import { WebSocketClientConfig } from '@agentswarmprotocol/types/sdk/clientsdk';
+import { TlsClientOptions } from '@agentswarmprotocol/types/common';
 
 
 /**
@@ -27,15 +28,25 @@ const isBrowser = (): boolean => {
 /**
  * Create a WebSocket instance based on the current environment
  * @param url WebSocket URL to connect to
+ * @param token Optional API key or JWT; browsers cannot set headers, so it goes in the query string there
+ * @param tls Optional TLS options for wss:// URLs, ignored in browsers
  */
-async function createWebSocketInstance(url: string): Promise<WebSocketTypes.WebSocket | WebSocket> {
+async function createWebSocketInstance(url: string, token?: string, tls?: TlsClientOptions): Promise<WebSocketTypes.WebSocket | WebSocket> {
   if (isBrowser()) {
+    if (token) {
+      const authUrl = new URL(url);
+      authUrl.searchParams.set('token', token);
+      url = authUrl.toString();
+    }
     return new window.WebSocket(url);
   } else {
     try {
       // Dynamically import the 'ws' package for Node.js environment
       const WebSocketModule = await import('ws');
-      return new WebSocketModule.default(url);
+      return new WebSocketModule.default(url, {
+        ...tls,
+        headers: token ? { Authorization: `Bearer ${token}` } : undefined
+      });
     } catch (error) {
       throw new Error('Failed to load WebSocket module for Node.js: ' + error);
     }
@@ -48,6 +59,8 @@ async function createWebSocketInstance(url: string): Promise<WebSocketTypes.WebS
  */
 export class WebSocketClient extends EventEmitter {
   private orchestratorUrl: string;
+  private token?: string;
+  private tls?: TlsClientOptions;
   private autoReconnect: boolean;
   private reconnectInterval: number;
   private connected: boolean;
@@ -72,6 +85,8 @@ export class WebSocketClient extends EventEmitter {
       : ((window.location.protocol === 'https:' ? 'wss://' : 'ws://') + window.location.host);
     
     this.orchestratorUrl = config.orchestratorUrl || defaultUrl;
+    this.token = config.token;
+    this.tls = config.tls;
     this.autoReconnect = config.autoReconnect !== false;
     this.reconnectInterval = config.reconnectInterval || 5000;
     this.defaultTimeout = config.defaultTimeout || 30000;
@@ -98,7 +113,7 @@ export class WebSocketClient extends EventEmitter {
         // Determine if we should use the browser's WebSocket implementation
         const shouldUseBrowserWs = this.forceBrowserWebSocket || isBrowser();
         
-        this.ws = await createWebSocketInstance(this.orchestratorUrl);
+        this.ws = await createWebSocketInstance(this.orchestratorUrl, this.token, this.tls);
         
         if (shouldUseBrowserWs) {
           // Browser WebSocket implementation
@@ -334,6 +349,9 @@ export class WebSocketClient extends EventEmitter {
           const isError = message.type === 'error' || (message.content && message.content.error);
           this.handleResponse(messageId, message, isError);
           console.log(`Resolved pending response for message ID: ${messageId} with custom event: ${pendingResponse.customEvent}`);
+        } else if (message.type === 'error' || message.type === 'task.error') {
+          // An error reply to the request fails it even while waiting for a custom event
+          this.handleResponse(messageId, message, true);
         }
         // If custom event doesn't match, don't resolve and continue processing
       } else {
@@ -478,7 +496,12 @@ export class WebSocketClient extends EventEmitter {
       this.pendingResponses.delete(requestId);
       
       if (isError) {
-        reject(new Error(message.content ? message.content.error : 'Unknown error'));
+        // Keep the error code the orchestrator sent along
+        const error: Error & { code?: string } = new Error(message.content ? message.content.error : 'Unknown error');
+        if (message.content?.code) {
+          error.code = message.content.code;
+        }
+        reject(error);
       } else {
         resolve(message);
       }
@@ -1,3 +1,6 @@
+import { AgentSelectionStrategy } from '@agentswarmprotocol/types/common';
+import { TopicMessages, MCPMessages } from '@agentswarmprotocol/types/messages';
+
 /**
  * Agent interface for agent data returned from the orchestrator
  */
@@ -34,4 +37,62 @@ export interface TaskRequestOptions {
     waitForResult?: boolean;
     /** Timeout in milliseconds */
     timeout?: number;
-  }
\ No newline at end of file
+    /** Capabilities the agent must have, used when no agent ID or name is given */
+    capabilities?: string[];
+    /** Strategy for picking between agents with the required capabilities */
+    strategy?: AgentSelectionStrategy;
+    /** Key that makes resubmitting the same task, e.g. after a reconnect, return the task created the first time */
+    idempotencyKey?: string;
+  }
+
+/**
+ * Event yielded while streaming a task: each partial result in sequence order, then the final result
+ */
+export type TaskStreamEvent =
+  | {
+      type: 'chunk';
+      taskId: string;
+      agentId: string;
+      /** Position of the chunk within the task's stream, starting at 0 */
+      sequence: number;
+      /** Partial result data */
+      chunk: any;
+    }
+  | {
+      type: 'result';
+      taskId: string;
+      agentId: string;
+      status: string;
+      /** Final task result */
+      result: any;
+      completedAt: string;
+    };
+/**
+ * Workflow run options
+ */
+export interface WorkflowRunOptions {
+    /** Whether to wait for the workflow result */
+    waitForResult?: boolean;
+    /** Timeout in milliseconds for the whole workflow */
+    timeout?: number;
+  }
+
+/**
+ * Called with the payload of each topic message on a subscribed pattern, and the message content
+ */
+export type TopicMessageHandler = (payload: any, message: TopicMessages.TopicDeliveryMessage['content']) => void;
+
+/**
+ * Called with the server ID and URI of a subscribed MCP resource that changed
+ */
+export type MCPResourceUpdateHandler = (update: MCPMessages.MCPResourceUpdatedMessage['content']) => void;
+
+/**
+ * Topic publish options
+ */
+export interface TopicPublishOptions {
+    /** Keep the message as the topic's retained message for later subscribers; a null payload clears it */
+    retain?: boolean;
+    /** Timeout in milliseconds */
+    timeout?: number;
+  }
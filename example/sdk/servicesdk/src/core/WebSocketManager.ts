@@ -1,17 +1,22 @@
 import WebSocket from 'ws';
 import { EventEmitter } from 'events';
-import { BaseMessage } from '@agentswarmprotocol/types/common';
+import { BaseMessage, TlsClientOptions } from '@agentswarmprotocol/types/common';
+import { ServicePendingResponse } from './types';
 
 export class WebSocketManager extends EventEmitter {
   private ws: WebSocket | null = null;
   private connected: boolean = false;
   private connecting: boolean = false;
+  // Requests waiting for the orchestrator's reply, by request message ID
+  private pendingResponses: Map<string, ServicePendingResponse> = new Map();
 
   constructor(
     private orchestratorUrl: string,
     private autoReconnect: boolean = true,
     private reconnectInterval: number = 5000,
-    private logger: Console = console
+    private logger: Console = console,
+    private token?: string,
+    private tls?: TlsClientOptions
   ) {
     super();
   }
@@ -29,7 +34,10 @@ export class WebSocketManager extends EventEmitter {
 
     return new Promise((resolve, reject) => {
       try {
-        this.ws = new WebSocket(this.orchestratorUrl);
+        this.ws = new WebSocket(this.orchestratorUrl, {
+          ...this.tls,
+          headers: this.token ? { Authorization: `Bearer ${this.token}` } : undefined
+        });
 
         this.ws.on('open', () => {
           this.connected = true;
@@ -41,6 +49,25 @@ export class WebSocketManager extends EventEmitter {
         this.ws.on('message', (data) => {
           try {
             const message = JSON.parse(data.toString()) as BaseMessage;
+
+            // Replies to sendAndWaitForResponse go to the waiting caller only
+            const pending = message.requestId ? this.pendingResponses.get(message.requestId) : undefined;
+            if (pending) {
+              clearTimeout(pending.timeout);
+              this.pendingResponses.delete(message.requestId!);
+              if (message.type === 'error') {
+                // Keep the error code the orchestrator sent along
+                const error: Error & { code?: string } = new Error(message.content?.error || 'Unknown error');
+                if (message.content?.code) {
+                  error.code = message.content.code;
+                }
+                pending.reject(error);
+              } else {
+                pending.resolve(message);
+              }
+              return;
+            }
+
             this.emit('message', message);
           } catch (err) {
             const error = err as Error;
@@ -59,6 +86,13 @@ export class WebSocketManager extends EventEmitter {
         this.ws.on('close', () => {
           this.connected = false;
           this.connecting = false;
+
+          this.pendingResponses.forEach(pending => {
+            clearTimeout(pending.timeout);
+            pending.reject(new Error('Connection to orchestrator closed'));
+          });
+          this.pendingResponses.clear();
+
           this.emit('disconnected');
           
           if (this.autoReconnect) {
@@ -112,7 +146,34 @@ export class WebSocketManager extends EventEmitter {
     });
   }
 
+  /**
+   * Send a request and wait for the orchestrator's reply to it
+   * @param message Message to send; it must have an ID
+   * @param timeout Time to wait for the reply in milliseconds
+   * @returns The reply; an error reply rejects
+   */
+  sendAndWaitForResponse(message: BaseMessage, timeout = 30000): Promise<BaseMessage> {
+    if (!message.id) {
+      return Promise.reject(new Error('Message must have an ID to wait for a response'));
+    }
 
+    return new Promise((resolve, reject) => {
+      const id = message.id;
+      const timer = setTimeout(() => {
+        if (this.pendingResponses.delete(id)) {
+          reject(new Error(`Request timed out after ${timeout}ms. Type: ${message.type}`));
+        }
+      }, timeout);
+
+      this.pendingResponses.set(id, { resolve, reject, timeout: timer });
+
+      this.send(message).catch(error => {
+        clearTimeout(timer);
+        this.pendingResponses.delete(id);
+        reject(error);
+      });
+    });
+  }
 
   /**
    * Check if connected to the orchestrator
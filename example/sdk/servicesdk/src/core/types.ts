@@ -1,10 +1,11 @@
 // Import and re-export service-specific types from the centralized types package
-import { BaseMessage } from '@agentswarmprotocol/types/common';
-import { ServiceMessages } from '@agentswarmprotocol/types/messages';
+import { BaseMessage, TlsClientOptions } from '@agentswarmprotocol/types/common';
+import { ServiceMessages, TopicMessages } from '@agentswarmprotocol/types/messages';
 
 // Re-export types from centralized package
 export type ServiceTaskExecuteMessage = ServiceMessages.ServiceTaskExecuteMessage;
 export type ServiceNotificationType = ServiceMessages.ServiceNotificationType;
+export type TopicDeliveryMessage = TopicMessages.TopicDeliveryMessage;
 
 export interface ServiceTool {
   id: string;
@@ -13,6 +14,7 @@ export interface ServiceTool {
   inputSchema?: Record<string, any>;
   outputSchema?: Record<string, any>;
   metadata?: Record<string, any>;
+  deterministic?: boolean;
 }
 
 export interface ServiceConfig {
@@ -23,6 +25,8 @@ export interface ServiceConfig {
   description?: string;
   manifest?: Record<string, any>;
   orchestratorUrl?: string;
+  token?: string;
+  tls?: TlsClientOptions;
   autoReconnect?: boolean;
   reconnectInterval?: number;
   logger?: Console;
@@ -42,7 +46,15 @@ export interface ServiceNotification {
   data?: any;
 }
 
-export type ServiceTaskHandler = (params: any, message: ServiceTaskExecuteMessage) => Promise<any>;
+export type ServiceTaskHandler = (params: any, message: ServiceTaskExecuteMessage, signal: AbortSignal) => Promise<any>;
+
+export type TopicMessageHandler = (payload: any, message: TopicDeliveryMessage['content']) => void;
+
+export interface TopicPublishOptions {
+  /** Keep the message as the topic's retained message for later subscribers; a null payload clears it */
+  retain?: boolean;
+  timeout?: number;
+}
 
 // Alias for backward compatibility
 export type TaskHandler = ServiceTaskHandler; 
\ No newline at end of file
@@ -5,6 +5,7 @@ import { ServiceTaskExecuteMessage, TaskHandler as TaskHandlerType } from '../co
 
 export class TaskHandler {
   private taskHandlers: Map<string, TaskHandlerType> = new Map();
+  private abortControllers: Map<string, AbortController> = new Map();
 
   constructor(
     private webSocketManager: WebSocketManager,
@@ -29,8 +30,9 @@ export class TaskHandler {
   /**
    * Handle a service task
    * @param {ServiceTaskExecuteMessage} message - The task message to handle
+   * @returns {Promise<boolean>} False if the task was cancelled before it finished
    */
-  async handleServiceTask(message: ServiceTaskExecuteMessage): Promise<void> {
+  async handleServiceTask(message: ServiceTaskExecuteMessage): Promise<boolean> {
     const taskId = message.id;
     const content = message.content;
     const functionName = content.functionName;
@@ -42,6 +44,9 @@ export class TaskHandler {
       params.clientId = clientId;
     }
 
+    const abortController = new AbortController();
+    this.abortControllers.set(taskId, abortController);
+
     try {
       // Find handler for this function
       const handler = this.taskHandlers.get(functionName);
@@ -51,11 +56,21 @@ export class TaskHandler {
       }
       
       // Execute the handler
-      const result = await handler(params, message);
+      const result = await handler(params, message, abortController.signal);
+
+      // A cancelled task has already been closed by the orchestrator
+      if (abortController.signal.aborted) {
+        return false;
+      }
       
       // Send the result
       this.sendTaskResult(taskId, result);
+      return true;
     } catch (err) {
+      if (abortController.signal.aborted) {
+        return false;
+      }
+
       // Handle errors
       const error = err as Error;
       this.logger.error(`Error handling task ${functionName}:`, error);
@@ -65,9 +80,27 @@ export class TaskHandler {
       
       // Re-throw to allow the parent to know about the error
       throw error;
+    } finally {
+      this.abortControllers.delete(taskId);
     }
   }
 
+  /**
+   * Cancel a running task by aborting the signal passed to its handler
+   * @param {string} taskId ID of the task to cancel
+   * @param {string} reason Optional cancellation reason
+   * @returns {boolean} Whether a running task was found
+   */
+  cancelTask(taskId: string, reason?: string): boolean {
+    const abortController = this.abortControllers.get(taskId);
+    if (!abortController) {
+      return false;
+    }
+
+    abortController.abort(new Error(reason || 'Task cancelled'));
+    return true;
+  }
+
   /**
    * Send a task result back to the orchestrator
    * @param taskId ID of the task
@@ -11,10 +11,18 @@ import {
   TaskHandler as TaskHandlerType,
   ServiceTaskExecuteMessage,
   ServiceNotificationType,
-  ServiceNotification
+  ServiceNotification,
+  TopicDeliveryMessage,
+  TopicMessageHandler,
+  TopicPublishOptions
 } from './core/types';
 import { WebSocketManager } from './core/WebSocketManager';
 import { TaskHandler } from './handlers/TaskHandler';
+import { TopicHandler } from './handlers/TopicHandler';
+
+// Protocol version this SDK speaks and the optional features it implements, declared when registering
+const PROTOCOL_VERSION = '1.1';
+const PROTOCOL_FEATURES = ['topics'];
 
 class SwarmServiceSDK extends EventEmitter {
   // Core properties
@@ -29,6 +37,7 @@ class SwarmServiceSDK extends EventEmitter {
   // Module instances
   private webSocketManager: WebSocketManager;
   private taskHandler: TaskHandler;
+  private topicHandler: TopicHandler;
 
   constructor(config: ServiceConfig = {}) {
     super();
@@ -55,10 +64,13 @@ class SwarmServiceSDK extends EventEmitter {
       config.orchestratorUrl || 'ws://localhost:3002',
       config.autoReconnect !== false,
       config.reconnectInterval || 5000,
-      this.logger
+      this.logger,
+      config.token,
+      config.tls
     );
     
     this.taskHandler = new TaskHandler(this.webSocketManager, this.serviceId, this.logger);
+    this.topicHandler = new TopicHandler(this.webSocketManager, this.logger);
     
     // Set up event forwarding
     this.setupEventForwarding();
@@ -88,14 +100,17 @@ class SwarmServiceSDK extends EventEmitter {
     // Forward WebSocketManager events
     this.webSocketManager.on('connected', () => {
       // Register service with orchestrator
-      this.webSocketManager.send({
+      this.webSocketManager.sendAndWaitForResponse({
+        id: uuidv4(),
         type: 'service.register',
         content: {
           id: this.serviceId,
           name: this.name,
           capabilities: this.capabilities,
           tools: Array.from(this.tools.values()),
-          manifest: this.manifest
+          manifest: this.manifest,
+          protocolVersion: PROTOCOL_VERSION,
+          features: PROTOCOL_FEATURES
         }
       } as BaseMessage)
       .then(response => {
@@ -106,8 +121,15 @@ class SwarmServiceSDK extends EventEmitter {
         this.emit('registered', response.content);
       })
       .catch(err => {
+        // Reconnecting would only be refused again
+        if (err.code === 'PROTOCOL_VERSION_UNSUPPORTED') {
+          this.webSocketManager.disconnect();
+        }
         this.emit('error', new Error(`Failed to register: ${err.message}`));
       });
+
+      // Subscriptions end with the connection
+      this.topicHandler.resubscribe();
       
       this.emit('connected');
     });
@@ -157,7 +179,11 @@ class SwarmServiceSDK extends EventEmitter {
           
           // Process the task
           this.taskHandler.handleServiceTask(taskMessage)
-            .then(() => {
+            .then((completed) => {
+              if (!completed) {
+                return;
+              }
+
               // Emit 'completed' notification
               const completeNotification = { taskId, message: `Tool completed: ${toolName}`, type: 'completed' as ServiceNotificationType, data: { toolId, toolName } };
               this.emit('notification', completeNotification);
@@ -170,6 +196,16 @@ class SwarmServiceSDK extends EventEmitter {
               this.sendTaskNotification(taskId, failedNotification.message, failedNotification.type, failedNotification.data);
             });
           break;
+          
+        case 'topic.message':
+          this.topicHandler.handleMessage(message as TopicDeliveryMessage);
+          break;
+
+        case 'service.task.cancel':
+          if (this.taskHandler.cancelTask(message.content.taskId, message.content.reason)) {
+            this.emit('task-cancelled', message.content);
+          }
+          break;
       }
     });
   }
@@ -334,6 +370,38 @@ class SwarmServiceSDK extends EventEmitter {
       }
     } as BaseMessage);
   }
+
+  /**
+   * Subscribe to topic patterns
+   * @param topics Topic pattern or patterns; `*` matches one segment and a final `#` any remaining segments
+   * @param handler Called with the payload of each message on a matching topic, including retained messages
+   * @param timeout Request timeout
+   * @returns All patterns this service is subscribed to
+   */
+  subscribe(topics: string | string[], handler?: TopicMessageHandler, timeout = 30000): Promise<string[]> {
+    return this.topicHandler.subscribe(topics, handler, timeout);
+  }
+
+  /**
+   * Unsubscribe from topic patterns
+   * @param topics Topic pattern or patterns; all of them when omitted
+   * @param timeout Request timeout
+   * @returns The patterns this service is still subscribed to
+   */
+  unsubscribe(topics?: string | string[], timeout = 30000): Promise<string[]> {
+    return this.topicHandler.unsubscribe(topics, timeout);
+  }
+
+  /**
+   * Publish a message to a topic
+   * @param topic Topic name, without wildcards
+   * @param payload Message payload
+   * @param options Retain the message for later subscribers, and the request timeout
+   * @returns The number of subscribers the message was delivered to, and whether it was retained
+   */
+  publish(topic: string, payload: any, options: TopicPublishOptions = {}): Promise<{ topic: string; delivered: number; retained: boolean }> {
+    return this.topicHandler.publish(topic, payload, options);
+  }
 }
 
 export { SwarmServiceSDK };
@@ -2,10 +2,13 @@
  * Client Types for Agent Swarm Protocol
  */
 
+import { NegotiatedProtocol } from './index';
+
 /**
  * Client status types
+ * 'unresponsive' is set by the orchestrator while a connected client does not answer heartbeats
  */
-export type ClientStatus = 'online' | 'offline' | 'busy' | 'error';
+export type ClientStatus = 'online' | 'offline' | 'busy' | 'error' | 'unresponsive';
 
 /**
  * Client interface representing a client connected to the orchestrator
@@ -25,6 +28,8 @@ export interface Client {
   registeredAt: string;
   /** When the client was last active */
   lastActiveAt?: string;
+  /** Protocol negotiated when the client registered; unset for clients that never registered */
+  protocol?: NegotiatedProtocol;
 }
 
 /**
@@ -20,18 +20,41 @@ export interface BaseMessage {
 
 /**
  * Agent status types
+ * 'unresponsive' is set by the orchestrator while a connected agent does not answer heartbeats
  */
-export type AgentStatus = 'online' | 'offline' | 'busy' | 'error' | 'initializing';
+export type AgentStatus = 'online' | 'offline' | 'busy' | 'error' | 'initializing' | 'unresponsive';
 
 /**
  * Service status types
+ * 'unresponsive' is set by the orchestrator while a connected service does not answer heartbeats
  */
-export type ServiceStatus = 'online' | 'offline' | 'busy' | 'error' | 'initializing';
+export type ServiceStatus = 'online' | 'offline' | 'busy' | 'error' | 'initializing' | 'unresponsive';
 
 /**
  * Task status types
  */
-export type TaskStatus = 'pending' | 'in_progress' | 'completed' | 'failed';
+export type TaskStatus = 'pending' | 'in_progress' | 'completed' | 'failed' | 'cancelled';
+
+/**
+ * Strategies for picking an agent when a task is routed by capability
+ */
+export type AgentSelectionStrategy = 'round-robin' | 'least-loaded' | 'random';
+
+/**
+ * TLS options for SDK connections to a wss:// orchestrator URL (Node.js only; browsers use their own trust store)
+ */
+export interface TlsClientOptions {
+  /** CA certificates (PEM) to trust instead of the default ones, e.g. for a self-signed orchestrator certificate */
+  ca?: string | Buffer | Array<string | Buffer>;
+  /** Client certificate (PEM), for orchestrators that require mutual TLS */
+  cert?: string | Buffer;
+  /** Private key (PEM) for the client certificate */
+  key?: string | Buffer;
+  /** Passphrase for the private key */
+  passphrase?: string;
+  /** Whether to reject servers whose certificate cannot be verified (default: true) */
+  rejectUnauthorized?: boolean;
+}
 
 /**
  * Notification level types
@@ -68,6 +91,12 @@ export interface Agent {
     [key: string]: any;
   };
   statusDetails?: any;
+  /** Maximum number of tasks the agent runs at once; further tasks are queued by the orchestrator */
+  maxConcurrentTasks?: number;
+  /** Whether the agent always returns the same result for the same input, so its results may be cached */
+  deterministic?: boolean;
+  /** Protocol negotiated when the agent registered */
+  protocol?: NegotiatedProtocol;
 }
 
 /**
@@ -103,6 +132,40 @@ export interface Service {
   };
   /** Additional status details */
   statusDetails?: any;
+  /** Protocol negotiated when the service registered */
+  protocol?: NegotiatedProtocol;
+}
+
+/**
+ * Protocol version and optional features a peer declares when it registers
+ */
+export interface ProtocolHandshake {
+  /** Protocol version the peer speaks, as 'major.minor' */
+  protocolVersion?: string;
+  /** Optional protocol features the peer supports */
+  features?: string[];
+}
+
+/**
+ * Protocol version and features the orchestrator and a peer agreed on
+ */
+export interface NegotiatedProtocol {
+  /** The lower of the two sides' versions */
+  protocolVersion: string;
+  /** Features both sides support */
+  features: string[];
+}
+
+/**
+ * A place where a service tool's params or result do not match the tool's JSON Schema
+ */
+export interface SchemaValidationError {
+  /** JSON pointer to the offending value, '' for the value itself */
+  path: string;
+  /** What is wrong with the value */
+  message: string;
+  /** The JSON Schema keyword that failed, e.g. 'type' or 'required' */
+  keyword: string;
 }
 
 /**
@@ -115,6 +178,14 @@ export interface Task {
   agentId: string;
   /** ID of the client that requested this task */
   clientId?: string;
+  /** ID of the task that started this one, for child tasks */
+  parentTaskId?: string;
+  /** ID of the client task or workflow at the top of this task's tree */
+  rootTaskId?: string;
+  /** ID of the client that created the root task; messages from child tasks are sent to it */
+  rootClientId?: string;
+  /** How many parent tasks this task has (0 for a root task) */
+  depth?: number;
   /** Current task status */
   status: TaskStatus;
   /** When the task was created */
@@ -136,6 +207,55 @@ export interface Task {
   };
 }
 
+/**
+ * What a node of a task tree stands for
+ * - `agent`: a task sent to an agent by a client or, as a child task, by another agent
+ * - `service`: a service tool call
+ * - `mcp`: an MCP tool call made by an agent while working on a task
+ * - `workflow`, `workflow.step`: a workflow run and one of its steps
+ */
+export type TaskTreeNodeKind = 'agent' | 'service' | 'mcp' | 'workflow' | 'workflow.step';
+
+/**
+ * A task and everything it started, as returned by a task tree request
+ */
+export interface TaskTreeNode {
+  /** Task ID */
+  taskId: string;
+  /** What the task stands for */
+  kind: TaskTreeNodeKind;
+  /** Task name */
+  name?: string;
+  /** Current task status */
+  status: string;
+  /** Agent that runs the task */
+  agentId?: string;
+  agentName?: string;
+  /** Service that runs the tool */
+  serviceId?: string;
+  serviceName?: string;
+  /** Tool of a service or MCP call */
+  toolName?: string;
+  /** MCP server of an MCP call */
+  serverId?: string;
+  /** Client that created the task */
+  clientId?: string;
+  /** When the task was created */
+  createdAt?: string;
+  /** When an agent started working on the task */
+  startedAt?: string;
+  /** When the task completed, failed or was cancelled */
+  completedAt?: string;
+  /** Milliseconds from creation to completion, or until now for unfinished tasks */
+  durationMs?: number;
+  /** Task result, left out when results are not requested */
+  result?: any;
+  /** Error message if the task failed */
+  error?: string;
+  /** Tasks this task started, oldest first */
+  children: TaskTreeNode[];
+}
+
 /**
  * MCP Server interface representing an MCP server registered with the orchestrator
  */
@@ -152,6 +272,16 @@ export interface MCPServer {
   status: string;
   /** Server path or URL */
   path: string;
+  /** How the orchestrator reaches the server: a stdio child process, SSE or streamable HTTP */
+  transport?: 'stdio' | 'sse' | 'streamable-http';
+  /** URL of a server reached over SSE or streamable HTTP */
+  url?: string;
+  /** Times the orchestrator restarted the server or reconnected to it */
+  restartCount?: number;
+  /** Why the server last failed, e.g. its process exiting or a health check timing out */
+  lastError?: string;
+  /** When the server last failed */
+  lastErrorAt?: string;
 }
 
 /**
@@ -166,6 +296,77 @@ export interface MCPTool {
   parameters?: any;
 }
 
+/**
+ * MCP Resource interface representing a piece of data an MCP server makes available by URI
+ */
+export interface MCPResource {
+  /** Resource URI */
+  uri: string;
+  /** Resource name */
+  name: string;
+  /** Resource description */
+  description?: string;
+  /** MIME type of the resource's contents */
+  mimeType?: string;
+}
+
+/**
+ * MCP Resource Template interface describing a family of resources by URI template, e.g. `file:///{path}`
+ */
+export interface MCPResourceTemplate {
+  /** RFC 6570 URI template */
+  uriTemplate: string;
+  /** Template name */
+  name: string;
+  /** Template description */
+  description?: string;
+  /** MIME type of the matching resources' contents */
+  mimeType?: string;
+}
+
+/**
+ * Contents of a resource read from an MCP server; text resources carry `text`, binary ones base64 `blob`
+ */
+export interface MCPResourceContents {
+  /** URI of the resource the contents belong to */
+  uri: string;
+  /** MIME type of the contents */
+  mimeType?: string;
+  /** Text contents */
+  text?: string;
+  /** Base64-encoded binary contents */
+  blob?: string;
+}
+
+/**
+ * MCP Prompt interface representing a prompt template an MCP server offers
+ */
+export interface MCPPrompt {
+  /** Prompt name */
+  name: string;
+  /** Prompt description */
+  description?: string;
+  /** Arguments the prompt accepts */
+  arguments?: Array<{
+    /** Argument name */
+    name: string;
+    /** Argument description */
+    description?: string;
+    /** Whether the argument must be given */
+    required?: boolean;
+  }>;
+}
+
+/**
+ * A prompt rendered by an MCP server with the given arguments
+ */
+export interface MCPPromptResult {
+  /** Description of the rendered prompt */
+  description?: string;
+  /** Messages of the prompt, each with a `role` and `content` as defined by MCP */
+  messages: Array<{ role: 'user' | 'assistant'; content: any }>;
+}
+
 // Export client types
 export * from './client';
 
@@ -173,4 +374,7 @@ export * from './client';
 export * from './logger';
 
 // Export orchestrator specific types
-export * from './orchestrator'; 
\ No newline at end of file
+export * from './orchestrator';
+
+// Export workflow types
+export * from './workflow'; 
\ No newline at end of file
@@ -4,7 +4,7 @@
 
 import { EventEmitter } from 'events';
 import WebSocket from 'ws';
-import { Agent, Service, Task, TaskStatus, ServiceStatus, AgentStatus, MCPServer, MCPTool } from './index';
+import { Agent, Service, Task, TaskStatus, ServiceStatus, AgentStatus, MCPServer, MCPTool, AgentSelectionStrategy } from './index';
 
 // Configuration interfaces
 export interface OrchestratorConfig {
@@ -13,6 +13,8 @@ export interface OrchestratorConfig {
   servicePort?: number;
   logLevel?: string;
   configPath?: string;
+  // Serve agents, clients and services on this one port instead of three
+  singlePort?: number;
 }
 
 export interface OrchestratorSettings {
@@ -21,6 +23,235 @@ export interface OrchestratorSettings {
   servicePort?: number;
   logLevel?: string;
   taskTimeout?: number;
+  // How many levels of child tasks agents may delegate below a client task or workflow
+  maxTaskDepth?: number;
+  taskStore?: TaskStoreSettings;
+  agentSelectionStrategy?: AgentSelectionStrategy;
+  orphanedTasks?: OrphanedTaskSettings;
+  retryPolicy?: RetryPolicy;
+  auth?: AuthSettings;
+  tls?: TlsSettings;
+  singlePort?: SinglePortSettings;
+  restApi?: RestApiSettings;
+  workflows?: WorkflowSettings;
+  topics?: TopicSettings;
+  idempotency?: IdempotencySettings;
+  resultCache?: ResultCacheSettings;
+  toolValidation?: ToolValidationSettings;
+  protocolValidation?: ProtocolValidationSettings;
+  heartbeat?: HeartbeatSettings;
+  mcpServer?: SwarmMCPServerSettings;
+  mcpPolicy?: MCPPolicySettings;
+}
+
+export interface TaskStoreSettings {
+  type?: 'memory' | 'file';
+  directory?: string;
+}
+
+// What happens to the tasks of an agent that disconnects while running them
+export interface OrphanedTaskSettings {
+  action?: 'fail' | 'requeue';
+  gracePeriod?: number;
+  maxRequeues?: number;
+}
+
+// How often a failed or timed out task is sent again, and how long to wait in between
+export interface RetryPolicy {
+  maxAttempts?: number;
+  backoff?: 'fixed' | 'exponential';
+  delay?: number;
+  maxDelay?: number;
+}
+
+// Authentication and authorization
+export type ConnectionType = 'agent' | 'client' | 'service';
+
+export interface AuthSettings {
+  enabled?: boolean;
+  apiKeys?: ApiKeyCredential[];
+  jwt?: JwtSettings;
+  roles?: Record<string, RolePermissions>;
+}
+
+export interface ApiKeyCredential {
+  key: string;
+  name?: string;
+  type?: ConnectionType;
+  subject?: string;
+  roles?: string[];
+}
+
+export interface JwtSettings {
+  secret?: string;
+  publicKey?: string;
+  algorithms?: string[];
+  issuer?: string;
+  audience?: string;
+  clockTolerance?: number;
+}
+
+// Names or IDs a role may use; '*' allows all
+export interface RolePermissions {
+  agents?: string[];
+  services?: string[];
+  mcpServers?: string[];
+  // Topic patterns the role may publish to and receive messages from
+  topics?: string[];
+  // Whether the role may read, message and cancel tasks that other credentials started
+  admin?: boolean;
+}
+
+// TLS for the agent, client and service listeners; file paths are relative to the working directory
+export interface TlsSettings {
+  enabled?: boolean;
+  cert?: string;
+  key?: string;
+  passphrase?: string;
+  // CA certificates that client certificates must chain to
+  ca?: string | string[];
+  // Ask connecting peers for a certificate (mutual TLS)
+  requestClientCert?: boolean;
+  // Refuse peers without a valid certificate when one is requested (default true)
+  rejectUnauthorized?: boolean;
+}
+
+// One listener for agents, clients and services, routed by the WebSocket upgrade path
+export interface SinglePortSettings {
+  enabled?: boolean;
+  port?: number;
+  paths?: {
+    agent?: string;
+    client?: string;
+    service?: string;
+  };
+}
+
+// HTTP endpoints on the client interface, next to the WebSocket protocol
+export interface RestApiSettings {
+  enabled?: boolean;
+  basePath?: string;
+  // How long a request waits for the orchestrator's answer, in milliseconds
+  requestTimeout?: number;
+  // Largest accepted request body, in bytes
+  maxBodySize?: number;
+}
+
+// Workflow definitions clients can run by name
+export interface WorkflowSettings {
+  // Directory of definition files (.json, .yaml, .yml), read at startup
+  directory?: string;
+  // Largest number of steps a workflow may have
+  maxSteps?: number;
+}
+
+// Topic publish/subscribe between agents, clients and services
+export interface TopicSettings {
+  // Most topics that keep a retained message; the oldest is dropped beyond this
+  maxRetained?: number;
+  // Most topic patterns one connection may subscribe to
+  maxSubscriptions?: number;
+}
+
+// Idempotency keys clients send with tasks, so a resubmitted task is not created twice
+export interface IdempotencySettings {
+  // How long a key keeps pointing at its task, in milliseconds
+  window?: number;
+  // Most keys remembered; the oldest is dropped beyond this
+  maxKeys?: number;
+}
+
+// Results of agents and service tools that declare themselves deterministic, reused for identical input
+export interface ResultCacheSettings {
+  enabled?: boolean;
+  // How long a result is reused, in milliseconds
+  ttl?: number;
+  // Most results kept; the oldest is dropped beyond this
+  maxEntries?: number;
+}
+
+// Checks of service tool parameters and results against the schemas the tools declare
+export interface ToolValidationSettings {
+  // Refuse tool calls whose params do not match the tool's inputSchema (default true)
+  validateInput?: boolean;
+  // Fail tool calls whose result does not match the tool's outputSchema (default false)
+  validateOutput?: boolean;
+}
+
+// Checks of every message agents, clients and services send against the schema for its type
+export interface ProtocolValidationSettings {
+  // 'strict' refuses unknown message types and invalid or unknown content fields; 'lenient' only logs them (default)
+  mode?: 'strict' | 'lenient';
+}
+
+// Pings the orchestrator sends every connected agent, client and service to notice peers that stopped answering
+export interface HeartbeatSettings {
+  enabled?: boolean;
+  // Time between pings, in milliseconds
+  interval?: number;
+  // Pings in a row a peer may leave unanswered before its connection is closed; it is unresponsive from the first
+  missThreshold?: number;
+}
+
+// MCP server endpoint on the client interface whose tools are the swarm's agent capabilities and service tools
+export interface SwarmMCPServerSettings {
+  // Off unless set to true
+  enabled?: boolean;
+  // Path of the streamable HTTP endpoint (default '/mcp')
+  path?: string;
+  // How long a tool call waits for its task before cancelling it, in milliseconds
+  toolTimeout?: number;
+}
+
+// Which agents and clients may call which tools of which MCP servers, and with which arguments
+export interface MCPPolicySettings {
+  enabled?: boolean;
+  // What happens to calls no rule matches (default 'allow')
+  defaultAction?: 'allow' | 'deny';
+  // Checked in order; the first rule matching a call decides it
+  rules?: MCPPolicyRule[];
+  audit?: MCPAuditSettings;
+}
+
+// Patterns are names or IDs in which '*' matches any run of characters
+export interface MCPPolicyRule {
+  effect: 'allow' | 'deny';
+  // Agents and clients the rule applies to; a rule listing neither applies to every caller
+  agents?: string[];
+  clients?: string[];
+  // MCP servers and tool names the rule applies to (default all)
+  servers?: string[];
+  tools?: string[];
+  // Constraints on the arguments of calls the rule allows, by argument name; a call that breaks one is denied
+  arguments?: Record<string, MCPArgumentConstraint>;
+  // Reported to the caller when the rule denies a call
+  reason?: string;
+}
+
+// Each check applies to the argument, or to every element of an array argument
+export interface MCPArgumentConstraint {
+  // Deny calls without the argument (by default only given arguments are checked)
+  required?: boolean;
+  // The normalized path must be one of these directories or inside one
+  pathPrefix?: string | string[];
+  // Regular expression a string argument must match
+  pattern?: string;
+  // Values the argument may take
+  values?: any[];
+}
+
+// Record of MCP tool calls the policy decided
+export interface MCPAuditSettings {
+  // JSON lines file each record is appended to; denied calls are logged as warnings either way
+  file?: string;
+  // Record allowed calls too (default false)
+  logAllowed?: boolean;
+}
+
+// The agent or client connection an MCP tool call comes from; calls relayed without a connection are unidentified
+export interface MCPCaller {
+  type: ConnectionType;
+  connectionId?: string;
 }
 
 // Registry interfaces
@@ -84,13 +315,17 @@ export interface MCPInterface {
   registerServer(server: any): void;
   listMCPServers(filters?: any): any[];
   getToolList(serverId: string): any[];
-  executeServerTool(serverId: string, toolName: string, args: any): Promise<any>;
+  executeServerTool(serverId: string, toolName: string, args: any, caller: MCPCaller): Promise<any>;
   registerMCPServer(message: any): Promise<{ serverId: string, name: string, status: string }>;
   connectToMCPServer(serverId: string): Promise<{ serverId: string, status: string, tools: any[] }>;
   disconnectMCPServer(serverId: string): Promise<{ serverId: string, status: string }>;
-  executeMCPTool(serverId: string, toolName: string, toolArgs: Record<string, any>): Promise<any>;
+  executeMCPTool(serverId: string, toolName: string, toolArgs: Record<string, any>, caller: MCPCaller): Promise<any>;
   listMCPTools(serverId: string): Promise<any[]>;
-  handleAgentMCPRequest(message: any, agentId: string): Promise<any>;
+  listMCPResources(serverId: string): Promise<{ resources: any[], resourceTemplates: any[] }>;
+  readMCPResource(serverId: string, uri: string): Promise<any[]>;
+  listMCPPrompts(serverId: string): Promise<any[]>;
+  getMCPPrompt(serverId: string, promptName: string, promptArgs?: Record<string, string>): Promise<any>;
+  handleAgentMCPRequest(message: any, agentId: string, connectionType?: ConnectionType): Promise<any>;
   getServerById(serverId: string): any;
 }
 
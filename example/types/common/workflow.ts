@@ -0,0 +1,84 @@
+/**
+ * Workflow Types for Agent Swarm Protocol
+ */
+
+import { AgentSelectionStrategy } from './index';
+
+/**
+ * A multi-step workflow run by the orchestrator
+ * Steps form a directed acyclic graph through their `dependsOn` lists; steps whose dependencies are done run in parallel
+ */
+export interface WorkflowDefinition {
+  /** Workflow name, used in task names and progress messages */
+  name: string;
+  /** Optional description */
+  description?: string;
+  /** The steps of the workflow */
+  steps: WorkflowStepDefinition[];
+  /** Template for the workflow result; defaults to the outputs of all steps by step ID */
+  output?: any;
+}
+
+/**
+ * What a workflow step runs
+ */
+export type WorkflowStepType = 'agent' | 'service' | 'mcp';
+
+/**
+ * One step of a workflow
+ * String values in `input` and `output` may contain `{{ path }}` placeholders, where the path starts with
+ * `input` (the workflow input) or `steps.<stepId>.output`. A value that is a single placeholder keeps the type of the value it refers to.
+ */
+export interface WorkflowStepDefinition {
+  /** Step ID, unique within the workflow */
+  id: string;
+  /** What the step runs */
+  type: WorkflowStepType;
+  /** Agent steps: name of the agent to run the task */
+  agentName?: string;
+  /** Agent steps: ID of the agent to run the task */
+  agentId?: string;
+  /** Agent steps: capabilities of the agent to run the task, when no agent name or ID is given */
+  capabilities?: string[];
+  /** Agent steps: strategy for picking between agents with the required capabilities */
+  strategy?: AgentSelectionStrategy;
+  /** Service steps: ID or name of the service */
+  serviceId?: string;
+  /** Service steps: ID of the service tool */
+  toolId?: string;
+  /** MCP steps: ID of the MCP server */
+  serverId?: string;
+  /** MCP steps: name of the MCP tool */
+  toolName?: string;
+  /** Task data for agents, tool parameters for services and MCP tools */
+  input?: any;
+  /** IDs of the steps that must finish before this one starts */
+  dependsOn?: string[];
+  /** Run the step only if the condition holds; otherwise it is skipped */
+  condition?: WorkflowCondition;
+}
+
+/**
+ * Condition on a value from the workflow input or an earlier step's output
+ * With no comparison the value must be truthy
+ */
+export interface WorkflowCondition {
+  /** Path of the value, e.g. `steps.review.output.approved` */
+  path: string;
+  /** The value must equal this */
+  equals?: any;
+  /** The value must not equal this */
+  notEquals?: any;
+  /** The value must (true) or must not (false) be defined */
+  exists?: boolean;
+}
+
+/**
+ * Status of a workflow step
+ */
+export type WorkflowStepStatus = 'pending' | 'running' | 'completed' | 'failed' | 'skipped' | 'cancelled';
+
+/**
+ * Status of a whole workflow
+ */
+export type WorkflowStatus = 'running' | 'completed' | 'failed' | 'cancelled';
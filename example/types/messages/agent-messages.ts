@@ -4,7 +4,7 @@
  * Type definitions for messages exchanged between agents and the orchestrator
  */
 
-import { BaseMessage, AgentStatus } from '../common';
+import { BaseMessage, AgentStatus, AgentSelectionStrategy } from '../common';
 
 // ==========================================
 // Orchestrator -> Agent Message Types
@@ -35,6 +35,8 @@ export interface TaskExecuteMessage extends BaseMessage {
     taskType?: string;
     /** Task input data */
     input?: any;
+    /** Which attempt at the task this is, starting at 1; echoed back with the task's result, chunks and error */
+    attempt?: number;
     /** Task metadata */
     metadata?: {
       /** ID of the client that created the task */
@@ -51,6 +53,21 @@ export interface TaskExecuteMessage extends BaseMessage {
   };
 }
 
+/**
+ * Message to cancel a task the agent is executing
+ */
+export interface TaskCancelMessage extends BaseMessage {
+  type: 'task.cancel';
+  content: {
+    /** ID of the task to cancel */
+    taskId: string;
+    /** Optional reason for the cancellation */
+    reason?: string;
+    /** When the task was cancelled */
+    cancelledAt: string;
+  };
+}
+
 /**
  * Response to an agent registration
  */
@@ -233,6 +250,10 @@ export interface AgentRegisterMessage extends BaseMessage {
     name: string;
     /** Agent capabilities */
     capabilities?: string[];
+    /** Maximum number of tasks the agent runs at once (unlimited if not set) */
+    maxConcurrentTasks?: number;
+    /** Whether the agent always returns the same result for the same input; lets the orchestrator cache its results */
+    deterministic?: boolean;
     /** Agent manifest with additional information */
     manifest?: {
       /** Agent description */
@@ -262,6 +283,25 @@ export interface TaskResultMessage extends BaseMessage {
   };
 }
 
+/**
+ * Partial task result sent while the task is still running
+ */
+export interface TaskResultChunkMessage extends BaseMessage {
+  type: 'task.result.chunk';
+  content: {
+    /** ID of the agent executing the task */
+    agentId?: string;
+    /** The ID of the task this chunk belongs to */
+    taskId: string;
+    /** Position of the chunk within the task's stream, starting at 0 */
+    sequence: number;
+    /** Partial result data */
+    chunk: any;
+    /** Attempt the chunk belongs to, as sent with `task.execute` */
+    attempt?: number;
+  };
+}
+
 /**
  * Service request message
  */
@@ -358,6 +398,8 @@ export interface MCPToolExecuteRequestMessage extends BaseMessage {
     parameters: any;
     /** Optional timeout in milliseconds */
     timeout?: number;
+    /** ID of the task the call is made for; the call is then recorded as a child of that task */
+    parentTaskId?: string;
   };
 }
 
@@ -388,12 +430,18 @@ export interface AgentTaskRequestMessage extends BaseMessage {
   type: 'agent.task.request';
   content: {
     /** Name of the target agent that should execute the task */
-    targetAgentName: string;
+    targetAgentName?: string;
+    /** Capabilities the target agent must have, used when no agent name is given */
+    capabilities?: string[];
+    /** Strategy for picking between agents with the required capabilities */
+    strategy?: AgentSelectionStrategy;
     /** Type of task to execute */
     taskType: string;
     /** Task data */
     taskData: any;
     /** Optional timeout in milliseconds */
     timeout?: number;
+    /** ID of the task the requesting agent is working on */
+    parentTaskId?: string;
   };
 } 
\ No newline at end of file
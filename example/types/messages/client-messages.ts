@@ -4,7 +4,15 @@
  * Type definitions for messages exchanged between clients and the orchestrator
  */
 
-import { BaseMessage } from '../common';
+import {
+  BaseMessage,
+  AgentSelectionStrategy,
+  WorkflowDefinition,
+  WorkflowStepType,
+  WorkflowStepStatus,
+  TaskTreeNode,
+  WorkflowStatus
+} from '../common';
 
 // ==========================================
 // Orchestrator -> Client Message Types
@@ -61,6 +69,14 @@ export interface TaskCreatedMessage extends BaseMessage {
     agentId: string;
     /** Task status */
     status: string;
+    /** Position in the agent's queue when the agent is at its concurrency limit */
+    queuePosition?: number;
+    /** True when the request repeated an idempotency key and the existing task is returned */
+    duplicate?: boolean;
+    /** True when the result was taken from the result cache instead of running the agent */
+    cached?: boolean;
+    /** Result of a completed task, for duplicate requests and cache hits */
+    result?: any;
   };
 }
 
@@ -80,6 +96,10 @@ export interface TaskStatusMessage extends BaseMessage {
     createdAt: string;
     /** When the task was completed, if it is */
     completedAt?: string;
+    /** Position in the agent's queue while the task is waiting for a free slot */
+    queuePosition?: number;
+    /** Number of tasks waiting in the agent's queue */
+    queueDepth?: number;
   };
 }
 
@@ -100,6 +120,25 @@ export interface TaskResultMessage extends BaseMessage {
   };
 }
 
+/**
+ * Partial task result forwarded from the agent while the task is still running
+ */
+export interface TaskResultChunkMessage extends BaseMessage {
+  type: 'client.agent.task.result.chunk';
+  content: {
+    /** Task ID */
+    taskId: string;
+    /** ID of the agent executing the task */
+    agentId: string;
+    /** Position of the chunk within the task's stream, starting at 0 */
+    sequence: number;
+    /** Partial result data */
+    chunk: any;
+    /** When the orchestrator forwarded the chunk */
+    timestamp: string;
+  };
+}
+
 /**
  * Task notification message from orchestrator to client
  * Used to provide real-time updates about task progress or agent actions
@@ -126,6 +165,75 @@ export interface TaskNotificationMessage extends BaseMessage {
   };
 }
 
+/**
+ * Message sent when a task has been cancelled
+ */
+export interface TaskCancelledMessage extends BaseMessage {
+  type: 'client.agent.task.cancelled';
+  content: {
+    /** Task ID */
+    taskId: string;
+    /** Task status */
+    status: 'cancelled';
+    /** Error message for pending requests waiting on the task */
+    error: string;
+    /** Optional reason for the cancellation */
+    reason?: string;
+    /** When the task was cancelled */
+    cancelledAt: string;
+  };
+}
+
+/**
+ * Progress of one workflow step: sent when it starts, finishes or is skipped
+ */
+export interface WorkflowStepStatusMessage extends BaseMessage {
+  type: 'client.workflow.step.status';
+  content: {
+    /** Workflow ID */
+    workflowId: string;
+    /** Workflow name */
+    workflowName: string;
+    /** Step ID from the workflow definition */
+    stepId: string;
+    /** What the step runs */
+    stepType: WorkflowStepType;
+    /** ID of the step's task record, once it has started */
+    taskId?: string;
+    /** Step status */
+    status: WorkflowStepStatus;
+    /** Step output, when the step has completed */
+    output?: any;
+    /** Error message, when the step failed or was cancelled */
+    error?: string;
+    /** When the status changed */
+    timestamp: string;
+  };
+}
+
+/**
+ * Final result of a workflow
+ */
+export interface WorkflowResultMessage extends BaseMessage {
+  type: 'client.workflow.result';
+  content: {
+    /** Workflow ID */
+    workflowId: string;
+    /** Workflow name */
+    workflowName: string;
+    /** How the workflow finished */
+    status: Exclude<WorkflowStatus, 'running'>;
+    /** Workflow output, when the workflow completed */
+    output?: any;
+    /** Error message, when the workflow failed or was cancelled */
+    error?: string;
+    /** Final status of every step by step ID */
+    steps: Record<string, { status: WorkflowStepStatus; taskId?: string; error?: string }>;
+    /** When the workflow finished */
+    finishedAt: string;
+  };
+}
+
 /**
  * Error message from orchestrator
  */
@@ -163,6 +271,28 @@ export interface MCPServerListMessage extends BaseMessage {
   };
 }
 
+/**
+ * Response with the list of available services
+ */
+export interface ServiceListResponseMessage extends BaseMessage {
+  type: 'client.service.list.response';
+  content: {
+    /** Array of available services */
+    services: Array<{
+      /** Service ID */
+      id: string;
+      /** Service name */
+      name: string;
+      /** Service status */
+      status: string;
+      /** Service capabilities */
+      capabilities: string[];
+      /** Tools the service provides */
+      tools?: any[];
+    }>;
+  };
+}
+
 // ==========================================
 // Client -> Orchestrator Message Types
 // ==========================================
@@ -180,6 +310,27 @@ export interface TaskCreateMessage extends BaseMessage {
   };
 }
 
+/**
+ * Request to create a task, targeting an agent by ID, name or required capabilities
+ */
+export interface TaskCreateRequestMessage extends BaseMessage {
+  type: 'client.agent.task.create.request';
+  content: {
+    /** ID of the agent to handle the task */
+    agentId?: string;
+    /** Name of the agent to handle the task */
+    agentName?: string;
+    /** Capabilities the agent must have, used when no agent ID or name is given */
+    capabilities?: string[];
+    /** Strategy for picking between agents with the required capabilities */
+    strategy?: AgentSelectionStrategy;
+    /** Task data specific to the agent */
+    taskData: any;
+    /** Key that identifies this submission; repeating it within the configured window returns the existing task */
+    idempotencyKey?: string;
+  };
+}
+
 /**
  * Request for task status
  */
@@ -191,6 +342,96 @@ export interface TaskStatusRequestMessage extends BaseMessage {
   };
 }
 
+/**
+ * Request to cancel a task
+ */
+export interface TaskCancelRequestMessage extends BaseMessage {
+  type: 'client.agent.task.cancel';
+  content: {
+    /** ID of the task to cancel */
+    taskId: string;
+    /** Optional reason for the cancellation */
+    reason?: string;
+  };
+}
+
+/**
+ * Response to a task cancellation request
+ */
+export interface TaskCancelResponseMessage extends BaseMessage {
+  type: 'client.agent.task.cancel.response';
+  content: {
+    /** ID of the cancelled task */
+    taskId: string;
+    /** Task status */
+    status: 'cancelled';
+    /** IDs of child tasks that were cancelled along with the task */
+    cancelledChildTaskIds: string[];
+    /** IDs of service tasks that were cancelled along with the task */
+    cancelledServiceTaskIds: string[];
+  };
+}
+
+/**
+ * Request to run a workflow, given inline or by the name of a configured definition
+ */
+export interface WorkflowRunRequestMessage extends BaseMessage {
+  type: 'client.workflow.run.request';
+  content: {
+    /** Workflow definition, or its JSON or YAML text */
+    workflow?: WorkflowDefinition | string;
+    /** Name of a workflow from the orchestrator's workflow directory, used when no definition is given */
+    workflowName?: string;
+    /** Workflow input, available to steps as `input` */
+    input?: any;
+  };
+}
+
+/**
+ * Response to a workflow run request, sent before the first step starts
+ */
+export interface WorkflowRunResponseMessage extends BaseMessage {
+  type: 'client.workflow.run.response';
+  content: {
+    /** Workflow ID, also the ID of the workflow's task record */
+    workflowId: string;
+    /** Workflow name */
+    workflowName: string;
+    /** Workflow status */
+    status: 'running';
+    /** IDs of the workflow's steps */
+    steps: string[];
+  };
+}
+
+/**
+ * Request for the tree of tasks a task started: child agent tasks, service tasks, MCP calls and workflow steps
+ */
+export interface TaskTreeRequestMessage extends BaseMessage {
+  type: 'client.task.tree.request';
+  content: {
+    /** ID of the root task */
+    taskId: string;
+    /** Whether to include task results (default true) */
+    includeResults?: boolean;
+  };
+}
+
+/**
+ * Response to a task tree request
+ */
+export interface TaskTreeResponseMessage extends BaseMessage {
+  type: 'client.task.tree.response';
+  content: {
+    /** ID of the root task */
+    taskId: string;
+    /** The root task and its descendants */
+    tree: TaskTreeNode;
+    /** Number of tasks in the tree, the root included */
+    taskCount: number;
+  };
+}
+
 /**
  * Request for agent list
  */
@@ -225,4 +466,20 @@ export interface MCPServerListRequestMessage extends BaseMessage {
       capabilities?: string[];
     };
   };
-} 
\ No newline at end of file
+} 
+
+/**
+ * Request for list of available services
+ */
+export interface ServiceListRequestMessage extends BaseMessage {
+  type: 'client.service.list.request';
+  content: {
+    /** Optional filters for the service list */
+    filters?: {
+      /** Filter by service status */
+      status?: string;
+      /** Filter by service capabilities */
+      capabilities?: string[];
+    };
+  };
+}
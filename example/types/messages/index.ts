@@ -8,9 +8,13 @@
 import * as AgentMessages from './agent-messages';
 import * as ServiceMessages from './service-messages';
 import * as ClientMessages from './client-messages';
+import * as TopicMessages from './topic-messages';
+import * as MCPMessages from './mcp-messages';
 
 export {
   AgentMessages,
   ServiceMessages,
-  ClientMessages
+  ClientMessages,
+  TopicMessages,
+  MCPMessages
 }; 
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * Agent Swarm Protocol - MCP Resource and Prompt Messages
+ *
+ * Type definitions for reading resources and getting prompts from the MCP servers connected to the orchestrator,
+ * which agents and clients send alike. Each request is answered with a message of the same type plus `.result`,
+ * e.g. `mcp.resource.read.result`, or with an `error` message.
+ */
+
+import { BaseMessage, MCPResource, MCPResourceTemplate, MCPResourceContents, MCPPrompt, MCPPromptResult } from '../common';
+
+// ==========================================
+// Agent or Client -> Orchestrator Message Types
+// ==========================================
+
+/**
+ * Request for the resources and resource templates of an MCP server
+ */
+export interface MCPResourcesListMessage extends BaseMessage {
+  type: 'mcp.resources.list';
+  content: {
+    /** ID of the MCP server */
+    serverId: string;
+  };
+}
+
+/**
+ * Request to read a resource
+ */
+export interface MCPResourceReadMessage extends BaseMessage {
+  type: 'mcp.resource.read';
+  content: {
+    /** ID of the MCP server */
+    serverId: string;
+    /** URI of the resource */
+    uri: string;
+  };
+}
+
+/**
+ * Request to be sent `mcp.resource.updated` whenever a resource changes, or to stop being sent it
+ */
+export interface MCPResourceSubscriptionMessage extends BaseMessage {
+  type: 'mcp.resource.subscribe' | 'mcp.resource.unsubscribe';
+  content: {
+    /** ID of the MCP server */
+    serverId: string;
+    /** URI of the resource */
+    uri: string;
+  };
+}
+
+/**
+ * Request for the prompts of an MCP server
+ */
+export interface MCPPromptsListMessage extends BaseMessage {
+  type: 'mcp.prompts.list';
+  content: {
+    /** ID of the MCP server */
+    serverId: string;
+  };
+}
+
+/**
+ * Request to render a prompt
+ */
+export interface MCPPromptGetMessage extends BaseMessage {
+  type: 'mcp.prompt.get';
+  content: {
+    /** ID of the MCP server */
+    serverId: string;
+    /** Name of the prompt */
+    promptName: string;
+    /** Values of the prompt's arguments */
+    arguments?: Record<string, string>;
+  };
+}
+
+// ==========================================
+// Orchestrator -> Agent or Client Message Types
+// ==========================================
+
+/**
+ * Resources and resource templates of an MCP server
+ */
+export interface MCPResourcesListResultMessage extends BaseMessage {
+  type: 'mcp.resources.list.result';
+  content: {
+    serverId: string;
+    resources: MCPResource[];
+    resourceTemplates: MCPResourceTemplate[];
+  };
+}
+
+/**
+ * Contents of a resource; a resource may consist of several parts
+ */
+export interface MCPResourceReadResultMessage extends BaseMessage {
+  type: 'mcp.resource.read.result';
+  content: {
+    serverId: string;
+    uri: string;
+    contents: MCPResourceContents[];
+  };
+}
+
+/**
+ * Confirmation of a subscribe or unsubscribe request
+ */
+export interface MCPResourceSubscriptionResultMessage extends BaseMessage {
+  type: 'mcp.resource.subscribe.result' | 'mcp.resource.unsubscribe.result';
+  content: {
+    serverId: string;
+    uri: string;
+    /** Whether the connection is now subscribed to the resource */
+    subscribed: boolean;
+  };
+}
+
+/**
+ * Sent to the subscribers of a resource when the MCP server reports it changed; read it again for the new contents
+ */
+export interface MCPResourceUpdatedMessage extends BaseMessage {
+  type: 'mcp.resource.updated';
+  content: {
+    serverId: string;
+    uri: string;
+  };
+}
+
+/**
+ * Prompts of an MCP server
+ */
+export interface MCPPromptsListResultMessage extends BaseMessage {
+  type: 'mcp.prompts.list.result';
+  content: {
+    serverId: string;
+    prompts: MCPPrompt[];
+  };
+}
+
+/**
+ * A rendered prompt
+ */
+export interface MCPPromptGetResultMessage extends BaseMessage {
+  type: 'mcp.prompt.get.result';
+  content: MCPPromptResult & {
+    serverId: string;
+    promptName: string;
+  };
+}
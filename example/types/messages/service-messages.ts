@@ -9,7 +9,7 @@ import { BaseMessage, ServiceStatus } from '../common';
 /**
  * Service task status types
  */
-export type ServiceTaskStatus = 'pending' | 'in_progress' | 'completed' | 'failed';
+export type ServiceTaskStatus = 'pending' | 'in_progress' | 'completed' | 'failed' | 'cancelled';
 
 /**
  * Notification type for service task notifications
@@ -76,6 +76,21 @@ export interface ServiceTaskExecuteMessage extends BaseMessage {
   };
 }
 
+/**
+ * Message to cancel a running service task
+ */
+export interface ServiceTaskCancelMessage extends BaseMessage {
+  type: 'service.task.cancel';
+  content: {
+    /** ID of the service task to cancel */
+    taskId: string;
+    /** Optional reason for the cancellation */
+    reason?: string;
+    /** When the task was cancelled */
+    cancelledAt: string;
+  };
+}
+
 /**
  * Response to a service notification
  */
@@ -0,0 +1,121 @@
+/**
+ * Agent Swarm Protocol - Topic Messages
+ *
+ * Type definitions for topic publish/subscribe messages, which agents, clients and services exchange with the orchestrator alike
+ *
+ * Topics are dot-separated names such as `market.updates.aapl`. Subscription patterns may use `*` for exactly one
+ * segment and `#` as the last segment for any number of remaining segments, e.g. `market.*.aapl` or `market.#`.
+ */
+
+import { BaseMessage, ConnectionType } from '../common';
+
+/**
+ * Who published a topic message
+ */
+export interface TopicPublisher {
+  /** Kind of connection that published the message */
+  type: ConnectionType;
+  /** Agent ID, service ID or client ID */
+  id?: string;
+  /** Agent or service name */
+  name?: string;
+}
+
+// ==========================================
+// Agent, Client or Service -> Orchestrator Message Types
+// ==========================================
+
+/**
+ * Request to receive the messages published to topics matching one or more patterns
+ * Retained messages on matching topics are delivered right after the response
+ */
+export interface TopicSubscribeMessage extends BaseMessage {
+  type: 'topic.subscribe';
+  content: {
+    /** Topic patterns to subscribe to */
+    topics?: string[];
+    /** A single topic pattern, instead of `topics` */
+    topic?: string;
+  };
+}
+
+/**
+ * Request to stop receiving messages for some or all topic patterns
+ */
+export interface TopicUnsubscribeMessage extends BaseMessage {
+  type: 'topic.unsubscribe';
+  content: {
+    /** Topic patterns to unsubscribe from; all of them when omitted */
+    topics?: string[];
+    /** A single topic pattern, instead of `topics` */
+    topic?: string;
+  };
+}
+
+/**
+ * Message published to a topic
+ */
+export interface TopicPublishMessage extends BaseMessage {
+  type: 'topic.publish';
+  content: {
+    /** Topic to publish to; wildcards are not allowed */
+    topic: string;
+    /** Message payload */
+    payload: any;
+    /** Keep the message as the topic's retained message for later subscribers. A null payload clears it */
+    retain?: boolean;
+  };
+}
+
+// ==========================================
+// Orchestrator -> Agent, Client or Service Message Types
+// ==========================================
+
+/**
+ * Response to a subscribe or unsubscribe request
+ */
+export interface TopicSubscriptionResponseMessage extends BaseMessage {
+  type: 'topic.subscribe.response' | 'topic.unsubscribe.response';
+  content: {
+    /** All topic patterns the connection is now subscribed to */
+    topics: string[];
+    /** Retained messages that follow the subscribe response */
+    retained?: number;
+  };
+}
+
+/**
+ * Response to a publish request
+ */
+export interface TopicPublishResponseMessage extends BaseMessage {
+  type: 'topic.publish.response';
+  content: {
+    /** Topic the message was published to */
+    topic: string;
+    /** Number of subscribers the message was delivered to */
+    delivered: number;
+    /** Whether the message is now the topic's retained message */
+    retained: boolean;
+  };
+}
+
+/**
+ * Message published to a topic the receiver is subscribed to
+ */
+export interface TopicDeliveryMessage extends BaseMessage {
+  type: 'topic.message';
+  content: {
+    /** Topic the message was published to */
+    topic: string;
+    /** The receiver's subscription patterns that match the topic */
+    patterns: string[];
+    /** Message payload */
+    payload: any;
+    /** Who published the message */
+    publisher: TopicPublisher;
+    /** Whether this is the topic's retained message, delivered on subscribing */
+    retained: boolean;
+    /** When the message was published */
+    publishedAt: string;
+  };
+}
@@ -2,7 +2,7 @@
  * Agent SDK Type Definitions for Agent Swarm Protocol
  */
 
-import { BaseMessage } from '../common';
+import { BaseMessage, AgentSelectionStrategy, TlsClientOptions } from '../common';
 import { AgentMessages } from '../messages';
 
 /**
@@ -33,12 +33,20 @@ export interface AgentConfig {
   agentType?: string;
   /** Agent capabilities */
   capabilities?: string[];
+  /** Maximum number of tasks the orchestrator sends this agent at once */
+  maxConcurrentTasks?: number;
+  /** Whether the agent returns the same result for the same input, so the orchestrator may reuse its results */
+  deterministic?: boolean;
   /** Agent description */
   description?: string;
   /** Agent manifest */
   manifest?: Record<string, any>;
   /** Orchestrator URL */
   orchestratorUrl?: string;
+  /** API key or JWT sent when connecting to an orchestrator with authentication enabled */
+  token?: string;
+  /** TLS options for wss:// connections */
+  tls?: TlsClientOptions;
   /** Auto reconnect flag */
   autoReconnect?: boolean;
   /** Reconnect interval in milliseconds */
@@ -54,8 +62,29 @@ export type MessageHandler = (content: any, message: BaseMessage) => void;
 
 /**
  * Task handler type for agents
+ * Returning an async iterable streams each yielded value as a result chunk; its return value becomes the final result
  */
-export type AgentTaskHandler = (taskData: any, message: TaskExecuteMessage) => Promise<any>;
+export type AgentTaskHandler = (taskData: any, message: TaskExecuteMessage, signal: AbortSignal, stream: TaskResultStream) => Promise<any> | AsyncIterable<any>;
+
+/**
+ * Sends partial results of a task while it runs
+ */
+export interface TaskResultStream {
+  /** Send a partial result to the client; chunks are numbered from 0 in the order they are written */
+  write(chunk: any): void;
+  /** Number of chunks written so far */
+  readonly chunkCount: number;
+}
+
+/**
+ * Selects a child agent by capability instead of by name
+ */
+export interface AgentSelector {
+  /** Capabilities the agent must have */
+  capabilities: string[];
+  /** Strategy for picking between eligible agents */
+  strategy?: AgentSelectionStrategy;
+}
 
 /**
  * Service task options interface
@@ -63,4 +92,6 @@ export type AgentTaskHandler = (taskData: any, message: TaskExecuteMessage) => P
 export interface ServiceTaskOptions {
   /** Timeout in milliseconds */
   timeout?: number;
+  /** ID of the task the service call belongs to, so it is cancelled along with it */
+  parentTaskId?: string;
 } 
\ No newline at end of file
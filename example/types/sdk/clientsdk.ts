@@ -2,7 +2,7 @@
  * Client SDK Type Definitions for Agent Swarm Protocol
  */
 
-import { BaseMessage } from '../common';
+import { BaseMessage, TlsClientOptions } from '../common';
 import { ClientMessages } from '../messages';
 
 /**
@@ -11,6 +11,10 @@ import { ClientMessages } from '../messages';
 export interface ClientConfig {
   /** WebSocket URL of the orchestrator client interface */
   orchestratorUrl?: string;
+  /** API key or JWT sent when connecting to an orchestrator with authentication enabled */
+  token?: string;
+  /** TLS options for wss:// connections from Node.js */
+  tls?: TlsClientOptions;
   /** Whether to automatically reconnect on disconnection */
   autoReconnect?: boolean;
   /** Interval in ms to attempt reconnection */
@@ -144,6 +148,10 @@ export interface SwarmClientSDKInterface {
 export interface WebSocketClientConfig {
   /** WebSocket URL of the orchestrator client interface */
   orchestratorUrl?: string;
+  /** API key or JWT sent when connecting to an orchestrator with authentication enabled */
+  token?: string;
+  /** TLS options for wss:// connections from Node.js */
+  tls?: TlsClientOptions;
   /** Whether to automatically reconnect on disconnection */
   autoReconnect?: boolean;
   /** Interval in ms to attempt reconnection */
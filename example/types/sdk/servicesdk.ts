@@ -2,7 +2,7 @@
  * Service SDK Type Definitions for Agent Swarm Protocol
  */
 
-import { BaseMessage } from '../common';
+import { BaseMessage, TlsClientOptions } from '../common';
 import { ServiceMessages } from '../messages';
 
 /**
@@ -31,6 +31,8 @@ export interface ServiceTool {
   outputSchema?: Record<string, any>;
   /** Tool metadata */
   metadata?: Record<string, any>;
+  /** Whether the tool returns the same result for the same parameters, so the orchestrator may cache its results */
+  deterministic?: boolean;
 }
 
 /**
@@ -51,6 +53,10 @@ export interface ServiceConfig {
   manifest?: Record<string, any>;
   /** Orchestrator URL */
   orchestratorUrl?: string;
+  /** API key or JWT sent when connecting to an orchestrator with authentication enabled */
+  token?: string;
+  /** TLS options for wss:// connections */
+  tls?: TlsClientOptions;
   /** Auto reconnect flag */
   autoReconnect?: boolean;
   /** Reconnect interval in milliseconds */
@@ -87,4 +93,4 @@ export interface ServiceNotification {
 /**
  * Task handler type for services
  */
-export type ServiceTaskHandler = (params: any, message: ServiceTaskExecuteMessage) => Promise<any>; 
\ No newline at end of file
+export type ServiceTaskHandler = (params: any, message: ServiceTaskExecuteMessage, signal: AbortSignal) => Promise<any>; 
\ No newline at end of file